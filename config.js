@@ -26,6 +26,12 @@ module.exports = {
   USDT_SOL: process.env.USDT_SOL,
   USDT_TRON: process.env.USDT_TRON,
   USDC_BSC: process.env.USDC_BSC,
+  USDT_ETH: process.env.USDT_ETH,
+  USDC_ETH: process.env.USDC_ETH,
+  USDT_POLYGON: process.env.USDT_POLYGON,
+  USDC_POLYGON: process.env.USDC_POLYGON,
+  USDT_ARBITRUM: process.env.USDT_ARBITRUM,
+  USDC_ARBITRUM: process.env.USDC_ARBITRUM,
   USDC_SOL: process.env.USDC_SOL,
   BUSD_BSC: process.env.BUSD_BSC,
   ETH_ETH: process.env.ETH_ETH,
@@ -38,9 +44,19 @@ module.exports = {
   DOGE_DOGE: process.env.DOGE_DOGE,
   DOGE_BSC: process.env.DOGE_BSC,
 
+  // Chains offered in the deal flow (see src/services/chains); a chain also
+  // needs at least one token address configured to show up
+  ENABLED_CHAINS: (process.env.ENABLED_CHAINS || "BSC")
+    .split(",")
+    .map((chain) => chain.trim().toUpperCase())
+    .filter(Boolean),
+
   // Network RPC URLs
   SEPOLIA_RPC_URL: process.env.SEPOLIA_RPC_URL,
-  ETH_RPC_URL: process.env.ETH_RPC_URL,
+  ETH_RPC_URL: process.env.ETH_RPC_URL || "https://eth.llamarpc.com",
+  POLYGON_RPC_URL: process.env.POLYGON_RPC_URL || "https://polygon-rpc.com",
+  ARBITRUM_RPC_URL:
+    process.env.ARBITRUM_RPC_URL || "https://arb1.arbitrum.io/rpc",
   LTC_RPC_URL: process.env.LTC_RPC_URL,
   TRON_RPC_URL:
     process.env.TRON_RPC_URL ||
@@ -49,13 +65,25 @@ module.exports = {
   // Wallet Configuration
   HOT_WALLET_PRIVATE_KEY: process.env.HOT_WALLET_PRIVATE_KEY,
   TRC_PRIVATE_KEY: process.env.TRC_PRIVATE_KEY,
+  // Vault guardian (pause/unpause, cancel pending changes); the hot wallet
+  // signs these when unset
+  VAULT_GUARDIAN_PRIVATE_KEY: process.env.VAULT_GUARDIAN_PRIVATE_KEY,
 
   // Escrow Configuration
   ESCROW_FEE_PERCENT: Number(process.env.ESCROW_FEE_PERCENT || 0),
   CONTRACT_USDT_RESERVE: Number(process.env.CONTRACT_USDT_RESERVE || 0.1),
+  // Offer BNB/TRX deals; needs a NativeEscrowVault deployed per chain
+  NATIVE_ESCROW_ENABLED: process.env.NATIVE_ESCROW_ENABLED === "true",
 
   MIN_TRADE_AMOUNT: Number(process.env.MIN_TRADE_AMOUNT || 1),
   MAX_TRADE_AMOUNT: Number(process.env.MAX_TRADE_AMOUNT || 10000),
+  // Most tranches a deal can be split into at step 4 ("10000 x 4")
+  MAX_TRANCHES: Number(process.env.MAX_TRANCHES || 10),
+
+  // Background deposit detection poll interval
+  DEPOSIT_WATCHER_INTERVAL_MS: Number(
+    process.env.DEPOSIT_WATCHER_INTERVAL_MS || 30000
+  ),
 
   // Fee wallets (Per-Network)
   FEE_WALLET_BSC: process.env.FEE_WALLET_BSC,
@@ -63,15 +91,40 @@ module.exports = {
 
   // Security
   NODE_ENV: process.env.NODE_ENV || "development",
+  // Admin-forced releases/refunds at or above this amount, and admin list
+  // changes, need ADMIN_APPROVAL_QUORUM different admins to approve. The
+  // quorum is fixed: with fewer approving admins they are refused
+  ADMIN_APPROVAL_THRESHOLD: Number(
+    process.env.ADMIN_APPROVAL_THRESHOLD || 1000
+  ),
+  // Native-coin escrows are measured in the coin, so they get their own
+  // threshold (about the same value as ADMIN_APPROVAL_THRESHOLD)
+  ADMIN_APPROVAL_THRESHOLD_BNB: Number(
+    process.env.ADMIN_APPROVAL_THRESHOLD_BNB || 1.5
+  ),
+  ADMIN_APPROVAL_THRESHOLD_TRX: Number(
+    process.env.ADMIN_APPROVAL_THRESHOLD_TRX || 4000
+  ),
+  ADMIN_APPROVAL_QUORUM: Number(process.env.ADMIN_APPROVAL_QUORUM || 2),
+  // New address book entries can't be used in deals until this many hours
+  // have passed, so a hijacked account can't redirect payouts immediately
+  ADDRESS_BOOK_COOLDOWN_HOURS: Number(
+    process.env.ADDRESS_BOOK_COOLDOWN_HOURS || 24
+  ),
 
   // Dispute Management
   DISPUTE_CHANNEL_ID: process.env.DISPUTE_CHANNEL_ID,
   COMPLETION_FEED_CHAT_ID: process.env.COMPLETION_FEED_CHAT_ID,
+  // Archived trade group messages are deleted after this many days unless
+  // the trade has an unresolved dispute; 0 keeps them forever
+  GROUP_MESSAGE_RETENTION_DAYS: Number(
+    process.env.GROUP_MESSAGE_RETENTION_DAYS || 180
+  ),
 
   // Group Restriction
   ALLOWED_MAIN_GROUP_ID: process.env.ALLOWED_MAIN_GROUP_ID || "-1002457247089",
 
-  // Helper function to get all admin IDs
+  // Env-configured admin IDs (superadmins); see AdminService for all admins
   getAllAdminIds() {
     const adminIds = [];
     if (this.ADMIN_USER_ID) adminIds.push(this.ADMIN_USER_ID);
@@ -82,7 +135,14 @@ module.exports = {
     return adminIds;
   },
 
-  // Helper function to get all admin usernames
+  // Approval threshold for payouts of the token, in that token
+  getApprovalThreshold(token) {
+    const native =
+      this[`ADMIN_APPROVAL_THRESHOLD_${(token || "").toUpperCase()}`];
+    return native !== undefined ? native : this.ADMIN_APPROVAL_THRESHOLD;
+  },
+
+  // Env-configured admin usernames (superadmins)
   getAllAdminUsernames() {
     const adminUsernames = [];
     if (this.ADMIN_USERNAME) adminUsernames.push(this.ADMIN_USERNAME);
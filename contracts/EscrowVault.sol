@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+import "./VaultAdmin.sol";
+
 interface IERC20 {
     function transfer(address to, uint256 amount) external returns (bool);
     function transferFrom(
@@ -12,15 +14,9 @@ interface IERC20 {
     function decimals() external view returns (uint8);
 }
 
-contract EscrowVault {
-    address public owner;
+contract EscrowVault is VaultAdmin {
     IERC20 public immutable token; // USDT (BEP-20)
 
-    // Fee wallet (100% of fees)
-    address public feeWallet;
-    // feePercent in basis points (e.g., 100 = 1.00%)
-    uint256 public feePercent;
-
     // Accumulate fees in contract
     uint256 public accumulatedFees;
 
@@ -37,34 +33,13 @@ contract EscrowVault {
         uint256 feeAmount
     );
     event FeesWithdrawn(uint256 amount, address wallet);
-    event FeeWalletUpdated(address wallet);
-    event FeePercentUpdated(uint256 feePercent);
-
-    modifier onlyOwner() {
-        require(msg.sender == owner, "not-owner");
-        _;
-    }
 
-    constructor(address _token, address _feeWallet, uint256 _feePercent) {
-        owner = msg.sender;
+    constructor(
+        address _token,
+        address _feeWallet,
+        uint256 _feePercent
+    ) VaultAdmin(_feeWallet, _feePercent) {
         token = IERC20(_token);
-        feeWallet = _feeWallet;
-        feePercent = _feePercent; // 100 = 1%
-    }
-
-    function setOwner(address _owner) external onlyOwner {
-        owner = _owner;
-    }
-
-    function setFeeWallet(address _feeWallet) external onlyOwner {
-        feeWallet = _feeWallet;
-        emit FeeWalletUpdated(_feeWallet);
-    }
-
-    function setFeePercent(uint256 _feePercent) external onlyOwner {
-        require(_feePercent <= 1000, "too-high"); // <= 10%
-        feePercent = _feePercent;
-        emit FeePercentUpdated(_feePercent);
     }
 
     function withdrawFees() external onlyOwner {
@@ -78,7 +53,10 @@ contract EscrowVault {
         emit FeesWithdrawn(fee, feeWallet);
     }
 
-    function release(address to, uint256 amount) external onlyOwner {
+    function release(
+        address to,
+        uint256 amount
+    ) external onlyOwner whenNotPaused {
         uint256 fee = (amount * feePercent) / 10000; // basis points
         uint256 net = amount - fee;
 
@@ -88,7 +66,10 @@ contract EscrowVault {
         emit Released(to, amount, net, fee);
     }
 
-    function refund(address to, uint256 amount) external onlyOwner {
+    function refund(
+        address to,
+        uint256 amount
+    ) external onlyOwner whenNotPaused {
         uint256 fee = (amount * feePercent) / 10000;
         uint256 net = amount - fee;
 
@@ -99,7 +80,10 @@ contract EscrowVault {
     }
 
     // Owner utility: sweep any ERC-20 token balance to a specified address
-    function withdrawToken(address erc20Token, address to) external onlyOwner {
+    function withdrawToken(
+        address erc20Token,
+        address to
+    ) external onlyOwner whenNotPaused {
         require(to != address(0), "zero-to");
         IERC20 t = IERC20(erc20Token);
         uint256 bal = t.balanceOf(address(this));
@@ -0,0 +1,204 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./VaultAdmin.sol";
+
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external returns (bool);
+    function balanceOf(address account) external view returns (uint256);
+}
+
+// EscrowVault with per-escrow accounting. Deposits are credited to an
+// escrowId (bytes32) and release/refund can only spend that escrow's own
+// balance, so one deal can never be paid out of another deal's funds even
+// though many groups share the vault.
+contract EscrowVaultV2 is VaultAdmin {
+    IERC20 public immutable token;
+
+    // Accumulate fees in contract
+    uint256 public accumulatedFees;
+
+    // Unspent deposits per escrow, and their sum
+    mapping(bytes32 => uint256) public escrowBalance;
+    uint256 public totalEscrowed;
+
+    // Deposit transactions already credited, so each is counted once
+    mapping(bytes32 => bool) public creditedDeposits;
+
+    event DepositCredited(
+        bytes32 indexed escrowId,
+        bytes32 indexed depositRef,
+        uint256 amount
+    );
+    event Released(
+        bytes32 indexed escrowId,
+        address indexed to,
+        uint256 grossAmount,
+        uint256 netAmount,
+        uint256 feeAmount
+    );
+    event Refunded(
+        bytes32 indexed escrowId,
+        address indexed to,
+        uint256 grossAmount,
+        uint256 netAmount,
+        uint256 feeAmount
+    );
+    event EscrowClosed(bytes32 indexed escrowId, uint256 remainder);
+    event FeesWithdrawn(uint256 amount, address wallet);
+
+    constructor(
+        address _token,
+        address _feeWallet,
+        uint256 _feePercent
+    ) VaultAdmin(_feeWallet, _feePercent) {
+        token = IERC20(_token);
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+
+    // Tokens held that no escrow or fee claims yet
+    function unallocated() public view returns (uint256) {
+        uint256 bal = token.balanceOf(address(this));
+        uint256 claimed = totalEscrowed + accumulatedFees;
+        return bal > claimed ? bal - claimed : 0;
+    }
+
+    // Assign a plain transfer to the vault (depositRef = its tx hash) to an
+    // escrow. Only tokens no other escrow holds can be credited.
+    function creditDeposit(
+        bytes32 escrowId,
+        bytes32 depositRef,
+        uint256 amount
+    ) external onlyOwner whenNotPaused {
+        require(amount > 0, "zero-amount");
+        require(!creditedDeposits[depositRef], "already-credited");
+        require(unallocated() >= amount, "insufficient-unallocated");
+
+        creditedDeposits[depositRef] = true;
+        escrowBalance[escrowId] += amount;
+        totalEscrowed += amount;
+
+        emit DepositCredited(escrowId, depositRef, amount);
+    }
+
+    // Deposit for an escrow directly, after approving the vault
+    function deposit(bytes32 escrowId, uint256 amount) external {
+        require(amount > 0, "zero-amount");
+        require(
+            token.transferFrom(msg.sender, address(this), amount),
+            "transfer-fail"
+        );
+
+        escrowBalance[escrowId] += amount;
+        totalEscrowed += amount;
+
+        emit DepositCredited(escrowId, bytes32(0), amount);
+    }
+
+    function withdrawFees() external onlyOwner {
+        uint256 fee = accumulatedFees;
+        require(fee > 0, "no-fees");
+
+        accumulatedFees = 0; // Reset before transfer
+
+        require(token.transfer(feeWallet, fee), "fee-fail");
+
+        emit FeesWithdrawn(fee, feeWallet);
+    }
+
+    function release(
+        bytes32 escrowId,
+        address to,
+        uint256 amount
+    ) external onlyOwner whenNotPaused {
+        (uint256 net, uint256 fee) = _debit(escrowId, amount);
+
+        require(token.transfer(to, net), "transfer-fail");
+        emit Released(escrowId, to, amount, net, fee);
+    }
+
+    function refund(
+        bytes32 escrowId,
+        address to,
+        uint256 amount
+    ) external onlyOwner whenNotPaused {
+        (uint256 net, uint256 fee) = _debit(escrowId, amount);
+
+        require(token.transfer(to, net), "transfer-fail");
+        emit Refunded(escrowId, to, amount, net, fee);
+    }
+
+    // Dispute split: releases buyerAmount to the buyer and refunds
+    // sellerAmount to the seller in one transaction, so a split is never
+    // left half paid.
+    function split(
+        bytes32 escrowId,
+        address buyer,
+        uint256 buyerAmount,
+        address seller,
+        uint256 sellerAmount
+    ) external onlyOwner whenNotPaused {
+        (uint256 buyerNet, uint256 buyerFee) = _debit(escrowId, buyerAmount);
+        (uint256 sellerNet, uint256 sellerFee) = _debit(
+            escrowId,
+            sellerAmount
+        );
+
+        require(token.transfer(buyer, buyerNet), "transfer-fail");
+        require(token.transfer(seller, sellerNet), "transfer-fail");
+        emit Released(escrowId, buyer, buyerAmount, buyerNet, buyerFee);
+        emit Refunded(escrowId, seller, sellerAmount, sellerNet, sellerFee);
+    }
+
+    // Close a settled escrow: what it still holds (the network fee kept back
+    // from its payouts) moves into the fees so withdrawFees can collect it
+    function closeEscrow(bytes32 escrowId) external onlyOwner whenNotPaused {
+        uint256 remainder = escrowBalance[escrowId];
+        require(remainder > 0, "nothing-left");
+
+        escrowBalance[escrowId] = 0;
+        totalEscrowed -= remainder;
+        accumulatedFees += remainder;
+
+        emit EscrowClosed(escrowId, remainder);
+    }
+
+    // Owner utility: sweep a token to an address. For the escrowed token only
+    // the unallocated part can be swept; escrow balances and fees stay put.
+    function withdrawToken(
+        address erc20Token,
+        address to
+    ) external onlyOwner whenNotPaused {
+        require(to != address(0), "zero-to");
+        IERC20 t = IERC20(erc20Token);
+        uint256 bal = erc20Token == address(token)
+            ? unallocated()
+            : t.balanceOf(address(this));
+        require(bal > 0, "no-balance");
+        require(t.transfer(to, bal), "sweep-fail");
+    }
+
+    function _debit(
+        bytes32 escrowId,
+        uint256 amount
+    ) private returns (uint256 net, uint256 fee) {
+        require(amount > 0, "zero-amount");
+        require(escrowBalance[escrowId] >= amount, "exceeds-escrow-balance");
+
+        escrowBalance[escrowId] -= amount;
+        totalEscrowed -= amount;
+
+        fee = (amount * feePercent) / 10000; // basis points
+        net = amount - fee;
+
+        accumulatedFees += fee; // Store fee in contract
+    }
+}
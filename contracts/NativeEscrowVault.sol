@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./VaultAdmin.sol";
+
+interface IERC20 {
+    function transfer(address to, uint256 amount) external returns (bool);
+    function balanceOf(address account) external view returns (uint256);
+}
+
+// Same interface as EscrowVault, but escrows the chain's native coin
+// (BNB on BSC, TRX on TRON) instead of an ERC-20 token.
+contract NativeEscrowVault is VaultAdmin {
+    // Always zero: tells the bot this vault holds native value
+    address public constant token = address(0);
+
+    // Accumulate fees in contract
+    uint256 public accumulatedFees;
+
+    event Deposited(address indexed from, uint256 amount);
+    event Released(
+        address indexed to,
+        uint256 grossAmount,
+        uint256 netAmount,
+        uint256 feeAmount
+    );
+    event Refunded(
+        address indexed to,
+        uint256 grossAmount,
+        uint256 netAmount,
+        uint256 feeAmount
+    );
+    event FeesWithdrawn(uint256 amount, address wallet);
+
+    constructor(
+        address _feeWallet,
+        uint256 _feePercent
+    ) VaultAdmin(_feeWallet, _feePercent) {}
+
+    // Native transfers have no Transfer log; this event is how the bot
+    // detects deposits
+    receive() external payable {
+        emit Deposited(msg.sender, msg.value);
+    }
+
+    function withdrawFees() external onlyOwner {
+        uint256 fee = accumulatedFees;
+        require(fee > 0, "no-fees");
+
+        accumulatedFees = 0; // Reset before transfer
+
+        _send(feeWallet, fee, "fee-fail");
+
+        emit FeesWithdrawn(fee, feeWallet);
+    }
+
+    function release(
+        address to,
+        uint256 amount
+    ) external onlyOwner whenNotPaused {
+        uint256 fee = (amount * feePercent) / 10000; // basis points
+        uint256 net = amount - fee;
+
+        accumulatedFees += fee; // Store fee in contract
+        require(
+            address(this).balance >= net + accumulatedFees,
+            "insufficient-balance"
+        );
+
+        _send(to, net, "transfer-fail");
+        emit Released(to, amount, net, fee);
+    }
+
+    function refund(
+        address to,
+        uint256 amount
+    ) external onlyOwner whenNotPaused {
+        uint256 fee = (amount * feePercent) / 10000;
+        uint256 net = amount - fee;
+
+        accumulatedFees += fee; // Store fee in contract
+        require(
+            address(this).balance >= net + accumulatedFees,
+            "insufficient-balance"
+        );
+
+        _send(to, net, "transfer-fail");
+        emit Refunded(to, amount, net, fee);
+    }
+
+    // Owner utility: sweep any ERC-20 token sent here by mistake
+    function withdrawToken(
+        address erc20Token,
+        address to
+    ) external onlyOwner whenNotPaused {
+        require(to != address(0), "zero-to");
+        IERC20 t = IERC20(erc20Token);
+        uint256 bal = t.balanceOf(address(this));
+        require(bal > 0, "no-balance");
+        require(t.transfer(to, bal), "sweep-fail");
+    }
+
+    // Owner utility: sweep the whole native balance, fees included
+    function withdrawNative(address to) external onlyOwner whenNotPaused {
+        require(to != address(0), "zero-to");
+        uint256 bal = address(this).balance;
+        require(bal > 0, "no-balance");
+
+        accumulatedFees = 0;
+
+        _send(to, bal, "sweep-fail");
+    }
+
+    function _send(address to, uint256 amount, string memory error) private {
+        (bool ok, ) = payable(to).call{value: amount}("");
+        require(ok, error);
+    }
+}
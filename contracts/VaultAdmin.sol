@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Owner, guardian, kill switch and timelocked fee settings shared by every
+// vault, so a fix here reaches all of them.
+abstract contract VaultAdmin {
+    address public owner;
+
+    // Fee wallet (100% of fees)
+    address public feeWallet;
+    // feePercent in basis points (e.g., 100 = 1.00%)
+    uint256 public feePercent;
+
+    // Changes to owner, fee wallet and fee percent wait this long after
+    // being proposed, so a leaked owner key cannot redirect funds at once
+    uint256 public constant TIMELOCK_DELAY = 48 hours;
+
+    // Can pause payouts, cancel pending changes and unpause; the owner can
+    // only pause
+    address public guardian;
+    bool public paused;
+
+    address public pendingOwner;
+    uint256 public pendingOwnerEta;
+    address public pendingFeeWallet;
+    uint256 public pendingFeeWalletEta;
+    uint256 public pendingFeePercent;
+    uint256 public pendingFeePercentEta;
+
+    event FeeWalletUpdated(address wallet);
+    event FeePercentUpdated(uint256 feePercent);
+    event OwnershipTransferProposed(address indexed newOwner, uint256 eta);
+    event OwnershipTransferred(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event FeeWalletProposed(address wallet, uint256 eta);
+    event FeePercentProposed(uint256 feePercent, uint256 eta);
+    event PendingChangesCancelled(address by);
+    event GuardianUpdated(address guardian);
+    event Paused(address by);
+    event Unpaused(address by);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not-owner");
+        _;
+    }
+
+    modifier onlyGuardian() {
+        require(msg.sender == guardian, "not-guardian");
+        _;
+    }
+
+    modifier onlyOwnerOrGuardian() {
+        require(
+            msg.sender == owner || msg.sender == guardian,
+            "not-authorized"
+        );
+        _;
+    }
+
+    modifier whenNotPaused() {
+        require(!paused, "paused");
+        _;
+    }
+
+    constructor(address _feeWallet, uint256 _feePercent) {
+        owner = msg.sender;
+        guardian = msg.sender; // hand over with setGuardian after deploying
+        feeWallet = _feeWallet;
+        feePercent = _feePercent; // 100 = 1%
+    }
+
+    // Step 1 of an ownership transfer; the new owner accepts after the delay
+    function transferOwnership(address _owner) external onlyOwner {
+        require(_owner != address(0), "zero-owner");
+        pendingOwner = _owner;
+        pendingOwnerEta = block.timestamp + TIMELOCK_DELAY;
+        emit OwnershipTransferProposed(_owner, pendingOwnerEta);
+    }
+
+    // Step 2, called by the proposed owner itself
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "not-pending-owner");
+        require(block.timestamp >= pendingOwnerEta, "timelocked");
+        emit OwnershipTransferred(owner, pendingOwner);
+        owner = pendingOwner;
+        pendingOwner = address(0);
+        pendingOwnerEta = 0;
+    }
+
+    function proposeFeeWallet(address _feeWallet) external onlyOwner {
+        require(_feeWallet != address(0), "zero-wallet");
+        pendingFeeWallet = _feeWallet;
+        pendingFeeWalletEta = block.timestamp + TIMELOCK_DELAY;
+        emit FeeWalletProposed(_feeWallet, pendingFeeWalletEta);
+    }
+
+    function applyFeeWallet() external onlyOwner {
+        require(pendingFeeWalletEta != 0, "nothing-pending");
+        require(block.timestamp >= pendingFeeWalletEta, "timelocked");
+        feeWallet = pendingFeeWallet;
+        pendingFeeWallet = address(0);
+        pendingFeeWalletEta = 0;
+        emit FeeWalletUpdated(feeWallet);
+    }
+
+    function proposeFeePercent(uint256 _feePercent) external onlyOwner {
+        require(_feePercent <= 1000, "too-high"); // <= 10%
+        pendingFeePercent = _feePercent;
+        pendingFeePercentEta = block.timestamp + TIMELOCK_DELAY;
+        emit FeePercentProposed(_feePercent, pendingFeePercentEta);
+    }
+
+    function applyFeePercent() external onlyOwner {
+        require(pendingFeePercentEta != 0, "nothing-pending");
+        require(block.timestamp >= pendingFeePercentEta, "timelocked");
+        feePercent = pendingFeePercent;
+        pendingFeePercent = 0;
+        pendingFeePercentEta = 0;
+        emit FeePercentUpdated(feePercent);
+    }
+
+    // Drop every proposed change, e.g. one queued with a stolen owner key
+    function cancelPendingChanges() external onlyOwnerOrGuardian {
+        pendingOwner = address(0);
+        pendingOwnerEta = 0;
+        pendingFeeWallet = address(0);
+        pendingFeeWalletEta = 0;
+        pendingFeePercent = 0;
+        pendingFeePercentEta = 0;
+        emit PendingChangesCancelled(msg.sender);
+    }
+
+    function setGuardian(address _guardian) external onlyGuardian {
+        require(_guardian != address(0), "zero-guardian");
+        guardian = _guardian;
+        emit GuardianUpdated(_guardian);
+    }
+
+    // Kill switch: stops payouts and sweeps until the guardian unpauses
+    function pause() external onlyOwnerOrGuardian {
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() external onlyGuardian {
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+}
@@ -39,6 +39,10 @@ module.exports = {
       url: TRON_RPC_URL || 'https://api.trongrid.io',
       accounts: HOT_WALLET_PRIVATE_KEY ? [HOT_WALLET_PRIVATE_KEY] : []
     }
+  },
+  // Contract tests; test/integration is the Jest suite (npm test)
+  paths: {
+    tests: './test/contracts'
   }
 };
 
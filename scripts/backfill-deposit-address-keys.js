@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const path = require("path");
+require("dotenv").config();
+
+const Escrow = require(path.join("..", "src", "models", "Escrow"));
+
+// Fill depositAddressKeys on escrows saved before the field existed, so
+// payout address checks and /verify find their deposit addresses
+async function main() {
+  const { MONGODB_URI } = process.env;
+
+  if (!MONGODB_URI) {
+    console.error("MONGODB_URI missing from environment");
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI);
+
+  const escrows = await Escrow.find(
+    {
+      depositAddressKeys: { $exists: false },
+      $or: [
+        { depositAddress: { $nin: [null, ""] } },
+        { uniqueDepositAddress: { $nin: [null, ""] } },
+      ],
+    },
+    { depositAddress: 1, uniqueDepositAddress: 1 }
+  ).lean();
+
+  console.log(`📋 ${escrows.length} escrows without deposit address keys.`);
+
+  for (const escrow of escrows) {
+    const keys = [escrow.depositAddress, escrow.uniqueDepositAddress]
+      .filter(Boolean)
+      .map((address) => Escrow.depositAddressKey(address));
+    await Escrow.updateOne(
+      { _id: escrow._id },
+      { $set: { depositAddressKeys: [...new Set(keys)] } }
+    );
+  }
+
+  console.log("✅ Done.");
+  await mongoose.disconnect();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
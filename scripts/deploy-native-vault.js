@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const path = require("path");
+const hre = require("hardhat");
+require("dotenv").config();
+
+const ContractModel = require(path.join("..", "src", "models", "Contract"));
+
+// Native coin escrowed on each Hardhat network
+const NATIVE_COINS = {
+  bsc: { token: "BNB", network: "BSC" },
+  bscTestnet: { token: "BNB", network: "BSC" },
+};
+
+/**
+ * Deploy a NativeEscrowVault and register it like a token vault, so deals in
+ * the native coin find it through the usual Contract lookups.
+ *
+ *   FEE_PERCENT=0 GROUP_ID=-100123 npx hardhat run scripts/deploy-native-vault.js --network bsc
+ */
+async function main() {
+  const {
+    MONGODB_URI,
+    FEE_WALLET_BSC,
+    FEE_PERCENT,
+    GROUP_ID,
+    GUARDIAN_ADDRESS,
+  } = process.env;
+  const target = NATIVE_COINS[hre.network.name];
+
+  if (!target) {
+    console.error(
+      `❌ No native coin configured for network "${hre.network.name}"`
+    );
+    process.exit(1);
+  }
+
+  if (!MONGODB_URI) {
+    console.error("❌ MONGODB_URI missing from environment");
+    process.exit(1);
+  }
+
+  if (!FEE_WALLET_BSC) {
+    console.error("❌ FEE_WALLET_BSC missing from environment");
+    process.exit(1);
+  }
+
+  // Percent in the database, basis points on-chain (0.75% = 75)
+  const feePercent = Number(FEE_PERCENT || 0);
+  const feeBps = Math.round(feePercent * 100);
+
+  console.log(
+    `🚀 Deploying NativeEscrowVault for ${target.token} on ${target.network} (${feePercent}% fee)...`
+  );
+
+  const Vault = await hre.ethers.getContractFactory("NativeEscrowVault");
+  const vault = await Vault.deploy(FEE_WALLET_BSC, feeBps);
+  await vault.waitForDeployment();
+  const address = await vault.getAddress();
+
+  console.log(`✅ Deployed at ${address}`);
+
+  // The deployer starts as guardian; hand the role to a separate key so a
+  // leaked hot wallet cannot unpause
+  if (GUARDIAN_ADDRESS) {
+    await (await vault.setGuardian(GUARDIAN_ADDRESS)).wait();
+    console.log(`✅ Guardian set to ${GUARDIAN_ADDRESS}`);
+  }
+
+  await mongoose.connect(MONGODB_URI);
+  await ContractModel.create({
+    name: "EscrowVault",
+    token: target.token,
+    network: target.network,
+    address,
+    feePercent,
+    groupId: GROUP_ID || undefined,
+  });
+  console.log("✅ Registered in database");
+
+  await mongoose.disconnect();
+}
+
+main().catch((e) => {
+  console.error("❌ Error:", e);
+  process.exit(1);
+});
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+const path = require("path");
+const hre = require("hardhat");
+require("dotenv").config();
+
+const config = require(path.join("..", "config"));
+const ContractModel = require(path.join("..", "src", "models", "Contract"));
+
+// Bot network and config suffix for each Hardhat network
+const NETWORKS = {
+  bsc: { network: "BSC", suffix: "BSC" },
+  bscTestnet: { network: "BSC", suffix: "BSC" },
+  ethereum: { network: "ETH", suffix: "ETH" },
+  sepolia: { network: "SEPOLIA", suffix: "SEPOLIA" },
+};
+
+/**
+ * Deploy an EscrowVaultV2 (per-escrow balances) and register it with
+ * version 2, so payouts go through the escrowId-keyed release/refund.
+ *
+ *   TOKEN=USDT FEE_PERCENT=0 GROUP_ID=-100123 npx hardhat run scripts/deploy-vault-v2.js --network bsc
+ */
+async function main() {
+  const { MONGODB_URI, FEE_PERCENT, GROUP_ID, GUARDIAN_ADDRESS } = process.env;
+  const token = String(process.env.TOKEN || "USDT").toUpperCase();
+  const target = NETWORKS[hre.network.name];
+
+  if (!target) {
+    console.error(`❌ Unsupported network "${hre.network.name}"`);
+    process.exit(1);
+  }
+
+  if (!MONGODB_URI) {
+    console.error("❌ MONGODB_URI missing from environment");
+    process.exit(1);
+  }
+
+  const tokenAddress = config[`${token}_${target.suffix}`];
+  // One EVM fee wallet serves every EVM chain
+  const feeWallet = config.FEE_WALLET_BSC;
+  if (!tokenAddress) {
+    console.error(`❌ ${token}_${target.suffix} missing from config`);
+    process.exit(1);
+  }
+  if (!feeWallet) {
+    console.error("❌ FEE_WALLET_BSC missing from environment");
+    process.exit(1);
+  }
+
+  // Percent in the database, basis points on-chain (0.75% = 75)
+  const feePercent = Number(FEE_PERCENT || 0);
+  const feeBps = Math.round(feePercent * 100);
+
+  console.log(
+    `🚀 Deploying EscrowVaultV2 for ${token} on ${target.network} (${feePercent}% fee)...`
+  );
+
+  const Vault = await hre.ethers.getContractFactory("EscrowVaultV2");
+  const vault = await Vault.deploy(tokenAddress, feeWallet, feeBps);
+  await vault.waitForDeployment();
+  const address = await vault.getAddress();
+
+  console.log(`✅ Deployed at ${address}`);
+
+  // The deployer starts as guardian; hand the role to a separate key so a
+  // leaked hot wallet cannot unpause
+  if (GUARDIAN_ADDRESS) {
+    await (await vault.setGuardian(GUARDIAN_ADDRESS)).wait();
+    console.log(`✅ Guardian set to ${GUARDIAN_ADDRESS}`);
+  }
+
+  await mongoose.connect(MONGODB_URI);
+  await ContractModel.create({
+    name: "EscrowVault",
+    token,
+    network: target.network,
+    address,
+    feePercent,
+    groupId: GROUP_ID || undefined,
+    version: 2,
+  });
+  console.log("✅ Registered in database");
+
+  await mongoose.disconnect();
+}
+
+main().catch((e) => {
+  console.error("❌ Error:", e);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+/**
+ * ADMIN ROLES
+ *
+ * What each admin role may do. Every admin command needs one permission
+ * (COMMAND_PERMISSIONS); admin commands not listed there are superadmin
+ * only. Admins in the ADMIN_USER_ID* / ADMIN_USERNAME* env slots are
+ * always superadmins. /admin_add, /admin_role and /admin_remove need
+ * ADMIN_APPROVAL_QUORUM admins to approve, so a fresh deployment configures
+ * at least that many env admins by Telegram ID.
+ */
+
+module.exports = {
+  ROLES: ["support", "dispute_resolver", "treasury", "superadmin"],
+
+  ROLE_LABELS: {
+    support: "🎧 Support",
+    dispute_resolver: "⚖️ Dispute Resolver",
+    treasury: "🏦 Treasury",
+    superadmin: "👑 Superadmin",
+  },
+
+  ROLE_PERMISSIONS: {
+    support: ["view", "moderate"],
+    dispute_resolver: ["view", "moderate", "disputes"],
+    treasury: ["view", "funds"],
+    superadmin: ["view", "moderate", "disputes", "funds", "manage", "admins"],
+  },
+
+  COMMAND_PERMISSIONS: {
+    // Read-only
+    admin_help: "view",
+    admin_stats: "view",
+    admin_trade_stats: "view",
+    admin_recent_trades: "view",
+    admin_export_trades: "view",
+    admin_escrow_history: "view",
+    admin_payouts: "view",
+    admin_disputes: "view",
+    admin_dispute: "view",
+    admin_ratings: "view",
+    admin_blocklist: "view",
+    admin_vault_status: "view",
+    admin_pool: "view",
+    admin_pool_list: "view",
+    admin_address_pool: "view",
+    admin_admins: "view",
+
+    // Users, ratings and rooms without a deposit
+    admin_rating_hide: "moderate",
+    admin_rating_show: "moderate",
+    admin_block: "moderate",
+    admin_unblock: "moderate",
+    admin_block_address: "moderate",
+    admin_unblock_address: "moderate",
+    admin_group_reset: "moderate",
+
+    // Cases, and admin-forced releases, refunds and splits
+    admin_dispute_claim: "disputes",
+    admin_dispute_comment: "disputes",
+    admin_dispute_resolve: "disputes",
+    admin_case_file: "disputes",
+    admin_transcript: "disputes",
+
+    // Money leaving the vaults outside a trade
+    admin_payout_resolve: "funds",
+    admin_vault_pause: "funds",
+    admin_vault_unpause: "funds",
+    admin_vault_propose: "funds",
+    admin_vault_apply: "funds",
+    admin_vault_cancel: "funds",
+    withdraw_all_bsc: "funds",
+    withdraw_all_tron: "funds",
+
+    // Room pool and deposit addresses
+    admin_pool_add: "manage",
+    admin_pool_delete: "manage",
+    admin_pool_delete_all: "manage",
+    admin_reset_force: "manage",
+    admin_reset_all_groups: "manage",
+    admin_init_addresses: "manage",
+    admin_cleanup_addresses: "manage",
+
+    // The admin list itself
+    admin_add: "admins",
+    admin_remove: "admins",
+    admin_role: "admins",
+  },
+};
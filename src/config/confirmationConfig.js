@@ -0,0 +1,59 @@
+/**
+ * DEPOSIT CONFIRMATION DEPTH
+ *
+ * Number of blocks a deposit must be buried under before the escrow moves
+ * to "deposited". Protects high-value trades against chain reorgs.
+ * Override per chain with CONFIRMATIONS_<CHAIN> (e.g. CONFIRMATIONS_BSC=20).
+ */
+
+module.exports = {
+  CONFIRMATION_DEPTHS: {
+    BSC: Number(process.env.CONFIRMATIONS_BSC || 15),
+    TRON: Number(process.env.CONFIRMATIONS_TRON || 19),
+    ETH: Number(process.env.CONFIRMATIONS_ETH || 12),
+    POLYGON: Number(process.env.CONFIRMATIONS_POLYGON || 128),
+    ARBITRUM: Number(process.env.CONFIRMATIONS_ARBITRUM || 20),
+    SEPOLIA: Number(process.env.CONFIRMATIONS_SEPOLIA || 3),
+  },
+
+  /**
+   * Get the required confirmation depth for a chain
+   * @param {string} chain - 'BSC', 'TRON', ...
+   * @returns {number} Blocks required (including the deposit block itself)
+   */
+  getRequiredConfirmations(chain) {
+    const chainUpper = (chain || "").toUpperCase();
+
+    if (chainUpper === "BNB" || chainUpper === "BEP-20") {
+      return this.CONFIRMATION_DEPTHS.BSC;
+    }
+    if (chainUpper === "TRX") {
+      return this.CONFIRMATION_DEPTHS.TRON;
+    }
+    if (chainUpper === "ETHEREUM") {
+      return this.CONFIRMATION_DEPTHS.ETH;
+    }
+    if (chainUpper === "MATIC") {
+      return this.CONFIRMATION_DEPTHS.POLYGON;
+    }
+    if (this.CONFIRMATION_DEPTHS[chainUpper]) {
+      return this.CONFIRMATION_DEPTHS[chainUpper];
+    }
+
+    // Fallback to BSC depth if unknown chain
+    return this.CONFIRMATION_DEPTHS.BSC;
+  },
+
+  /**
+   * Count confirmations of a transaction mined in `blockNumber`
+   * @param {number} blockNumber - Block containing the transaction
+   * @param {number} latestBlock - Current chain head
+   * @returns {number}
+   */
+  countConfirmations(blockNumber, latestBlock) {
+    if (!blockNumber || !latestBlock || latestBlock < blockNumber) {
+      return 0;
+    }
+    return latestBlock - blockNumber + 1;
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * DEPOSIT TOLERANCE
+ *
+ * How far below the expected amount a deposit may fall and still count as
+ * paid in full, and how far above it before it is reported as overpaid.
+ * In the escrowed coin: a cent for stablecoins, about the same value for
+ * native coins.
+ */
+
+module.exports = {
+  TOLERANCES: {
+    DEFAULT: 0.01,
+    BNB: 0.00002,
+    TRX: 0.04,
+  },
+
+  /**
+   * @param {string} token - Escrowed token, e.g. 'USDT' or 'BNB'
+   * @returns {number} Tolerance in that token
+   */
+  getTolerance(token) {
+    const tokenUpper = (token || "").toUpperCase();
+    return this.TOLERANCES[tokenUpper] !== undefined
+      ? this.TOLERANCES[tokenUpper]
+      : this.TOLERANCES.DEFAULT;
+  },
+};
@@ -0,0 +1,98 @@
+/**
+ * DEAL EXPIRY POLICIES
+ *
+ * How long a trade may sit in each stage, and what the bot does when the
+ * deadline passes:
+ *   cancel  - cancel the trade and recycle the group (nothing deposited yet)
+ *   refund  - return the deposit to the seller
+ *   dispute - escalate to the dispute channel for an admin
+ * Override a stage with EXPIRY_<STATUS>_MINUTES / EXPIRY_<STATUS>_ACTION
+ * (e.g. EXPIRY_AWAITING_DEPOSIT_MINUTES=90, EXPIRY_DEPOSITED_ACTION=refund).
+ */
+
+function stagePolicy(status, minutes, action) {
+  const key = status.toUpperCase();
+  return {
+    minutes: Number(process.env[`EXPIRY_${key}_MINUTES`] || minutes),
+    action: process.env[`EXPIRY_${key}_ACTION`] || action,
+  };
+}
+
+module.exports = {
+  STAGE_POLICIES: {
+    // Joining and filling in the deal details
+    draft: stagePolicy("draft", 30, "cancel"),
+    awaiting_details: stagePolicy("awaiting_details", 30, "cancel"),
+    // Seller funds the escrow
+    awaiting_deposit: stagePolicy("awaiting_deposit", 60, "cancel"),
+    // Buyer sends the fiat payment
+    deposited: stagePolicy("deposited", 180, "dispute"),
+    // Seller confirms the fiat arrived
+    in_fiat_transfer: stagePolicy("in_fiat_transfer", 180, "dispute"),
+    ready_to_release: stagePolicy("ready_to_release", 60, "dispute"),
+  },
+
+  // Fiat stage windows (minutes) per payment method. Keys are matched
+  // against the method the parties entered, e.g. "BANK TRANSFER" → BANK.
+  PAYMENT_METHOD_WINDOWS: {
+    UPI: { deposited: 60, in_fiat_transfer: 60 },
+    IMPS: { deposited: 60, in_fiat_transfer: 60 },
+    PAYPAL: { deposited: 120, in_fiat_transfer: 120 },
+    REVOLUT: { deposited: 120, in_fiat_transfer: 120 },
+    WISE: { deposited: 360, in_fiat_transfer: 720 },
+    BANK: { deposited: 360, in_fiat_transfer: 720 },
+    SEPA: { deposited: 1440, in_fiat_transfer: 1440 },
+    SWIFT: { deposited: 2880, in_fiat_transfer: 2880 },
+  },
+
+  // Warn the group this many minutes before a deadline
+  WARNING_MINUTES: Number(process.env.EXPIRY_WARNING_MINUTES || 10),
+
+  // Human-readable goal of each stage, used in countdowns
+  STAGE_LABELS: {
+    draft: "Complete the deal details",
+    awaiting_details: "Complete the deal details",
+    awaiting_deposit: "Seller deposit",
+    deposited: "Buyer fiat payment",
+    in_fiat_transfer: "Seller confirms fiat received",
+    ready_to_release: "Release of funds",
+  },
+
+  /**
+   * Get the deadline policy for a stage
+   * @param {string} status - Escrow status
+   * @param {string} paymentMethod - Payment method entered for the deal
+   * @returns {{minutes: number, action: string}|null} null if the stage has no deadline
+   */
+  getPolicy(status, paymentMethod) {
+    const base = this.STAGE_POLICIES[status];
+    if (!base || !base.minutes) {
+      return null;
+    }
+
+    let minutes = base.minutes;
+    const method = (paymentMethod || "").toUpperCase();
+    const methodKey = Object.keys(this.PAYMENT_METHOD_WINDOWS).find((key) =>
+      method.includes(key)
+    );
+    if (methodKey && this.PAYMENT_METHOD_WINDOWS[methodKey][status]) {
+      minutes = this.PAYMENT_METHOD_WINDOWS[methodKey][status];
+    }
+
+    return { minutes, action: base.action };
+  },
+
+  /**
+   * Pick the action that is safe for the escrow's funds: a funded trade is
+   * never cancelled and an unfunded one is never refunded.
+   * @param {string} action - Configured action
+   * @param {boolean} funded - Whether the vault holds a deposit for the trade
+   * @returns {string}
+   */
+  resolveAction(action, funded) {
+    if (funded) {
+      return action === "refund" ? "refund" : "dispute";
+    }
+    return action === "dispute" ? "dispute" : "cancel";
+  },
+};
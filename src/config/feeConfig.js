@@ -7,7 +7,8 @@
 
 module.exports = {
   /**
-   * NETWORK FEES (Flat USDT amounts deducted for blockchain gas)
+   * NETWORK FEES (Flat USDT amounts deducted for blockchain gas; native-coin
+   * escrows use NATIVE, in the coin itself)
    * These are deducted in JavaScript BEFORE sending to smart contract.
    * The smart contract does NOT handle network fees.
    */
@@ -16,11 +17,23 @@ module.exports = {
     NO_BIO_TAG: {
       BSC: 0.2, // 0.2 USDT
       TRON: 3.0, // 3.0 USDT
+      ETH: 5.0, // 5.0 USDT (mainnet gas)
+      POLYGON: 0.1, // 0.1 USDT
+      ARBITRUM: 0.2, // 0.2 USDT
     },
     // ANY of the 2 users has @room bio tag (discounted rate)
     HAS_BIO_TAG: {
       BSC: 0.2, // 0.2 USDT (same as no tag)
       TRON: 2.0, // 2.0 USDT (reduced from 3.0)
+      ETH: 4.0, // 4.0 USDT (reduced from 5.0)
+      POLYGON: 0.1, // 0.1 USDT (same as no tag)
+      ARBITRUM: 0.2, // 0.2 USDT (same as no tag)
+    },
+    // Native-coin escrows (BNB, TRX): charged in the escrowed coin itself,
+    // sized to the gas of a NativeEscrowVault release()/refund()
+    NATIVE: {
+      BNB: 0.0005, // 0.0005 BNB
+      TRX: 15.0, // 15 TRX (energy burn when the hot wallet has none staked)
     },
   },
 
@@ -42,13 +55,19 @@ module.exports = {
 
   /**
    * Get network fee for a specific chain and bio status
-   * @param {string} chain - 'BSC' or 'TRON'
+   * @param {string} chain - 'BSC', 'TRON', 'ETH', 'POLYGON' or 'ARBITRUM'
    * @param {boolean} hasBioTag - Whether any user has @room tag
-   * @returns {number} Network fee in USDT
+   * @param {string} [token] - Escrowed token; native coins pay in that coin
+   * @returns {number} Network fee in USDT, or in the native coin
    */
-  getNetworkFee(chain, hasBioTag) {
+  getNetworkFee(chain, hasBioTag, token = null) {
     const chainUpper = (chain || "").toUpperCase();
     const category = hasBioTag ? "HAS_BIO_TAG" : "NO_BIO_TAG";
+    const tokenUpper = (token || "").toUpperCase();
+
+    if (this.NETWORK_FEES.NATIVE[tokenUpper] !== undefined) {
+      return this.NETWORK_FEES.NATIVE[tokenUpper];
+    }
 
     if (chainUpper === "BSC" || chainUpper === "BNB") {
       return this.NETWORK_FEES[category].BSC;
@@ -56,6 +75,15 @@ module.exports = {
     if (chainUpper === "TRON" || chainUpper === "TRX") {
       return this.NETWORK_FEES[category].TRON;
     }
+    if (chainUpper === "ETHEREUM") {
+      return this.NETWORK_FEES[category].ETH;
+    }
+    if (chainUpper === "MATIC") {
+      return this.NETWORK_FEES[category].POLYGON;
+    }
+    if (this.NETWORK_FEES[category][chainUpper] !== undefined) {
+      return this.NETWORK_FEES[category][chainUpper];
+    }
 
     // Fallback to BSC if unknown chain
     return this.NETWORK_FEES[category].BSC;
@@ -0,0 +1,57 @@
+/**
+ * TRADER REPUTATION
+ *
+ * A 0-100 score computed from a trader's finished deals. Everyone starts at
+ * BASE_SCORE; completed deals, account age and quick completions add to it,
+ * cancelled and refunded deals and lost disputes take away from it. A
+ * cancel, refund or open dispute weighs on the trader who started it
+ * (INITIATOR_SHARE), not on the party it happened to.
+ * Deals of GATE_AMOUNT or more need both parties at MIN_SCORE or above
+ * (REPUTATION_GATE_AMOUNT / REPUTATION_MIN_SCORE; 0 turns the gate off).
+ */
+
+module.exports = {
+  BASE_SCORE: 50,
+
+  WEIGHTS: {
+    // Per completed deal, up to MAX_COMPLETED_BONUS
+    COMPLETED: 2,
+    MAX_COMPLETED_BONUS: 30,
+    // Per deal that ended without a trade
+    CANCELLED: -2,
+    REFUNDED: -4,
+    // Per dispute resolved against the trader (split counts as neither)
+    DISPUTE_LOST: -15,
+    // Per deal currently stuck in a dispute
+    DISPUTE_OPEN: -5,
+    // Per 30 days since the bot first saw the trader, up to MAX_AGE_BONUS
+    AGE_PER_MONTH: 2,
+    MAX_AGE_BONUS: 10,
+    // Average time from trade start to completion
+    FAST_COMPLETION: 5,
+    SLOW_COMPLETION: -5,
+  },
+
+  // Share of the CANCELLED, REFUNDED and DISPUTE_OPEN penalties a trader
+  // takes, by who started it: the trader, the other party, or an admin or
+  // deadline
+  INITIATOR_SHARE: {
+    SELF: 1,
+    COUNTERPARTY: 0,
+    OTHER: 0.5,
+  },
+
+  FAST_COMPLETION_MINUTES: 60,
+  SLOW_COMPLETION_MINUTES: 24 * 60,
+
+  // Lowest score of each label, best first
+  TIERS: [
+    { min: 80, label: "🟢 Trusted" },
+    { min: 60, label: "🟡 Reliable" },
+    { min: 40, label: "⚪ Neutral" },
+    { min: 0, label: "🔴 Risky" },
+  ],
+
+  GATE_AMOUNT: Number(process.env.REPUTATION_GATE_AMOUNT || 0),
+  MIN_SCORE: Number(process.env.REPUTATION_MIN_SCORE || 0),
+};
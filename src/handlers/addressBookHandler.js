@@ -0,0 +1,134 @@
+const config = require("../../config");
+const AddressBookService = require("../services/AddressBookService");
+
+const DM_ONLY_MESSAGE =
+  "🔒 Manage your address book in a private chat with the bot.";
+
+function formatEntry(entry, index) {
+  const label = entry.label ? ` - ${entry.label}` : "";
+  const status = AddressBookService.isUsable(entry)
+    ? entry.firstUsedAt
+      ? "✅ Verified"
+      : "🆕 Confirm on first use"
+    : `⏳ Usable from ${entry.usableAfter.toUTCString()}`;
+  return `${index + 1}. <b>${entry.chain}</b>${label}
+<code>${entry.address}</code>
+${status}`;
+}
+
+/**
+ * /addresses - list the user's saved payout addresses
+ */
+async function addressList(ctx) {
+  try {
+    if (ctx.chat.id < 0) {
+      return ctx.reply(DM_ONLY_MESSAGE);
+    }
+
+    const entries = await AddressBookService.list(ctx.from.id);
+    if (entries.length === 0) {
+      return ctx.reply(
+        `📒 Your address book is empty.
+
+Add one with:
+<code>/address_add BSC 0x... [label]</code>`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    await ctx.reply(
+      `📒 <b>Your Address Book</b>
+
+${entries.map(formatEntry).join("\n\n")}
+
+Remove with <code>/address_remove &lt;number&gt;</code>`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Error listing address book:", error);
+    ctx.reply("❌ Error loading address book.");
+  }
+}
+
+/**
+ * /address_add <chain> <address> [label] - save a payout address
+ */
+async function addressAdd(ctx) {
+  try {
+    if (ctx.chat.id < 0) {
+      return ctx.reply(DM_ONLY_MESSAGE);
+    }
+
+    const parts = (ctx.message?.text || "").trim().split(/\s+/);
+    if (parts.length < 3) {
+      return ctx.reply(
+        `❌ Usage: /address_add <chain> <address> [label]
+
+Chains: ${AddressBookService.supportedChains.join(", ")}
+Example: /address_add BSC 0x4dd9c84aD4201d4aDF67eE20508BF622125C515c main`
+      );
+    }
+
+    let entry;
+    try {
+      entry = await AddressBookService.add(
+        ctx.from.id,
+        parts[1],
+        parts[2],
+        parts.slice(3).join(" ")
+      );
+    } catch (addError) {
+      return ctx.reply(`❌ ${addError.message}`);
+    }
+
+    await ctx.reply(
+      `✅ <b>Address saved</b>
+
+<b>${entry.chain}</b>: <code>${entry.address}</code>
+
+Check every character above. For your safety it can be selected in deals after ${
+        config.ADDRESS_BOOK_COOLDOWN_HOURS
+      }h (${entry.usableAfter.toUTCString()}).`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Error adding address:", error);
+    ctx.reply("❌ Error saving address.");
+  }
+}
+
+/**
+ * /address_remove <number> - remove an entry shown by /addresses
+ */
+async function addressRemove(ctx) {
+  try {
+    if (ctx.chat.id < 0) {
+      return ctx.reply(DM_ONLY_MESSAGE);
+    }
+
+    const parts = (ctx.message?.text || "").trim().split(/\s+/);
+    const index = parseInt(parts[1], 10) - 1;
+    const entries = await AddressBookService.list(ctx.from.id);
+    if (isNaN(index) || !entries[index]) {
+      return ctx.reply(
+        "❌ Usage: /address_remove <number>\n\nUse /addresses to see the numbers."
+      );
+    }
+
+    await AddressBookService.remove(ctx.from.id, entries[index]._id);
+    await ctx.reply(
+      `🗑 Removed ${
+        entries[index].chain
+      } address ${AddressBookService.shortAddress(entries[index].address)}.`
+    );
+  } catch (error) {
+    console.error("Error removing address:", error);
+    ctx.reply("❌ Error removing address.");
+  }
+}
+
+module.exports = {
+  addressList,
+  addressAdd,
+  addressRemove,
+};
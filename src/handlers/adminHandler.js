@@ -1,11 +1,29 @@
+const mongoose = require("mongoose");
 const Escrow = require("../models/Escrow");
 const GroupPool = require("../models/GroupPool");
+const User = require("../models/User");
 const Contract = require("../models/Contract");
 const BlockchainService = require("../services/BlockchainService");
 const GroupPoolService = require("../services/GroupPoolService");
 const AddressAssignmentService = require("../services/AddressAssignmentService");
-const { isAdmin } = require("../middleware/adminAuth");
+const {
+  isAdmin,
+  hasPermission,
+  getAdminRole,
+} = require("../middleware/adminAuth");
+const EscrowStateMachine = require("../services/EscrowStateMachine");
+const PayoutService = require("../services/PayoutService");
+const DisputeService = require("../services/DisputeService");
+const CaseFileService = require("../services/CaseFileService");
+const GroupMessageService = require("../services/GroupMessageService");
+const RatingService = require("../services/RatingService");
+const BlocklistService = require("../services/BlocklistService");
+const AdminService = require("../services/AdminService");
+const AdminApprovalService = require("../services/AdminApprovalService");
+const findGroupEscrow = require("../utils/findGroupEscrow");
+const { escapeHtml } = require("../utils/participant");
 const config = require("../../config");
+const adminRoles = require("../config/adminRoles");
 const { ethers } = require("ethers");
 
 /**
@@ -594,11 +612,51 @@ async function adminHelp(ctx) {
 
     const helpMessage = `🤖 **ADMIN COMMANDS HELP**
 
+Your role: ${adminRoles.ROLE_LABELS[getAdminRole(ctx)]}
+
 📊 **STATISTICS:**
 • \`/admin_stats\` - View escrow statistics
 • \`/admin_trade_stats\` - View comprehensive trade statistics by fee percentage
 • \`/admin_recent_trades [limit]\` - View recent trades (max 50)
 • \`/admin_export_trades\` - Export all trades to CSV file
+• \`/admin_escrow_history <escrowId>\` - Show who changed a trade's status and why
+• \`/admin_payouts\` - List unsettled or unreviewed releases/refunds
+• \`/admin_payout_resolve <payoutId>\` - Unblock a trade after checking its payout on-chain
+
+⚖️ **DISPUTES:**
+• \`/admin_disputes\` - List open and investigating dispute cases
+• \`/admin_dispute <escrowId>\` - Show a case with its evidence and comments
+• \`/admin_dispute_claim <escrowId>\` - Take a case
+• \`/admin_dispute_comment <escrowId> <text>\` - Add a note to a case
+• \`/admin_dispute_resolve <escrowId> <release|refund|split <buyer%>> [note]\` - Close a case and post the payout confirmation (e.g. \`split 60\`: 60% to buyer, 40% back to seller)
+• \`/admin_case_file <escrowId>\` - Get the trade's case file (summary, history, transactions, group messages) as an HTML document
+• \`/admin_transcript <escrowId>\` - Get the archived group messages of a trade, also after its room was recycled
+
+⭐ **RATINGS:**
+• \`/admin_ratings <@username|userId>\` - Ratings a user received, hidden ones included
+• \`/admin_rating_hide <ratingId> [reason]\` - Leave a rating out of the user's average and /stats
+• \`/admin_rating_show <ratingId>\` - Restore a hidden rating
+
+👮 **ADMINS:**
+• \`/admin_admins\` - Admins and their roles
+• \`/admin_add <@username|userId> <role>\` - Make a user an admin (support, dispute\\_resolver, treasury, superadmin)
+• \`/admin_role <@username|userId> <role>\` - Change an admin's role
+• \`/admin_remove <@username|userId>\` - Take away a user's admin role
+
+⛔ **BLOCKLIST:**
+• \`/admin_block <@username|userId> [12h|7d|2w] [reason]\` - Block a user from trading and warn their trade groups
+• \`/admin_unblock <@username|userId>\` - Lift a user's block
+• \`/admin_block_address <address> [12h|7d|2w] [reason]\` - Refuse an address as payout address
+• \`/admin_unblock_address <address>\` - Allow a blocked address again
+• \`/admin_blocklist\` - Blocked users and addresses
+
+🛡 **VAULT CONTROLS:**
+• \`/admin_vault_status [chain|vault]\` - Owner, guardian, pause state and pending changes
+• \`/admin_vault_pause [chain|vault]\` - Kill switch: stop payouts (all vaults if no target)
+• \`/admin_vault_unpause [chain|vault]\` - Resume payouts (guardian key)
+• \`/admin_vault_propose <chain|vault> <owner|fee_wallet|fee_percent> <value>\` - Queue a timelocked change
+• \`/admin_vault_apply <chain|vault>\` - Apply fee changes past their timelock
+• \`/admin_vault_cancel <chain|vault>\` - Cancel all pending changes
 
 🏊‍♂️ **GROUP POOL MANAGEMENT:**
 • \`/admin_pool\` - View group pool status and statistics
@@ -943,153 +1001,1431 @@ async function adminExportTrades(ctx) {
     const path = require("path");
     const filePath = path.join(__dirname, "..", "..", "exports", filename);
 
-    // Ensure exports directory exists
-    const exportsDir = path.dirname(filePath);
-    if (!fs.existsSync(exportsDir)) {
-      fs.mkdirSync(exportsDir, { recursive: true });
+    // Ensure exports directory exists
+    const exportsDir = path.dirname(filePath);
+    if (!fs.existsSync(exportsDir)) {
+      fs.mkdirSync(exportsDir, { recursive: true });
+    }
+
+    fs.writeFileSync(filePath, csvContent);
+
+    // Send file to admin
+    await ctx.replyWithDocument(
+      {
+        source: filePath,
+        filename: filename,
+      },
+      {
+        caption: `📊 **TRADE EXPORT COMPLETE**\n\n📈 **Statistics:**\n• Total Trades: ${
+          allEscrows.length
+        }\n• File: ${filename}\n• Generated: ${new Date().toLocaleString()}\n• Location: ${filePath}\n\n💡 **Usage:**\n• Open in Excel, Google Sheets, or any CSV viewer\n• Sort and filter by any column\n• Analyze trading patterns and performance\n• File saved permanently for your records`,
+      }
+    );
+  } catch (error) {
+    console.error("Error in admin export trades:", error);
+    ctx.reply("❌ Error exporting trades.");
+  }
+}
+
+/**
+ * Admin command to get recent trades with pagination
+ */
+async function adminRecentTrades(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const args = ctx.message.text.split(" ");
+    const limit = parseInt(args[1]) || 10; // Default to 10, max 50
+
+    if (limit > 50) {
+      return ctx.reply(
+        "❌ Maximum 50 trades per request. Use /admin_export_trades for complete data."
+      );
+    }
+
+    // Get recent trades - only fully completed/refunded trades with transaction hashes
+    // Transaction hash must exist and be a non-empty string
+    const recentTrades = await Escrow.find({
+      $or: [
+        {
+          status: "completed",
+          releaseTransactionHash: { $exists: true, $ne: null, $ne: "" },
+        },
+        {
+          status: "refunded",
+          refundTransactionHash: { $exists: true, $ne: null, $ne: "" },
+        },
+      ],
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate("buyerId", "username first_name")
+      .populate("sellerId", "username first_name");
+
+    if (recentTrades.length === 0) {
+      return ctx.reply("📊 No trades found in the database.");
+    }
+
+    // Helper to escape HTML (preserve numeric 0)
+    const esc = (s) => {
+      const v = s === 0 ? "0" : String(s == null ? "" : s);
+      return v
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+    };
+
+    let message = `📊 <b>RECENT TRADES (${recentTrades.length})</b>\n\n`;
+
+    recentTrades.forEach((escrow, index) => {
+      // Prefer stored usernames on escrow, fallback to IDs
+      const buyerName = escrow.buyerUsername
+        ? `@${escrow.buyerUsername}`
+        : escrow.buyerId
+        ? `[${escrow.buyerId}]`
+        : "Not Set";
+      const sellerName = escrow.sellerUsername
+        ? `@${escrow.sellerUsername}`
+        : escrow.sellerId
+        ? `[${escrow.sellerId}]`
+        : "Not Set";
+
+      const c = parseFloat(escrow.confirmedAmount);
+      const d = parseFloat(escrow.depositAmount);
+      const q = parseFloat(escrow.quantity);
+      let amount = 0;
+      let amountSource = "none";
+      if (!isNaN(c) && c > 0) {
+        amount = c;
+        amountSource = "confirmed";
+      } else if (!isNaN(d) && d > 0) {
+        amount = d;
+        amountSource = "deposit";
+      } else if (
+        !isNaN(q) &&
+        q > 0 &&
+        ["completed", "refunded"].includes(escrow.status)
+      ) {
+        // Safe backfill from deal quantity for finalized trades
+        amount = q;
+        amountSource = "quantity";
+      }
+      const statusEmoji =
+        {
+          completed: "✅",
+          refunded: "🔄",
+          draft: "📝",
+          awaiting_details: "⏳",
+        }[escrow.status] || "❓";
+
+      const amountNote =
+        amountSource === "quantity" ? " (backfilled from quantity)" : "";
+      const amountText =
+        amount > 0
+          ? `${esc(amount)} ${esc(escrow.token || "N/A")}${amountNote}`
+          : `— ${esc(escrow.token || "N/A")} (no on-chain amount)`;
+
+      message += `${
+        index + 1
+      }. ${statusEmoji} <b>${escrow.status.toUpperCase()}</b>\n`;
+      message += `   💰 ${amountText} (${esc(escrow.chain || "N/A")})\n`;
+      message += `   👤 Buyer: ${esc(buyerName)}\n`;
+      message += `   🏪 Seller: ${esc(sellerName)}\n`;
+      message += `   📅 ${esc(new Date(escrow.createdAt).toLocaleString())}\n`;
+      message += `   🆔 ID: <code>${esc(escrow._id)}</code>\n\n`;
+    });
+
+    message += `💡 <b>Commands:</b>\n`;
+    message += `• <code>/admin_recent_trades 20</code> - Show 20 recent trades\n`;
+    message += `• <code>/admin_export_trades</code> - Export all trades to CSV\n`;
+    message += `• <code>/admin_help</code> - Show admin commands\n`;
+    message += `• <code>/withdraw_fees [chain] [token]</code> - Withdraw accumulated fees (e.g., /withdraw_fees BSC USDT)\n`;
+    message += `• <code>/admin_trade_stats</code> - View statistics by fee percentage`;
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in admin recent trades:", error);
+    ctx.reply("❌ Error loading recent trades.");
+  }
+}
+
+/**
+ * Admin command to show the status transition history of an escrow
+ * Usage: /admin_escrow_history <escrowId> (or run inside the trade group)
+ */
+async function adminEscrowHistory(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const args = ctx.message.text.trim().split(/\s+/);
+    let escrowId = args[1];
+
+    if (!escrowId && ctx.chat.id < 0) {
+      const escrow = await findGroupEscrow(ctx.chat.id);
+      escrowId = escrow?.escrowId;
+    }
+
+    if (!escrowId) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_escrow_history &lt;escrowId&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const events = await EscrowStateMachine.getHistory(escrowId);
+    if (events.length === 0) {
+      return ctx.reply(
+        `📜 No status changes recorded for <code>${escrowId}</code>.`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const esc = (s) =>
+      String(s == null ? "" : s)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+
+    let message = `📜 <b>STATUS HISTORY</b> <code>${esc(escrowId)}</code>\n\n`;
+    events.forEach((event, index) => {
+      const actor =
+        event.actorType === "system"
+          ? "🤖 system"
+          : `${event.actorType === "admin" ? "👮" : "👤"} ${
+              event.actorUsername
+                ? "@" + esc(event.actorUsername)
+                : `[${event.actorId}]`
+            }`;
+      message += `${index + 1}. <b>${event.fromStatus}</b> → <b>${
+        event.toStatus
+      }</b>\n`;
+      message += `   ${actor}\n`;
+      if (event.reason) {
+        message += `   📝 ${esc(event.reason)}\n`;
+      }
+      message += `   📅 ${esc(new Date(event.createdAt).toLocaleString())}\n\n`;
+    });
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in admin escrow history:", error);
+    ctx.reply("❌ Error loading escrow history.");
+  }
+}
+
+/**
+ * Admin command to list releases/refunds that are unsettled or need review
+ * Usage: /admin_payouts
+ */
+async function adminPayouts(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const payouts = await PayoutService.getOpenPayouts();
+    if (payouts.length === 0) {
+      return ctx.reply("✅ No pending or unreviewed payouts.");
+    }
+
+    let message = `💸 <b>OPEN PAYOUTS</b> (${payouts.length})\n\n`;
+    payouts.slice(0, 20).forEach((payout) => {
+      message += `${payout.needsReview ? "⚠️" : "⏳"} <b>${payout.type}</b> ${
+        payout.amount
+      } ${payout.token} (${payout.network}) — ${payout.status}\n`;
+      message += `   Trade: <code>${payout.escrowId || "-"}</code>\n`;
+      if (payout.transactionHash) {
+        message += `   Tx: <code>${payout.transactionHash}</code>\n`;
+      }
+      if (payout.error) {
+        message += `   Error: ${payout.error
+          .replace(/&/g, "&amp;")
+          .replace(/</g, "&lt;")
+          .replace(/>/g, "&gt;")}\n`;
+      }
+      message += `   /admin_payout_resolve ${payout._id}\n\n`;
+    });
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in admin payouts:", error);
+    ctx.reply("❌ Error loading payouts.");
+  }
+}
+
+/**
+ * Admin command to clear a payout's lock on its trade after checking the
+ * transaction on the explorer. Unconfirmed payouts stop being rebroadcast.
+ * Usage: /admin_payout_resolve <payoutId>
+ */
+async function adminPayoutResolve(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const payoutId = ctx.message.text.trim().split(/\s+/)[1];
+    if (!payoutId || !mongoose.isValidObjectId(payoutId)) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_payout_resolve &lt;payoutId&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const payout = await PayoutService.resolve(payoutId, ctx.from.id);
+    if (!payout) {
+      return ctx.reply("❌ Payout not found.");
+    }
+
+    await ctx.reply(
+      `✅ Payout <code>${payout._id}</code> resolved (${payout.status}). Trade <code>${payout.escrowId}</code> can be paid out again.`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Error in admin payout resolve:", error);
+    ctx.reply("❌ Error resolving payout.");
+  }
+}
+
+/**
+ * Dispute case for an admin dispute command: the escrowId argument, or the
+ * trade of the group the command is used in
+ * @returns {Promise<{dispute: Object|null, escrowId: string|null, rest: string[]}>}
+ */
+async function findDisputeCase(ctx) {
+  const args = ctx.message.text.trim().split(/\s+/).slice(1);
+  let escrowId = null;
+  if (args[0] && (await Escrow.exists({ escrowId: args[0] }))) {
+    escrowId = args.shift();
+  } else if (ctx.chat.id < 0) {
+    const escrow = await findGroupEscrow(ctx.chat.id);
+    escrowId = escrow?.escrowId || null;
+  }
+  const dispute = escrowId ? await DisputeService.findCase(escrowId) : null;
+  return { dispute, escrowId, rest: args };
+}
+
+/**
+ * Admin command to list dispute cases that are not resolved yet
+ * Usage: /admin_disputes
+ */
+async function adminDisputes(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const disputes = await DisputeService.listOpenCases();
+    if (disputes.length === 0) {
+      return ctx.reply("✅ No open disputes.");
+    }
+
+    let message = `🗂 <b>OPEN DISPUTES</b> (${disputes.length})\n\n`;
+    disputes.forEach((dispute) => {
+      const assigned = dispute.assignedAdmin?.username
+        ? "@" + escapeHtml(dispute.assignedAdmin.username)
+        : dispute.assignedAdmin?.id
+        ? `[${dispute.assignedAdmin.id}]`
+        : "unassigned";
+      message += `${dispute.status === "open" ? "🆕" : "🔎"} <code>${
+        dispute.escrowId
+      }</code> — ${dispute.status}, ${assigned}\n`;
+      message += `   📝 ${escapeHtml(dispute.reason.slice(0, 100))}\n`;
+      message += `   📅 ${escapeHtml(
+        new Date(dispute.createdAt).toLocaleString()
+      )}\n`;
+      message += `   /admin_dispute ${dispute.escrowId}\n\n`;
+    });
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in admin disputes:", error);
+    ctx.reply("❌ Error loading disputes.");
+  }
+}
+
+/**
+ * Admin command to show a dispute case with its evidence and comments
+ * Usage: /admin_dispute <escrowId>
+ */
+async function adminDispute(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const { dispute, escrowId } = await findDisputeCase(ctx);
+    if (!escrowId) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_dispute &lt;escrowId&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+    if (!dispute) {
+      return ctx.reply(
+        `❌ No dispute case found for <code>${escrowId}</code>.`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    await ctx.reply(DisputeService.formatCase(dispute), { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in admin dispute:", error);
+    ctx.reply("❌ Error loading dispute.");
+  }
+}
+
+/**
+ * Admin command to take a dispute case (status becomes investigating)
+ * Usage: /admin_dispute_claim <escrowId>
+ */
+async function adminDisputeClaim(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const { dispute, escrowId } = await findDisputeCase(ctx);
+    if (!escrowId) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_dispute_claim &lt;escrowId&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+    if (!dispute || dispute.status === "resolved") {
+      return ctx.reply(
+        `❌ No open dispute case for <code>${escrowId}</code>.`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const previous = dispute.assignedAdmin;
+    if (previous?.id != null && Number(previous.id) === Number(ctx.from.id)) {
+      return ctx.reply("ℹ️ You have already claimed this case.");
+    }
+
+    await DisputeService.claim(dispute, ctx.from, ctx.telegram);
+
+    const takenFrom =
+      previous?.id != null
+        ? ` (reassigned from ${
+            previous.username
+              ? "@" + escapeHtml(previous.username)
+              : `[${previous.id}]`
+          })`
+        : "";
+    await ctx.reply(
+      `👮 You are now handling the dispute for <code>${escrowId}</code>${takenFrom}.\n\nComment: <code>/admin_dispute_comment ${escrowId} &lt;text&gt;</code>\nResolve: <code>/admin_dispute_resolve ${escrowId} release|refund|split &lt;buyer%&gt; [note]</code>`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Error in admin dispute claim:", error);
+    ctx.reply("❌ Error claiming dispute.");
+  }
+}
+
+/**
+ * Admin command to add a note to a dispute case
+ * Usage: /admin_dispute_comment <escrowId> <text>
+ */
+async function adminDisputeComment(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const { dispute, escrowId, rest } = await findDisputeCase(ctx);
+    const text = rest.join(" ").trim();
+    if (!escrowId || !text) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_dispute_comment &lt;escrowId&gt; &lt;text&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+    if (!dispute) {
+      return ctx.reply(
+        `❌ No dispute case found for <code>${escrowId}</code>.`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    await DisputeService.addComment(dispute, ctx.from, text);
+    await ctx.reply(
+      `💬 Comment added to <code>${escrowId}</code> (${dispute.comments.length} on the case).`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Error in admin dispute comment:", error);
+    ctx.reply("❌ Error adding comment.");
+  }
+}
+
+/**
+ * Admin command to close a dispute case. release / refund post the admin
+ * payout confirmation in the trade group; split posts a preview of both
+ * payouts (buyer share in percent, the rest back to the seller).
+ * Usage: /admin_dispute_resolve <escrowId> <release|refund|split <buyer%>> [note]
+ */
+async function adminDisputeResolve(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const { dispute, escrowId, rest } = await findDisputeCase(ctx);
+    const resolution = (rest[0] || "").toLowerCase();
+    const isSplit = resolution === "split";
+    // "split 60" or "split 60%": the buyer's share
+    const buyerPercent = isSplit
+      ? Number((rest[1] || "").replace(/%$/, ""))
+      : undefined;
+    const note = rest
+      .slice(isSplit ? 2 : 1)
+      .join(" ")
+      .trim();
+    if (
+      !escrowId ||
+      !["release", "refund", "split"].includes(resolution) ||
+      (isSplit &&
+        (!Number.isInteger(buyerPercent) ||
+          buyerPercent < 1 ||
+          buyerPercent > 99))
+    ) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_dispute_resolve &lt;escrowId&gt; release|refund|split &lt;buyer%&gt; [note]</code>\n\nExample: <code>/admin_dispute_resolve P2PMMX10000001 split 60</code> pays 60% to the buyer and refunds 40% to the seller.",
+        { parse_mode: "HTML" }
+      );
+    }
+    if (!dispute) {
+      return ctx.reply(
+        `❌ No dispute case found for <code>${escrowId}</code>.`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const escrow = await Escrow.findOne({ escrowId });
+    if (
+      dispute.status === "resolved" &&
+      ![
+        "disputed",
+        "deposited",
+        "in_fiat_transfer",
+        "ready_to_release",
+      ].includes(escrow?.status)
+    ) {
+      return ctx.reply(
+        `ℹ️ This case was already resolved (${dispute.resolution}) and the trade is ${escrow?.status}.`
+      );
+    }
+
+    let result;
+    try {
+      result = await DisputeService.resolve(
+        dispute,
+        escrow,
+        { resolution, buyerPercent, note },
+        ctx.from,
+        ctx.telegram
+      );
+    } catch (payoutError) {
+      return ctx.reply(
+        `❌ Could not start the ${resolution}: ${escapeHtml(
+          payoutError.message
+        )}`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const followUp = result.payoutPosted
+      ? `The ${resolution} confirmation was posted in the trade group. Press <b>Confirm</b> there to send the funds.`
+      : "No funds are held for this trade; nothing to pay out.";
+    const resolutionText = isSplit
+      ? `split ${buyerPercent}% buyer / ${100 - buyerPercent}% seller`
+      : resolution;
+
+    await ctx.reply(
+      result.payoutPosted
+        ? `⚖️ Resolution for <code>${escrowId}</code>: <b>${resolutionText}</b>. The case is resolved once the payout is sent.\n\n${followUp}`
+        : `⚖️ Dispute for <code>${escrowId}</code> resolved: <b>${resolutionText}</b>.\n\n${followUp}`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Error in admin dispute resolve:", error);
+    ctx.reply("❌ Error resolving dispute.");
+  }
+}
+
+/**
+ * Send an export to the admin's private chat, so trade chat logs don't land
+ * in the group the command was used in
+ * @returns {Promise<boolean>} False if the admin never started the bot
+ */
+async function sendAdminDocument(ctx, content, filename, caption) {
+  try {
+    await ctx.telegram.sendDocument(
+      ctx.from.id,
+      { source: Buffer.from(content, "utf8"), filename },
+      { caption, parse_mode: "HTML" }
+    );
+  } catch (sendError) {
+    console.error(`Error sending ${filename}:`, sendError);
+    await ctx.reply(
+      "❌ Could not send the file. Start a private chat with the bot and try again."
+    );
+    return false;
+  }
+
+  if (ctx.chat.id !== ctx.from.id) {
+    await ctx.reply("📨 Sent to you privately.");
+  }
+  return true;
+}
+
+/**
+ * Admin command to export a trade's case file (deal summary, status history,
+ * transactions, fiat handshake and group messages) as an HTML document
+ * Usage: /admin_case_file <escrowId>
+ */
+async function adminCaseFile(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const { escrowId } = await findDisputeCase(ctx);
+    if (!escrowId) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_case_file &lt;escrowId&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const escrow = await Escrow.findOne({ escrowId });
+    const { html, filename } = await CaseFileService.build(escrow);
+    await sendAdminDocument(
+      ctx,
+      html,
+      filename,
+      `🗂 Case file for <code>${escrowId}</code> (${escapeHtml(escrow.status)})`
+    );
+  } catch (error) {
+    console.error("Error in admin case file:", error);
+    ctx.reply("❌ Error building case file.");
+  }
+}
+
+/**
+ * Admin command to fetch the archived group messages of a trade, including
+ * trades whose room has since been recycled
+ * Usage: /admin_transcript <escrowId>
+ */
+async function adminTranscript(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const { escrowId } = await findDisputeCase(ctx);
+    if (!escrowId) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_transcript &lt;escrowId&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const messages = await GroupMessageService.getTranscript(escrowId);
+    if (messages.length === 0) {
+      return ctx.reply(
+        `ℹ️ No archived messages for <code>${escrowId}</code>.`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    await sendAdminDocument(
+      ctx,
+      GroupMessageService.formatTranscript(messages),
+      `transcript-${escrowId}.txt`,
+      `💬 Group transcript for <code>${escrowId}</code> (${messages.length} messages)`
+    );
+  } catch (error) {
+    console.error("Error in admin transcript:", error);
+    ctx.reply("❌ Error loading transcript.");
+  }
+}
+
+/**
+ * Admin command to review the ratings a user received, hidden ones included
+ * Usage: /admin_ratings <@username|userId>
+ */
+async function adminRatings(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const target = ctx.message.text.trim().split(/\s+/)[1];
+    if (!target) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_ratings &lt;@username|userId&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const username = target.replace(/^@/, "");
+    const user = /^\d+$/.test(username)
+      ? await User.findOne({ telegramId: Number(username) })
+      : await User.findOne({
+          username: {
+            $regex: new RegExp(
+              `^${username.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`,
+              "i"
+            ),
+          },
+        });
+    if (!user) {
+      return ctx.reply(`❌ User ${escapeHtml(target)} not found.`, {
+        parse_mode: "HTML",
+      });
+    }
+
+    const ratings = await RatingService.listReceived(user.telegramId, {
+      includeHidden: true,
+    });
+    if (ratings.length === 0) {
+      return ctx.reply("ℹ️ This user has no ratings yet.");
+    }
+
+    let message = `⭐ <b>RATINGS FOR ${escapeHtml(
+      user.username ? `@${user.username}` : String(user.telegramId)
+    )}</b> (${user.ratingAverage ?? "-"}/5 from ${user.ratingCount})\n\n`;
+    ratings.forEach((rating) => {
+      const rater = rating.raterUsername
+        ? `@${rating.raterUsername}`
+        : `[${rating.raterId}]`;
+      message += `${rating.status === "hidden" ? "🙈" : "👁"} ${"⭐".repeat(
+        rating.stars
+      )} by ${escapeHtml(rater)} · #${rating.escrowId}\n`;
+      if (rating.comment) {
+        message += `   💬 ${escapeHtml(rating.comment)}\n`;
+      }
+      if (rating.status === "hidden" && rating.moderationReason) {
+        message += `   🛡 ${escapeHtml(rating.moderationReason)}\n`;
+      }
+      message += `   🆔 <code>${rating._id}</code>\n`;
+    });
+    message +=
+      "\nHide with <code>/admin_rating_hide &lt;id&gt; [reason]</code>, restore with <code>/admin_rating_show &lt;id&gt;</code>.";
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in admin ratings:", error);
+    ctx.reply("❌ Error loading ratings.");
+  }
+}
+
+/**
+ * Shared body of /admin_rating_hide and /admin_rating_show
+ */
+async function moderateRating(ctx, status) {
+  const command =
+    status === "hidden" ? "admin_rating_hide" : "admin_rating_show";
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const [, ratingId, ...reason] = ctx.message.text.trim().split(/\s+/);
+    if (!ratingId) {
+      return ctx.reply(
+        `❌ Usage: <code>/${command} &lt;ratingId&gt;${
+          status === "hidden" ? " [reason]" : ""
+        }</code>`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const rating = await RatingService.moderate(
+      ratingId,
+      status,
+      ctx.from,
+      reason.join(" ")
+    );
+    if (!rating) {
+      return ctx.reply("❌ Rating not found.");
+    }
+
+    await ctx.reply(
+      `${
+        status === "hidden" ? "🙈 Rating hidden" : "👁 Rating visible again"
+      }: ${"⭐".repeat(rating.stars || 0)} on #${rating.escrowId}.`
+    );
+  } catch (error) {
+    console.error(`Error in ${command}:`, error);
+    ctx.reply("❌ Error updating rating.");
+  }
+}
+
+/**
+ * Admin command to leave a rating out of the user's average and /stats
+ * Usage: /admin_rating_hide <ratingId> [reason]
+ */
+async function adminRatingHide(ctx) {
+  return moderateRating(ctx, "hidden");
+}
+
+/**
+ * Admin command to restore a hidden rating
+ * Usage: /admin_rating_show <ratingId>
+ */
+async function adminRatingShow(ctx) {
+  return moderateRating(ctx, "visible");
+}
+
+/**
+ * Split "<target> [12h|7d|2w] [reason...]" command arguments
+ */
+function parseBlockArgs(text) {
+  const [, target, ...rest] = text.trim().split(/\s+/);
+  const durationMs = BlocklistService.parseDuration(rest[0]);
+  if (durationMs) {
+    rest.shift();
+  }
+  return { target, durationMs, reason: rest.join(" ") || null };
+}
+
+/**
+ * Admin command to block a user from trading. Their trade groups are told.
+ * Usage: /admin_block <@username|userId> [12h|7d|2w] [reason]
+ */
+async function adminBlock(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const { target, durationMs, reason } = parseBlockArgs(ctx.message.text);
+    if (!target) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_block &lt;@username|userId&gt; [12h|7d|2w] [reason]</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const user = await BlocklistService.findUser(target);
+    if (!user) {
+      return ctx.reply(`❌ User ${escapeHtml(target)} not found.`, {
+        parse_mode: "HTML",
+      });
+    }
+
+    await BlocklistService.blockUser(user, { reason, durationMs }, ctx.from);
+    const notified = await BlocklistService.notifyActiveTrades(
+      ctx.telegram,
+      user
+    );
+
+    await ctx.reply(
+      `⛔ <b>User blocked</b>
+
+👤 ${escapeHtml(user.username ? `@${user.username}` : String(user.telegramId))}
+⏳ ${escapeHtml(BlocklistService.formatExpiry(user.blockedUntil))}
+📝 ${escapeHtml(reason || "No reason given")}
+📣 Active trades notified: ${notified}`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Error in admin block:", error);
+    ctx.reply("❌ Error blocking user.");
+  }
+}
+
+/**
+ * Admin command to lift a user's block
+ * Usage: /admin_unblock <@username|userId>
+ */
+async function adminUnblock(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const target = ctx.message.text.trim().split(/\s+/)[1];
+    if (!target) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_unblock &lt;@username|userId&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const user = await BlocklistService.findUser(target);
+    if (!user || !user.isBlocked) {
+      return ctx.reply(`ℹ️ ${escapeHtml(target)} is not blocked.`, {
+        parse_mode: "HTML",
+      });
+    }
+
+    await BlocklistService.unblockUser(user);
+    await ctx.reply(`✅ ${escapeHtml(target)} can trade again.`, {
+      parse_mode: "HTML",
+    });
+  } catch (error) {
+    console.error("Error in admin unblock:", error);
+    ctx.reply("❌ Error unblocking user.");
+  }
+}
+
+/**
+ * Admin command to stop payouts to a wallet address
+ * Usage: /admin_block_address <address> [12h|7d|2w] [reason]
+ */
+async function adminBlockAddress(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const { target, durationMs, reason } = parseBlockArgs(ctx.message.text);
+    if (!target) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_block_address &lt;address&gt; [12h|7d|2w] [reason]</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const entry = await BlocklistService.blockAddress(
+      target,
+      { reason, durationMs },
+      ctx.from
+    );
+    await ctx.reply(
+      `⛔ <b>Address blocked</b>
+
+<code>${escapeHtml(entry.address)}</code>
+⏳ ${escapeHtml(BlocklistService.formatExpiry(entry.expiresAt))}
+📝 ${escapeHtml(reason || "No reason given")}
+
+It can no longer be entered as a payout address.`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Error in admin block address:", error);
+    ctx.reply("❌ Error blocking address.");
+  }
+}
+
+/**
+ * Admin command to allow payouts to a blocked address again
+ * Usage: /admin_unblock_address <address>
+ */
+async function adminUnblockAddress(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const address = ctx.message.text.trim().split(/\s+/)[1];
+    if (!address) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_unblock_address &lt;address&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const removed = await BlocklistService.unblockAddress(address);
+    await ctx.reply(
+      removed
+        ? "✅ Address unblocked."
+        : "ℹ️ This address is not on the blocklist."
+    );
+  } catch (error) {
+    console.error("Error in admin unblock address:", error);
+    ctx.reply("❌ Error unblocking address.");
+  }
+}
+
+/**
+ * Admin command to list blocked users and addresses
+ * Usage: /admin_blocklist
+ */
+async function adminBlocklist(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const { users, addresses } = await BlocklistService.listActive();
+    if (users.length === 0 && addresses.length === 0) {
+      return ctx.reply("✅ The blocklist is empty.");
+    }
+
+    let message = "⛔ <b>BLOCKLIST</b>\n\n";
+    if (users.length > 0) {
+      message += `<b>Users (${users.length})</b>\n`;
+      users.forEach((user) => {
+        message += `• ${escapeHtml(
+          user.username ? `@${user.username}` : String(user.telegramId)
+        )} · ${escapeHtml(BlocklistService.formatExpiry(user.blockedUntil))}\n`;
+        if (user.blockReason) {
+          message += `   📝 ${escapeHtml(user.blockReason)}\n`;
+        }
+      });
+      message += "\n";
+    }
+    if (addresses.length > 0) {
+      message += `<b>Addresses (${addresses.length})</b>\n`;
+      addresses.forEach((entry) => {
+        message += `• <code>${escapeHtml(entry.address)}</code> · ${escapeHtml(
+          BlocklistService.formatExpiry(entry.expiresAt)
+        )}\n`;
+        if (entry.reason) {
+          message += `   📝 ${escapeHtml(entry.reason)}\n`;
+        }
+      });
+    }
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in admin blocklist:", error);
+    ctx.reply("❌ Error loading blocklist.");
+  }
+}
+
+function formatAdmin(admin) {
+  if (admin.username) {
+    return `@${admin.username}`;
+  }
+  return String(admin.telegramId);
+}
+
+/**
+ * Admin command to list admins and their roles
+ * Usage: /admin_admins
+ */
+async function adminAdmins(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    let message = "👮 <b>ADMINS</b>\n\n";
+    AdminService.list().forEach((admin) => {
+      message += `• ${escapeHtml(formatAdmin(admin))} · ${
+        adminRoles.ROLE_LABELS[admin.role]
+      }${admin.fromEnv ? " (env)" : ""}\n`;
+    });
+    message += `\nRoles: ${adminRoles.ROLES.map(
+      (role) => `<code>${role}</code>`
+    ).join(", ")}`;
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in admin admins:", error);
+    ctx.reply("❌ Error loading admins.");
+  }
+}
+
+/**
+ * Reply with the outcome of an admin list change proposal
+ * @param {string} doneText - What the change did, for when it was applied
+ */
+function replyAdminChange(ctx, { status, proposal }, doneText) {
+  const required = AdminApprovalService.getRequiredApprovals();
+  const messages = {
+    applied: `✅ ${doneText}.`,
+    pending: `🔐 Sent for admin approval (${
+      proposal && proposal.approvals.length
+    }/${required}). The change is made once enough admins approve.`,
+    not_approver:
+      "❌ Multi-admin approval requires an admin configured by Telegram ID.",
+    no_quorum: `❌ Admin changes need ${required} admins to approve, but fewer admins can approve. Add approvers in the ADMIN_USER_ID* settings.`,
+  };
+  return ctx.reply(messages[status], { parse_mode: "HTML" });
+}
+
+/**
+ * Shared body of /admin_add and /admin_role
+ */
+async function setAdminRole(ctx, command) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const [, target, role] = ctx.message.text.trim().split(/\s+/);
+    if (!target || !adminRoles.ROLES.includes(role)) {
+      return ctx.reply(
+        `❌ Usage: <code>/${command} &lt;@username|userId&gt; &lt;role&gt;</code>\nRoles: ${adminRoles.ROLES.join(
+          ", "
+        )}`,
+        { parse_mode: "HTML" }
+      );
     }
 
-    fs.writeFileSync(filePath, csvContent);
+    const admin = await AdminService.resolveTarget(target);
+    if (!admin) {
+      return ctx.reply(
+        `❌ User ${escapeHtml(
+          target
+        )} not found. Use their numeric Telegram ID instead.`,
+        { parse_mode: "HTML" }
+      );
+    }
+    if (AdminService.isEnvAdmin(admin.telegramId, admin.username)) {
+      return ctx.reply(
+        "❌ This admin is configured in the environment and is always a superadmin."
+      );
+    }
 
-    // Send file to admin
-    await ctx.replyWithDocument(
-      {
-        source: filePath,
-        filename: filename,
-      },
-      {
-        caption: `📊 **TRADE EXPORT COMPLETE**\n\n📈 **Statistics:**\n• Total Trades: ${
-          allEscrows.length
-        }\n• File: ${filename}\n• Generated: ${new Date().toLocaleString()}\n• Location: ${filePath}\n\n💡 **Usage:**\n• Open in Excel, Google Sheets, or any CSV viewer\n• Sort and filter by any column\n• Analyze trading patterns and performance\n• File saved permanently for your records`,
-      }
+    const existingRole = AdminService.getRole(admin.telegramId);
+    if (command === "admin_add" && existingRole) {
+      return ctx.reply(
+        `ℹ️ ${escapeHtml(formatAdmin(admin))} is already an admin (${
+          adminRoles.ROLE_LABELS[existingRole]
+        }). Use <code>/admin_role</code> to change the role.`,
+        { parse_mode: "HTML" }
+      );
+    }
+    if (command === "admin_role" && !existingRole) {
+      return ctx.reply(
+        `❌ ${escapeHtml(
+          formatAdmin(admin)
+        )} is not an admin. Use <code>/admin_add</code> first.`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const result = await AdminApprovalService.proposeAdminChange(ctx, {
+      action: "admin_role",
+      target: admin,
+      role,
+    });
+    await replyAdminChange(
+      ctx,
+      result,
+      `${escapeHtml(formatAdmin(admin))} is now ${adminRoles.ROLE_LABELS[role]}`
     );
   } catch (error) {
-    console.error("Error in admin export trades:", error);
-    ctx.reply("❌ Error exporting trades.");
+    console.error(`Error in ${command}:`, error);
+    ctx.reply("❌ Error updating admin.");
   }
 }
 
 /**
- * Admin command to get recent trades with pagination
+ * Admin command to make a user an admin
+ * Usage: /admin_add <@username|userId> <role>
  */
-async function adminRecentTrades(ctx) {
+async function adminAdd(ctx) {
+  return setAdminRole(ctx, "admin_add");
+}
+
+/**
+ * Admin command to change an admin's role
+ * Usage: /admin_role <@username|userId> <role>
+ */
+async function adminRole(ctx) {
+  return setAdminRole(ctx, "admin_role");
+}
+
+/**
+ * Admin command to take away a user's admin role
+ * Usage: /admin_remove <@username|userId>
+ */
+async function adminRemove(ctx) {
   try {
     if (!isAdmin(ctx)) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
-    const args = ctx.message.text.split(" ");
-    const limit = parseInt(args[1]) || 10; // Default to 10, max 50
+    const target = ctx.message.text.trim().split(/\s+/)[1];
+    if (!target) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_remove &lt;@username|userId&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
 
-    if (limit > 50) {
+    const admin = await AdminService.resolveTarget(target);
+    if (admin && AdminService.isEnvAdmin(admin.telegramId, admin.username)) {
       return ctx.reply(
-        "❌ Maximum 50 trades per request. Use /admin_export_trades for complete data."
+        "❌ This admin is configured in the environment. Remove them from the ADMIN_* settings instead."
       );
     }
+    if (!admin || !AdminService.getRole(admin.telegramId)) {
+      return ctx.reply(`ℹ️ ${escapeHtml(target)} is not an admin.`, {
+        parse_mode: "HTML",
+      });
+    }
 
-    // Get recent trades - only fully completed/refunded trades with transaction hashes
-    // Transaction hash must exist and be a non-empty string
-    const recentTrades = await Escrow.find({
-      $or: [
-        {
-          status: "completed",
-          releaseTransactionHash: { $exists: true, $ne: null, $ne: "" },
-        },
-        {
-          status: "refunded",
-          refundTransactionHash: { $exists: true, $ne: null, $ne: "" },
-        },
-      ],
-    })
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .populate("buyerId", "username first_name")
-      .populate("sellerId", "username first_name");
+    const result = await AdminApprovalService.proposeAdminChange(ctx, {
+      action: "admin_remove",
+      target: admin,
+    });
+    await replyAdminChange(
+      ctx,
+      result,
+      `${escapeHtml(formatAdmin(admin))} is no longer an admin`
+    );
+  } catch (error) {
+    console.error("Error in admin remove:", error);
+    ctx.reply("❌ Error removing admin.");
+  }
+}
 
-    if (recentTrades.length === 0) {
-      return ctx.reply("📊 No trades found in the database.");
+/**
+ * Deployed vaults an admin vault command targets: one vault by address, all
+ * vaults on a chain, or every vault when no target is given
+ * @param {string|undefined} target - Vault address or chain name
+ */
+async function findTargetVaults(target) {
+  const query = { name: "EscrowVault", status: "deployed" };
+  if (target && /^(0x|T)[0-9a-zA-Z]{30,}$/.test(target)) {
+    query.address = { $regex: new RegExp(`^${target}$`, "i") };
+  } else if (target) {
+    query.network = BlockchainService.chains.normalize(target);
+  }
+  return Contract.find(query).sort({ network: 1, token: 1 });
+}
+
+function formatVaultDate(date) {
+  if (!date) return "-";
+  const ready = date.getTime() <= Date.now() ? " (ready)" : "";
+  return `${date.toISOString().replace("T", " ").slice(0, 16)} UTC${ready}`;
+}
+
+/**
+ * Admin command to show owner, guardian, pause state and pending timelocked
+ * changes of the escrow vaults.
+ * Usage: /admin_vault_status [chain|vaultAddress]
+ */
+async function adminVaultStatus(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
-    // Helper to escape HTML (preserve numeric 0)
-    const esc = (s) => {
-      const v = s === 0 ? "0" : String(s == null ? "" : s);
-      return v
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;");
-    };
+    const target = ctx.message.text.trim().split(/\s+/)[1];
+    const vaults = await findTargetVaults(target);
+    if (vaults.length === 0) {
+      return ctx.reply("❌ No deployed vaults found.");
+    }
 
-    let message = `📊 <b>RECENT TRADES (${recentTrades.length})</b>\n\n`;
+    let message = `🛡 <b>VAULT CONTROLS</b> (${vaults.length})\n\n`;
+    for (const vault of vaults.slice(0, 15)) {
+      message += `<b>${vault.token}</b> (${vault.network}) <code>${vault.address}</code>\n`;
+      try {
+        const controls = await BlockchainService.getVaultControls(
+          vault.network,
+          vault.address
+        );
+        if (!controls.supported) {
+          message += `   ⚠️ Deployed without pause/timelock controls\n\n`;
+          continue;
+        }
+        message += `   ${controls.paused ? "⛔ PAUSED" : "✅ Active"} — fee ${
+          controls.feePercent
+        }%\n`;
+        message += `   Owner: <code>${controls.owner}</code>\n`;
+        message += `   Guardian: <code>${controls.guardian}</code>\n`;
+        if (controls.pendingOwner) {
+          message += `   ⏳ Owner → <code>${
+            controls.pendingOwner
+          }</code> from ${formatVaultDate(controls.pendingOwnerEta)}\n`;
+        }
+        if (controls.pendingFeeWallet) {
+          message += `   ⏳ Fee wallet → <code>${
+            controls.pendingFeeWallet
+          }</code> from ${formatVaultDate(controls.pendingFeeWalletEta)}\n`;
+        }
+        if (controls.pendingFeePercent !== null) {
+          message += `   ⏳ Fee → ${
+            controls.pendingFeePercent
+          }% from ${formatVaultDate(controls.pendingFeePercentEta)}\n`;
+        }
+      } catch (error) {
+        message += `   ❌ ${escapeHtml(error.shortMessage || error.message)}\n`;
+      }
+      message += "\n";
+    }
+    if (vaults.length > 15) {
+      message += `… and ${
+        vaults.length - 15
+      } more. Narrow down with a chain or address.`;
+    }
 
-    recentTrades.forEach((escrow, index) => {
-      // Prefer stored usernames on escrow, fallback to IDs
-      const buyerName = escrow.buyerUsername
-        ? `@${escrow.buyerUsername}`
-        : escrow.buyerId
-        ? `[${escrow.buyerId}]`
-        : "Not Set";
-      const sellerName = escrow.sellerUsername
-        ? `@${escrow.sellerUsername}`
-        : escrow.sellerId
-        ? `[${escrow.sellerId}]`
-        : "Not Set";
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in admin vault status:", error);
+    ctx.reply("❌ Error loading vault controls.");
+  }
+}
 
-      const c = parseFloat(escrow.confirmedAmount);
-      const d = parseFloat(escrow.depositAmount);
-      const q = parseFloat(escrow.quantity);
-      let amount = 0;
-      let amountSource = "none";
-      if (!isNaN(c) && c > 0) {
-        amount = c;
-        amountSource = "confirmed";
-      } else if (!isNaN(d) && d > 0) {
-        amount = d;
-        amountSource = "deposit";
-      } else if (
-        !isNaN(q) &&
-        q > 0 &&
-        ["completed", "refunded"].includes(escrow.status)
-      ) {
-        // Safe backfill from deal quantity for finalized trades
-        amount = q;
-        amountSource = "quantity";
+/**
+ * Run a vault action on every targeted vault and report each result
+ */
+async function runVaultAction(ctx, target, action, value = null) {
+  const vaults = await findTargetVaults(target);
+  if (vaults.length === 0) {
+    return ctx.reply("❌ No deployed vaults found.");
+  }
+
+  await ctx.reply(
+    `⏳ Running <b>${action}</b> on ${vaults.length} vault(s)...`,
+    {
+      parse_mode: "HTML",
+    }
+  );
+
+  let message = "";
+  for (const vault of vaults) {
+    const label = `${vault.token} (${vault.network}) <code>${vault.address}</code>`;
+    try {
+      const result = await BlockchainService.controlVault(
+        vault.network,
+        vault.address,
+        action,
+        value
+      );
+      if (result.applied && result.applied.feePercent !== undefined) {
+        vault.feePercent = result.applied.feePercent;
+        await vault.save();
       }
-      const statusEmoji =
-        {
-          completed: "✅",
-          refunded: "🔄",
-          draft: "📝",
-          awaiting_details: "⏳",
-        }[escrow.status] || "❓";
+      message +=
+        result.transactionHashes.length > 0
+          ? `✅ ${label}\n   Tx: <code>${result.transactionHashes.join(
+              ", "
+            )}</code>\n`
+          : `➖ ${label}\n   Nothing due yet\n`;
+    } catch (error) {
+      message += `❌ ${label}\n   ${escapeHtml(
+        error.shortMessage || error.reason || error.message
+      )}\n`;
+    }
+  }
 
-      const amountNote =
-        amountSource === "quantity" ? " (backfilled from quantity)" : "";
-      const amountText =
-        amount > 0
-          ? `${esc(amount)} ${esc(escrow.token || "N/A")}${amountNote}`
-          : `— ${esc(escrow.token || "N/A")} (no on-chain amount)`;
+  await ctx.reply(message, { parse_mode: "HTML" });
+}
 
-      message += `${
-        index + 1
-      }. ${statusEmoji} <b>${escrow.status.toUpperCase()}</b>\n`;
-      message += `   💰 ${amountText} (${esc(escrow.chain || "N/A")})\n`;
-      message += `   👤 Buyer: ${esc(buyerName)}\n`;
-      message += `   🏪 Seller: ${esc(sellerName)}\n`;
-      message += `   📅 ${esc(new Date(escrow.createdAt).toLocaleString())}\n`;
-      message += `   🆔 ID: <code>${esc(escrow._id)}</code>\n\n`;
-    });
+/**
+ * Kill switch: pause payouts and sweeps on the targeted vaults (all of them
+ * when no target is given). Only the guardian can unpause.
+ * Usage: /admin_vault_pause [chain|vaultAddress]
+ */
+async function adminVaultPause(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+    const target = ctx.message.text.trim().split(/\s+/)[1];
+    await runVaultAction(ctx, target, "pause");
+  } catch (error) {
+    console.error("Error in admin vault pause:", error);
+    ctx.reply("❌ Error pausing vaults.");
+  }
+}
 
-    message += `💡 <b>Commands:</b>\n`;
-    message += `• <code>/admin_recent_trades 20</code> - Show 20 recent trades\n`;
-    message += `• <code>/admin_export_trades</code> - Export all trades to CSV\n`;
-    message += `• <code>/admin_help</code> - Show admin commands\n`;
-    message += `• <code>/withdraw_fees [chain] [token]</code> - Withdraw accumulated fees (e.g., /withdraw_fees BSC USDT)\n`;
-    message += `• <code>/admin_trade_stats</code> - View statistics by fee percentage`;
+/**
+ * Usage: /admin_vault_unpause [chain|vaultAddress]
+ */
+async function adminVaultUnpause(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+    const target = ctx.message.text.trim().split(/\s+/)[1];
+    await runVaultAction(ctx, target, "unpause");
+  } catch (error) {
+    console.error("Error in admin vault unpause:", error);
+    ctx.reply("❌ Error unpausing vaults.");
+  }
+}
 
-    await ctx.reply(message, { parse_mode: "HTML" });
+/**
+ * Propose a timelocked owner, fee wallet or fee percent change.
+ * Usage: /admin_vault_propose <chain|vaultAddress> <owner|fee_wallet|fee_percent> <value>
+ */
+async function adminVaultPropose(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const [target, change, value] = ctx.message.text
+      .trim()
+      .split(/\s+/)
+      .slice(1);
+    const usage =
+      "❌ Usage: <code>/admin_vault_propose &lt;chain|vaultAddress&gt; &lt;owner|fee_wallet|fee_percent&gt; &lt;value&gt;</code>";
+    if (
+      !target ||
+      !value ||
+      !["owner", "fee_wallet", "fee_percent"].includes(change)
+    ) {
+      return ctx.reply(usage, { parse_mode: "HTML" });
+    }
+    if (change === "fee_percent") {
+      const percent = Number(value);
+      if (!Number.isFinite(percent) || percent < 0 || percent > 10) {
+        return ctx.reply("❌ Fee percent must be between 0 and 10.");
+      }
+    } else if (!ethers.isAddress(value)) {
+      return ctx.reply("❌ Invalid address.");
+    }
+
+    await runVaultAction(ctx, target, change, value);
   } catch (error) {
-    console.error("Error in admin recent trades:", error);
-    ctx.reply("❌ Error loading recent trades.");
+    console.error("Error in admin vault propose:", error);
+    ctx.reply("❌ Error proposing vault change.");
+  }
+}
+
+/**
+ * Apply fee wallet / fee percent changes whose timelock has passed. A new
+ * owner accepts ownership itself with acceptOwnership().
+ * Usage: /admin_vault_apply <chain|vaultAddress>
+ */
+async function adminVaultApply(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+    const target = ctx.message.text.trim().split(/\s+/)[1];
+    if (!target) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_vault_apply &lt;chain|vaultAddress&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+    await runVaultAction(ctx, target, "apply");
+  } catch (error) {
+    console.error("Error in admin vault apply:", error);
+    ctx.reply("❌ Error applying vault changes.");
+  }
+}
+
+/**
+ * Drop every pending owner/fee change on the targeted vaults.
+ * Usage: /admin_vault_cancel <chain|vaultAddress>
+ */
+async function adminVaultCancel(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+    const target = ctx.message.text.trim().split(/\s+/)[1];
+    if (!target) {
+      return ctx.reply(
+        "❌ Usage: <code>/admin_vault_cancel &lt;chain|vaultAddress&gt;</code>",
+        { parse_mode: "HTML" }
+      );
+    }
+    await runVaultAction(ctx, target, "cancel");
+  } catch (error) {
+    console.error("Error in admin vault cancel:", error);
+    ctx.reply("❌ Error cancelling vault changes.");
   }
 }
 
@@ -2168,7 +3504,7 @@ async function adminWithdrawFeesBscUsdc(ctx) {
 
 function setupAdminActions(bot) {
   bot.action(/^confirm_withdraw_([^_]+)_([^_]+)$/, async (ctx) => {
-    if (!isAdmin(ctx)) return ctx.answerCbQuery("Unauthorized");
+    if (!hasPermission(ctx, "funds")) return ctx.answerCbQuery("Unauthorized");
 
     // We match network (group 1) and token (group 2)
     const network = ctx.match[1];
@@ -2221,6 +3557,34 @@ module.exports = {
   adminTradeStats,
   adminRecentTrades,
   adminExportTrades,
+  adminEscrowHistory,
+  adminPayouts,
+  adminPayoutResolve,
+  adminDisputes,
+  adminDispute,
+  adminDisputeClaim,
+  adminDisputeComment,
+  adminDisputeResolve,
+  adminCaseFile,
+  adminTranscript,
+  adminRatings,
+  adminRatingHide,
+  adminRatingShow,
+  adminBlock,
+  adminUnblock,
+  adminBlockAddress,
+  adminUnblockAddress,
+  adminBlocklist,
+  adminAdmins,
+  adminAdd,
+  adminRole,
+  adminRemove,
+  adminVaultStatus,
+  adminVaultPause,
+  adminVaultUnpause,
+  adminVaultPropose,
+  adminVaultApply,
+  adminVaultCancel,
   adminGroupReset,
   adminResetForce,
   adminResetAllGroups,
@@ -2359,12 +3723,9 @@ async function handleWithdrawAll(ctx, network) {
       report += `🧹 <b>Surplus Swept:</b>\n`;
       surplusSweeps.forEach((item) => {
         const txDisplay = item.tx
-          ? ` (<a href="https://bscscan.com/tx/${item.tx}">TX</a>)`
+          ? ` (<a href="${bs.getExplorerUrl(network, "tx", item.tx)}">TX</a>)`
           : "";
-        // Note: Link format depends on network, generalizing:
-        report += `• ${item.amount.toFixed(4)} ${item.token} (TX: <code>${
-          item.tx
-        }</code>)\n`;
+        report += `• ${item.amount.toFixed(4)} ${item.token}${txDisplay}\n`;
       });
     } else {
       report += `🧹 <b>Surplus Swept:</b> None`;
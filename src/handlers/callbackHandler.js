@@ -2,6 +2,7 @@ const { Markup } = require("telegraf");
 const { ethers } = require("ethers");
 const Escrow = require("../models/Escrow");
 const BlockchainService = require("../services/BlockchainService");
+const chains = require("../services/chains");
 const AddressAssignmentService = require("../services/AddressAssignmentService");
 const GroupPoolService = require("../services/GroupPoolService");
 const GroupPool = require("../models/GroupPool");
@@ -10,7 +11,21 @@ const config = require("../../config");
 const images = require("../config/images");
 const UserStatsService = require("../services/UserStatsService");
 const CompletionFeedService = require("../services/CompletionFeedService");
+const DepositWatcherService = require("../services/DepositWatcherService");
+const EscrowStateMachine = require("../services/EscrowStateMachine");
+const PayoutService = require("../services/PayoutService");
+const AdminApprovalService = require("../services/AdminApprovalService");
+const AdminService = require("../services/AdminService");
+const BlocklistService = require("../services/BlocklistService");
+const SplitSettlementService = require("../services/SplitSettlementService");
+const DisputeService = require("../services/DisputeService");
+const DealTemplateService = require("../services/DealTemplateService");
+const TrancheService = require("../services/TrancheService");
+const PaymentProofService = require("../services/PaymentProofService");
+const RatingService = require("../services/RatingService");
+const ReputationService = require("../services/ReputationService");
 const feeConfig = require("../config/feeConfig");
+const reputationConfig = require("../config/reputationConfig");
 const {
   getParticipants,
   formatParticipant,
@@ -19,9 +34,30 @@ const {
 const findGroupEscrow = require("../utils/findGroupEscrow");
 const { getAddressExample } = require("../utils/addressValidation");
 const { safeAnswerCbQuery } = require("../utils/telegramUtils");
+const { hasPermission } = require("../middleware/adminAuth");
 
 const groupRecyclingTimers = new Map();
 
+/**
+ * Chain picker for the deal flow, three chains per row
+ * @param {string} callbackPrefix - e.g. "step2_select_chain_"
+ * @param {string|null} selectedChain - Chain to mark with a tick
+ */
+function buildChainKeyboard(callbackPrefix, selectedChain = null) {
+  const buttons = chains.getSelectableChains().map((adapter) => ({
+    text:
+      adapter.network === selectedChain
+        ? `✔ ${adapter.network}`
+        : adapter.network,
+    callback_data: `${callbackPrefix}${adapter.network}`,
+  }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 3) {
+    rows.push(buttons.slice(i, i + 3));
+  }
+  return rows;
+}
+
 /**
  * Update the "Trade started" message in the main group with completion details
  */
@@ -279,6 +315,46 @@ async function announceAndScheduleRecycling(escrow, ctx, messageText) {
   await scheduleGroupRecycling(escrow.escrowId, ctx.telegram);
 }
 
+/**
+ * Post the vault address with the "Payment Sent" button; tranche deals
+ * also say which tranche and how much to send
+ */
+async function sendDepositInstructions(telegram, escrow) {
+  const tokenLabel = (escrow.token || "USDT").toUpperCase();
+  const chainLabel = (escrow.chain || "BEP-20").toUpperCase();
+  const tranche = TrancheService.currentTranche(escrow);
+  const trancheLine = tranche
+    ? `\n📦 ${TrancheService.label(escrow)}: send ${
+        tranche.amount
+      } ${tokenLabel}\n`
+    : "";
+
+  const depositAddressText = `💳 ${tokenLabel} ${chainLabel} Deposit
+${trancheLine}
+🏦 ${tokenLabel} ${chainLabel} Address: <code>${escrow.depositAddress}</code>
+
+⚠️ Please Note:
+• Double-check the address before sending.
+• We are not responsible for any fake, incorrect, or unsupported tokens sent to this address.
+
+The deposit is detected automatically. Once you’ve sent the amount, you can also tap the button below.`;
+
+  return telegram.sendPhoto(escrow.groupId, images.DEPOSIT_ADDRESS, {
+    caption: depositAddressText,
+    parse_mode: "HTML",
+    reply_markup: {
+      inline_keyboard: [
+        [
+          {
+            text: "✅ Payment Sent",
+            callback_data: "confirm_sent_deposit",
+          },
+        ],
+      ],
+    },
+  });
+}
+
 /**
  * Update the role selection message with current status
  */
@@ -452,9 +528,14 @@ module.exports = async (ctx) => {
       callbackData === "select_role_seller"
     ) {
       const isBuyer = callbackData === "select_role_buyer";
+      const blockedUser = await BlocklistService.getActiveBlock(userId);
       await safeAnswerCbQuery(
         ctx,
-        isBuyer ? "Buyer role selected" : "Seller role selected"
+        blockedUser
+          ? "⛔ You are blocked from trading on this bot."
+          : isBuyer
+          ? "Buyer role selected"
+          : "Seller role selected"
       );
 
       const escrow = await findGroupEscrow(chatId, [
@@ -467,6 +548,22 @@ module.exports = async (ctx) => {
         return;
       }
 
+      if (blockedUser) {
+        try {
+          await ctx.telegram.sendMessage(
+            userId,
+            BlocklistService.formatBlockNotice(blockedUser)
+          );
+        } catch (_) {}
+        await BlocklistService.notifyCounterparty(
+          ctx.telegram,
+          escrow,
+          blockedUser,
+          "they can't take a role and this deal can't continue"
+        );
+        return;
+      }
+
       if (isBuyer && escrow.sellerId && escrow.sellerId === userId) {
         await safeAnswerCbQuery(ctx, "❌ You cannot be both buyer and seller.");
         return;
@@ -524,6 +621,36 @@ module.exports = async (ctx) => {
 
       // After both roles are selected, trigger Step 2 (Blockchain Selection)
       if (escrow.buyerId && escrow.sellerId && escrow.roleSelectionMessageId) {
+        // Template deals skip straight to the amount
+        const template = escrow.templateName
+          ? await DealTemplateService.applyToEscrow(escrow)
+          : null;
+        if (template) {
+          escrow.tradeDetailsStep = "step4_amount";
+          await escrow.save();
+
+          const step4Msg = await ctx.telegram.sendPhoto(
+            escrow.groupId,
+            images.ENTER_QUANTITY,
+            {
+              caption: `📋 <b>Template: ${template.name}</b>
+Chain: ${escrow.chain} • Coin: ${escrow.token}
+Rate: ₹${escrow.rate.toFixed(1)} • Payment: ${escrow.paymentMethod}
+
+💰 <b>Step 4 - Enter ${escrow.token} Amount</b>
+
+Network Fee: ${escrow.networkFee} ${escrow.token}
+
+Enter amount including fee → Example: 1000
+Split into tranches → Example: 10000 x 4`,
+              parse_mode: "HTML",
+            }
+          );
+          escrow.step4MessageId = step4Msg.message_id;
+          await escrow.save();
+          return;
+        }
+
         escrow.tradeDetailsStep = "step2_blockchain";
         await escrow.save();
 
@@ -534,9 +661,7 @@ module.exports = async (ctx) => {
             caption: "🔗 Step 2 - Choose Blockchain",
             parse_mode: "HTML",
             reply_markup: {
-              inline_keyboard: [
-                [{ text: "BSC", callback_data: "step2_select_chain_BSC" }],
-              ],
+              inline_keyboard: buildChainKeyboard("step2_select_chain_"),
             },
           }
         );
@@ -546,9 +671,12 @@ module.exports = async (ctx) => {
       return;
     } else if (callbackData.startsWith("step2_select_chain_")) {
       // Step 2: Blockchain selection (new flow)
-      const chain = callbackData
-        .replace("step2_select_chain_", "")
-        .toUpperCase();
+      const chain = chains.normalize(
+        callbackData.replace("step2_select_chain_", "")
+      );
+      if (!chains.getSelectableChains().some((a) => a.network === chain)) {
+        return safeAnswerCbQuery(ctx, `❌ ${chain} is not available.`);
+      }
       await safeAnswerCbQuery(ctx, `Selected ${chain}`);
 
       const escrow = await findGroupEscrow(
@@ -572,24 +700,24 @@ module.exports = async (ctx) => {
 
       // Update network fee based on chain selection (using centralized config)
       const hasBioTag = escrow.feeRate !== undefined && escrow.feeRate < 0.75;
-      escrow.networkFee = feeConfig.getNetworkFee(escrow.chain, hasBioTag);
+      escrow.networkFee = feeConfig.getNetworkFee(
+        escrow.chain,
+        hasBioTag,
+        escrow.token
+      );
 
       await escrow.save();
 
       // Update blockchain selection message with checkmark
       if (escrow.step2MessageId) {
-        const chains = ["BSC"];
-        const buttons = chains.map((c) => ({
-          text: c === chain ? `✔ ${c}` : c,
-          callback_data: `step2_select_chain_${c}`,
-        }));
-
         try {
           await ctx.telegram.editMessageReplyMarkup(
             escrow.groupId,
             escrow.step2MessageId,
             null,
-            { inline_keyboard: [buttons] }
+            {
+              inline_keyboard: buildChainKeyboard("step2_select_chain_", chain),
+            }
           );
         } catch (err) {
           // Ignore if message not modified
@@ -597,7 +725,7 @@ module.exports = async (ctx) => {
       }
 
       // Step 3: Show coin selection
-      const coins = chain === "TRON" ? ["USDT"] : ["USDT", "USDC"];
+      const coins = chains.getDealTokens(chain);
       const step3Msg = await ctx.telegram.sendPhoto(
         escrow.groupId,
         images.SELECT_CRYPTO,
@@ -642,7 +770,7 @@ module.exports = async (ctx) => {
 
       // Validate coin against chain
       const currentChain = (escrow.chain || "BSC").toUpperCase();
-      const validCoins = currentChain === "TRON" ? ["USDT"] : ["USDT", "USDC"];
+      const validCoins = chains.getDealTokens(currentChain);
 
       if (!validCoins.includes(coin)) {
         await safeAnswerCbQuery(
@@ -657,13 +785,17 @@ module.exports = async (ctx) => {
       // Network Fee Logic (using centralized config)
       // Check if any user has @room bio tag (indicated by discounted feeRate)
       const hasBioTag = escrow.feeRate !== undefined && escrow.feeRate < 0.75;
-      escrow.networkFee = feeConfig.getNetworkFee(escrow.chain, hasBioTag);
+      escrow.networkFee = feeConfig.getNetworkFee(
+        escrow.chain,
+        hasBioTag,
+        escrow.token
+      );
 
       await escrow.save();
 
       // Update coin selection message with checkmark
       if (escrow.step3MessageId) {
-        const coins = currentChain === "TRON" ? ["USDT"] : ["USDT", "USDC"];
+        const coins = chains.getDealTokens(currentChain);
         const buttons = coins.map((c) => ({
           text: c === coin ? `✔ ${c}` : c,
           callback_data: `step3_select_coin_${c}`,
@@ -686,7 +818,7 @@ module.exports = async (ctx) => {
         escrow.groupId,
         images.ENTER_QUANTITY,
         {
-          caption: `💰 <b>Step 4 - Enter ${coin} Amount</b>\n\nChain: ${escrow.chain}\nNetwork Fee: ${escrow.networkFee} ${coin}\n\nEnter amount including fee → Example: 1000`,
+          caption: `💰 <b>Step 4 - Enter ${coin} Amount</b>\n\nChain: ${escrow.chain}\nNetwork Fee: ${escrow.networkFee} ${coin}\n\nEnter amount including fee → Example: 1000\nSplit into tranches → Example: 10000 x 4`,
           parse_mode: "HTML",
         }
       );
@@ -714,24 +846,21 @@ module.exports = async (ctx) => {
       const group = await GroupPool.findOne({ groupId: escrow.groupId });
 
       if (group && group.contracts) {
-        // BSC Button
-        if (group.contracts.has(selectedToken)) {
-          buttons.push(
-            Markup.button.callback(
-              "BSC / BEP20",
-              `set_chain_${selectedToken}_BSC`
-            )
-          );
-        }
-        // TRON Button (Only for USDT usually)
-        if (selectedToken === "USDT" && group.contracts.has("USDT_TRON")) {
-          buttons.push(
-            Markup.button.callback(
-              "TRON / TRC20",
-              `set_chain_${selectedToken}_TRON`
-            )
-          );
-        }
+        // BSC vaults are keyed by token alone, other chains by TOKEN_CHAIN
+        chains.adapters.forEach((adapter) => {
+          const contractKey =
+            adapter.network === "BSC"
+              ? selectedToken
+              : `${selectedToken}_${adapter.network}`;
+          if (group.contracts.has(contractKey)) {
+            buttons.push(
+              Markup.button.callback(
+                adapter.label,
+                `set_chain_${selectedToken}_${adapter.network}`
+              )
+            );
+          }
+        });
       }
 
       // Fallback if no specific config found (Legacy)
@@ -769,11 +898,11 @@ module.exports = async (ctx) => {
       await safeAnswerCbQuery(ctx, `Selected ${chainKey}`);
 
       // Map to internal keys
-      // If TRON, internal key in contracts map is "USDT_TRON"
       // If BSC, internal key is just "USDT" (or "USDC")
+      // Otherwise it is "USDT_TRON", "USDT_POLYGON", ...
       let internalContractKey = tokenKey;
-      if (chainKey === "TRON") {
-        internalContractKey = `${tokenKey}_TRON`;
+      if (chainKey !== "BSC") {
+        internalContractKey = `${tokenKey}_${chainKey}`;
       }
 
       const group = await GroupPool.findOne({ groupId: escrow.groupId });
@@ -798,12 +927,16 @@ module.exports = async (ctx) => {
       }
 
       escrow.token = tokenKey;
-      escrow.chain = chainKey === "TRON" ? "TRON" : "BSC";
+      escrow.chain = chains.normalize(chainKey);
       escrow.contractAddress = contractInfo.address;
 
       // Network Fee Logic (using centralized config)
       const hasBioTag = escrow.feeRate !== undefined && escrow.feeRate < 0.75;
-      escrow.networkFee = feeConfig.getNetworkFee(escrow.chain, hasBioTag);
+      escrow.networkFee = feeConfig.getNetworkFee(
+        escrow.chain,
+        hasBioTag,
+        escrow.token
+      );
 
       escrow.tradeDetailsStep = "step1_amount";
 
@@ -872,8 +1005,6 @@ module.exports = async (ctx) => {
         return;
       }
 
-      await safeAnswerCbQuery(ctx, "Approving deal...");
-
       const userId = ctx.from.id;
       const isBuyer = escrow.buyerId === userId;
       const isSeller = escrow.sellerId === userId;
@@ -893,6 +1024,49 @@ module.exports = async (ctx) => {
         );
       }
 
+      // A party blocked after joining can't approve, nor be approved
+      const blockedParties = await BlocklistService.findBlockedParties(escrow);
+      if (blockedParties.length > 0) {
+        const presserBlocked = blockedParties.some(
+          ({ user }) => Number(user.telegramId) === userId
+        );
+        await safeAnswerCbQuery(
+          ctx,
+          presserBlocked
+            ? "⛔ You are blocked from trading on this bot."
+            : "⛔ The other party is blocked from trading on this bot.",
+          true
+        );
+        for (const { user } of blockedParties) {
+          await BlocklistService.notifyCounterparty(
+            ctx.telegram,
+            escrow,
+            user,
+            "this deal can't be approved"
+          );
+        }
+        return;
+      }
+
+      // Large deals need both traders above the minimum reputation
+      const gateFailures = await ReputationService.findGateFailures(escrow);
+      if (gateFailures.length > 0) {
+        const names = gateFailures
+          .map(
+            (party) =>
+              `${party.username ? `@${party.username}` : party.role} (${
+                party.score
+              }/100)`
+          )
+          .join(", ");
+        await safeAnswerCbQuery(ctx);
+        return ctx.reply(
+          `❌ Deals of ${reputationConfig.GATE_AMOUNT} ${escrow.token} or more need both traders to have a reputation of at least ${reputationConfig.MIN_SCORE}/100. Below the minimum: ${names}.\n\nLower the amount with /restart, or complete smaller deals first.`
+        );
+      }
+
+      await safeAnswerCbQuery(ctx, "Approving deal...");
+
       // Update approval status
       if (isBuyer) {
         escrow.buyerApproved = true;
@@ -934,18 +1108,25 @@ module.exports = async (ctx) => {
           approvalStatus = approvals.join("\n");
         }
 
+        const trancheLine = TrancheService.isTrancheDeal(escrow)
+          ? `• <b>Tranches:</b> ${TrancheService.formatPlan(escrow)}\n`
+          : "";
+        const reputationLines = await ReputationService.formatSummaryLines(
+          escrow
+        );
+
         return `📋 <b> Deal Summary</b>
         
 • <b>Trade ID:</b> #${escrow.escrowId}
 • <b>Amount:</b> ${amount} ${escrow.token}
-• <b>Rate:</b> ₹${rate.toFixed(1)}
+${trancheLine}• <b>Rate:</b> ₹${rate.toFixed(1)}
 • <b>Payment:</b> ${paymentMethod}
 • <b>Chain:</b> ${chain}
 • <b>Network Fee:</b> ${escrow.networkFee} ${escrow.token}
 • <b>Service Fee:</b> ${escrow.feeRate}%
 • <b>Buyer Address:</b> <code>${buyerAddress}</code>
 • <b>Seller Address:</b> <code>${sellerAddress}</code>
-
+${reputationLines}
 🛑 <b>Do not send funds here</b> 🛑
 
 ${approvalStatus}`;
@@ -1037,7 +1218,11 @@ ${approvalStatus}`;
         }
         const escrowFeePercent = Number(updatedEscrow.feeRate);
         const escrowFee = (amount * escrowFeePercent) / 100;
-        const releaseAmount = amount - networkFee - escrowFee;
+        // Every tranche is its own release and pays the network fee
+        const releaseCount = TrancheService.isTrancheDeal(updatedEscrow)
+          ? updatedEscrow.tranches.length
+          : 1;
+        const releaseAmount = amount - networkFee * releaseCount - escrowFee;
 
         const confirmedText = `<b>P2P MM BOT 🤖</b>
 
@@ -1046,7 +1231,13 @@ ${approvalStatus}`;
 <b>Buyer:</b> ${buyerTag}
 <b>Seller:</b> ${sellerTag}
 
-<b>Deal Amount:</b> ${amount.toFixed(1)} ${updatedEscrow.token || "USDT"}
+<b>Deal Amount:</b> ${amount.toFixed(1)} ${updatedEscrow.token || "USDT"}${
+          TrancheService.isTrancheDeal(updatedEscrow)
+            ? `\n<b>Tranches:</b> ${TrancheService.formatPlan(
+                updatedEscrow
+              )} (network fee per release)`
+            : ""
+        }
 <b>Network Fee:</b> ${networkFee} ${updatedEscrow.token || "USDT"}
 <b>Service Fee:</b> ${updatedEscrow.feeRate}%
 <b>Release Amount:</b> ${releaseAmount.toFixed(2)} ${updatedEscrow.token}
@@ -1119,42 +1310,21 @@ ${approvalStatus}`;
           updatedEscrow.depositAddress = addressInfo.address;
           updatedEscrow.uniqueDepositAddress = addressInfo.address;
           updatedEscrow.contractAddress = addressInfo.contractAddress; // Explicitly save the assigned contract address
-          updatedEscrow.status = "awaiting_deposit";
-          await updatedEscrow.save();
-
-          // Send deposit address message with SENT button
-          // Use code tag to make address copyable (not clickable link)
-          const tokenLabel = (updatedEscrow.token || "USDT").toUpperCase();
-          const chainLabel = (updatedEscrow.chain || "BEP-20").toUpperCase();
-
-          const depositAddressText = `💳 ${tokenLabel} ${chainLabel} Deposit
-
-🏦 ${tokenLabel} ${chainLabel} Address: <code>${addressInfo.address}</code>
-
-⚠️ Please Note:
-• Double-check the address before sending.
-• We are not responsible for any fake, incorrect, or unsupported tokens sent to this address.
-
-Once you’ve sent the amount, tap the button below.`;
-
-          await ctx.telegram.sendPhoto(
-            updatedEscrow.groupId,
-            images.DEPOSIT_ADDRESS,
+          // Deposit watcher only scans blocks from this point on
+          updatedEscrow.lastCheckedBlock =
+            await BlockchainService.getLatestBlockNumber(network);
+          await EscrowStateMachine.transition(
+            updatedEscrow,
+            "awaiting_deposit",
             {
-              caption: depositAddressText,
-              parse_mode: "HTML",
-              reply_markup: {
-                inline_keyboard: [
-                  [
-                    {
-                      text: "✅ Payment Sent",
-                      callback_data: "confirm_sent_deposit",
-                    },
-                  ],
-                ],
-              },
+              ctx,
+              reason: "Deal summary approved by buyer and seller",
+              metadata: { depositAddress: addressInfo.address },
             }
           );
+
+          // Send deposit address message with SENT button
+          await sendDepositInstructions(ctx.telegram, updatedEscrow);
         } catch (depositErr) {
           console.error("Error generating deposit address:", depositErr);
           await ctx.telegram.sendMessage(
@@ -1209,19 +1379,13 @@ Once you’ve sent the amount, tap the button below.`;
 
       // Update blockchain selection message with tick mark
       if (escrow.step4ChainMessageId) {
-        const chains = ["BSC"];
-        const buttons = chains.map((c) => ({
-          text: c === chain ? `✔ ${c}` : c,
-          callback_data: `step4_select_chain_${c}`,
-        }));
-
         try {
           await ctx.telegram.editMessageReplyMarkup(
             escrow.groupId,
             escrow.step4ChainMessageId,
             null,
             {
-              inline_keyboard: [buttons],
+              inline_keyboard: buildChainKeyboard("step4_select_chain_", chain),
             }
           );
         } catch (err) {
@@ -1235,7 +1399,7 @@ Once you’ve sent the amount, tap the button below.`;
       }
 
       // Immediately show coin selection after chain is chosen
-      const coins = chain === "TRON" ? ["USDT"] : ["USDT", "USDC"];
+      const coins = chains.getDealTokens(chain);
       try {
         const coinMsg = await ctx.telegram.sendPhoto(
           escrow.groupId,
@@ -1296,7 +1460,7 @@ Once you’ve sent the amount, tap the button below.`;
 
       // Validate coin against chain
       const currentChain = (escrow.chain || "BSC").toUpperCase();
-      const validCoins = currentChain === "TRON" ? ["USDT"] : ["USDT", "USDC"];
+      const validCoins = chains.getDealTokens(currentChain);
 
       if (!validCoins.includes(coin)) {
         await safeAnswerCbQuery(
@@ -1314,10 +1478,7 @@ Once you’ve sent the amount, tap the button below.`;
 
       // Update coin selection message with tick mark
       if (escrow.step4CoinMessageId) {
-        const coins =
-          escrow.chain && escrow.chain.toUpperCase() === "TRON"
-            ? ["USDT"]
-            : ["USDT", "USDC"];
+        const coins = chains.getDealTokens(currentChain);
         const buttons = coins.map((c) => {
           const text = c === coin ? `✔ ${c}` : c;
           return { text, callback_data: `step4_select_coin_${c}` };
@@ -1351,8 +1512,10 @@ Once you’ve sent the amount, tap the button below.`;
         updatedEscrow.tradeDetailsStep === "step4_chain_coin"
       ) {
         updatedEscrow.tradeDetailsStep = "step5_buyer_address";
-        updatedEscrow.status = "draft";
-        await updatedEscrow.save();
+        await EscrowStateMachine.transition(updatedEscrow, "draft", {
+          ctx,
+          reason: "Chain and coin selected",
+        });
 
         // Step 5: Ask buyer for their wallet address
         const buyerUsername = updatedEscrow.buyerUsername
@@ -1390,9 +1553,7 @@ Once you’ve sent the amount, tap the button below.`;
       // Check if user is buyer, seller, or admin
       const isBuyer = escrow.buyerId === userId;
       const isSeller = escrow.sellerId === userId;
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(userId));
+      const isAdmin = hasPermission(ctx, "moderate");
 
       if (!isBuyer && !isSeller && !isAdmin) {
         return safeAnswerCbQuery(
@@ -1478,135 +1639,25 @@ Once you’ve sent the amount, tap the button below.`;
         return ctx.reply("❌ No active deposit address found.");
       }
 
-      if (!escrow.depositAddress) {
-        return ctx.reply("❌ Deposit address missing.");
-      }
-
-      const checkAddress = escrow.depositAddress;
-
-      // On-chain first: query RPC logs, then fallback to explorer
-      // Start from 0 if no previous check, or we can use escrow's last checked block field
-      const lastCheckedBlock = escrow.lastCheckedBlock || 0;
-      let txs = await BlockchainService.getTokenTransfersViaRPC(
-        escrow.token,
-        escrow.chain,
-        checkAddress,
-        lastCheckedBlock
-      );
-      if (!txs || txs.length === 0) {
-        txs = await BlockchainService.getTokenTransactions(
-          escrow.token,
-          escrow.chain,
-          checkAddress
+      // Same scan the background watcher runs; it posts the confirmation
+      // progress / final confirmation and starts the fiat handshake itself.
+      let newAmount;
+      let pending;
+      try {
+        ({ newAmount, pending } = await DepositWatcherService.checkEscrow(
+          escrow,
+          ctx.telegram
+        ));
+      } catch (scanError) {
+        console.error("Error checking deposit:", scanError);
+        return ctx.reply(
+          "⚠️ Could not reach the network to check for your deposit. Please try again in a minute."
         );
       }
 
-      const sellerAddr = (escrow.sellerAddress || "").toLowerCase();
-      const vaultAddr = checkAddress.toLowerCase();
-
-      // Only count new deposits since the last check - filter for deposits TO the vault
-      const newDeposits = (txs || []).filter((tx) => {
-        const from = (tx.from || "").toLowerCase();
-        const to = (tx.to || "").toLowerCase();
-
-        if (to !== vaultAddr) return false;
-
-        // CRITICAL: Check if hash is already recorded (via Paste Hash or previous Check)
-        const hash = tx.hash;
-        if (!hash) return true; // Fallback if no hash (shouldn't happen with fix)
-
-        // Check main hash
-        if (
-          escrow.transactionHash &&
-          escrow.transactionHash.toLowerCase() === hash.toLowerCase()
-        ) {
-          return false;
-        }
-
-        // Check partials
-        if (
-          escrow.partialTransactionHashes &&
-          escrow.partialTransactionHashes.some(
-            (h) => h.toLowerCase() === hash.toLowerCase()
-          )
-        ) {
-          return false;
-        }
-
-        return true;
-      });
-
-      const newAmount = newDeposits.reduce(
-        (sum, tx) => sum + Number(tx.valueDecimal),
-        0
-      );
-      const previousAmount = escrow.depositAmount;
-      const totalAmount = previousAmount + newAmount;
-
-      if (newAmount > 0) {
-        // Track last checked block from RPC
-        try {
-          const latest = await BlockchainService.getLatestBlockNumber(
-            escrow.chain
-          );
-          if (latest) escrow.lastCheckedBlock = latest;
-        } catch {}
-
-        // Save transaction hashes to prevent reuse
-        for (const tx of newDeposits) {
-          const hash = tx.hash;
-          if (!hash) continue;
-
-          if (!escrow.transactionHash) {
-            escrow.transactionHash = hash;
-            escrow.depositTransactionFromAddress = tx.from;
-          } else {
-            if (!escrow.partialTransactionHashes)
-              escrow.partialTransactionHashes = [];
-            // Avoid adding duplicates to the array
-            if (
-              !escrow.partialTransactionHashes.includes(hash) &&
-              escrow.transactionHash !== hash
-            ) {
-              escrow.partialTransactionHashes.push(hash);
-            }
-          }
-        }
-
-        escrow.depositAmount = totalAmount;
-        escrow.confirmedAmount = totalAmount;
-        escrow.status = "deposited";
-        await escrow.save();
-
+      if (newAmount <= 0 && pending.length === 0) {
         await ctx.reply(
-          `✅ Deposit confirmed: ${newAmount.toFixed(2)} ${escrow.token}`
-        );
-
-        // Begin fiat transfer handshake
-        // Ask buyer to confirm they've sent the fiat payment
-        if (escrow.buyerId) {
-          await ctx.telegram.sendMessage(
-            escrow.groupId,
-            `💸 Buyer ${
-              escrow.buyerUsername
-                ? "@" + escrow.buyerUsername
-                : "[" + escrow.buyerId + "]"
-            }: Please send the agreed fiat amount to the seller via your agreed method and confirm below.`,
-            {
-              reply_markup: Markup.inlineKeyboard([
-                [
-                  Markup.button.callback(
-                    "✅ I have sent the money",
-                    `fiat_sent_buyer_${escrow.escrowId}`
-                  ),
-                ],
-              ]).reply_markup,
-            }
-          );
-        }
-      } else {
-        await ctx.reply(
-          "❌ No new deposit found yet. Please try again in a moment."
+          "❌ No new deposit found yet. Deposits are detected automatically, you will be notified here."
         );
       }
     } else if (callbackData.startsWith("fiat_sent_buyer_")) {
@@ -1632,44 +1683,60 @@ Once you’ve sent the amount, tap the button below.`;
         }
 
         escrow.buyerSentFiat = true;
-        escrow.status = "in_fiat_transfer";
-        await escrow.save();
+        TrancheService.markFiatSent(escrow);
+        await EscrowStateMachine.transition(escrow, "in_fiat_transfer", {
+          ctx,
+          reason: "Buyer confirmed fiat payment sent",
+        });
 
         await safeAnswerCbQuery(ctx, "✅ Noted.");
 
-        // Ask seller to confirm receipt - send to the group using groupId
-        const sellerPrompt = await ctx.telegram.sendMessage(
-          escrow.groupId,
-          `🏦 Seller ${
-            escrow.sellerUsername
-              ? "@" + escrow.sellerUsername
-              : "[" + escrow.sellerId + "]"
-          }: Did you receive the fiat payment?`,
-          {
-            reply_markup: Markup.inlineKeyboard([
-              [
-                Markup.button.callback(
-                  "✅ Yes, I received",
-                  `fiat_received_seller_yes_${escrow.escrowId}`
-                ),
-                Markup.button.callback(
-                  "❌ No, not received",
-                  `fiat_received_seller_no_${escrow.escrowId}`
-                ),
-              ],
-              [
-                Markup.button.callback(
-                  "⚠️ Received less money",
-                  `fiat_received_seller_partial_${escrow.escrowId}`
-                ),
-              ],
-            ]).reply_markup,
-          }
-        );
+        // The seller is asked to confirm once the receipt arrives (see
+        // paymentProofHandler) or the buyer continues without one
+        await PaymentProofService.requestProof(ctx.telegram, escrow);
       } catch (error) {
         console.error("❌ Error in fiat_sent_buyer handler:", error);
         await safeAnswerCbQuery(ctx, "❌ An error occurred. Please try again.");
       }
+    } else if (callbackData.startsWith("split_confirm_yes_")) {
+      return SplitSettlementService.handleConfirm(
+        ctx,
+        callbackData.replace("split_confirm_yes_", "")
+      );
+    } else if (callbackData.startsWith("split_confirm_no_")) {
+      return SplitSettlementService.handleCancel(
+        ctx,
+        callbackData.replace("split_confirm_no_", "")
+      );
+    } else if (callbackData.startsWith("rate_skip_")) {
+      await RatingService.handleSkip(
+        ctx,
+        callbackData.replace("rate_skip_", "")
+      );
+    } else if (/^rate_.+_[1-5]$/.test(callbackData)) {
+      const [, escrowId, stars] = callbackData.match(/^rate_(.+)_([1-5])$/);
+      await RatingService.handleStars(ctx, escrowId, Number(stars));
+    } else if (callbackData.startsWith("fiat_proof_skip_")) {
+      const escrowId = callbackData.replace("fiat_proof_skip_", "");
+      const escrow = await Escrow.findOne({
+        escrowId,
+        status: "in_fiat_transfer",
+        awaitingPaymentProof: true,
+      });
+
+      if (!escrow) {
+        await safeAnswerCbQuery(ctx, "❌ No active escrow found.");
+        return;
+      }
+
+      if (escrow.buyerId !== userId) {
+        await safeAnswerCbQuery(ctx, "❌ Only the buyer can confirm this.");
+        return;
+      }
+
+      await safeAnswerCbQuery(ctx, "➡️ Continuing without proof");
+      await PaymentProofService.askSeller(ctx.telegram, escrow);
+      return;
     } else if (callbackData.startsWith("fiat_received_seller_partial_")) {
       const escrowId = callbackData.replace(
         "fiat_received_seller_partial_",
@@ -1684,9 +1751,7 @@ Once you’ve sent the amount, tap the button below.`;
 
       if (escrow) {
         try {
-          const admins = (config.getAllAdminUsernames?.() || []).filter(
-            Boolean
-          );
+          const admins = AdminService.getAdminUsernames("disputes");
           const adminMentions = admins.length
             ? admins.map((u) => `@${u}`).join(" ")
             : "Admin";
@@ -1734,7 +1799,7 @@ Once you’ve sent the amount, tap the button below.`;
         );
       } else {
         await safeAnswerCbQuery(ctx, "⚠️ Issue reported.");
-        const admins = (config.getAllAdminUsernames?.() || []).filter(Boolean);
+        const admins = AdminService.getAdminUsernames("disputes");
         const adminMentions = admins.length
           ? admins.map((u) => `@${u}`).join(" ")
           : "Admin";
@@ -1778,9 +1843,7 @@ Once you’ve sent the amount, tap the button below.`;
 
         // Notify admins
         try {
-          const admins = (config.getAllAdminUsernames?.() || []).filter(
-            Boolean
-          );
+          const admins = AdminService.getAdminUsernames("disputes");
           const adminMentions = admins.length
             ? admins.map((u) => `@${u}`).join(" ")
             : "Admin";
@@ -1796,6 +1859,7 @@ Once you’ve sent the amount, tap the button below.`;
 
       // Step 1: seller selected full amount; ask for final confirmation in the same message
       escrow.sellerReceivedFiat = true;
+      TrancheService.markFiatConfirmed(escrow);
       await escrow.save();
       await safeAnswerCbQuery(ctx, "✅ Full amount selected");
       try {
@@ -1878,11 +1942,7 @@ Once you’ve sent the amount, tap the button below.`;
         escrow.sellerUsername &&
         escrow.sellerUsername.toLowerCase() === normalizedUsername;
       const isSeller = Boolean(isSellerIdMatch || isSellerUsernameMatch);
-      const isAdmin =
-        config
-          .getAllAdminUsernames()
-          .some((name) => name && name.toLowerCase() === normalizedUsername) ||
-        config.getAllAdminIds().includes(String(userId));
+      const isAdmin = hasPermission(ctx, "disputes");
 
       if (!isBuyer && !isSeller && !isAdmin) {
         return safeAnswerCbQuery(
@@ -1920,6 +1980,12 @@ Once you’ve sent the amount, tap the button below.`;
         } catch (e2) {}
       }
       return;
+    } else if (callbackData.startsWith("admin_approval_yes_")) {
+      const proposalId = callbackData.replace("admin_approval_yes_", "");
+      return AdminApprovalService.handleDecision(ctx, proposalId, true);
+    } else if (callbackData.startsWith("admin_approval_no_")) {
+      const proposalId = callbackData.replace("admin_approval_no_", "");
+      return AdminApprovalService.handleDecision(ctx, proposalId, false);
     } else if (callbackData.startsWith("admin_release_confirm_no_")) {
       const escrowId = callbackData.replace("admin_release_confirm_no_", "");
       const callbackMessageId = ctx.callbackQuery?.message?.message_id;
@@ -1949,10 +2015,7 @@ Once you’ve sent the amount, tap the button below.`;
         return safeAnswerCbQuery(ctx, "❌ No active escrow found.");
       }
 
-      const userId = ctx.from.id;
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(userId));
+      const isAdmin = hasPermission(ctx, "disputes");
 
       if (!isAdmin) {
         return safeAnswerCbQuery(
@@ -1965,6 +2028,11 @@ Once you’ve sent the amount, tap the button below.`;
       escrow.adminConfirmedRelease = false;
       escrow.pendingReleaseAmount = null;
       await escrow.save();
+      await DisputeService.cancelResolution(
+        escrow,
+        "release cancelled",
+        ctx.telegram
+      );
 
       await safeAnswerCbQuery(ctx, "❎ Admin release cancelled");
       try {
@@ -2020,10 +2088,7 @@ Once you’ve sent the amount, tap the button below.`;
         return safeAnswerCbQuery(ctx, "❌ This deal has already been settled.");
       }
 
-      const userId = ctx.from.id;
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(userId));
+      const isAdmin = hasPermission(ctx, "disputes");
 
       if (!isAdmin) {
         return safeAnswerCbQuery(
@@ -2107,20 +2172,6 @@ Once you’ve sent the amount, tap the button below.`;
         }
       }
 
-      // Send (gross - networkFee) to contract, contract will deduct service fee
-      const networkFee = updatedEscrow.networkFee || 0;
-      const amountToContract = releaseAmount - networkFee;
-
-      const releaseResult = await BlockchainService.releaseFunds(
-        updatedEscrow.token,
-        updatedEscrow.chain,
-        updatedEscrow.buyerAddress,
-        amountToContract,
-        null,
-        updatedEscrow.groupId,
-        updatedEscrow.contractAddress
-      );
-
       if (releaseAmount > formattedTotalDeposited) {
         return safeAnswerCbQuery(
           ctx,
@@ -2177,6 +2228,18 @@ Once you’ve sent the amount, tap the button below.`;
         }
       }
 
+      // Large admin releases need other admins to sign off first
+      const approved = await AdminApprovalService.authorize(ctx, {
+        escrow: updatedEscrow,
+        action: "release",
+        amount: releaseAmount,
+        destination: updatedEscrow.buyerAddress,
+        executeCallback: `admin_release_confirm_yes_${escrowId}`,
+      });
+      if (!approved) {
+        return;
+      }
+
       try {
         await ctx.editMessageText("🚀 Releasing funds to the buyer...");
       } catch (e) {}
@@ -2199,7 +2262,8 @@ Once you’ve sent the amount, tap the button below.`;
           amountToRelease,
           amountWeiOverride,
           updatedEscrow.groupId,
-          updatedEscrow.contractAddress // Pass contract address override
+          updatedEscrow.contractAddress, // Pass contract address override
+          { escrowId: updatedEscrow.escrowId }
         );
 
         if (!releaseResult || !releaseResult.success) {
@@ -2237,7 +2301,6 @@ Once you’ve sent the amount, tap the button below.`;
           if (!updatedEscrow.quantity || updatedEscrow.quantity <= 0) {
             updatedEscrow.quantity = releaseAmount;
           }
-          updatedEscrow.status = "completed";
           updatedEscrow.completedAt = new Date();
           updatedEscrow.accumulatedDepositAmount = 0;
           updatedEscrow.depositAmount = 0;
@@ -2247,19 +2310,39 @@ Once you’ve sent the amount, tap the button below.`;
 
         updatedEscrow.pendingReleaseAmount = null;
         updatedEscrow.adminConfirmedRelease = false;
-        await updatedEscrow.save();
-
-        const chainUpper = (updatedEscrow.chain || "").toUpperCase();
-        let explorerUrl = "";
-        if (releaseResult.transactionHash) {
-          if (chainUpper === "BSC" || chainUpper === "BNB") {
-            explorerUrl = `https://bscscan.com/tx/${releaseResult.transactionHash}`;
-          } else if (chainUpper === "ETH" || chainUpper === "ETHEREUM") {
-            explorerUrl = `https://etherscan.io/tx/${releaseResult.transactionHash}`;
-          } else if (chainUpper === "POLYGON" || chainUpper === "MATIC") {
-            explorerUrl = `https://polygonscan.com/tx/${releaseResult.transactionHash}`;
-          }
+        if (isPartialRelease && !isActuallyFullRelease) {
+          await updatedEscrow.save();
+        } else {
+          await EscrowStateMachine.transition(updatedEscrow, "completed", {
+            ctx,
+            reason: "Released by admin",
+            metadata: {
+              transactionHash: releaseResult.transactionHash,
+              amount: releaseAmount,
+            },
+          });
         }
+        await PayoutService.markRecorded(releaseResult.payoutId);
+        if (!isPartialRelease || isActuallyFullRelease) {
+          await BlockchainService.closeEscrow(updatedEscrow);
+          await DisputeService.completeResolution(
+            updatedEscrow,
+            {
+              resolution: "release",
+              transactionHash: releaseResult.transactionHash,
+              admin: ctx.from,
+            },
+            ctx.telegram
+          );
+        }
+
+        const explorerUrl = releaseResult.transactionHash
+          ? BlockchainService.getExplorerUrl(
+              updatedEscrow.chain,
+              "tx",
+              releaseResult.transactionHash
+            )
+          : null;
 
         const linkLine = releaseResult?.transactionHash
           ? explorerUrl
@@ -2428,6 +2511,12 @@ Thank you for using our safe escrow system.`;
           console.error("Error in admin release:", releaseError);
         }
 
+        await DisputeService.cancelResolution(
+          updatedEscrow,
+          "release failed",
+          ctx.telegram
+        );
+
         let errorMsg = `❌ Error releasing funds: ${releaseError.message}`;
         if (releaseError.message.includes("Insufficient Vault Balance")) {
           const match = releaseError.message.match(
@@ -2484,9 +2573,7 @@ Please check the contract balance or top up the vault.`;
       const userId = ctx.from.id;
       const isBuyer = Number(escrow.buyerId) === Number(userId);
       const isSeller = Number(escrow.sellerId) === Number(userId);
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(userId));
+      const isAdmin = hasPermission(ctx, "disputes");
 
       if (!isBuyer && !isSeller && !isAdmin) {
         return safeAnswerCbQuery(
@@ -2502,6 +2589,24 @@ Please check the contract balance or top up the vault.`;
         escrow.sellerConfirmedRelease = true;
       }
       if (isAdmin && !isBuyer && !isSeller) {
+        // An admin approving on both parties' behalf is an override
+        const approved = await AdminApprovalService.authorize(ctx, {
+          escrow,
+          action: "release",
+          amount:
+            escrow.pendingReleaseAmount ??
+            Number(
+              escrow.accumulatedDepositAmount ||
+                escrow.depositAmount ||
+                escrow.confirmedAmount ||
+                0
+            ),
+          destination: escrow.buyerAddress,
+          executeCallback: `release_confirm_yes_${escrowId}`,
+        });
+        if (!approved) {
+          return safeAnswerCbQuery(ctx, "🔐 Sent for admin approval.");
+        }
         escrow.buyerConfirmedRelease = true;
         escrow.sellerConfirmedRelease = true;
       }
@@ -2744,7 +2849,8 @@ ${approvalNote}`;
             amountToContract,
             null,
             updatedEscrow.groupId,
-            updatedEscrow.contractAddress
+            updatedEscrow.contractAddress,
+            { escrowId: updatedEscrow.escrowId }
           );
 
           if (!releaseResult || !releaseResult.success) {
@@ -2770,6 +2876,7 @@ ${approvalNote}`;
 
           const isPartialRelease =
             Math.abs(actualAmountToUser - maxReceivable) > EPSILON;
+          let releasedInFull = false;
 
           if (isPartialRelease) {
             const remainingAmount =
@@ -2779,7 +2886,7 @@ ${approvalNote}`;
               if (!updatedEscrow.quantity || updatedEscrow.quantity <= 0) {
                 updatedEscrow.quantity = actualAmountToUser;
               }
-              updatedEscrow.status = "completed";
+              releasedInFull = true;
               updatedEscrow.completedAt = new Date();
               updatedEscrow.buyerClosedTrade = false;
               updatedEscrow.sellerClosedTrade = false;
@@ -2807,7 +2914,7 @@ ${approvalNote}`;
             if (!updatedEscrow.quantity || updatedEscrow.quantity <= 0) {
               updatedEscrow.quantity = actualAmountToUser;
             }
-            updatedEscrow.status = "completed";
+            releasedInFull = true;
             updatedEscrow.completedAt = new Date();
             updatedEscrow.buyerClosedTrade = false;
             updatedEscrow.sellerClosedTrade = false;
@@ -2817,7 +2924,22 @@ ${approvalNote}`;
             updatedEscrow.accumulatedDepositAmountWei = "0";
           }
           updatedEscrow.pendingReleaseAmount = null;
-          await updatedEscrow.save();
+          if (releasedInFull) {
+            await EscrowStateMachine.transition(updatedEscrow, "completed", {
+              ctx,
+              reason: "Released to buyer after release confirmation",
+              metadata: {
+                transactionHash: releaseResult.transactionHash,
+                amount: actualAmountToUser,
+              },
+            });
+          } else {
+            await updatedEscrow.save();
+          }
+          await PayoutService.markRecorded(releaseResult.payoutId);
+          if (releasedInFull) {
+            await BlockchainService.closeEscrow(updatedEscrow);
+          }
 
           // Record stats and logs for ALL releases (partial or full)
           try {
@@ -2856,19 +2978,13 @@ ${approvalNote}`;
             Math.round((Date.now() - new Date(tradeStart)) / (60 * 1000))
           );
 
-          const chainUpper = (updatedEscrow.chain || "").toUpperCase();
-          let explorerUrl = "";
-          if (releaseResult.transactionHash) {
-            if (chainUpper === "BSC" || chainUpper === "BNB") {
-              explorerUrl = `https://bscscan.com/tx/${releaseResult.transactionHash}`;
-            } else if (chainUpper === "ETH" || chainUpper === "ETHEREUM") {
-              explorerUrl = `https://etherscan.io/tx/${releaseResult.transactionHash}`;
-            } else if (chainUpper === "POLYGON" || chainUpper === "MATIC") {
-              explorerUrl = `https://polygonscan.com/tx/${releaseResult.transactionHash}`;
-            } else if (chainUpper === "TRON" || chainUpper === "TRX") {
-              explorerUrl = `https://tronscan.org/#/transaction/${releaseResult.transactionHash}`;
-            }
-          }
+          const explorerUrl = releaseResult.transactionHash
+            ? BlockchainService.getExplorerUrl(
+                updatedEscrow.chain,
+                "tx",
+                releaseResult.transactionHash
+              )
+            : null;
 
           const linkLine = releaseResult?.transactionHash
             ? explorerUrl
@@ -3115,8 +3231,7 @@ Please contact support to resolve this vault balance issue.`;
       const userId = ctx.from.id;
       const isBuyer = Number(escrow.buyerId) === Number(userId);
       const isSeller = Number(escrow.sellerId) === Number(userId);
-      const { isAdmin } = require("../middleware/adminAuth");
-      const isUserAdmin = isAdmin(ctx);
+      const isUserAdmin = hasPermission(ctx, "disputes");
 
       if (!isBuyer && !isSeller && !isUserAdmin)
         return safeAnswerCbQuery(ctx, "❌ Access denied.");
@@ -3263,17 +3378,22 @@ Please contact support to resolve this vault balance issue.`;
             amountToContract,
             null,
             updatedEscrow.groupId,
-            updatedEscrow.contractAddress
+            updatedEscrow.contractAddress,
+            { escrowId: updatedEscrow.escrowId }
           );
 
           updatedEscrow.refundTransactionHash = refundResult.transactionHash;
+          updatedEscrow.partialRefundTransactionHashes.push(
+            refundResult.transactionHash
+          );
 
           const isPartial = !isFullAmount;
+          let refundedInFull = false;
 
           if (isPartial) {
             const remaining = totalDeposited - refundAmount;
             if (remaining < EPSILON) {
-              updatedEscrow.status = "refunded";
+              refundedInFull = true;
               updatedEscrow.accumulatedDepositAmount = 0;
               updatedEscrow.depositAmount = 0;
               updatedEscrow.confirmedAmount = 0;
@@ -3281,16 +3401,32 @@ Please contact support to resolve this vault balance issue.`;
               updatedEscrow.accumulatedDepositAmount = remaining;
               updatedEscrow.depositAmount = remaining;
               updatedEscrow.confirmedAmount = remaining;
+              updatedEscrow.deductDepositWei(refundAmount, decimals);
               // Status stays
             }
           } else {
-            updatedEscrow.status = "refunded";
+            refundedInFull = true;
             updatedEscrow.accumulatedDepositAmount = 0;
             updatedEscrow.depositAmount = 0;
             updatedEscrow.confirmedAmount = 0;
           }
           updatedEscrow.pendingRefundAmount = null;
-          await updatedEscrow.save();
+          if (refundedInFull) {
+            await EscrowStateMachine.transition(updatedEscrow, "refunded", {
+              ctx,
+              reason: "Refunded to seller after refund confirmation",
+              metadata: {
+                transactionHash: refundResult.transactionHash,
+                amount: actualAmountToUser,
+              },
+            });
+          } else {
+            await updatedEscrow.save();
+          }
+          await PayoutService.markRecorded(refundResult.payoutId);
+          if (refundedInFull) {
+            await BlockchainService.closeEscrow(updatedEscrow);
+          }
 
           // Success Message
           const explorerUrl = CompletionFeedService.getExplorerLink(
@@ -3347,6 +3483,7 @@ Transaction: ${linkLine}`;
       escrow.buyerConfirmedRefund = false;
       escrow.sellerConfirmedRefund = false;
       escrow.pendingRefundAmount = null;
+      escrow.refundRequestedBy = null;
       await escrow.save();
 
       try {
@@ -3385,8 +3522,11 @@ Transaction: ${linkLine}`;
         escrow.accumulatedDepositAmount || escrow.depositAmount;
       escrow.confirmedAmount = partialAmount;
       escrow.depositAmount = partialAmount;
-      escrow.status = "deposited";
-      await escrow.save();
+      await EscrowStateMachine.transition(escrow, "deposited", {
+        ctx,
+        reason: "Continued with partial deposit",
+        metadata: { amount: partialAmount },
+      });
 
       // Delete the transaction hash message if it exists
       try {
@@ -3487,11 +3627,13 @@ Use /release After Fund Transfer to Seller
       await safeAnswerCbQuery(ctx, "💰 Please send the remaining amount...");
 
       // Ensure status is 'awaiting_deposit' so next transaction hash can be processed
-      escrow.status = "awaiting_deposit";
-      await escrow.save();
+      await EscrowStateMachine.transition(escrow, "awaiting_deposit", {
+        ctx,
+        reason: "Waiting for remaining deposit amount",
+      });
 
       // Calculate remaining amount
-      const expectedAmount = escrow.quantity;
+      const expectedAmount = TrancheService.expectedDepositAmount(escrow);
       const currentAmount =
         escrow.accumulatedDepositAmount || escrow.depositAmount;
       const remainingAmount = expectedAmount - currentAmount;
@@ -3550,9 +3692,7 @@ Use /release After Fund Transfer to Seller
       }
 
       // Check if user is admin
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(ctx.from.id));
+      const isAdmin = hasPermission(ctx, "disputes");
 
       if (!isAdmin) {
         return safeAnswerCbQuery(ctx, "❌ Only admin can cancel refund.");
@@ -3608,9 +3748,7 @@ Use /release After Fund Transfer to Seller
       }
 
       // Check if user is admin
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(ctx.from.id));
+      const isAdmin = hasPermission(ctx, "disputes");
 
       if (!isAdmin) {
         return safeAnswerCbQuery(ctx, "❌ Only admin can confirm refund.");
@@ -3727,7 +3865,9 @@ Use /release After Fund Transfer to Seller
           escrow.sellerAddress,
           refundAmount,
           amountWeiOverride,
-          escrow.groupId
+          escrow.groupId,
+          null,
+          { escrowId: escrow.escrowId }
         );
 
         if (!refundResult || !refundResult.success) {
@@ -3743,6 +3883,9 @@ Use /release After Fund Transfer to Seller
 
         // Always set transaction hash when refund succeeds
         escrow.refundTransactionHash = refundResult.transactionHash;
+        escrow.partialRefundTransactionHashes.push(
+          refundResult.transactionHash
+        );
 
         // Delete confirmation message first (before clearing the ID)
         const confirmationMsgId = escrow.refundConfirmationMessageId;
@@ -3758,8 +3901,9 @@ Use /release After Fund Transfer to Seller
           Math.abs(refundAmount - formattedTotalDeposited) >= EPSILON;
         const remainingAmount = formattedTotalDeposited - refundAmount;
         const isActuallyFullRefund = remainingAmount < EPSILON; // Check if remaining is essentially 0
+        const refundedInFull = !isPartialRefund || isActuallyFullRefund;
 
-        if (isPartialRefund && !isActuallyFullRefund) {
+        if (!refundedInFull) {
           // True partial refund: reduce the deposited amounts
           escrow.accumulatedDepositAmount = remainingAmount;
           escrow.depositAmount = remainingAmount;
@@ -3783,7 +3927,6 @@ Use /release After Fund Transfer to Seller
           if (!escrow.quantity || escrow.quantity <= 0) {
             escrow.quantity = refundAmount;
           }
-          escrow.status = "refunded";
           escrow.accumulatedDepositAmount = 0;
           escrow.depositAmount = 0;
           escrow.confirmedAmount = 0;
@@ -3792,7 +3935,22 @@ Use /release After Fund Transfer to Seller
         escrow.refundConfirmationMessageId = null;
         escrow.pendingRefundAmount = null;
 
-        await escrow.save();
+        if (refundedInFull) {
+          await EscrowStateMachine.transition(escrow, "refunded", {
+            ctx,
+            reason: "Refunded to seller after refund confirmation",
+            metadata: {
+              transactionHash: refundResult.transactionHash,
+              amount: refundAmount,
+            },
+          });
+        } else {
+          await escrow.save();
+        }
+        await PayoutService.markRecorded(refundResult.payoutId);
+        if (refundedInFull) {
+          await BlockchainService.closeEscrow(escrow);
+        }
 
         // Reload escrow to get latest state
         const updatedEscrow = await Escrow.findById(escrow._id);
@@ -3813,18 +3971,11 @@ Use /release After Fund Transfer to Seller
           updatedEscrow.token
         } has been refunded to seller's address!`;
         if (refundResult.transactionHash) {
-          // Generate explorer link based on chain
-          let explorerUrl = "";
-          const chainUpper = updatedEscrow.chain.toUpperCase();
-          if (chainUpper === "BSC" || chainUpper === "BNB") {
-            explorerUrl = `https://bscscan.com/tx/${refundResult.transactionHash}`;
-          } else if (chainUpper === "ETH" || chainUpper === "ETHEREUM") {
-            explorerUrl = `https://etherscan.io/tx/${refundResult.transactionHash}`;
-          } else if (chainUpper === "POLYGON" || chainUpper === "MATIC") {
-            explorerUrl = `https://polygonscan.com/tx/${refundResult.transactionHash}`;
-          } else if (chainUpper === "TRON" || chainUpper === "TRX") {
-            explorerUrl = `https://tronscan.org/#/transaction/${refundResult.transactionHash}`;
-          }
+          const explorerUrl = BlockchainService.getExplorerUrl(
+            updatedEscrow.chain,
+            "tx",
+            refundResult.transactionHash
+          );
 
           if (explorerUrl) {
             successMessage += `\n\n🔗 Transaction: ${explorerUrl}`;
@@ -3855,17 +4006,13 @@ Use /release After Fund Transfer to Seller
             Math.round((Date.now() - new Date(tradeStart)) / (60 * 1000))
           );
 
-          const chainUpper = (finalEscrow.chain || "").toUpperCase();
-          let explorerUrl = "";
-          if (refundResult.transactionHash) {
-            if (chainUpper === "BSC" || chainUpper === "BNB") {
-              explorerUrl = `https://bscscan.com/tx/${refundResult.transactionHash}`;
-            } else if (chainUpper === "ETH" || chainUpper === "ETHEREUM") {
-              explorerUrl = `https://etherscan.io/tx/${refundResult.transactionHash}`;
-            } else if (chainUpper === "POLYGON" || chainUpper === "MATIC") {
-              explorerUrl = `https://polygonscan.com/tx/${refundResult.transactionHash}`;
-            }
-          }
+          const explorerUrl = refundResult.transactionHash
+            ? BlockchainService.getExplorerUrl(
+                finalEscrow.chain,
+                "tx",
+                refundResult.transactionHash
+              )
+            : null;
 
           const linkLine = refundResult?.transactionHash
             ? explorerUrl
@@ -4028,7 +4175,9 @@ Thank you for using our safe escrow system.`;
           escrow.buyerAddress,
           amountToContract,
           null,
-          escrow.groupId
+          escrow.groupId,
+          null,
+          { escrowId: escrow.escrowId }
         );
         // Ensure transaction hash exists (should always exist if transaction succeeded)
         if (!releaseResult || !releaseResult.transactionHash) {
@@ -4037,11 +4186,63 @@ Thank you for using our safe escrow system.`;
           );
         }
 
+        // Tranche deals wait for the next tranche's deposit until the
+        // last one is released
+        const releasedTranche = TrancheService.currentTranche(escrow);
+        const nextTranche = TrancheService.completeTranche(escrow, {
+          depositedAmount: amount,
+          releasedAmount: amountToContract,
+          transactionHash: releaseResult.transactionHash,
+        });
+        if (nextTranche) {
+          const releasedLabel = `Tranche ${releasedTranche.index}/${escrow.tranches.length}`;
+          await EscrowStateMachine.transition(escrow, "awaiting_deposit", {
+            ctx,
+            reason: `${releasedLabel} released, waiting for the next deposit`,
+            metadata: {
+              transactionHash: releaseResult.transactionHash,
+              amount,
+              tranche: releasedTranche.index,
+            },
+          });
+          await PayoutService.markRecorded(releaseResult.payoutId);
+
+          try {
+            const explorerUrl = BlockchainService.getExplorerUrl(
+              escrow.chain || "BSC",
+              "tx",
+              releaseResult.transactionHash
+            );
+            const linkLine = explorerUrl
+              ? `<a href="${explorerUrl}">Click Here</a>`
+              : `<code>${releaseResult.transactionHash}</code>`;
+            await ctx.telegram.sendPhoto(
+              escrow.groupId,
+              images.RELEASE_CONFIRMATION,
+              {
+                caption: `✅ <b>${releasedLabel} Released</b>
+
+💰 Amount Released: ${amount.toFixed(5)} ${escrow.token}
+🔗 Transaction: ${linkLine}
+
+Next: ${TrancheService.label(escrow)} of ${nextTranche.amount} ${
+                  escrow.token
+                }. Use /balance for the running totals.`,
+                parse_mode: "HTML",
+              }
+            );
+          } catch (sendError) {
+            console.error("Error sending tranche release message:", sendError);
+          }
+
+          await sendDepositInstructions(ctx.telegram, escrow);
+          return;
+        }
+
         // Ensure quantity is preserved for statistics (use released amount if quantity is missing)
         if (!escrow.quantity || escrow.quantity <= 0) {
           escrow.quantity = amount;
         }
-        escrow.status = "completed";
         escrow.completedAt = new Date();
         escrow.releaseTransactionHash = releaseResult.transactionHash;
         // Zero out deposit amounts after preserving quantity
@@ -4049,7 +4250,18 @@ Thank you for using our safe escrow system.`;
         escrow.depositAmount = 0;
         escrow.confirmedAmount = 0;
         escrow.accumulatedDepositAmountWei = "0";
-        await escrow.save();
+        await EscrowStateMachine.transition(escrow, "completed", {
+          ctx,
+          reason: "Seller confirmed fiat received",
+          metadata: { transactionHash: releaseResult.transactionHash, amount },
+        });
+        await PayoutService.markRecorded(releaseResult.payoutId);
+        await BlockchainService.closeEscrow(escrow);
+
+        // Stats and the feed count the whole deal, not just the last tranche
+        const dealAmount = TrancheService.isTrancheDeal(escrow)
+          ? TrancheService.totals(escrow).deposited
+          : amount;
 
         try {
           await UserStatsService.recordTrade({
@@ -4057,7 +4269,7 @@ Thank you for using our safe escrow system.`;
             buyerUsername: escrow.buyerUsername,
             sellerId: escrow.sellerId,
             sellerUsername: escrow.sellerUsername,
-            amount,
+            amount: dealAmount,
             token: escrow.token,
             escrowId: escrow.escrowId,
           });
@@ -4068,7 +4280,7 @@ Thank you for using our safe escrow system.`;
         try {
           await CompletionFeedService.handleCompletion({
             escrow,
-            amount,
+            amount: dealAmount,
             transactionHash: releaseResult?.transactionHash,
             telegram: ctx.telegram,
           });
@@ -4087,30 +4299,13 @@ Thank you for using our safe escrow system.`;
         // Send release confirmation message to the group (not as a reply to callback)
         try {
           const chain = escrow.chain || "BSC";
-          let explorerUrl = "";
-          if (releaseResult && releaseResult.transactionHash) {
-            if (
-              chain.toUpperCase() === "BSC" ||
-              chain.toUpperCase() === "BNB"
-            ) {
-              explorerUrl = `https://bscscan.com/tx/${releaseResult.transactionHash}`;
-            } else if (
-              chain.toUpperCase() === "ETH" ||
-              chain.toUpperCase() === "ETHEREUM"
-            ) {
-              explorerUrl = `https://etherscan.io/tx/${releaseResult.transactionHash}`;
-            } else if (
-              chain.toUpperCase() === "POLYGON" ||
-              chain.toUpperCase() === "MATIC"
-            ) {
-              explorerUrl = `https://polygonscan.com/tx/${releaseResult.transactionHash}`;
-            } else if (
-              chain.toUpperCase() === "TRON" ||
-              chain.toUpperCase() === "TRX"
-            ) {
-              explorerUrl = `https://tronscan.org/#/transaction/${releaseResult.transactionHash}`;
-            }
-          }
+          const explorerUrl = releaseResult?.transactionHash
+            ? BlockchainService.getExplorerUrl(
+                chain,
+                "tx",
+                releaseResult.transactionHash
+              )
+            : null;
 
           const linkLine = releaseResult?.transactionHash
             ? explorerUrl
@@ -4123,7 +4318,11 @@ Thank you for using our safe escrow system.`;
 💰 Amount Released: ${amount.toFixed(5)} ${escrow.token}
 🔗 Transaction: ${linkLine}
 
-Trade completed successfully.`;
+${
+  TrancheService.isTrancheDeal(escrow)
+    ? `All ${escrow.tranches.length} tranches released. `
+    : ""
+}Trade completed successfully.`;
 
           console.log(
             "Sending release confirmation with caption:",
@@ -4347,7 +4546,9 @@ Trade completed successfully.`;
             targetAddress,
             amountToContract,
             null,
-            escrow.groupId
+            escrow.groupId,
+            null,
+            { escrowId: escrow.escrowId }
           );
 
           if (!releaseResult || !releaseResult.transactionHash) {
@@ -4359,14 +4560,22 @@ Trade completed successfully.`;
           if (!escrow.quantity || escrow.quantity <= 0) {
             escrow.quantity = actualAmount;
           }
-          escrow.status = "completed";
           escrow.completedAt = new Date();
           escrow.releaseTransactionHash = releaseResult.transactionHash;
           escrow.accumulatedDepositAmount = 0;
           escrow.depositAmount = 0;
           escrow.confirmedAmount = 0;
           escrow.accumulatedDepositAmountWei = "0";
-          await escrow.save();
+          await EscrowStateMachine.transition(escrow, "completed", {
+            ctx,
+            reason: "Release confirmed",
+            metadata: {
+              transactionHash: releaseResult.transactionHash,
+              amount: actualAmount,
+            },
+          });
+          await PayoutService.markRecorded(releaseResult.payoutId);
+          await BlockchainService.closeEscrow(escrow);
 
           try {
             await UserStatsService.recordTrade({
@@ -4411,28 +4620,11 @@ Approved By: ${
           // Send transaction explorer link if available
           if (releaseResult && releaseResult.transactionHash) {
             const chain = escrow.chain || "BSC";
-            let explorerUrl = "";
-            if (
-              chain.toUpperCase() === "BSC" ||
-              chain.toUpperCase() === "BNB"
-            ) {
-              explorerUrl = `https://bscscan.com/tx/${releaseResult.transactionHash}`;
-            } else if (
-              chain.toUpperCase() === "ETH" ||
-              chain.toUpperCase() === "ETHEREUM"
-            ) {
-              explorerUrl = `https://etherscan.io/tx/${releaseResult.transactionHash}`;
-            } else if (
-              chain.toUpperCase() === "POLYGON" ||
-              chain.toUpperCase() === "MATIC"
-            ) {
-              explorerUrl = `https://polygonscan.com/tx/${releaseResult.transactionHash}`;
-            } else if (
-              chain.toUpperCase() === "TRON" ||
-              chain.toUpperCase() === "TRX"
-            ) {
-              explorerUrl = `https://tronscan.org/#/transaction/${releaseResult.transactionHash}`;
-            }
+            const explorerUrl = BlockchainService.getExplorerUrl(
+              chain,
+              "tx",
+              releaseResult.transactionHash
+            );
 
             if (explorerUrl) {
               await ctx.reply(`🔗 Transaction: ${explorerUrl}`);
@@ -4618,8 +4810,7 @@ Approved By: ${
         return;
       }
 
-      const { isAdmin } = require("../middleware/adminAuth");
-      if (!isAdmin(ctx)) {
+      if (!hasPermission(ctx, "funds")) {
         await safeAnswerCbQuery(
           ctx,
           "❌ Access denied. Admin privileges required."
@@ -4646,8 +4837,7 @@ Approved By: ${
         return;
       }
 
-      const { isAdmin } = require("../middleware/adminAuth");
-      if (!isAdmin(ctx)) {
+      if (!hasPermission(ctx, "funds")) {
         await safeAnswerCbQuery(
           ctx,
           "❌ Access denied. Admin privileges required."
@@ -1,6 +1,6 @@
-const Escrow = require("../models/Escrow");
 const DisputeService = require("../services/DisputeService");
-const config = require("../../config");
+const EscrowStateMachine = require("../services/EscrowStateMachine");
+const { isAdmin: isAdminUser } = require("../middleware/adminAuth");
 const findGroupEscrow = require("../utils/findGroupEscrow");
 
 module.exports = async (ctx) => {
@@ -27,9 +27,7 @@ module.exports = async (ctx) => {
       );
     }
 
-    const isAdmin =
-      config.getAllAdminUsernames().includes(ctx.from.username) ||
-      config.getAllAdminIds().includes(String(userId));
+    const isAdmin = isAdminUser(ctx);
 
     const isBuyer =
       escrow.buyerId != null && Number(escrow.buyerId) === Number(userId);
@@ -56,17 +54,10 @@ module.exports = async (ctx) => {
     }
 
     try {
-      const updatedEscrow = await Escrow.findOneAndUpdate(
-        { _id: escrow._id },
-        { $set: { status: "disputed" } },
-        { new: true }
-      );
-
-      if (!updatedEscrow) {
-        throw new Error("Failed to update escrow status");
-      }
-
-      escrow = updatedEscrow;
+      escrow = await EscrowStateMachine.transition(escrow, "disputed", {
+        ctx,
+        reason,
+      });
     } catch (saveError) {
       console.error("Error updating escrow status to disputed:", saveError);
       return ctx.reply(
@@ -74,11 +65,14 @@ module.exports = async (ctx) => {
       );
     }
 
+    const dispute = await DisputeService.openCase(escrow, reason, ctx.from);
+
     const result = await DisputeService.sendDisputeNotification(
       escrow,
       reason,
       userId,
-      ctx.telegram
+      ctx.telegram,
+      dispute
     );
 
     if (result.success) {
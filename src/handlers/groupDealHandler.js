@@ -2,6 +2,8 @@ const Escrow = require("../models/Escrow");
 const Counter = require("../models/Counter");
 const GroupPool = require("../models/GroupPool");
 const GroupPoolService = require("../services/GroupPoolService");
+const BlocklistService = require("../services/BlocklistService");
+const DealTemplateService = require("../services/DealTemplateService");
 const config = require("../../config");
 const feeConfig = require("../config/feeConfig");
 const joinRequestHandler = require("./joinRequestHandler");
@@ -289,6 +291,47 @@ module.exports = async (ctx) => {
       return ctx.reply("❌ You cannot start a deal with yourself.");
     }
 
+    const blockedInitiator = await BlocklistService.getActiveBlock(initiatorId);
+    if (blockedInitiator) {
+      return ctx.reply(BlocklistService.formatBlockNotice(blockedInitiator));
+    }
+    if (
+      await BlocklistService.getActiveBlock(
+        counterpartyId,
+        counterpartyId ? null : counterpartyUsername
+      )
+    ) {
+      return ctx.reply(
+        `❌ ${
+          counterpartyUsername ? `@${counterpartyUsername}` : "This user"
+        } is blocked from trading on this bot, so a deal can't be started with them.`
+      );
+    }
+
+    // Optional template name: the first word left after the command and mentions
+    let template = null;
+    let remainder = text;
+    for (const entity of ctx.message?.entities || []) {
+      if (["bot_command", "mention", "text_mention"].includes(entity.type)) {
+        remainder =
+          remainder.substring(0, entity.offset) +
+          " ".repeat(entity.length) +
+          remainder.substring(entity.offset + entity.length);
+      }
+    }
+    const templateWord = remainder
+      .trim()
+      .split(/\s+/)
+      .find((word) => word && !word.startsWith("@") && !word.startsWith("/"));
+    if (templateWord) {
+      template = await DealTemplateService.find(initiatorId, templateWord);
+      if (!template) {
+        return ctx.reply(
+          `❌ Template "${templateWord}" not found. Use /templates to see your saved templates.`
+        );
+      }
+    }
+
     // Check user bios for "@room" to determine fee
     let feePercent = 0.75;
     let initiatorHasTag = false;
@@ -433,6 +476,7 @@ module.exports = async (ctx) => {
       feeRate: feePercent,
       networkFee: networkFee,
       contractAddress: assignedGroup.contractAddress || null,
+      templateName: template ? template.name : null,
     });
     await newEscrow.save();
 
@@ -456,7 +500,9 @@ module.exports = async (ctx) => {
     )}\n• ${formatParticipantWithRole(participants[1], "Counterparty")}`;
     const noteText =
       "Note: Only the mentioned members can join. Never join any link shared via DM.";
-    const feeText = `\n💰 <b>Fee Tier:</b> ${feePercent}%`;
+    const feeText = `\n💰 <b>Fee Tier:</b> ${feePercent}%${
+      template ? `\n📋 <b>Template:</b> ${template.name}` : ""
+    }`;
     const message = `<b>🏠 Deal Room Created!</b>\n\n🔗 Join Link: ${inviteLink}\n\n${participantsText}\n${feeText}\n\n${noteText}`;
     const inviteMsg = await withRetry(() =>
       ctx.replyWithPhoto(images.DEAL_ROOM_CREATED, {
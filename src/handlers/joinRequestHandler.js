@@ -1,10 +1,11 @@
 const Escrow = require("../models/Escrow");
+const BlocklistService = require("../services/BlocklistService");
+const AdminService = require("../services/AdminService");
 const {
   getParticipants,
   formatParticipant,
   formatParticipantById,
 } = require("../utils/participant");
-const config = require("../../config");
 
 let inviteTimeoutMap = null;
 
@@ -55,13 +56,9 @@ async function joinRequestHandler(ctx) {
     }
     const normalizedUserId = Number(user.id);
     const lowercaseUsername = (user.username || "").toLowerCase();
-    const adminUsernames = (config.getAllAdminUsernames?.() || [])
-      .map((name) => (typeof name === "string" ? name.toLowerCase() : null))
-      .filter(Boolean);
-    const adminIds = (config.getAllAdminIds?.() || []).map(String);
-    const isAdminUser =
-      adminIds.includes(String(normalizedUserId)) ||
-      (lowercaseUsername && adminUsernames.includes(lowercaseUsername));
+    const isAdminUser = Boolean(
+      AdminService.getRole(normalizedUserId, lowercaseUsername)
+    );
 
     if (!escrow) {
       if (isAdminUser) {
@@ -175,6 +172,26 @@ async function joinRequestHandler(ctx) {
       return;
     }
 
+    const blockedUser = await BlocklistService.getActiveBlock(normalizedUserId);
+    if (blockedUser) {
+      try {
+        await ctx.telegram.declineChatJoinRequest(chatId, user.id);
+      } catch (_) {}
+      try {
+        await ctx.telegram.sendMessage(
+          user.id,
+          BlocklistService.formatBlockNotice(blockedUser)
+        );
+      } catch (_) {}
+      await BlocklistService.notifyCounterparty(
+        ctx.telegram,
+        escrow,
+        blockedUser,
+        "their join request was declined and this deal can't continue"
+      );
+      return;
+    }
+
     // Update stored participant info with latest identifiers
     participants[participantIndex].id = normalizedUserId;
     if (user.username) {
@@ -0,0 +1,66 @@
+const DisputeService = require("../services/DisputeService");
+const PaymentProofService = require("../services/PaymentProofService");
+const findGroupEscrow = require("../utils/findGroupEscrow");
+
+/**
+ * Photos and documents posted in a trade group. The buyer's receipt after
+ * "I have sent the money" continues the fiat handshake; later receipts
+ * (while the fiat transfer is open or disputed) are added to the record.
+ */
+module.exports = async (ctx, next) => {
+  try {
+    const chatId = ctx.chat && ctx.chat.id;
+    if (!chatId || chatId > 0 || !ctx.from) {
+      return next();
+    }
+
+    const escrow = await findGroupEscrow(chatId, [
+      "deposited",
+      "in_fiat_transfer",
+      "ready_to_release",
+      "disputed",
+    ]);
+    if (
+      !escrow ||
+      escrow.buyerId == null ||
+      Number(escrow.buyerId) !== Number(ctx.from.id)
+    ) {
+      return next();
+    }
+
+    const collecting =
+      escrow.awaitingPaymentProof ||
+      ["in_fiat_transfer", "disputed"].includes(escrow.status);
+    if (!collecting) {
+      return next();
+    }
+
+    const proof = PaymentProofService.extractProof(ctx.message);
+    if (!proof) {
+      if (escrow.awaitingPaymentProof) {
+        await ctx.reply(
+          "❌ Payment proof must be a photo or a PDF. Please send it again."
+        );
+        return;
+      }
+      return next();
+    }
+
+    const stored = await PaymentProofService.record(escrow, proof, ctx.message);
+    if (escrow.status === "disputed") {
+      await DisputeService.addProofEvidence(escrow, stored);
+    }
+
+    if (escrow.awaitingPaymentProof) {
+      await PaymentProofService.askSeller(ctx.telegram, escrow, stored);
+      return;
+    }
+
+    await ctx.reply(
+      `🧾 Payment proof added to this trade (${escrow.paymentProofs.length} on record).`,
+      { reply_to_message_id: ctx.message.message_id }
+    );
+  } catch (error) {
+    console.error("Error handling payment proof:", error);
+  }
+};
@@ -2,6 +2,7 @@ const Escrow = require("../models/Escrow");
 const { isAdmin } = require("../middleware/adminAuth");
 const config = require("../../config");
 const { getParticipants, formatParticipant } = require("../utils/participant");
+const EscrowStateMachine = require("../services/EscrowStateMachine");
 
 module.exports = async (ctx) => {
   try {
@@ -53,6 +54,17 @@ module.exports = async (ctx) => {
       (escrow.confirmedAmount && escrow.confirmedAmount > 0) ||
       (escrow.accumulatedDepositAmount && escrow.accumulatedDepositAmount > 0);
 
+    // Restarting would forget a deposit the vault still holds
+    if (
+      ["deposited", "in_fiat_transfer", "ready_to_release"].includes(
+        escrow.status
+      )
+    ) {
+      return ctx.reply(
+        "❌ Cannot restart: the deposit is held in escrow. Release or refund it first."
+      );
+    }
+
     if (hasDeposits && !userIsAdmin) {
       return ctx.reply(
         "❌ Cannot restart: Deposits have been made. Only admin can restart after deposits."
@@ -70,7 +82,6 @@ module.exports = async (ctx) => {
     }
 
     escrow.tradeDetailsStep = null;
-    escrow.status = "draft";
     escrow.quantity = null;
     escrow.rate = null;
     escrow.paymentMethod = null;
@@ -129,7 +140,10 @@ module.exports = async (ctx) => {
     escrow.sellerUsername = null;
     escrow.roleSelectionMessageId = null;
 
-    await escrow.save();
+    await EscrowStateMachine.transition(escrow, "draft", {
+      ctx,
+      reason: "Trade restarted via /restart",
+    });
 
     await ctx.reply(
       "✅ Trade has been restarted. Please select your roles again to begin."
@@ -0,0 +1,106 @@
+const DealTemplateService = require("../services/DealTemplateService");
+const findGroupEscrow = require("../utils/findGroupEscrow");
+
+/**
+ * /template_save <name> - save the current trade's chain, coin, rate,
+ * payment method and your payout address as a reusable template
+ */
+async function templateSave(ctx) {
+  try {
+    const chatId = ctx.chat.id;
+    if (chatId > 0) {
+      return ctx.reply(
+        "❌ Use /template_save <name> inside a trade group once the trade details are filled in."
+      );
+    }
+
+    const parts = (ctx.message?.text || "").trim().split(/\s+/);
+    if (parts.length < 2) {
+      return ctx.reply(
+        "❌ Usage: /template_save <name>\n\nExample: /template_save usdt-upi"
+      );
+    }
+
+    const escrow = await findGroupEscrow(chatId, null);
+    if (!escrow) {
+      return ctx.reply("❌ No trade found in this group.");
+    }
+
+    let template;
+    try {
+      template = await DealTemplateService.saveFromEscrow(
+        escrow,
+        ctx.from,
+        parts[1]
+      );
+    } catch (saveError) {
+      return ctx.reply(`❌ ${saveError.message}`);
+    }
+
+    await ctx.reply(
+      `✅ <b>Template saved</b>
+
+${DealTemplateService.describe(template)}
+
+Start a deal from it in the main group with:
+<code>/deal @username ${template.name}</code>`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Error saving deal template:", error);
+    ctx.reply("❌ Error saving template.");
+  }
+}
+
+/**
+ * /templates - list your saved deal templates
+ */
+async function templateList(ctx) {
+  try {
+    const templates = await DealTemplateService.list(ctx.from.id);
+    if (templates.length === 0) {
+      return ctx.reply(
+        "📋 You have no saved templates.\n\nFill in a trade's details, then use /template_save <name> in the trade group."
+      );
+    }
+
+    await ctx.reply(
+      `📋 <b>Your Deal Templates</b>
+
+${templates.map((t) => DealTemplateService.describe(t)).join("\n")}
+
+Use: <code>/deal @username &lt;name&gt;</code>`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    console.error("Error listing deal templates:", error);
+    ctx.reply("❌ Error loading templates.");
+  }
+}
+
+/**
+ * /template_delete <name> - delete one of your deal templates
+ */
+async function templateDelete(ctx) {
+  try {
+    const parts = (ctx.message?.text || "").trim().split(/\s+/);
+    if (parts.length < 2) {
+      return ctx.reply("❌ Usage: /template_delete <name>");
+    }
+
+    const removed = await DealTemplateService.remove(ctx.from.id, parts[1]);
+    if (!removed) {
+      return ctx.reply(`❌ Template "${parts[1]}" not found.`);
+    }
+    await ctx.reply(`🗑 Template "${parts[1].toLowerCase()}" deleted.`);
+  } catch (error) {
+    console.error("Error deleting deal template:", error);
+    ctx.reply("❌ Error deleting template.");
+  }
+}
+
+module.exports = {
+  templateSave,
+  templateList,
+  templateDelete,
+};
@@ -1,6 +1,6 @@
 const Escrow = require("../models/Escrow");
 const Contract = require("../models/Contract");
-const { isValidAddress } = require("../utils/addressValidation");
+const { getAddressError } = require("../utils/addressValidation");
 const config = require("../../config");
 
 module.exports = async (ctx) => {
@@ -34,7 +34,7 @@ module.exports = async (ctx) => {
     const parts = text.split(/\s+/);
     if (parts.length < 2) {
       return ctx.reply(
-        "❌ Usage: /verify <address>\n\nExamples:\n• /verify 0x4dd9c84aD4201d4aDF67eE20508BF622125C515c (EVM)\n• /verify TQn9Y2khEsLMWT4K3LdL8oKbh1Z2HtZqjP (TRON)"
+        "❌ Usage: /verify <address>\n\nExamples:\n• /verify 0x4dd9c84aD4201d4aDF67eE20508BF622125C515c (EVM)\n• /verify TYwKT5aezmF1qfCt3gsqTyKthhVx6JhApH (TRON)"
       );
     }
 
@@ -65,25 +65,15 @@ module.exports = async (ctx) => {
     }
 
     const chainType = isTRON ? "TRON" : "BSC";
-    if (!isValidAddress(address, chainType)) {
-      return ctx.reply(
-        "❌ Invalid address format. Please provide a valid address."
-      );
+    const addressError = getAddressError(address, chainType);
+    if (addressError) {
+      return ctx.reply(addressError);
     }
 
     const normalizedAddress = isTRON ? address : address.toLowerCase();
 
     const escrows = await Escrow.find({
-      $or: [
-        {
-          depositAddress: { $regex: new RegExp(`^${normalizedAddress}$`, "i") },
-        },
-        {
-          uniqueDepositAddress: {
-            $regex: new RegExp(`^${normalizedAddress}$`, "i"),
-          },
-        },
-      ],
+      depositAddressKeys: Escrow.depositAddressKey(address),
     }).sort({ createdAt: -1 });
 
     if (!escrows || escrows.length === 0) {
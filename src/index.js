@@ -18,19 +18,44 @@ const adminHandler = require("./handlers/adminHandler");
 const calculatorHandler = require("./handlers/calculatorHandler");
 const GroupPoolService = require("./services/GroupPoolService");
 const verifyHandler = require("./handlers/verifyHandler");
+const {
+  templateSave,
+  templateList,
+  templateDelete,
+} = require("./handlers/templateHandler");
+const {
+  addressList,
+  addressAdd,
+  addressRemove,
+} = require("./handlers/addressBookHandler");
 const images = require("./config/images");
+const confirmationConfig = require("./config/confirmationConfig");
+const depositConfig = require("./config/depositConfig");
 const UserStatsService = require("./services/UserStatsService");
 const {
-  isValidAddress,
-  getAddressErrorMessage,
+  getPayoutAddressError,
   getAddressExample,
 } = require("./utils/addressValidation");
 const findGroupEscrow = require("./utils/findGroupEscrow");
-const TronService = require("./services/TronService");
+const buildDealSummary = require("./utils/dealSummary");
 const CompletionFeedService = require("./services/CompletionFeedService");
 const { safeAnswerCbQuery } = require("./utils/telegramUtils");
 const restartHandler = require("./handlers/restartHandler");
 const disputeHandler = require("./handlers/disputeHandler");
+const paymentProofHandler = require("./handlers/paymentProofHandler");
+const DepositWatcherService = require("./services/DepositWatcherService");
+const EscrowStateMachine = require("./services/EscrowStateMachine");
+const PayoutService = require("./services/PayoutService");
+const AdminApprovalService = require("./services/AdminApprovalService");
+const ExpiryService = require("./services/ExpiryService");
+const DisputeService = require("./services/DisputeService");
+const AddressBookService = require("./services/AddressBookService");
+const TrancheService = require("./services/TrancheService");
+const GroupMessageService = require("./services/GroupMessageService");
+const RatingService = require("./services/RatingService");
+const ReputationService = require("./services/ReputationService");
+const AdminService = require("./services/AdminService");
+const { adminCommandGuard, hasPermission } = require("./middleware/adminAuth");
 
 class RPCRateLimiter {
   constructor(maxConcurrent = 5, delayBetweenRequests = 100) {
@@ -102,56 +127,162 @@ async function executeRPCWithRetry(fn, maxRetries = 3) {
   }
 }
 
-async function buildDealSummary(escrow) {
-  const amount = escrow.quantity;
-  const rate = escrow.rate;
-  const paymentMethod = escrow.paymentMethod;
-  const chain = escrow.chain;
-  const buyerAddress = escrow.buyerAddress;
-  const sellerAddress = escrow.sellerAddress;
-
-  const buyerUsername = escrow.buyerUsername || "Buyer";
-  const sellerUsername = escrow.sellerUsername || "Seller";
-
-  // Calculate release amount
-  const networkFee = escrow.networkFee || 0;
-  const escrowFeePercent = escrow.feeRate;
-  const escrowFee = ((amount - networkFee) * escrowFeePercent) / 100;
-  const releaseAmount = amount - networkFee - escrowFee;
-
-  let approvalStatus = "";
-  if (escrow.buyerApproved && escrow.sellerApproved) {
-    approvalStatus = "✅ Both parties have approved.";
-  } else {
-    const approvals = [];
-    if (escrow.buyerApproved) {
-      approvals.push(`✅ @${buyerUsername} has approved.`);
+/**
+ * Ask for the next missing payout address, or post the deal summary once
+ * both are known. Template deals may already carry the initiator's address.
+ */
+async function promptNextAddressStep(escrow, ctx) {
+  const telegram = ctx.telegram;
+  const chainName = escrow.chain || "BSC";
+
+  if (!escrow.buyerAddress || !escrow.sellerAddress) {
+    const forBuyer = !escrow.buyerAddress;
+    const username = forBuyer ? escrow.buyerUsername : escrow.sellerUsername;
+    const addressExample = getAddressExample(chainName)
+      .replace("Step 5", forBuyer ? "Step 7" : "Step 8")
+      .replace(
+        "{username}",
+        username ? `@${username}` : forBuyer ? "Buyer" : "Seller"
+      )
+      .replace("{chain}", chainName);
+
+    escrow.tradeDetailsStep = forBuyer
+      ? "step7_addresses"
+      : "step8_seller_address";
+    const savedAddressKeyboard = await AddressBookService.buildDealKeyboard(
+      forBuyer ? escrow.buyerId : escrow.sellerId,
+      chainName
+    );
+    const stepMsg = await telegram.sendPhoto(
+      escrow.groupId,
+      images.ENTER_ADDRESS,
+      {
+        caption: savedAddressKeyboard
+          ? `${addressExample}\n\nOr tap one of your saved addresses below.`
+          : addressExample,
+        reply_markup: savedAddressKeyboard,
+      }
+    );
+    if (forBuyer) {
+      escrow.step7MessageId = stepMsg.message_id;
     } else {
-      approvals.push(`⏳ Waiting for @${buyerUsername} to approve.`);
+      escrow.step8SellerAddressMessageId = stepMsg.message_id;
     }
-    if (escrow.sellerApproved) {
-      approvals.push(`✅ @${sellerUsername} has approved.`);
-    } else {
-      approvals.push(`⏳ Waiting for @${sellerUsername} to approve.`);
+    await escrow.save();
+    return;
+  }
+
+  escrow.tradeDetailsStep = "completed";
+  escrow.buyerApproved = false;
+  escrow.sellerApproved = false;
+  await EscrowStateMachine.transition(escrow, "draft", {
+    ctx,
+    reason: "Trade details completed",
+  });
+
+  const summaryText = await buildDealSummary(escrow);
+  const summaryMsg = await telegram.sendPhoto(
+    escrow.groupId,
+    images.CONFIRM_SUMMARY,
+    {
+      caption: summaryText,
+      parse_mode: "HTML",
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "Approve", callback_data: "approve_deal_summary" }],
+        ],
+      },
     }
-    approvalStatus = approvals.join("\n");
+  );
+  escrow.dealSummaryMessageId = summaryMsg.message_id;
+  await escrow.save();
+}
+
+/**
+ * Fill the current address step from the tapping party's address book.
+ * A saved address is used without confirmation only after its first use.
+ */
+async function useSavedAddress(ctx, entryId, confirmed) {
+  const entry = await AddressBookService.findById(entryId);
+  if (!entry || entry.userId !== ctx.from.id) {
+    return safeAnswerCbQuery(ctx, "❌ This is not your saved address.");
+  }
+
+  const escrow = await findGroupEscrow(
+    ctx.chat.id,
+    ["draft", "awaiting_details"],
+    { tradeDetailsStep: { $in: ["step7_addresses", "step8_seller_address"] } }
+  );
+  if (!escrow) {
+    return safeAnswerCbQuery(ctx, "❌ No address is being collected now.");
   }
 
-  return `📋 <b> Deal Summary</b>
+  const forBuyer = escrow.tradeDetailsStep === "step7_addresses";
+  const partyId = forBuyer ? escrow.buyerId : escrow.sellerId;
+  if (partyId !== ctx.from.id) {
+    return safeAnswerCbQuery(
+      ctx,
+      `❌ Only the ${forBuyer ? "buyer" : "seller"} can enter this address.`
+    );
+  }
+  if (entry.chain !== AddressBookService.normalizeChain(escrow.chain)) {
+    return safeAnswerCbQuery(ctx, `❌ Not a ${escrow.chain} address.`);
+  }
+  const addressError = await getPayoutAddressError(entry.address, escrow.chain);
+  if (addressError) {
+    return safeAnswerCbQuery(ctx, addressError, true);
+  }
+  if (!AddressBookService.isUsable(entry)) {
+    return safeAnswerCbQuery(ctx, "⏳ This address is still in its cooldown.");
+  }
+
+  if (!entry.firstUsedAt && !confirmed) {
+    await safeAnswerCbQuery(ctx);
+    return ctx.reply(
+      `⚠️ <b>First use of this saved address</b>
+
+<code>${entry.address}</code>
 
-• <b>Amount:</b> ${amount} ${escrow.token}
-• <b>Rate:</b> ₹${rate.toFixed(1)}
-• <b>Payment:</b> ${paymentMethod}
-• <b>Chain:</b> ${chain}
-• <b>Network Fee:</b> ${networkFee} ${escrow.token}
-• <b>Service Fee:</b> ${escrowFeePercent}%
-• <b>Release Amount:</b> ${releaseAmount.toFixed(4)} ${escrow.token}
-• <b>Buyer Address:</b> <code>${buyerAddress}</code>
-• <b>Seller Address:</b> <code>${sellerAddress}</code>
+Check every character before confirming. Payouts cannot be reversed.`,
+      {
+        parse_mode: "HTML",
+        reply_markup: {
+          inline_keyboard: [
+            [
+              {
+                text: "✅ Confirm address",
+                callback_data: `confirm_saved_address_${entry._id}`,
+              },
+            ],
+          ],
+        },
+      }
+    );
+  }
 
-🛑 <b>Do not send funds here</b> 🛑
+  await safeAnswerCbQuery(ctx, "✅ Saved address selected");
+  try {
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  } catch (e) {}
+
+  await AddressBookService.markUsed(entry);
+  if (forBuyer) {
+    escrow.buyerAddress = entry.address;
+    await EscrowStateMachine.transition(escrow, "draft", {
+      ctx,
+      reason: "Buyer address set from address book",
+    });
+  } else {
+    escrow.sellerAddress = entry.address;
+  }
 
-${approvalStatus}`;
+  await ctx.reply(
+    `✅ ${forBuyer ? "Buyer" : "Seller"} address set: <code>${
+      entry.address
+    }</code>`,
+    { parse_mode: "HTML" }
+  );
+  await promptNextAddressStep(escrow, ctx);
 }
 
 function parseFlexibleNumber(value) {
@@ -243,114 +374,8 @@ class EscrowBot {
   }
 
   setupGroupMonitoring() {
-    setInterval(async () => {
-      try {
-        const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
-        const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
-
-        const inactiveRecyclable = await Escrow.find({
-          status: { $in: ["draft", "awaiting_details", "awaiting_deposit"] },
-          lastActivityAt: { $lt: twoHoursAgo },
-          isScheduledForRecycle: false,
-        });
-
-        for (const escrow of inactiveRecyclable) {
-          try {
-            let message =
-              "⚠️ <b>Inactivity Alert:</b> This group has been inactive for more than 2 hours.\n\nIt will be recycled and closed in 10 minutes if no activity is detected.";
-
-            if (escrow.status === "awaiting_deposit") {
-              message =
-                "⚠️ <b>Deposit Timeout Warning:</b> We are waiting for a deposit, but none has been detected for over 2 hours.\n\nTo free up the deposit address, this session will be recycled in 10 minutes if no funds are received.";
-            }
-
-            await this.bot.telegram.sendMessage(escrow.groupId, message, {
-              parse_mode: "HTML",
-            });
-
-            escrow.isScheduledForRecycle = true;
-            escrow.recycleWarningSentAt = new Date();
-            await escrow.save();
-          } catch (e) {
-            console.error(
-              `Error sending inactivity warning to ${escrow.groupId}:`,
-              e.message
-            );
-          }
-        }
-
-        const inactiveFunded = await Escrow.find({
-          status: {
-            $in: ["deposited", "in_fiat_transfer", "ready_to_release"],
-          },
-          lastActivityAt: { $lt: twoHoursAgo },
-        });
-
-        for (const escrow of inactiveFunded) {
-          try {
-            if (
-              escrow.recycleWarningSentAt &&
-              escrow.recycleWarningSentAt > escrow.lastActivityAt
-            ) {
-              continue;
-            }
-
-            await this.bot.telegram.sendMessage(
-              escrow.groupId,
-              "⚠️ <b>Action Required:</b> This transaction has been inactive for over 2 hours.\n\n💰 Funds are secure in escrow.\n\nPlease proceed with the trade steps, or use /cancel (if valid) or ask an admin for help if stuck.",
-              { parse_mode: "HTML" }
-            );
-
-            escrow.recycleWarningSentAt = new Date();
-            escrow.isScheduledForRecycle = false;
-            await escrow.save();
-          } catch (e) {
-            console.error(
-              `Error sending funded inactivity warning to ${escrow.groupId}:`,
-              e.message
-            );
-          }
-        }
-
-        const pendingRecycle = await Escrow.find({
-          status: { $in: ["draft", "awaiting_details", "awaiting_deposit"] },
-          isScheduledForRecycle: true,
-          recycleWarningSentAt: { $lt: tenMinutesAgo },
-        });
-
-        for (const escrow of pendingRecycle) {
-          try {
-            if (escrow.lastActivityAt > escrow.recycleWarningSentAt) {
-              escrow.isScheduledForRecycle = false;
-              escrow.recycleWarningSentAt = null;
-              await escrow.save();
-              await this.bot.telegram.sendMessage(
-                escrow.groupId,
-                "✅ Activity detected. Group recycling cancelled."
-              );
-              continue;
-            }
-
-            await this.bot.telegram.sendMessage(
-              escrow.groupId,
-              "⏳ Session expired. Recycling group..."
-            );
-
-            escrow.status = "cancelled";
-            await escrow.save();
-
-            await GroupPoolService.recycleGroupNow(escrow, this.bot.telegram);
-          } catch (e) {
-            console.error(
-              `Error processing pending recycle for ${escrow.groupId}:`,
-              e
-            );
-          }
-        }
-      } catch (error) {
-        console.error("Error in setupGroupMonitoring loop:", error);
-      }
-    }, 5 * 60 * 1000);
+    // Per-stage deadlines, countdowns and expiry actions
+    ExpiryService.start(this.bot.telegram);
   }
 
   setupMiddleware() {
@@ -386,10 +411,23 @@ class EscrowBot {
             );
           } catch (e) {}
         })();
+
+        if (ctx.message) {
+          GroupMessageService.record(ctx.message).catch((error) =>
+            console.error("Error archiving group message:", error)
+          );
+        } else if (ctx.editedMessage) {
+          GroupMessageService.recordEdit(ctx.editedMessage).catch((error) =>
+            console.error("Error archiving edited group message:", error)
+          );
+        }
       }
 
       return next();
     });
+
+    // Admin commands are limited to the roles allowed to use them
+    this.bot.use(adminCommandGuard());
   }
 
   setupHandlers() {
@@ -420,16 +458,9 @@ class EscrowBot {
         }
 
         const userId = from.id;
-        const adminUserId = config.ADMIN_USER_ID
-          ? Number(config.ADMIN_USER_ID)
-          : null;
-        const adminUserId2 = config.ADMIN_USER_ID2
-          ? Number(config.ADMIN_USER_ID2)
-          : null;
-
         const isBuyer = escrow.buyerId === userId;
         const isSeller = escrow.sellerId === userId;
-        const isAdmin = userId === adminUserId || userId === adminUserId2;
+        const isAdmin = hasPermission(ctx, "moderate");
 
         if (!isBuyer && !isSeller && !isAdmin) {
           return ctx.reply(
@@ -440,8 +471,11 @@ class EscrowBot {
         // If Admin, cancel immediately
         if (isAdmin) {
           await ctx.reply("⚠️ Admin cancelled the deal. Resetting group...");
-          escrow.status = "cancelled";
-          await escrow.save();
+          escrow.cancelRequestedBy = null;
+          await EscrowStateMachine.transition(escrow, "cancelled", {
+            ctx,
+            reason: "Cancelled by admin via /cancel",
+          });
           await GroupPoolService.recycleGroupNow(escrow, ctx.telegram);
           return;
         }
@@ -449,6 +483,7 @@ class EscrowBot {
         // For Buyer/Seller, require confirmation from BOTH
         escrow.buyerConfirmedCancel = false;
         escrow.sellerConfirmedCancel = false;
+        escrow.cancelRequestedBy = userId;
 
         // No auto-confirm. Both must explicitly click.
 
@@ -558,8 +593,10 @@ Both parties must confirm to proceed.
             `⚠️ <b>Deal Cancelled</b>\n\nBoth parties confirmed. Resetting group...`,
             { parse_mode: "HTML" }
           );
-          escrow.status = "cancelled";
-          await escrow.save();
+          await EscrowStateMachine.transition(escrow, "cancelled", {
+            ctx,
+            reason: "Cancel confirmed by buyer and seller",
+          });
           await GroupPoolService.recycleGroupNow(escrow, ctx.telegram);
         } else {
           await ctx.editMessageText(msg, {
@@ -596,6 +633,7 @@ Both parties must confirm to proceed.
 
         escrow.buyerConfirmedCancel = false;
         escrow.sellerConfirmedCancel = false;
+        escrow.cancelRequestedBy = null;
         await escrow.save();
 
         await ctx.editMessageText("❌ Cancel request aborted by user.");
@@ -661,37 +699,14 @@ Both parties must confirm to proceed.
           return next();
         }
 
-        const telegram = ctx.telegram;
-        const groupId = escrow.groupId;
-
-        if (!isValidAddress(text, escrow.chain)) {
-          await ctx.reply(getAddressErrorMessage(escrow.chain));
+        const addressError = await getPayoutAddressError(text, escrow.chain);
+        if (addressError) {
+          await ctx.reply(addressError);
           return;
         }
 
         escrow.sellerAddress = text;
-        escrow.tradeDetailsStep = "completed";
-        escrow.status = "draft";
-        escrow.buyerApproved = false;
-        escrow.sellerApproved = false;
-        await escrow.save();
-
-        const summaryText = await buildDealSummary(escrow);
-        const summaryMsg = await telegram.sendPhoto(
-          groupId,
-          images.CONFIRM_SUMMARY,
-          {
-            caption: summaryText,
-            parse_mode: "HTML",
-            reply_markup: {
-              inline_keyboard: [
-                [{ text: "Approve", callback_data: "approve_deal_summary" }],
-              ],
-            },
-          }
-        );
-        escrow.dealSummaryMessageId = summaryMsg.message_id;
-        await escrow.save();
+        await promptNextAddressStep(escrow, ctx);
 
         return;
       } catch (e) {
@@ -729,38 +744,18 @@ Both parties must confirm to proceed.
           return;
         }
 
-        const telegram = ctx.telegram;
-        const groupId = escrow.groupId;
-
-        if (!isValidAddress(text, escrow.chain)) {
-          await ctx.reply(getAddressErrorMessage(escrow.chain));
+        const addressError = await getPayoutAddressError(text, escrow.chain);
+        if (addressError) {
+          await ctx.reply(addressError);
           return;
         }
 
         escrow.buyerAddress = text;
-        escrow.tradeDetailsStep = "step8_seller_address";
-        escrow.status = "draft";
-        await escrow.save();
-
-        const sellerUsername = escrow.sellerUsername
-          ? `@${escrow.sellerUsername}`
-          : "Seller";
-        const chainName = escrow.chain || "BSC";
-
-        const addressExample = getAddressExample(chainName)
-          .replace("Step 5", "Step 8")
-          .replace("{username}", sellerUsername)
-          .replace("{chain}", chainName);
-
-        const step8Msg = await telegram.sendPhoto(
-          groupId,
-          images.ENTER_ADDRESS,
-          {
-            caption: addressExample,
-          }
-        );
-        escrow.step8SellerAddressMessageId = step8Msg.message_id;
-        await escrow.save();
+        await EscrowStateMachine.transition(escrow, "draft", {
+          ctx,
+          reason: "Buyer address set",
+        });
+        await promptNextAddressStep(escrow, ctx);
 
         return;
       } catch (e) {
@@ -769,6 +764,42 @@ Both parties must confirm to proceed.
       return next();
     });
 
+    // Comment for a post-trade rating, sent in private after the stars
+    this.bot.use(async (ctx, next) => {
+      try {
+        if (
+          !ctx.chat ||
+          ctx.chat.type !== "private" ||
+          !ctx.message?.text ||
+          ctx.message.text.startsWith("/")
+        ) {
+          return next();
+        }
+        if (await RatingService.handleComment(ctx)) {
+          return;
+        }
+      } catch (e) {
+        console.error("Rating comment error", e);
+      }
+      return next();
+    });
+
+    this.bot.action(/^use_saved_address_(.+)$/, async (ctx) => {
+      try {
+        await useSavedAddress(ctx, ctx.match[1], false);
+      } catch (e) {
+        console.error("Use saved address error", e);
+      }
+    });
+
+    this.bot.action(/^confirm_saved_address_(.+)$/, async (ctx) => {
+      try {
+        await useSavedAddress(ctx, ctx.match[1], true);
+      } catch (e) {
+        console.error("Confirm saved address error", e);
+      }
+    });
+
     this.bot.use(async (ctx, next) => {
       try {
         const chat = ctx.chat;
@@ -828,25 +859,13 @@ Both parties must confirm to proceed.
           txHash = hashMatch[1];
         }
 
-        // Normalize to lowercase to ensure global uniqueness check works case-insensitively
-        txHash = txHash.toLowerCase();
-
-        const txChainUpper = (escrow.chain || "").toUpperCase();
-        if (txChainUpper === "TRON" || txChainUpper === "TRX") {
-          if (!/^[a-f0-9]{64}$/.test(txHash)) {
-            await ctx.reply(
-              "❌ Invalid TRON transaction hash format. Please provide a valid transaction hash or explorer link."
-            );
-            return;
-          }
-        } else {
-          if (!/^(0x)?[a-f0-9]{64}$/.test(txHash)) {
-            await ctx.reply(
-              "❌ Invalid transaction hash format. Please provide a valid transaction hash or explorer link."
-            );
-            return;
-          }
-          txHash = "0x" + txHash;
+        // Normalized (lowercase) so the uniqueness checks below match
+        txHash = BlockchainService.normalizeTxHash(escrow.chain, txHash);
+        if (!txHash) {
+          await ctx.reply(
+            "❌ Invalid transaction hash format. Please provide a valid transaction hash or explorer link."
+          );
+          return;
         }
 
         // 15-Minute Age Validation
@@ -912,233 +931,63 @@ Both parties must confirm to proceed.
           return;
         }
 
-        const chainUpper = (escrow.chain || "").toUpperCase();
-        let txFrom = null;
-        let amount = 0;
-        let amountWeiBigInt = 0n;
-
-        if (chainUpper === "TRON" || chainUpper === "TRX") {
-          try {
-            const tokenAddress = BlockchainService.getTokenAddress(
-              escrow.token,
-              escrow.chain
-            );
-            if (!tokenAddress) {
-              await ctx.reply(
-                "❌ Token address not found. Please contact admin."
-              );
-              return;
-            }
-
-            await TronService.init();
-            const tronWeb = TronService.tronWeb;
-            const tx = await tronWeb.trx.getTransaction(txHash);
-
-            if (!tx || !tx.ret) {
-              await ctx.reply(
-                "❌ Transaction not found or not confirmed. Please check the transaction hash."
-              );
-              return;
-            }
-
-            const txInfo = await tronWeb.trx.getTransactionInfo(txHash);
-            if (!txInfo || !txInfo.log) {
-              await ctx.reply(
-                "❌ Transaction info not found. Transaction may still be pending."
-              );
-              return;
-            }
-
-            const depositAddr = escrow.depositAddress;
-            let transferLog = null;
-            const decimals = BlockchainService.getTokenDecimals(
-              escrow.token,
-              escrow.chain
-            );
-            let fromAddr = null;
-            let toAddr = null;
-
-            for (const log of txInfo.log || []) {
-              try {
-                const logContractHex = log.address;
-                const expectedTokenHex = tronWeb.address.toHex(tokenAddress);
-
-                if (
-                  logContractHex.toLowerCase().replace(/^0x/, "41") !==
-                  expectedTokenHex.toLowerCase().replace(/^0x/, "41")
-                ) {
-                  continue;
-                }
-
-                if (log.topics && log.topics.length >= 3) {
-                  const transferEventSig =
-                    "ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
-                  if (
-                    log.topics[0] === transferEventSig ||
-                    log.topics[0].toLowerCase() === transferEventSig
-                  ) {
-                    const fromHex = "41" + log.topics[1].slice(-40);
-                    const toHex = "41" + log.topics[2].slice(-40);
-
-                    const depositAddrHex = tronWeb.address.toHex(depositAddr);
-
-                    if (toHex.toLowerCase() === depositAddrHex.toLowerCase()) {
-                      fromAddr = tronWeb.address.fromHex(fromHex);
-                      toAddr = tronWeb.address.fromHex(toHex);
-
-                      const valueHex = log.data || "0";
-                      const value = BigInt("0x" + valueHex);
-
-                      transferLog = { from: fromAddr, to: toAddr, value };
-                      amountWeiBigInt = value;
-                      amount = Number(amountWeiBigInt) / Math.pow(10, decimals);
-                      break;
-                    }
-                  }
-                }
-              } catch (e) {
-                console.error("Error parsing TRON log:", e);
-                continue;
-              }
-            }
-
-            if (!transferLog) {
-              await ctx.reply(
-                "❌ No transfer to deposit address found in this transaction."
-              );
-              return;
-            }
-
-            txFrom = fromAddr;
-          } catch (error) {
-            console.error("Error processing TRON transaction:", error);
-            await ctx.reply(
-              "❌ Error processing TRON transaction. Please check the transaction hash and try again."
+        // A transaction just sent may not have reached every RPC node yet
+        let lookup = null;
+        try {
+          for (let attempt = 0; attempt < 3; attempt++) {
+            lookup = await executeRPCWithRetry(() =>
+              BlockchainService.getTransferByHash(
+                escrow.chain,
+                escrow.token,
+                txHash,
+                escrow.depositAddress
+              )
             );
-            return;
+            if (lookup.state !== "not_found") break;
+            if (attempt < 2) await new Promise((r) => setTimeout(r, 2000));
           }
-        } else {
-          const provider =
-            BlockchainService.providers[escrow.chain?.toUpperCase()] ||
-            BlockchainService.providers["BSC"];
-
-          try {
-            let tx = null;
-            for (let attempt = 0; attempt < 3; attempt++) {
-              try {
-                tx = await executeRPCWithRetry(async () => {
-                  return await provider.getTransaction(txHash);
-                });
-                if (tx) break;
-              } catch (ignore) {}
-              if (attempt < 2) await new Promise((r) => setTimeout(r, 2000));
-            }
-
-            if (!tx) {
-              await ctx.reply(
-                "❌ Transaction not found. Please check the transaction hash."
-              );
-              return;
-            }
-
-            const receipt = await executeRPCWithRetry(async () => {
-              return await provider.getTransactionReceipt(txHash);
-            });
-
-            if (!receipt) {
-              await ctx.reply(
-                "❌ Transaction receipt not found. Transaction may still be pending. Please wait a moment and try again."
-              );
-              return;
-            }
-
-            const tokenAddress = BlockchainService.getTokenAddress(
-              escrow.token,
-              escrow.chain
-            );
-            if (!tokenAddress) {
-              await ctx.reply(
-                "❌ Token address not found. Please contact admin."
-              );
-              return;
-            }
-
-            const iface = new ethers.Interface([
-              "event Transfer(address indexed from, address indexed to, uint256 value)",
-            ]);
-            const logs = receipt.logs.filter(
-              (log) => log.address.toLowerCase() === tokenAddress.toLowerCase()
-            );
-
-            if (logs.length === 0) {
-              await ctx.reply(
-                "❌ No token transfer found in this transaction."
-              );
-              return;
-            }
-
-            const depositAddr = escrow.depositAddress.toLowerCase();
-            let transferLog = null;
-            const decimals = BlockchainService.getTokenDecimals(
-              escrow.token,
-              escrow.chain
-            );
-            let fromAddr = null;
-            let toAddr = null;
-
-            for (const log of logs) {
-              try {
-                const parsed = iface.parseLog({
-                  topics: log.topics,
-                  data: log.data,
-                });
-                if (parsed && parsed.name === "Transfer") {
-                  fromAddr = parsed.args[0];
-                  toAddr = parsed.args[1];
-                  const value = parsed.args[2];
-
-                  if (toAddr.toLowerCase() === depositAddr) {
-                    transferLog = parsed;
-                    amountWeiBigInt = BigInt(value.toString());
-                    amount = Number(amountWeiBigInt) / Math.pow(10, decimals);
-                    break;
-                  }
-                }
-              } catch (e) {
-                continue;
-              }
-            }
-
-            if (!transferLog) {
-              await ctx.reply(
-                "❌ No transfer to deposit address found in this transaction."
-              );
-              return;
-            }
+        } catch (err) {
+          console.error("Error fetching transaction:", err);
+          await ctx.reply(
+            "❌ Error fetching transaction details. Please check the transaction hash and try again."
+          );
+          return;
+        }
 
-            txFrom = fromAddr;
-          } catch (err) {
-            console.error("Error fetching transaction:", err);
-            await ctx.reply(
-              "❌ Error fetching transaction details. Please check the transaction hash and try again."
-            );
-            return;
-          }
+        if (lookup.state === "not_found") {
+          await ctx.reply(
+            "❌ Transaction not found. Please check the transaction hash."
+          );
+          return;
+        }
+        if (lookup.state === "pending") {
+          await ctx.reply(
+            "❌ Transaction receipt not found. Transaction may still be pending. Please wait a moment and try again."
+          );
+          return;
+        }
+        if (lookup.state !== "found") {
+          await ctx.reply(
+            "❌ No transfer to deposit address found in this transaction."
+          );
+          return;
         }
 
-        const expectedAmount = escrow.quantity;
-        const tolerance = 0.01;
+        const txFrom = lookup.transfer.from;
+        const txBlockNumber = lookup.transfer.blockNumber;
+        const amount = lookup.transfer.valueDecimal;
+        const amountWeiBigInt = BigInt(lookup.transfer.valueWei);
 
-        const freshEscrow = await Escrow.findById(escrow._id);
+        const expectedAmount = TrancheService.expectedDepositAmount(escrow);
+        const tolerance = depositConfig.getTolerance(escrow.token);
 
-        const currentAccumulated = freshEscrow.accumulatedDepositAmount;
-        const newAccumulated = currentAccumulated + amount;
-        const remainingAmount = expectedAmount - newAccumulated;
+        let freshEscrow = await Escrow.findById(escrow._id);
 
         if (
           freshEscrow.transactionHash === txHash ||
           (freshEscrow.partialTransactionHashes &&
-            freshEscrow.partialTransactionHashes.includes(txHash))
+            freshEscrow.partialTransactionHashes.includes(txHash)) ||
+          (freshEscrow.pendingDeposits || []).some((d) => d.hash === txHash)
         ) {
           await ctx.reply(
             "❌ This transaction has already been submitted for this trade. Please wait for confirmation."
@@ -1146,30 +995,54 @@ Both parties must confirm to proceed.
           return;
         }
 
-        freshEscrow.accumulatedDepositAmount = newAccumulated;
-        const currentAccumulatedWei = BigInt(
-          freshEscrow.accumulatedDepositAmountWei || "0"
+        // Hold the deposit until it is buried deep enough (reorg safety);
+        // the deposit watcher finishes it and updates the progress message
+        const latestBlock = await BlockchainService.getLatestBlockNumber(
+          escrow.chain
         );
-        const newAccumulatedWei = currentAccumulatedWei + amountWeiBigInt;
-        freshEscrow.accumulatedDepositAmountWei = newAccumulatedWei.toString();
+        const requiredConfirmations =
+          confirmationConfig.getRequiredConfirmations(escrow.chain);
+        if (
+          confirmationConfig.countConfirmations(txBlockNumber, latestBlock) <
+          requiredConfirmations
+        ) {
+          await DepositWatcherService.addPendingDeposit(freshEscrow._id, {
+            hash: txHash,
+            from: txFrom,
+            valueDecimal: amount,
+            valueWei: amountWeiBigInt.toString(),
+            blockNumber: txBlockNumber,
+          });
+          await DepositWatcherService.processPendingDeposits(
+            freshEscrow._id,
+            latestBlock,
+            ctx.telegram
+          );
+          return;
+        }
 
-        if (!freshEscrow.transactionHash) {
-          freshEscrow.transactionHash = txHash;
-          freshEscrow.depositTransactionFromAddress = txFrom;
-        } else {
-          if (!freshEscrow.partialTransactionHashes) {
-            freshEscrow.partialTransactionHashes = [];
+        // Same atomic claim as the deposit watcher: a scan that finds this
+        // transfer at the same time can't credit it a second time
+        const claimed = await DepositWatcherService.claimTransaction(
+          freshEscrow._id,
+          {
+            hash: txHash,
+            from: txFrom,
+            valueDecimal: amount,
+            valueWei: amountWeiBigInt.toString(),
           }
-          freshEscrow.partialTransactionHashes.push(txHash);
+        );
+        if (!claimed) {
+          await ctx.reply(
+            "❌ This transaction has already been submitted for this trade. Please wait for confirmation."
+          );
+          return;
         }
 
-        freshEscrow.depositAmount = newAccumulated;
-        if (
-          newAccumulated < expectedAmount - tolerance &&
-          freshEscrow.status !== "awaiting_deposit"
-        ) {
-        }
-        await freshEscrow.save();
+        freshEscrow = await Escrow.findById(escrow._id);
+        const newAccumulated = freshEscrow.accumulatedDepositAmount;
+        const currentAccumulated = newAccumulated - amount;
+        const remainingAmount = expectedAmount - newAccumulated;
 
         if (newAccumulated < expectedAmount - tolerance) {
           try {
@@ -1226,7 +1099,7 @@ Both parties must confirm to proceed.
           const fromAddress =
             freshEscrow.depositTransactionFromAddress || from || "N/A";
           const depositAddress = freshEscrow.depositAddress || "N/A";
-          const expectedAmountDisplay = freshEscrow.quantity.toFixed(2);
+          const expectedAmountDisplay = expectedAmount.toFixed(2);
           const overDelivered =
             expectedAmount > 0 && newAccumulated - expectedAmount > tolerance;
 
@@ -1236,9 +1109,14 @@ Both parties must confirm to proceed.
               freshEscrow.status
             )
           ) {
-            freshEscrow.status = "deposited";
+            await EscrowStateMachine.transition(freshEscrow, "deposited", {
+              ctx,
+              reason: "Deposit confirmed from pasted transaction hash",
+              metadata: { transactionHash: txHash, amount: newAccumulated },
+            });
+          } else {
+            await freshEscrow.save();
           }
-          await freshEscrow.save();
 
           const isTopUp = currentAccumulated >= expectedAmount - tolerance;
 
@@ -1388,23 +1266,51 @@ Use /release After Fund Transfer to Seller
         const groupId = escrow.groupId;
 
         if (escrow.tradeDetailsStep === "step4_amount") {
-          // Strict validation: No commas allowed, only numbers and dot
-          if (text.includes(",") || !/^\d+(\.\d+)?$/.test(text)) {
+          // Strict validation: No commas allowed, only numbers and dot,
+          // optionally "x <count>" to split the deal into tranches
+          const parsed = text.includes(",")
+            ? { error: "format" }
+            : TrancheService.parseAmountInput(text);
+          if (parsed.error === "format") {
             await ctx.reply(
-              "❌ Invalid format.\n\nPlease enter the amount using ONLY numbers and '.' (dot) for decimals.\n\nExample: 1500.50\n(Do not use ',' commas)"
+              "❌ Invalid format.\n\nPlease enter the amount using ONLY numbers and '.' (dot) for decimals.\n\nExample: 1500.50\n(Do not use ',' commas)\n\nTo settle in tranches: 10000 x 4"
             );
             return;
           }
-
-          const amount = parseFloat(text);
-          if (isNaN(amount) || amount <= 0) {
+          if (parsed.error === "amount") {
             await ctx.reply(
               "❌ Please enter a valid amount greater than 0.\n\nExample: 1500.50"
             );
             return;
           }
+          if (parsed.error === "count") {
+            await ctx.reply(
+              `❌ A deal can be split into 2 to ${config.MAX_TRANCHES} tranches.\n\nExample: 10000 x 4`
+            );
+            return;
+          }
+          if (parsed.error === "tranche") {
+            await ctx.reply(
+              `❌ Each tranche must be at least ${config.MIN_TRADE_AMOUNT} ${escrow.token}.`
+            );
+            return;
+          }
+
+          TrancheService.applyPlan(escrow, parsed.amount, parsed.count);
+
+          // Template deals already carry the rate and payment method
+          if (escrow.templateName && escrow.rate && escrow.paymentMethod) {
+            if (!escrow.tradeStartTime) {
+              escrow.tradeStartTime = escrow.createdAt || new Date();
+            }
+            await EscrowStateMachine.transition(escrow, "draft", {
+              ctx,
+              reason: "Amount set for template deal",
+            });
+            await promptNextAddressStep(escrow, ctx);
+            return;
+          }
 
-          escrow.quantity = amount;
           escrow.tradeDetailsStep = "step5_rate";
           await escrow.save();
 
@@ -1444,28 +1350,15 @@ Use /release After Fund Transfer to Seller
           }
 
           escrow.paymentMethod = paymentMethod;
-          escrow.tradeDetailsStep = "step7_addresses";
-          escrow.status = "draft";
           if (!escrow.tradeStartTime) {
             escrow.tradeStartTime = escrow.createdAt || new Date();
           }
-          await escrow.save();
-
-          const buyerUsername = escrow.buyerUsername
-            ? `@${escrow.buyerUsername}`
-            : "Buyer";
-          const chainName = escrow.chain || "BSC";
-
-          const addressExample = getAddressExample(chainName)
-            .replace("Step 5", "Step 7")
-            .replace("{username}", buyerUsername)
-            .replace("{chain}", chainName);
-
-          const step7Msg = await ctx.replyWithPhoto(images.ENTER_ADDRESS, {
-            caption: addressExample,
+          await EscrowStateMachine.transition(escrow, "draft", {
+            ctx,
+            reason: "Payment method set",
           });
-          escrow.step7MessageId = step7Msg.message_id;
-          await escrow.save();
+
+          await promptNextAddressStep(escrow, ctx);
 
           return;
         }
@@ -1518,6 +1411,12 @@ Use /release After Fund Transfer to Seller
 
     this.bot.command("deal", groupDealHandler);
     this.bot.command("verify", verifyHandler);
+    this.bot.command("template_save", templateSave);
+    this.bot.command("templates", templateList);
+    this.bot.command("template_delete", templateDelete);
+    this.bot.command("addresses", addressList);
+    this.bot.command("address_add", addressAdd);
+    this.bot.command("address_remove", addressRemove);
     this.bot.command("restart", restartHandler);
     this.bot.command("dispute", disputeHandler);
     this.bot.command("release", async (ctx) => {
@@ -1541,12 +1440,7 @@ Use /release After Fund Transfer to Seller
         }
 
         const normalizedUsername = (ctx.from.username || "").toLowerCase();
-        const isAdmin =
-          config
-            .getAllAdminUsernames()
-            .some(
-              (name) => name && name.toLowerCase() === normalizedUsername
-            ) || config.getAllAdminIds().includes(String(userId));
+        const isAdmin = hasPermission(ctx, "disputes");
         const isSellerIdMatch =
           escrow.sellerId && Number(escrow.sellerId) === Number(userId);
         const isSellerUsernameMatch =
@@ -1827,9 +1721,7 @@ ${approvalNote}`;
         const normalizedUsername = ctx.from.username
           ? ctx.from.username.toLowerCase()
           : "";
-        const isAdmin =
-          config.getAllAdminUsernames().includes(ctx.from.username) ||
-          config.getAllAdminIds().includes(String(userId));
+        const isAdmin = hasPermission(ctx, "disputes");
 
         const isBuyerIdMatch =
           escrow.buyerId && Number(escrow.buyerId) === Number(userId);
@@ -1965,6 +1857,7 @@ ${approvalNote}`;
         );
 
         escrow.releaseConfirmationMessageId = refundMsg.message_id;
+        escrow.refundRequestedBy = isBuyer ? userId : null;
         await escrow.save();
       } catch (error) {
         console.error("Error in refund command:", error);
@@ -1989,9 +1882,7 @@ ${approvalNote}`;
           return ctx.reply("❌ Escrow not found.");
         }
 
-        const isUserAdmin = config
-          .getAllAdminIds()
-          .includes(String(ctx.from.id));
+        const isUserAdmin = hasPermission(ctx, "disputes");
 
         // Idempotency: prevent double refund
         const callbackMessageId = ctx.callbackQuery?.message?.message_id;
@@ -2065,6 +1956,20 @@ ${approvalNote}`;
           );
         }
 
+        if (isUserAdmin && escrow.buyerId !== ctx.from.id) {
+          // Large refunds forced by an admin need other admins to sign off
+          const approved = await AdminApprovalService.authorize(ctx, {
+            escrow,
+            action: "refund",
+            amount: refundAmount,
+            destination: escrow.sellerAddress,
+            executeCallback: `refund_confirm_yes_${escrowId}`,
+          });
+          if (!approved) {
+            return safeAnswerCbQuery(ctx, "🔐 Sent for admin approval.");
+          }
+        }
+
         await ctx.reply("🔄 Processing refund... please wait.");
 
         try {
@@ -2079,20 +1984,27 @@ ${approvalNote}`;
             amountToContract, // Send amount after network fee, contract deducts service fee
             null,
             escrow.groupId,
-            escrow.contractAddress // Pass explicit contract address to avoid lookup error
+            escrow.contractAddress, // Pass explicit contract address to avoid lookup error
+            { escrowId: escrow.escrowId }
           );
 
           if (!refundResult || !refundResult.transactionHash) {
             throw new Error("Refund transaction failed (no hash).");
           }
 
+          escrow.refundTransactionHash = refundResult.transactionHash;
+          escrow.partialRefundTransactionHashes.push(
+            refundResult.transactionHash
+          );
+
           const isPartialRefund =
             Math.abs(totalDeposited - actualAmountToUser) > 0.00001;
+          let refundedInFull = false;
 
           if (isPartialRefund) {
             const remaining = totalDeposited - refundAmount;
             if (remaining < 0.00001) {
-              escrow.status = "refunded";
+              refundedInFull = true;
               escrow.accumulatedDepositAmount = 0;
               escrow.depositAmount = 0;
               escrow.confirmedAmount = 0;
@@ -2101,16 +2013,41 @@ ${approvalNote}`;
               escrow.accumulatedDepositAmount = remaining;
               escrow.depositAmount = remaining;
               escrow.confirmedAmount = remaining;
+              escrow.deductDepositWei(refundAmount, decimals);
               // Status stays 'deposited' or whatever previous state was
             }
           } else {
-            escrow.status = "refunded";
+            refundedInFull = true;
             escrow.accumulatedDepositAmount = 0;
             escrow.depositAmount = 0;
             escrow.confirmedAmount = 0;
             escrow.accumulatedDepositAmountWei = "0";
           }
-          await escrow.save();
+          if (refundedInFull) {
+            await EscrowStateMachine.transition(escrow, "refunded", {
+              ctx,
+              reason: "Refunded via /refund",
+              metadata: {
+                transactionHash: refundResult.transactionHash,
+                amount: actualAmountToUser,
+              },
+            });
+          } else {
+            await escrow.save();
+          }
+          await PayoutService.markRecorded(refundResult.payoutId);
+          if (refundedInFull) {
+            await BlockchainService.closeEscrow(escrow);
+            await DisputeService.completeResolution(
+              escrow,
+              {
+                resolution: "refund",
+                transactionHash: refundResult.transactionHash,
+                admin: ctx.from,
+              },
+              ctx.telegram
+            );
+          }
 
           try {
             await CompletionFeedService.handleRefund({
@@ -2162,6 +2099,11 @@ Funds returned to Seller.`;
           if (!err.message.includes("Insufficient Vault Balance")) {
             console.error("Refund Execution Error:", err);
           }
+          await DisputeService.cancelResolution(
+            escrow,
+            "refund failed",
+            ctx.telegram
+          );
           await ctx.reply(`❌ Refund Failed: ${err.message}`);
         }
       } catch (error) {
@@ -2197,7 +2139,13 @@ Funds returned to Seller.`;
         // Reset confirmations
         escrow.buyerConfirmedRefund = false;
         escrow.sellerConfirmedRefund = false;
+        escrow.refundRequestedBy = null;
         await escrow.save();
+        await DisputeService.cancelResolution(
+          escrow,
+          "refund cancelled",
+          ctx.telegram
+        );
 
         await safeAnswerCbQuery(ctx, "❌ Refund cancelled.");
         await ctx.reply("❌ Refund cancelled by user.");
@@ -2215,14 +2163,24 @@ Funds returned to Seller.`;
         }
 
         const escrow = await findGroupEscrow(chatId, [
+          "awaiting_deposit",
           "deposited",
           "in_fiat_transfer",
           "ready_to_release",
         ]);
 
-        if (!escrow) {
+        // Between tranches a deal waits for its next deposit but still has
+        // running totals to show
+        const isTrancheDeal = TrancheService.isTrancheDeal(escrow);
+        if (
+          !escrow ||
+          (escrow.status === "awaiting_deposit" && !isTrancheDeal)
+        ) {
           return;
         }
+        const trancheProgress = isTrancheDeal
+          ? `\n\n${TrancheService.formatProgress(escrow)}`
+          : "";
 
         const decimals = BlockchainService.getTokenDecimals(
           escrow.token,
@@ -2244,6 +2202,18 @@ Funds returned to Seller.`;
           : totalDeposited;
 
         if (availableBalance <= 0) {
+          if (isTrancheDeal) {
+            return ctx.reply(
+              `<b>💰 Balance Information</b>
+
+⏳ ${TrancheService.label(
+                escrow
+              )}: waiting for ${TrancheService.expectedDepositAmount(escrow)} ${
+                escrow.token
+              }${trancheProgress}`,
+              { parse_mode: "HTML" }
+            );
+          }
           return ctx.reply("❌ No available balance found.");
         }
 
@@ -2304,7 +2274,11 @@ ${
 <b>Net Release Amount:</b> ${netBalance.toFixed(5)} ${escrow.token} (After Fees)
 <b>Token:</b> ${escrow.token}
 <b>Network:</b> ${networkName}
-<b>Fees:</b> ${escrowFeePercent}% + ${networkFee} ${escrow.token}
+<b>Fees:</b> ${escrowFeePercent}% + ${networkFee} ${escrow.token}${
+          isTrancheDeal
+            ? `\n<b>Current:</b> ${TrancheService.label(escrow)}`
+            : ""
+        }${trancheProgress}
 
 This is the current available balance for this trade.`;
 
@@ -2444,6 +2418,16 @@ This is the current available balance for this trade.`;
           }
         }
 
+        if (userStats.telegramId) {
+          userStats.reputation = await ReputationService.getReputation(
+            userStats.telegramId
+          );
+          userStats.ratings = await RatingService.listReceived(
+            userStats.telegramId,
+            { limit: 5 }
+          );
+        }
+
         const statsMessage = UserStatsService.formatStatsMessage(userStats);
         await ctx.reply(statsMessage, { parse_mode: "HTML" });
       } catch (error) {
@@ -2500,6 +2484,34 @@ This is the current available balance for this trade.`;
       adminTradeStats,
       adminExportTrades,
       adminRecentTrades,
+      adminEscrowHistory,
+      adminPayouts,
+      adminPayoutResolve,
+      adminDisputes,
+      adminDispute,
+      adminDisputeClaim,
+      adminDisputeComment,
+      adminDisputeResolve,
+      adminCaseFile,
+      adminTranscript,
+      adminRatings,
+      adminRatingHide,
+      adminRatingShow,
+      adminBlock,
+      adminUnblock,
+      adminBlockAddress,
+      adminUnblockAddress,
+      adminBlocklist,
+      adminAdmins,
+      adminAdd,
+      adminRole,
+      adminRemove,
+      adminVaultStatus,
+      adminVaultPause,
+      adminVaultUnpause,
+      adminVaultPropose,
+      adminVaultApply,
+      adminVaultCancel,
       adminAddressPool,
       adminInitAddresses,
       adminCleanupAddresses,
@@ -2521,6 +2533,34 @@ This is the current available balance for this trade.`;
     this.bot.command("admin_trade_stats", adminTradeStats);
     this.bot.command("admin_export_trades", adminExportTrades);
     this.bot.command("admin_recent_trades", adminRecentTrades);
+    this.bot.command("admin_escrow_history", adminEscrowHistory);
+    this.bot.command("admin_payouts", adminPayouts);
+    this.bot.command("admin_payout_resolve", adminPayoutResolve);
+    this.bot.command("admin_disputes", adminDisputes);
+    this.bot.command("admin_dispute", adminDispute);
+    this.bot.command("admin_dispute_claim", adminDisputeClaim);
+    this.bot.command("admin_dispute_comment", adminDisputeComment);
+    this.bot.command("admin_dispute_resolve", adminDisputeResolve);
+    this.bot.command("admin_case_file", adminCaseFile);
+    this.bot.command("admin_transcript", adminTranscript);
+    this.bot.command("admin_ratings", adminRatings);
+    this.bot.command("admin_rating_hide", adminRatingHide);
+    this.bot.command("admin_rating_show", adminRatingShow);
+    this.bot.command("admin_block", adminBlock);
+    this.bot.command("admin_unblock", adminUnblock);
+    this.bot.command("admin_block_address", adminBlockAddress);
+    this.bot.command("admin_unblock_address", adminUnblockAddress);
+    this.bot.command("admin_blocklist", adminBlocklist);
+    this.bot.command("admin_admins", adminAdmins);
+    this.bot.command("admin_add", adminAdd);
+    this.bot.command("admin_role", adminRole);
+    this.bot.command("admin_remove", adminRemove);
+    this.bot.command("admin_vault_status", adminVaultStatus);
+    this.bot.command("admin_vault_pause", adminVaultPause);
+    this.bot.command("admin_vault_unpause", adminVaultUnpause);
+    this.bot.command("admin_vault_propose", adminVaultPropose);
+    this.bot.command("admin_vault_apply", adminVaultApply);
+    this.bot.command("admin_vault_cancel", adminVaultCancel);
     this.bot.command("admin_address_pool", adminAddressPool);
     this.bot.command("admin_init_addresses", adminInitAddresses);
     this.bot.command("admin_cleanup_addresses", adminCleanupAddresses);
@@ -2537,6 +2577,7 @@ This is the current available balance for this trade.`;
 
     this.bot.on("callback_query", callbackHandler);
     this.bot.on("chat_join_request", joinRequestHandler);
+    this.bot.on(["photo", "document"], paymentProofHandler);
 
     // Handle user leaving the group
     this.bot.on("left_chat_member", async (ctx) => {
@@ -2589,8 +2630,10 @@ This is the current available balance for this trade.`;
                 )
               ) {
                 await ctx.reply("⏳ Time is up. Recycling group...");
-                freshEscrow.status = "cancelled";
-                await freshEscrow.save();
+                freshEscrow.cancelRequestedBy = leftMember.id;
+                await EscrowStateMachine.transition(freshEscrow, "cancelled", {
+                  reason: "Participant left the group and did not return",
+                });
                 await GroupPoolService.recycleGroupNow(
                   freshEscrow,
                   ctx.telegram
@@ -2664,11 +2707,14 @@ This is the current available balance for this trade.`;
     try {
       console.log("🚀 Starting Escrow Bot...");
 
-      // Start background monitoring for inactivity
+      // Start per-stage deal deadlines
       this.setupGroupMonitoring();
 
       await connectDB();
 
+      // Admins added with /admin_add and their roles
+      await AdminService.load();
+
       try {
         const addr = await BlockchainService.initialize();
       } catch (e) {
@@ -2677,11 +2723,32 @@ This is the current available balance for this trade.`;
         );
       }
 
+      // Start background deposit detection
+      DepositWatcherService.start(this.bot.telegram);
+
+      // Settle any release/refund interrupted by a crash or restart
+      PayoutService.start(this.bot.telegram);
+
+      // Drop archived group messages past their retention period
+      GroupMessageService.start();
+
       await this.bot.launch();
       console.log("🤖 Escrow Bot started successfully!");
 
-      process.once("SIGINT", () => this.bot.stop("SIGINT"));
-      process.once("SIGTERM", () => this.bot.stop("SIGTERM"));
+      process.once("SIGINT", () => {
+        DepositWatcherService.stop();
+        PayoutService.stop();
+        GroupMessageService.stop();
+        ExpiryService.stop();
+        this.bot.stop("SIGINT");
+      });
+      process.once("SIGTERM", () => {
+        DepositWatcherService.stop();
+        PayoutService.stop();
+        GroupMessageService.stop();
+        ExpiryService.stop();
+        this.bot.stop("SIGTERM");
+      });
     } catch (error) {
       console.error("Failed to start bot:", error);
       process.exit(1);
@@ -2689,33 +2756,38 @@ This is the current available balance for this trade.`;
   }
 }
 
-const bot = new EscrowBot();
-bot.start();
+// Started directly (npm start); the simulation tests require the class
+if (require.main === module) {
+  const bot = new EscrowBot();
+  bot.start();
 
-setTimeout(async () => {
-  try {
-    if (mongoose.connection.readyState !== 1) {
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error("MongoDB connection timeout during cleanup"));
-        }, 15000);
-
-        if (mongoose.connection.readyState === 1) {
-          clearTimeout(timeout);
-          resolve();
-        } else {
-          mongoose.connection.once("open", () => {
+  setTimeout(async () => {
+    try {
+      if (mongoose.connection.readyState !== 1) {
+        await new Promise((resolve, reject) => {
+          const timeout = setTimeout(() => {
+            reject(new Error("MongoDB connection timeout during cleanup"));
+          }, 15000);
+
+          if (mongoose.connection.readyState === 1) {
             clearTimeout(timeout);
             resolve();
-          });
-          mongoose.connection.once("error", (error) => {
-            clearTimeout(timeout);
-            reject(error);
-          });
-        }
-      });
+          } else {
+            mongoose.connection.once("open", () => {
+              clearTimeout(timeout);
+              resolve();
+            });
+            mongoose.connection.once("error", (error) => {
+              clearTimeout(timeout);
+              reject(error);
+            });
+          }
+        });
+      }
+    } catch (error) {
+      console.error("❌ Startup cleanup error:", error);
     }
-  } catch (error) {
-    console.error("❌ Startup cleanup error:", error);
-  }
-}, 5000);
+  }, 5000);
+}
+
+module.exports = EscrowBot;
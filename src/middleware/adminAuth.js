@@ -1,26 +1,59 @@
-const config = require("../../config");
+const adminRoles = require("../config/adminRoles");
+const AdminService = require("../services/AdminService");
+
+/**
+ * Command name of a "/command@bot args" message, or null
+ */
+function getCommand(ctx) {
+  const text = ctx.message?.text;
+  if (!text || !text.startsWith("/")) {
+    return null;
+  }
+  return text.split(/\s+/)[0].slice(1).split("@")[0].toLowerCase();
+}
+
+/**
+ * Permission an admin command needs. Admin commands not in
+ * COMMAND_PERMISSIONS need "manage" (superadmin only); null for commands
+ * that are not admin commands.
+ */
+function getCommandPermission(command) {
+  if (!command) {
+    return null;
+  }
+  if (adminRoles.COMMAND_PERMISSIONS[command]) {
+    return adminRoles.COMMAND_PERMISSIONS[command];
+  }
+  return /^(admin|withdraw)_/.test(command) ? "manage" : null;
+}
+
+/**
+ * Admin role of the user behind ctx, or null for non-admins
+ */
+function getAdminRole(ctx) {
+  return AdminService.getRole(ctx.from?.id, ctx.from?.username);
+}
+
+function deniedMessage(role) {
+  return `❌ Access denied. Your admin role (${adminRoles.ROLE_LABELS[role]}) can't do this.`;
+}
 
 /**
  * Middleware to authenticate admin users
- * Checks if the user is an admin based on username or user ID
+ * Checks if the user is an admin and, when given, has the permission
+ * @param {string} [permission] - One of the permissions in adminRoles
  */
-function requireAdmin() {
+function requireAdmin(permission = null) {
   return async (ctx, next) => {
     try {
-      const userId = ctx.from?.id;
-      const username = ctx.from?.username;
-
-      const adminIds = config.getAllAdminIds();
-      if (adminIds.some((adminId) => userId === parseInt(adminId))) {
-        return next();
+      const role = getAdminRole(ctx);
+      if (!role) {
+        return ctx.reply("❌ Access denied. Admin privileges required.");
       }
-
-      const adminUsernames = config.getAllAdminUsernames();
-      if (adminUsernames.includes(username)) {
-        return next();
+      if (permission && !AdminService.roleHas(role, permission)) {
+        return ctx.reply(deniedMessage(role));
       }
-
-      await ctx.reply("❌ Access denied. Admin privileges required.");
+      return next();
     } catch (error) {
       console.error("Error in admin auth middleware:", error);
       await ctx.reply("❌ Authentication error. Please try again.");
@@ -29,26 +62,39 @@ function requireAdmin() {
 }
 
 /**
- * Check if user is admin without sending response
+ * Middleware checking every admin command against the sender's role before
+ * its handler runs. Non-admins pass through; the handlers answer them.
  */
-function isAdmin(ctx) {
-  const userId = ctx.from?.id;
-  const username = ctx.from?.username;
-
-  const adminIds = config.getAllAdminIds();
-  if (adminIds.some((adminId) => userId === parseInt(adminId))) {
-    return true;
-  }
+function adminCommandGuard() {
+  return async (ctx, next) => {
+    const permission = getCommandPermission(getCommand(ctx));
+    if (!permission || !isAdmin(ctx)) {
+      return next();
+    }
+    return requireAdmin(permission)(ctx, next);
+  };
+}
 
-  const adminUsernames = config.getAllAdminUsernames();
-  if (adminUsernames.includes(username)) {
-    return true;
-  }
+/**
+ * Check if user is admin (any role) without sending response
+ */
+function isAdmin(ctx) {
+  return Boolean(getAdminRole(ctx));
+}
 
-  return false;
+/**
+ * Check if user is an admin whose role has the permission, without sending
+ * response
+ */
+function hasPermission(ctx, permission) {
+  return AdminService.roleHas(getAdminRole(ctx), permission);
 }
 
 module.exports = {
   requireAdmin,
+  adminCommandGuard,
+  getAdminRole,
+  getCommandPermission,
   isAdmin,
+  hasPermission,
 };
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../config/adminRoles");
+
+// Admin added with /admin_add. Env-configured admins are not stored here.
+const adminSchema = new mongoose.Schema({
+  telegramId: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  username: {
+    type: String,
+    required: false,
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true,
+  },
+  addedBy: {
+    id: Number,
+    username: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("Admin", adminSchema);
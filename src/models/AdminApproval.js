@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+const adminApprovalSchema = new mongoose.Schema({
+  // Trade the payout belongs to; empty for admin list changes
+  escrowId: {
+    type: String,
+    required: false,
+  },
+  groupId: {
+    type: String,
+    required: false,
+  },
+  action: {
+    type: String,
+    enum: ["release", "refund", "split", "admin_role", "admin_remove"],
+    required: true,
+  },
+  // Gross amount the proposal covers; execution must match it
+  amount: {
+    type: Number,
+    required: false,
+  },
+  token: {
+    type: String,
+    required: false,
+  },
+  chain: {
+    type: String,
+    required: false,
+  },
+  // Payout address at proposal time; execution must still match it
+  // (for a split: "buyerAddress,sellerAddress")
+  destination: {
+    type: String,
+    required: false,
+  },
+  // Callback of the group button that executes the payout once approved
+  executeCallback: {
+    type: String,
+    required: false,
+  },
+  // Admin list changes: the user whose role is set or taken away
+  targetId: {
+    type: Number,
+    required: false,
+  },
+  targetUsername: {
+    type: String,
+    required: false,
+  },
+  role: {
+    type: String,
+    required: false,
+  },
+  requiredApprovals: {
+    type: Number,
+    required: true,
+  },
+  proposedBy: {
+    type: Number,
+    required: true,
+  },
+  proposedByUsername: {
+    type: String,
+    required: false,
+  },
+  approvals: [
+    {
+      adminId: Number,
+      adminUsername: String,
+      approvedAt: { type: Date, default: Date.now },
+    },
+  ],
+  rejectedBy: {
+    type: Number,
+    required: false,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "executed", "rejected", "expired"],
+    default: "pending",
+  },
+  // Approval requests sent to admins' DMs and the dispute channel
+  notifications: [
+    {
+      chatId: String,
+      messageId: Number,
+    },
+  ],
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  executedAt: {
+    type: Date,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+adminApprovalSchema.index({ escrowId: 1, action: 1, status: 1 });
+adminApprovalSchema.index({ targetId: 1, status: 1 });
+
+module.exports = mongoose.model("AdminApproval", adminApprovalSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Wallet address that can't be used as a payout address
+const blockedAddressSchema = new mongoose.Schema({
+  // Lowercase for EVM addresses; TRON base58 is case-sensitive and kept as is
+  address: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  reason: {
+    type: String,
+    required: false,
+  },
+  // No expiry means permanent
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  blockedBy: {
+    id: Number,
+    username: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("BlockedAddress", blockedAddressSchema);
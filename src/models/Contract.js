@@ -8,6 +8,8 @@ const contractSchema = new mongoose.Schema({
   feePercent: { type: Number, required: true, default: 0 },
   status: { type: String, default: "deployed" },
   groupId: { type: String, required: false },
+  // 1 = EscrowVault / NativeEscrowVault, 2 = EscrowVaultV2 (per-escrow balances)
+  version: { type: Number, default: 1 },
   deployedAt: { type: Date, default: Date.now },
 });
 
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+const dealTemplateSchema = new mongoose.Schema(
+  {
+    // Telegram user who saved the template; only they can start deals from it
+    ownerId: {
+      type: Number,
+      required: true,
+    },
+    ownerUsername: {
+      type: String,
+      required: false,
+    },
+    // Lowercase name used in /deal @user <name>
+    name: {
+      type: String,
+      required: true,
+    },
+    chain: {
+      type: String,
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+    },
+    paymentMethod: {
+      type: String,
+      required: true,
+    },
+    // Owner's payout address, filled in for whichever role they take
+    payoutAddress: {
+      type: String,
+      required: false,
+    },
+    timesUsed: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      required: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dealTemplateSchema.index({ ownerId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("DealTemplate", dealTemplateSchema);
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+
+const disputeSchema = new mongoose.Schema({
+  escrowId: {
+    type: String,
+    required: true,
+  },
+  groupId: {
+    type: String,
+    required: false,
+  },
+  // Who raised it; role "system" when a stage deadline escalated the trade
+  openedBy: {
+    id: Number,
+    username: String,
+    role: {
+      type: String,
+      enum: ["buyer", "seller", "admin", "system"],
+    },
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  // "resolving" while the chosen payout is waiting to be sent; the case is
+  // resolved once its transaction hash is stored
+  status: {
+    type: String,
+    enum: ["open", "investigating", "resolving", "resolved"],
+    default: "open",
+  },
+  // Payment proofs and deposit transactions on record when the case opened,
+  // plus proofs the buyer posts while the trade is disputed
+  evidence: [
+    {
+      type: {
+        type: String,
+        enum: ["payment_proof", "deposit_transaction"],
+      },
+      fileId: String,
+      fileType: String,
+      fileName: String,
+      transactionHash: String,
+      caption: String,
+      addedBy: Number,
+      addedAt: { type: Date, default: Date.now },
+    },
+  ],
+  assignedAdmin: {
+    id: Number,
+    username: String,
+  },
+  claimedAt: {
+    type: Date,
+    required: false,
+  },
+  comments: [
+    {
+      authorId: Number,
+      authorUsername: String,
+      text: String,
+      createdAt: { type: Date, default: Date.now },
+    },
+  ],
+  resolution: {
+    type: String,
+    enum: ["release", "refund", "split"],
+    required: false,
+  },
+  // Buyer's share of the deposit for a split resolution
+  splitBuyerPercent: {
+    type: Number,
+    required: false,
+  },
+  resolutionNote: {
+    type: String,
+    required: false,
+  },
+  resolvedBy: {
+    id: Number,
+    username: String,
+  },
+  resolvedAt: {
+    type: Date,
+    required: false,
+  },
+  payoutTransactionHash: {
+    type: String,
+    required: false,
+  },
+  // Report in the dispute channel; case updates are posted as replies
+  channelMessageId: {
+    type: Number,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+disputeSchema.index({ escrowId: 1, status: 1 });
+disputeSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Dispute", disputeSchema);
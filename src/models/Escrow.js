@@ -1,3 +1,4 @@
+const { ethers } = require("ethers");
 const mongoose = require("mongoose");
 
 const escrowSchema = new mongoose.Schema({
@@ -128,6 +129,25 @@ const escrowSchema = new mongoose.Schema({
     type: [String],
     default: [],
   },
+  // Deposits seen on-chain that have not reached the confirmation depth yet
+  pendingDeposits: {
+    type: [
+      {
+        hash: String,
+        from: String,
+        valueDecimal: Number,
+        valueWei: String,
+        blockNumber: Number,
+        detectedAt: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
+  // Store "pending N/M confirmations" message ID for editing in place
+  pendingDepositMessageId: {
+    type: Number,
+    required: false,
+  },
   // Store accumulated deposit amount from partial deposits
   accumulatedDepositAmount: {
     type: Number,
@@ -137,6 +157,33 @@ const escrowSchema = new mongoose.Schema({
     type: String,
     default: "0",
   },
+  // Deals entered as "<amount> x <count>" settle tranche by tranche; the
+  // deposit fields above always track the current tranche only
+  tranches: {
+    type: [
+      {
+        index: Number,
+        amount: Number,
+        status: {
+          type: String,
+          enum: ["pending", "active", "released"],
+          default: "pending",
+        },
+        depositedAmount: Number,
+        depositTransactionHashes: { type: [String], default: [] },
+        releasedAmount: Number,
+        releaseTransactionHash: String,
+        fiatSentAt: Date,
+        fiatConfirmedAt: Date,
+        releasedAt: Date,
+      },
+    ],
+    default: [],
+  },
+  currentTrancheIndex: {
+    type: Number,
+    default: null,
+  },
   // Store the actual from address of the deposit transaction (can be any address)
   depositTransactionFromAddress: {
     type: String,
@@ -190,6 +237,11 @@ const escrowSchema = new mongoose.Schema({
     type: Number,
     required: false,
   },
+  // Initiator's deal template (/deal @user <name>), applied once roles are picked
+  templateName: {
+    type: String,
+    required: false,
+  },
   // Allowed usernames for restricted join requests (when room is created via /deal in a group)
   allowedUsernames: {
     type: [String],
@@ -214,6 +266,12 @@ const escrowSchema = new mongoose.Schema({
   sellerAddress: String,
   depositAddress: String,
   uniqueDepositAddress: String,
+  // depositAddress and uniqueDepositAddress as depositAddressKey() returns
+  // them, set on save, for exact indexed lookups
+  depositAddressKeys: {
+    type: [String],
+    default: undefined,
+  },
   tradeStartTime: {
     type: Date,
     default: null,
@@ -266,6 +324,20 @@ const escrowSchema = new mongoose.Schema({
     default: [],
   },
 
+  // Dispute resolved as a split: both payouts and their hashes
+  splitSettlement: {
+    buyerPercent: Number,
+    buyerAmountWei: String,
+    sellerAmountWei: String,
+    proposedBy: Number,
+    proposedAt: Date,
+    // Preview or Retry message whose Confirm button is live
+    confirmationMessageId: Number,
+    releaseTransactionHash: String,
+    refundTransactionHash: String,
+    executedAt: Date,
+  },
+
   releaseButtonUsed: {
     type: Boolean,
     default: false,
@@ -329,6 +401,34 @@ const escrowSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Bank transfer receipts (photo or PDF) the buyer posted in the group,
+  // kept by Telegram file_id for the seller and for disputes
+  paymentProofs: {
+    type: [
+      {
+        fileId: String,
+        fileUniqueId: String,
+        type: { type: String, enum: ["photo", "document"] },
+        fileName: String,
+        mimeType: String,
+        caption: String,
+        messageId: Number,
+        uploadedBy: Number,
+        trancheIndex: Number,
+        uploadedAt: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
+  // Buyer pressed "I have sent the money" and was asked for a receipt
+  awaitingPaymentProof: {
+    type: Boolean,
+    default: false,
+  },
+  paymentProofPromptMessageId: {
+    type: Number,
+    required: false,
+  },
   sellerReceivedFiat: {
     type: Boolean,
     default: false,
@@ -353,6 +453,16 @@ const escrowSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Trader who asked to cancel / refund the deal; null when an admin or the
+  // bot did (used for reputation)
+  cancelRequestedBy: {
+    type: Number,
+    default: null,
+  },
+  refundRequestedBy: {
+    type: Number,
+    default: null,
+  },
   buyerConfirmedCancel: {
     type: Boolean,
     default: false,
@@ -397,6 +507,81 @@ const escrowSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Per-stage deadline (see src/config/expiryConfig.js)
+  stageStartedAt: {
+    type: Date,
+    required: false,
+  },
+  stageDeadlineAt: {
+    type: Date,
+    required: false,
+  },
+  // What happens when the deadline passes: cancel, refund or dispute
+  stageExpiryAction: {
+    type: String,
+    required: false,
+  },
+  stageWarningSentAt: {
+    type: Date,
+    required: false,
+  },
+  // Countdown message in the group and the status it was posted for
+  stageCountdownMessageId: {
+    type: Number,
+    required: false,
+  },
+  stageCountdownStatus: {
+    type: String,
+    required: false,
+  },
 });
 
+/**
+ * Lookup key for a deposit address: lowercase for EVM addresses; TRON
+ * base58 is case-sensitive and kept as is
+ */
+escrowSchema.statics.depositAddressKey = function (address) {
+  const trimmed = (address || "").trim();
+  return /^0x/i.test(trimmed) ? trimmed.toLowerCase() : trimmed;
+};
+
+/**
+ * Take a partial payout of `amount` (token units) off
+ * accumulatedDepositAmountWei, so later payouts and splits do not spend
+ * the original deposit again (does not save)
+ * @param {number} amount - Gross amount paid out of the deposit
+ * @param {number} decimals - Token decimals
+ */
+escrowSchema.methods.deductDepositWei = function (amount, decimals) {
+  if (
+    !this.accumulatedDepositAmountWei ||
+    this.accumulatedDepositAmountWei === "0"
+  ) {
+    return;
+  }
+  const paidWei = ethers.parseUnits(
+    Number(amount).toFixed(Math.min(decimals, 8)),
+    decimals
+  );
+  const remainingWei = BigInt(this.accumulatedDepositAmountWei) - paidWei;
+  this.accumulatedDepositAmountWei =
+    remainingWei > 0n ? remainingWei.toString() : "0";
+};
+
+escrowSchema.pre("save", function (next) {
+  if (
+    this.isNew ||
+    this.isModified("depositAddress") ||
+    this.isModified("uniqueDepositAddress")
+  ) {
+    const keys = [this.depositAddress, this.uniqueDepositAddress]
+      .filter(Boolean)
+      .map((address) => this.constructor.depositAddressKey(address));
+    this.depositAddressKeys = keys.length ? [...new Set(keys)] : undefined;
+  }
+  next();
+});
+
+escrowSchema.index({ depositAddressKeys: 1 });
+
 module.exports = mongoose.model("Escrow", escrowSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const escrowEventSchema = new mongoose.Schema({
+  escrowId: {
+    type: String,
+    required: true,
+  },
+  groupId: {
+    type: String,
+    required: false,
+  },
+  fromStatus: {
+    type: String,
+    required: true,
+  },
+  toStatus: {
+    type: String,
+    required: true,
+  },
+  // Who triggered the transition: a trade participant, an admin, or the bot itself
+  actorType: {
+    type: String,
+    enum: ["user", "admin", "system"],
+    default: "system",
+  },
+  actorId: {
+    type: Number,
+    required: false,
+  },
+  actorUsername: {
+    type: String,
+    required: false,
+  },
+  reason: {
+    type: String,
+    required: false,
+  },
+  // Free-form context (tx hashes, amounts, ...)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+escrowEventSchema.index({ escrowId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("EscrowEvent", escrowEventSchema);
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// Messages the bot received in a trade group, kept after the room is
+// recycled and its chat history deleted
+const groupMessageSchema = new mongoose.Schema({
+  escrowId: {
+    type: String,
+    required: true,
+  },
+  groupId: {
+    type: String,
+    required: true,
+  },
+  messageId: {
+    type: Number,
+    required: true,
+  },
+  from: {
+    id: Number,
+    username: String,
+    firstName: String,
+    isBot: Boolean,
+  },
+  text: {
+    type: String,
+    required: false,
+  },
+  // Photo, document, ... by Telegram file_id
+  attachment: {
+    type: { type: String },
+    fileId: String,
+    fileName: String,
+    mimeType: String,
+  },
+  // Later versions of the text; text keeps what was first sent
+  edits: [
+    {
+      text: String,
+      editedAt: Date,
+    },
+  ],
+  replyToMessageId: {
+    type: Number,
+    required: false,
+  },
+  sentAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+groupMessageSchema.index({ escrowId: 1, sentAt: 1 });
+groupMessageSchema.index({ groupId: 1, messageId: 1 }, { unique: true });
+
+module.exports = mongoose.model("GroupMessage", groupMessageSchema);
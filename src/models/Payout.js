@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+
+const payoutSchema = new mongoose.Schema(
+  {
+    escrowId: {
+      type: String,
+      required: false,
+    },
+    // Set to escrowId while the payout is unresolved; the unique index stops a
+    // second release/refund for the same trade until this one is settled.
+    activeEscrowId: {
+      type: String,
+      required: false,
+    },
+    type: {
+      type: String,
+      enum: ["release", "refund", "split"],
+      required: true,
+    },
+    network: {
+      type: String,
+      required: true,
+    },
+    token: {
+      type: String,
+      required: false,
+    },
+    contractAddress: {
+      type: String,
+      required: false,
+    },
+    destination: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: false,
+    },
+    // Exact on-chain amount (wei / sun) as a string
+    amountWei: {
+      type: String,
+      required: false,
+    },
+    // Hot wallet that signs the payout
+    fromAddress: {
+      type: String,
+      required: false,
+    },
+    nonce: {
+      type: Number,
+      required: false,
+    },
+    // Raw signed transaction kept so it can be rebroadcast after a crash
+    // (EVM: serialized hex, TRON: JSON)
+    signedTransaction: {
+      type: String,
+      required: false,
+    },
+    // TRON transactions are rejected by the network after this time
+    expiresAt: {
+      type: Date,
+      required: false,
+    },
+    transactionHash: {
+      type: String,
+      required: false,
+    },
+    blockNumber: {
+      type: Number,
+      required: false,
+    },
+    status: {
+      type: String,
+      enum: ["created", "signed", "broadcast", "confirmed", "failed"],
+      default: "created",
+    },
+    error: {
+      type: String,
+      required: false,
+    },
+    // When the transaction hash was saved on the escrow by the caller
+    recordedAt: {
+      type: Date,
+      required: false,
+    },
+    // Confirmed on-chain but never recorded on the escrow (crash mid-flow)
+    needsReview: {
+      type: Boolean,
+      default: false,
+    },
+    resolvedBy: {
+      type: Number,
+      required: false,
+    },
+    resolvedAt: {
+      type: Date,
+      required: false,
+    },
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ activeEscrowId: 1 }, { unique: true, sparse: true });
+payoutSchema.index({ status: 1 });
+payoutSchema.index({ escrowId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Payout", payoutSchema);
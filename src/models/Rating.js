@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// One party's feedback on the other after a completed trade. Created
+// without stars when the rating prompt is sent.
+const ratingSchema = new mongoose.Schema({
+  escrowId: {
+    type: String,
+    required: true,
+  },
+  raterId: {
+    type: Number,
+    required: true,
+  },
+  raterUsername: String,
+  raterRole: {
+    type: String,
+    enum: ["buyer", "seller"],
+  },
+  rateeId: {
+    type: Number,
+    required: true,
+  },
+  rateeUsername: String,
+  stars: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: false,
+  },
+  comment: {
+    type: String,
+    required: false,
+  },
+  // The rater's next private message becomes the comment
+  awaitingComment: {
+    type: Boolean,
+    default: false,
+  },
+  promptMessageId: {
+    type: Number,
+    required: false,
+  },
+  // Hidden ratings are left out of the rated user's average
+  status: {
+    type: String,
+    enum: ["visible", "hidden"],
+    default: "visible",
+  },
+  moderatedBy: {
+    id: Number,
+    username: String,
+  },
+  moderationReason: {
+    type: String,
+    required: false,
+  },
+  ratedAt: {
+    type: Date,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ratingSchema.index({ escrowId: 1, raterId: 1 }, { unique: true });
+ratingSchema.index({ rateeId: 1, status: 1, ratedAt: -1 });
+ratingSchema.index({ raterId: 1, awaitingComment: 1 });
+
+module.exports = mongoose.model("Rating", ratingSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+const savedAddressSchema = new mongoose.Schema(
+  {
+    // Telegram user who owns the address book entry
+    userId: {
+      type: Number,
+      required: true,
+    },
+    chain: {
+      type: String,
+      required: true,
+    },
+    address: {
+      type: String,
+      required: true,
+    },
+    label: {
+      type: String,
+      required: false,
+    },
+    // Entry can't be offered in deals before this time (change cooldown)
+    usableAfter: {
+      type: Date,
+      required: true,
+    },
+    // Set when the owner confirms the address on its first use in a deal
+    firstUsedAt: {
+      type: Date,
+      required: false,
+    },
+    lastUsedAt: {
+      type: Date,
+      required: false,
+    },
+    useCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+savedAddressSchema.index({ userId: 1, chain: 1, address: 1 }, { unique: true });
+
+module.exports = mongoose.model("SavedAddress", savedAddressSchema);
@@ -20,6 +20,23 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Set with isBlocked by /admin_block; no blockedUntil means permanent
+  blockReason: {
+    type: String,
+    default: null,
+  },
+  blockedUntil: {
+    type: Date,
+    default: null,
+  },
+  blockedBy: {
+    id: Number,
+    username: String,
+  },
+  blockedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -78,6 +95,15 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Visible post-trade ratings received (see Rating)
+  ratingCount: {
+    type: Number,
+    default: 0,
+  },
+  ratingAverage: {
+    type: Number,
+    default: null,
+  },
 });
 
 module.exports = mongoose.model("User", userSchema);
@@ -3,6 +3,7 @@ const config = require("../../config");
 const Contract = require("../models/Contract");
 const Escrow = require("../models/Escrow");
 const GroupPool = require("../models/GroupPool");
+const chains = require("./chains");
 
 class AddressAssignmentService {
   /**
@@ -11,11 +12,7 @@ class AddressAssignmentService {
    */
   normalizeChainToNetwork(chain) {
     if (!chain) return "BSC";
-    const upper = chain.toUpperCase();
-    if (upper === "BNB" || upper === "BEP-20") return "BSC";
-    if (upper === "ETHEREUM") return "ETH";
-    if (upper === "MATIC" || upper === "POLYGON") return "POLYGON";
-    return upper;
+    return chains.normalize(chain);
   }
 
   async assignDepositAddress(
@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+const config = require("../../config");
+const SavedAddress = require("../models/SavedAddress");
+const { getPayoutAddressError } = require("../utils/addressValidation");
+const chains = require("./chains");
+
+const MAX_PER_CHAIN = 5;
+
+/**
+ * Per-user address book of payout addresses, managed from the bot's DM.
+ * Entries become selectable in the deal flow only after a cooldown, and the
+ * owner confirms the full address the first time one is used in a deal.
+ */
+class AddressBookService {
+  // Every chain the bot has configured, whether or not new deals offer it
+  get supportedChains() {
+    return chains.adapters
+      .filter((adapter) => adapter.isConfigured())
+      .map((adapter) => adapter.network);
+  }
+
+  normalizeChain(chain) {
+    return chains.normalize(chain);
+  }
+
+  getCooldownMs() {
+    return config.ADDRESS_BOOK_COOLDOWN_HOURS * 60 * 60 * 1000;
+  }
+
+  isUsable(entry) {
+    return entry.usableAfter <= new Date();
+  }
+
+  async list(userId) {
+    return SavedAddress.find({ userId: Number(userId) }).sort({
+      chain: 1,
+      createdAt: 1,
+    });
+  }
+
+  async findById(entryId) {
+    if (!mongoose.isValidObjectId(entryId)) {
+      return null;
+    }
+    return SavedAddress.findById(entryId);
+  }
+
+  /**
+   * Add an address to a user's book
+   * @param {number} userId - Telegram user id
+   * @param {string} chain - Chain name (BSC, TRON, POLYGON, ...)
+   * @param {string} address - Payout address
+   * @param {string} label - Optional label shown on the deal button
+   * @returns {Promise<Object>} Saved entry
+   */
+  async add(userId, chain, address, label) {
+    const normalizedChain = this.normalizeChain(chain);
+    const supportedChains = this.supportedChains;
+    if (!supportedChains.includes(normalizedChain)) {
+      throw new Error(`Supported chains: ${supportedChains.join(", ")}.`);
+    }
+    const addressError = await getPayoutAddressError(address, normalizedChain);
+    if (addressError) {
+      throw new Error(addressError.replace(/^❌ /, ""));
+    }
+
+    const existing = await SavedAddress.find({
+      userId: Number(userId),
+      chain: normalizedChain,
+    });
+    if (
+      existing.some((e) => e.address.toLowerCase() === address.toLowerCase())
+    ) {
+      throw new Error("This address is already in your address book.");
+    }
+    if (existing.length >= MAX_PER_CHAIN) {
+      throw new Error(
+        `You can save up to ${MAX_PER_CHAIN} ${normalizedChain} addresses. Remove one first.`
+      );
+    }
+
+    return SavedAddress.create({
+      userId: Number(userId),
+      chain: normalizedChain,
+      address,
+      label: label ? String(label).substring(0, 24) : null,
+      usableAfter: new Date(Date.now() + this.getCooldownMs()),
+    });
+  }
+
+  async remove(userId, entryId) {
+    if (!mongoose.isValidObjectId(entryId)) {
+      return false;
+    }
+    const result = await SavedAddress.deleteOne({
+      _id: entryId,
+      userId: Number(userId),
+    });
+    return result.deletedCount > 0;
+  }
+
+  async markUsed(entry) {
+    const update = {
+      $set: { lastUsedAt: new Date() },
+      $inc: { useCount: 1 },
+    };
+    if (!entry.firstUsedAt) {
+      update.$set.firstUsedAt = new Date();
+    }
+    await SavedAddress.updateOne({ _id: entry._id }, update);
+  }
+
+  shortAddress(address) {
+    return `${address.substring(0, 6)}…${address.substring(
+      address.length - 4
+    )}`;
+  }
+
+  /**
+   * Inline keyboard offering a party's usable saved addresses for a chain
+   * @returns {Promise<Object|undefined>} reply_markup, or undefined if none
+   */
+  async buildDealKeyboard(userId, chain) {
+    if (!userId) {
+      return undefined;
+    }
+    const entries = await SavedAddress.find({
+      userId: Number(userId),
+      chain: this.normalizeChain(chain),
+      usableAfter: { $lte: new Date() },
+    }).sort({ lastUsedAt: -1, createdAt: 1 });
+    if (entries.length === 0) {
+      return undefined;
+    }
+
+    return {
+      inline_keyboard: entries.map((entry) => [
+        {
+          text: `📒 Use ${entry.label || "saved"} (${this.shortAddress(
+            entry.address
+          )})`,
+          callback_data: `use_saved_address_${entry._id}`,
+        },
+      ]),
+    };
+  }
+}
+
+module.exports = new AddressBookService();
@@ -0,0 +1,575 @@
+const { Markup } = require("telegraf");
+const config = require("../../config");
+const AdminApproval = require("../models/AdminApproval");
+const AdminService = require("./AdminService");
+const adminRoles = require("../config/adminRoles");
+const Escrow = require("../models/Escrow");
+const Payout = require("../models/Payout");
+const { escapeHtml } = require("../utils/participant");
+const { safeAnswerCbQuery } = require("../utils/telegramUtils");
+
+// Proposals that do not reach quorum in time must be proposed again
+const APPROVAL_TTL_MS = 24 * 60 * 60 * 1000;
+const AMOUNT_EPSILON = 0.000001;
+
+/**
+ * N-of-M admin approval for large admin-forced releases, refunds and split
+ * settlements, and for changes to the admin list, so a single compromised
+ * admin account cannot drain a vault or hand itself a quorum on its own.
+ * The first admin proposes; other admins approve from their DMs, the
+ * dispute channel or the group button. Once quorum is reached the payout
+ * can be executed exactly once; an admin change is applied right away.
+ */
+class AdminApprovalService {
+  /**
+   * Fixed by config: removing admins never lowers it. A quorum of 1 turns
+   * approvals off.
+   */
+  getRequiredApprovals() {
+    return Math.max(1, config.ADMIN_APPROVAL_QUORUM);
+  }
+
+  // Fail closed: without enough approvers nothing can be approved
+  hasEnoughApprovers() {
+    return (
+      AdminService.getAdminIds("disputes").length >= this.getRequiredApprovals()
+    );
+  }
+
+  /**
+   * Whether a payout from the escrow needs N-of-M approval. The escrow as a
+   * whole is measured, not this one payout: a large held amount, or earlier
+   * payouts plus this one reaching the threshold, needs approval, so it
+   * can't be drained in partial releases that each stay under it.
+   */
+  async requiresApproval(amount, escrow) {
+    if (this.getRequiredApprovals() <= 1) {
+      return false;
+    }
+    const held = Number(
+      escrow.accumulatedDepositAmount || escrow.confirmedAmount || 0
+    );
+    const paidOut = await this.getPaidOutAmount(escrow.escrowId);
+    return (
+      Math.max(held, paidOut + Number(amount)) >=
+      config.getApprovalThreshold(escrow.token)
+    );
+  }
+
+  /**
+   * Total of the escrow's journaled payouts that did not fail
+   */
+  async getPaidOutAmount(escrowId) {
+    const [result] = await Payout.aggregate([
+      { $match: { escrowId, status: { $ne: "failed" } } },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]);
+    return result ? result.total : 0;
+  }
+
+  // Approvals are counted by Telegram ID only; usernames can be changed
+  isApprover(userId) {
+    return AdminService.getAdminIds("disputes").includes(String(userId));
+  }
+
+  /**
+   * Gate an admin-forced release/refund. Payouts that don't need approval
+   * (see requiresApproval) pass straight through. Larger ones pass only when a matching proposal has
+   * reached quorum, which is consumed; otherwise the admin's approval is
+   * recorded (opening a proposal if needed) and the caller must stop.
+   * @param {Object} ctx - Telegraf context of the admin
+   * @param {Object} request
+   * @param {Object} request.escrow - Escrow document
+   * @param {string} request.action - "release", "refund" or "split"
+   * @param {number} request.amount - Gross amount to pay out
+   * @param {string} request.destination - Payout address
+   * @param {string} request.executeCallback - Callback data of the button
+   *   that runs this payout once approved
+   * @returns {Promise<boolean>} true if the payout may go ahead now
+   */
+  async authorize(ctx, request) {
+    if (!(await this.requiresApproval(request.amount, request.escrow))) {
+      return true;
+    }
+
+    if (await this.consume(request)) {
+      return true;
+    }
+
+    const proposal = await this.recordApproval(ctx, request);
+    if (proposal && proposal.status === "approved") {
+      return Boolean(await this.consume(request));
+    }
+    return false;
+  }
+
+  /**
+   * Atomically mark an approved proposal matching the payout as executed
+   */
+  async consume({ escrow, action, amount, destination }) {
+    return AdminApproval.findOneAndUpdate(
+      {
+        escrowId: escrow.escrowId,
+        action,
+        status: "approved",
+        destination,
+        amount: {
+          $gte: Number(amount) - AMOUNT_EPSILON,
+          $lte: Number(amount) + AMOUNT_EPSILON,
+        },
+        expiresAt: { $gt: new Date() },
+      },
+      { $set: { status: "executed", executedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  async recordApproval(ctx, request) {
+    const { escrow, action, amount, destination, executeCallback } = request;
+    const telegram = ctx.telegram;
+
+    if (!this.isApprover(ctx.from.id)) {
+      await telegram.sendMessage(
+        escrow.groupId,
+        "❌ Multi-admin approval requires an admin configured by Telegram ID."
+      );
+      return null;
+    }
+    if (!this.hasEnoughApprovers()) {
+      await telegram.sendMessage(
+        escrow.groupId,
+        `❌ This payout needs ${this.getRequiredApprovals()} admins to approve, but fewer admins can approve payouts. Nothing was sent.`
+      );
+      return null;
+    }
+
+    let proposal = await AdminApproval.findOne({
+      escrowId: escrow.escrowId,
+      action,
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    });
+
+    // The trade changed since the proposal: its approvals no longer apply
+    if (
+      proposal &&
+      (proposal.destination !== destination ||
+        Math.abs(proposal.amount - Number(amount)) > AMOUNT_EPSILON)
+    ) {
+      proposal.status = "expired";
+      await proposal.save();
+      await this.refreshNotifications(telegram, proposal);
+      proposal = null;
+    }
+
+    if (!proposal) {
+      proposal = await AdminApproval.create({
+        escrowId: escrow.escrowId,
+        groupId: escrow.groupId,
+        action,
+        amount: Number(amount),
+        token: escrow.token,
+        chain: escrow.chain,
+        destination,
+        executeCallback,
+        requiredApprovals: this.getRequiredApprovals(),
+        proposedBy: ctx.from.id,
+        proposedByUsername: ctx.from.username,
+        approvals: [{ adminId: ctx.from.id, adminUsername: ctx.from.username }],
+        expiresAt: new Date(Date.now() + APPROVAL_TTL_MS),
+      });
+      await this.notifyApprovers(telegram, proposal);
+    } else {
+      proposal = (await this.addApproval(proposal._id, ctx.from)) || proposal;
+      await this.refreshNotifications(telegram, proposal);
+    }
+
+    if (proposal.status === "pending") {
+      await telegram.sendMessage(
+        escrow.groupId,
+        `🔐 <b>Multi-admin approval required</b>
+
+${this.describe(proposal)} is above the ${config.getApprovalThreshold(
+          proposal.token
+        )} ${proposal.token} limit.
+Approvals: ${proposal.approvals.length}/${proposal.requiredApprovals}
+
+The other admins have been asked to approve.`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    return proposal;
+  }
+
+  /**
+   * Propose adding, re-roling or removing an admin. The change waits for
+   * quorum like a large payout, so one admin can neither remove the other
+   * approvers nor add accounts of their own.
+   * @param {Object} ctx - Telegraf context of the admin
+   * @param {Object} change
+   * @param {string} change.action - "admin_role" or "admin_remove"
+   * @param {{telegramId: number, username: string|null}} change.target
+   * @param {string} [change.role] - New role for "admin_role"
+   * @returns {Promise<{status: string, proposal: Object|null}>} status is
+   *   "applied", "pending", "not_approver" or "no_quorum"
+   */
+  async proposeAdminChange(ctx, { action, target, role = null }) {
+    if (this.getRequiredApprovals() <= 1) {
+      await this.applyAdminChange(
+        {
+          action,
+          targetId: target.telegramId,
+          targetUsername: target.username,
+          role,
+        },
+        ctx.from
+      );
+      return { status: "applied", proposal: null };
+    }
+    if (!this.isApprover(ctx.from.id)) {
+      return { status: "not_approver", proposal: null };
+    }
+    if (!this.hasEnoughApprovers()) {
+      return { status: "no_quorum", proposal: null };
+    }
+
+    let proposal = await AdminApproval.findOne({
+      targetId: Number(target.telegramId),
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    });
+
+    // A different change for the same user replaces the earlier proposal
+    if (proposal && (proposal.action !== action || proposal.role !== role)) {
+      proposal.status = "expired";
+      await proposal.save();
+      await this.refreshNotifications(ctx.telegram, proposal);
+      proposal = null;
+    }
+
+    if (!proposal) {
+      proposal = await AdminApproval.create({
+        groupId: String(ctx.chat.id),
+        action,
+        targetId: Number(target.telegramId),
+        targetUsername: target.username || null,
+        role,
+        requiredApprovals: this.getRequiredApprovals(),
+        proposedBy: ctx.from.id,
+        proposedByUsername: ctx.from.username,
+        approvals: [{ adminId: ctx.from.id, adminUsername: ctx.from.username }],
+        expiresAt: new Date(Date.now() + APPROVAL_TTL_MS),
+      });
+      await this.notifyApprovers(ctx.telegram, proposal);
+    } else {
+      proposal = (await this.addApproval(proposal._id, ctx.from)) || proposal;
+      await this.refreshNotifications(ctx.telegram, proposal);
+    }
+
+    if (proposal.status === "approved") {
+      await this.executeAdminChange(ctx.telegram, proposal);
+      return { status: "applied", proposal };
+    }
+    return { status: "pending", proposal };
+  }
+
+  isAdminChange(proposal) {
+    return ["admin_role", "admin_remove"].includes(proposal.action);
+  }
+
+  async applyAdminChange({ action, targetId, targetUsername, role }, actor) {
+    if (action === "admin_remove") {
+      return AdminService.remove(targetId);
+    }
+    return AdminService.setRole(
+      { telegramId: targetId, username: targetUsername },
+      role,
+      actor
+    );
+  }
+
+  /**
+   * Quorum reached: apply the admin change exactly once and tell the admin
+   * who proposed it
+   */
+  async executeAdminChange(telegram, proposal) {
+    const claimed = await AdminApproval.findOneAndUpdate(
+      { _id: proposal._id, status: "approved" },
+      { $set: { status: "executed", executedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return;
+    }
+
+    await this.applyAdminChange(claimed, {
+      id: claimed.proposedBy,
+      username: claimed.proposedByUsername,
+    });
+    await this.refreshNotifications(telegram, claimed);
+    try {
+      await telegram.sendMessage(
+        claimed.groupId,
+        `✅ <b>Admin approval complete</b> (${claimed.approvals.length}/${
+          claimed.requiredApprovals
+        })
+
+${this.describe(claimed)} is done.`,
+        { parse_mode: "HTML" }
+      );
+    } catch (e) {}
+  }
+
+  /**
+   * Add one admin's approval; flips the proposal to "approved" at quorum
+   * @returns {Promise<Object|null>} Updated proposal, or null if this admin
+   *   already approved or the proposal is no longer pending
+   */
+  async addApproval(proposalId, from) {
+    const updated = await AdminApproval.findOneAndUpdate(
+      {
+        _id: proposalId,
+        status: "pending",
+        expiresAt: { $gt: new Date() },
+        "approvals.adminId": { $ne: from.id },
+      },
+      {
+        $push: {
+          approvals: { adminId: from.id, adminUsername: from.username },
+        },
+      },
+      { new: true }
+    );
+
+    if (!updated || updated.approvals.length < updated.requiredApprovals) {
+      return updated;
+    }
+
+    return (
+      (await AdminApproval.findOneAndUpdate(
+        { _id: proposalId, status: "pending" },
+        { $set: { status: "approved" } },
+        { new: true }
+      )) || updated
+    );
+  }
+
+  /**
+   * Handle the Approve / Reject buttons sent to admins
+   * @param {Object} ctx - Telegraf callback context
+   * @param {string} proposalId - AdminApproval id
+   * @param {boolean} approve - false to reject
+   */
+  async handleDecision(ctx, proposalId, approve) {
+    if (!this.isApprover(ctx.from.id)) {
+      return safeAnswerCbQuery(ctx, "❌ Only admins can approve this.");
+    }
+
+    let proposal = await AdminApproval.findById(proposalId);
+    if (!proposal) {
+      return safeAnswerCbQuery(ctx, "❌ Approval request not found.");
+    }
+    if (proposal.status === "pending" && proposal.expiresAt < new Date()) {
+      proposal.status = "expired";
+      await proposal.save();
+    }
+    if (proposal.status !== "pending") {
+      await this.refreshNotifications(ctx.telegram, proposal);
+      return safeAnswerCbQuery(ctx, `ℹ️ This request is ${proposal.status}.`);
+    }
+
+    if (!approve) {
+      proposal = await AdminApproval.findOneAndUpdate(
+        { _id: proposalId, status: "pending" },
+        { $set: { status: "rejected", rejectedBy: ctx.from.id } },
+        { new: true }
+      );
+      if (!proposal) {
+        return safeAnswerCbQuery(ctx, "ℹ️ This request was already decided.");
+      }
+      await this.refreshNotifications(ctx.telegram, proposal);
+      await safeAnswerCbQuery(ctx, "❌ Rejected");
+      try {
+        await ctx.telegram.sendMessage(
+          proposal.groupId,
+          `❌ ${this.describe(proposal)} was rejected by an admin.`,
+          { parse_mode: "HTML" }
+        );
+      } catch (e) {}
+      return;
+    }
+
+    const updated = await this.addApproval(proposalId, ctx.from);
+    if (!updated) {
+      return safeAnswerCbQuery(ctx, "ℹ️ You have already approved this.");
+    }
+    await this.refreshNotifications(ctx.telegram, updated);
+    await safeAnswerCbQuery(ctx, "✅ Approved");
+
+    if (updated.status === "approved") {
+      if (this.isAdminChange(updated)) {
+        await this.executeAdminChange(ctx.telegram, updated);
+      } else {
+        await this.postExecutePrompt(ctx.telegram, updated);
+      }
+    }
+  }
+
+  /**
+   * Quorum reached: give the trade group a button that runs the payout
+   */
+  async postExecutePrompt(telegram, proposal) {
+    try {
+      const message = await telegram.sendMessage(
+        proposal.groupId,
+        `✅ <b>Admin approval complete</b> (${proposal.approvals.length}/${
+          proposal.requiredApprovals
+        })
+
+${this.describe(proposal)} can now be executed by an admin.`,
+        {
+          parse_mode: "HTML",
+          reply_markup: Markup.inlineKeyboard([
+            [
+              Markup.button.callback(
+                `✅ Execute ${proposal.action}`,
+                proposal.executeCallback
+              ),
+            ],
+          ]).reply_markup,
+        }
+      );
+
+      // The confirmation handlers only honour their latest message
+      const messageField = {
+        release: "releaseConfirmationMessageId",
+        refund: "refundConfirmationMessageId",
+        split: "splitSettlement.confirmationMessageId",
+      }[proposal.action];
+      await Escrow.updateOne(
+        { escrowId: proposal.escrowId },
+        { $set: { [messageField]: message.message_id } }
+      );
+    } catch (error) {
+      console.error(
+        `Error posting approved ${proposal.action} for ${proposal.escrowId}:`,
+        error
+      );
+    }
+  }
+
+  describe(proposal) {
+    if (this.isAdminChange(proposal)) {
+      const target = proposal.targetUsername
+        ? `@${escapeHtml(proposal.targetUsername)}`
+        : `[${proposal.targetId}]`;
+      return proposal.action === "admin_remove"
+        ? `Removing admin ${target}`
+        : `Making ${target} ${adminRoles.ROLE_LABELS[proposal.role]}`;
+    }
+    const verb = { release: "Release", refund: "Refund", split: "Split" }[
+      proposal.action
+    ];
+    return `${verb} of ${Number(proposal.amount).toFixed(5)} ${proposal.token}`;
+  }
+
+  buildRequestText(proposal) {
+    const approvers = proposal.approvals
+      .map((a) => (a.adminUsername ? `@${a.adminUsername}` : `[${a.adminId}]`))
+      .join(", ");
+    const statusLine =
+      proposal.status === "pending"
+        ? `Approvals: ${proposal.approvals.length}/${proposal.requiredApprovals} (${approvers})`
+        : `Status: <b>${proposal.status.toUpperCase()}</b> (${approvers})`;
+
+    const subject = this.isAdminChange(proposal)
+      ? this.describe(proposal)
+      : `${this.describe(proposal)} (${escapeHtml(proposal.chain)})
+To: <code>${escapeHtml(proposal.destination)}</code>
+Trade: <code>${proposal.escrowId}</code>`;
+
+    return `🔐 <b>ADMIN APPROVAL REQUIRED</b>
+
+${subject}
+Proposed by: ${
+      proposal.proposedByUsername
+        ? `@${escapeHtml(proposal.proposedByUsername)}`
+        : `[${proposal.proposedBy}]`
+    }
+
+${statusLine}`;
+  }
+
+  buildRequestKeyboard(proposal) {
+    if (proposal.status !== "pending") {
+      return { inline_keyboard: [] };
+    }
+    return Markup.inlineKeyboard([
+      [
+        Markup.button.callback(
+          "✅ Approve",
+          `admin_approval_yes_${proposal._id}`
+        ),
+        Markup.button.callback(
+          "❌ Reject",
+          `admin_approval_no_${proposal._id}`
+        ),
+      ],
+    ]).reply_markup;
+  }
+
+  /**
+   * DM every other admin (and the dispute channel) an approval request
+   */
+  async notifyApprovers(telegram, proposal) {
+    const recipients = AdminService.getAdminIds("disputes").filter(
+      (id) => String(id) !== String(proposal.proposedBy)
+    );
+    if (config.DISPUTE_CHANNEL_ID) {
+      recipients.push(config.DISPUTE_CHANNEL_ID);
+    }
+
+    const notifications = [];
+    for (const chatId of recipients) {
+      try {
+        const message = await telegram.sendMessage(
+          chatId,
+          this.buildRequestText(proposal),
+          {
+            parse_mode: "HTML",
+            reply_markup: this.buildRequestKeyboard(proposal),
+          }
+        );
+        notifications.push({
+          chatId: String(chatId),
+          messageId: message.message_id,
+        });
+      } catch (error) {
+        // Admin may not have started the bot
+      }
+    }
+
+    proposal.notifications = notifications;
+    await proposal.save();
+  }
+
+  async refreshNotifications(telegram, proposal) {
+    for (const notification of proposal.notifications || []) {
+      try {
+        await telegram.editMessageText(
+          notification.chatId,
+          notification.messageId,
+          null,
+          this.buildRequestText(proposal),
+          {
+            parse_mode: "HTML",
+            reply_markup: this.buildRequestKeyboard(proposal),
+          }
+        );
+      } catch (e) {}
+    }
+  }
+}
+
+module.exports = new AdminApprovalService();
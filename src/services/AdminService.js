@@ -0,0 +1,193 @@
+const Admin = require("../models/Admin");
+const User = require("../models/User");
+const config = require("../../config");
+const adminRoles = require("../config/adminRoles");
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Admins and their roles. Env-configured admins are superadmins; the rest
+ * live in the Admin collection and are cached here, so permission checks
+ * stay synchronous.
+ */
+class AdminService {
+  constructor() {
+    // telegramId → { telegramId, username, role }
+    this.admins = new Map();
+  }
+
+  /**
+   * Fill the cache from the database; call once after connecting
+   */
+  async load() {
+    const admins = await Admin.find().lean();
+    this.admins = new Map(
+      admins.map((admin) => [
+        Number(admin.telegramId),
+        {
+          telegramId: Number(admin.telegramId),
+          username: admin.username || null,
+          role: admin.role,
+        },
+      ])
+    );
+    return this.admins.size;
+  }
+
+  isEnvAdmin(telegramId, username) {
+    if (
+      telegramId != null &&
+      config.getAllAdminIds().includes(String(telegramId))
+    ) {
+      return true;
+    }
+    const name = (username || "").toLowerCase();
+    return Boolean(
+      name &&
+        config
+          .getAllAdminUsernames()
+          .some((admin) => admin && admin.toLowerCase() === name)
+    );
+  }
+
+  /**
+   * @returns {string|null} The user's admin role, null for non-admins
+   */
+  getRole(telegramId, username = null) {
+    if (this.isEnvAdmin(telegramId, username)) {
+      return "superadmin";
+    }
+    return this.admins.get(Number(telegramId))?.role || null;
+  }
+
+  roleHas(role, permission) {
+    return Boolean(
+      role && adminRoles.ROLE_PERMISSIONS[role]?.includes(permission)
+    );
+  }
+
+  /**
+   * Telegram IDs (as strings) of all admins, or of those with a permission
+   */
+  getAdminIds(permission = null) {
+    const ids = new Set(config.getAllAdminIds().map(String));
+    this.admins.forEach((admin) => {
+      if (!permission || this.roleHas(admin.role, permission)) {
+        ids.add(String(admin.telegramId));
+      }
+    });
+    return [...ids];
+  }
+
+  /**
+   * Usernames of all admins, or of those with a permission, for mentions
+   */
+  getAdminUsernames(permission = null) {
+    const usernames = config.getAllAdminUsernames().filter(Boolean);
+    this.admins.forEach((admin) => {
+      if (
+        admin.username &&
+        !usernames.includes(admin.username) &&
+        (!permission || this.roleHas(admin.role, permission))
+      ) {
+        usernames.push(admin.username);
+      }
+    });
+    return usernames;
+  }
+
+  /**
+   * Telegram ID and username for "@username" (a user the bot has seen) or a
+   * numeric Telegram ID
+   * @returns {Promise<{telegramId: number, username: string|null}|null>}
+   */
+  async resolveTarget(target) {
+    const handle = (target || "").replace(/^@/, "");
+    if (!handle) {
+      return null;
+    }
+    const user = /^\d+$/.test(handle)
+      ? await User.findOne({ telegramId: Number(handle) })
+      : await User.findOne({
+          username: { $regex: new RegExp(`^${escapeRegex(handle)}$`, "i") },
+        }).sort({ lastActive: -1 });
+    if (user) {
+      return { telegramId: user.telegramId, username: user.username || null };
+    }
+    return /^\d+$/.test(handle)
+      ? { telegramId: Number(handle), username: null }
+      : null;
+  }
+
+  /**
+   * Add an admin or change an existing admin's role
+   * @param {{telegramId: number, username: string|null}} target
+   * @param {string} role - One of adminRoles.ROLES
+   * @param {Object} actor - Telegram user making the change
+   */
+  async setRole(target, role, actor) {
+    const admin = await Admin.findOneAndUpdate(
+      { telegramId: Number(target.telegramId) },
+      {
+        $set: {
+          username: target.username || null,
+          role,
+          updatedAt: new Date(),
+        },
+        $setOnInsert: {
+          addedBy: { id: actor.id, username: actor.username },
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true, new: true }
+    );
+    this.admins.set(Number(admin.telegramId), {
+      telegramId: Number(admin.telegramId),
+      username: admin.username || null,
+      role: admin.role,
+    });
+    return admin;
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the user was a stored admin
+   */
+  async remove(telegramId) {
+    const result = await Admin.deleteOne({ telegramId: Number(telegramId) });
+    this.admins.delete(Number(telegramId));
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Env-configured and stored admins, superadmins first
+   */
+  list() {
+    const envAdmins = [
+      ...config.getAllAdminIds().map((id) => ({
+        telegramId: Number(id),
+        username: null,
+        role: "superadmin",
+        fromEnv: true,
+      })),
+      ...config
+        .getAllAdminUsernames()
+        .filter(Boolean)
+        .map((username) => ({
+          telegramId: null,
+          username,
+          role: "superadmin",
+          fromEnv: true,
+        })),
+    ];
+    const stored = [...this.admins.values()]
+      .filter((admin) => !this.isEnvAdmin(admin.telegramId, admin.username))
+      .map((admin) => ({ ...admin, fromEnv: false }));
+    const order = [...adminRoles.ROLES].reverse();
+    stored.sort((a, b) => order.indexOf(a.role) - order.indexOf(b.role));
+    return [...envAdmins, ...stored];
+  }
+}
+
+module.exports = new AdminService();
@@ -1,74 +1,29 @@
 const { ethers } = require("ethers");
-const axios = require("axios");
-const config = require("../../config");
 const ContractModel = require("../models/Contract");
-const TronService = require("./TronService");
-
-const ESCROW_VAULT_ABI = [
-  "function token() view returns (address)",
-  "function feePercent() view returns (uint256)",
-  "function feeWallet() view returns (address)",
-  "function release(address to, uint256 amount) external",
-  "function refund(address to, uint256 amount) external",
-  "function withdrawToken(address erc20Token, address to) external",
-  "function withdrawFees() external",
-  "function accumulatedFees() view returns (uint256)",
-];
-
-const ERC20_ABI = [
-  "event Transfer(address indexed from, address indexed to, uint256 value)",
-];
+const chains = require("./chains");
 
+/**
+ * Chain-agnostic entry point for everything on-chain. Each call looks up the
+ * ChainAdapter for its network (see ./chains) and delegates to it.
+ */
 class BlockchainService {
   constructor() {
-    const providerOptions = {
-      staticNetwork: null,
-      batchMaxCount: 1,
-    };
-
-    this.providers = {
-      BSC: new ethers.JsonRpcProvider(
-        config.BSC_RPC_URL,
-        null,
-        providerOptions
-      ),
-      SEPOLIA: new ethers.JsonRpcProvider(
-        config.SEPOLIA_RPC_URL,
-        null,
-        providerOptions
-      ),
-      ETH: new ethers.JsonRpcProvider(
-        config.ETH_RPC_URL || "https://eth.llamarpc.com",
-        null,
-        providerOptions
-      ),
-      LTC: new ethers.JsonRpcProvider(
-        config.LTC_RPC_URL || "https://ltc.llamarpc.com",
-        null,
-        providerOptions
-      ),
-      TRON: new ethers.JsonRpcProvider(
-        config.TRON_RPC_URL || "https://api.trongrid.io",
-        null,
-        providerOptions
-      ),
-    };
-
-    const privateKey = config.HOT_WALLET_PRIVATE_KEY.startsWith("0x")
-      ? config.HOT_WALLET_PRIVATE_KEY
-      : "0x" + config.HOT_WALLET_PRIVATE_KEY;
+    this.chains = chains;
 
+    // EVM providers/wallets by network, created on first access
+    const evmAdapters = chains.adapters.filter((adapter) => adapter.rpcUrl);
+    this.providers = {};
     this.wallets = {};
-    Object.keys(this.providers).forEach((network) => {
-      this.wallets[network] = new ethers.Wallet(
-        privateKey,
-        this.providers[network]
-      );
+    evmAdapters.forEach((adapter) => {
+      Object.defineProperty(this.providers, adapter.network, {
+        enumerable: true,
+        get: () => adapter.provider,
+      });
+      Object.defineProperty(this.wallets, adapter.network, {
+        enumerable: true,
+        get: () => adapter.wallet,
+      });
     });
-
-    this.vault = null;
-    this.etherscanApiKey = config.ETHERSCAN_API_KEY;
-    this.etherscanBaseUrl = "https://api.etherscan.io/api";
   }
 
   async initialize() {
@@ -85,7 +40,6 @@ class BlockchainService {
         );
       }
 
-      // console.log(`✅ BlockchainService initialized with contract: ${anyContract.address} (${anyContract.feePercent}% base)`);
       return anyContract.address;
     } catch (error) {
       console.error("Error initializing BlockchainService:", error);
@@ -93,88 +47,42 @@ class BlockchainService {
     }
   }
 
-  async getVaultForNetwork(network, token = null) {
-    try {
-      const desiredFeePercent = Number(0); // Strict, no config fallback
-      const query = {
-        name: "EscrowVault",
-        network: network.toUpperCase(),
-        feePercent: desiredFeePercent,
-      };
-
-      if (token) {
-        query.token = token.toUpperCase();
-      }
-
-      const entry = await ContractModel.findOne(query);
-      if (!entry) {
-        const errorMsg = token
-          ? `EscrowVault not found for ${token} on ${network} with ${desiredFeePercent}% fee`
-          : `EscrowVault not found on ${network} with ${desiredFeePercent}% fee`;
-        throw new Error(errorMsg);
-      }
-      const wallet = this.wallets[network.toUpperCase()];
-      return new ethers.Contract(entry.address, ESCROW_VAULT_ABI, wallet);
-    } catch (error) {
-      console.error(`Error getting vault on ${network}:`, error);
-      throw error;
-    }
+  getAdapter(network) {
+    return chains.requireAdapter(network);
   }
 
   getTokenAddress(token, network) {
-    const key = `${token}_${network}`.toUpperCase();
-    return config[key];
+    const adapter = chains.getAdapter(network);
+    return adapter ? adapter.getTokenAddress(token) : undefined;
   }
 
   getTokenDecimals(token, network) {
-    const decimalsMap = {
-      USDT_SEPOLIA: 6, // USDT on Ethereum/Sepolia has 6 decimals
-      USDT_BSC: 18, // USDT on BSC has 18 decimals
-      USDC_BSC: 18, // USDC on BSC has 18 decimals
-      BUSD_BSC: 18, // BUSD on BSC has 18 decimals
-      BNB_BSC: 18, // BNB has 18 decimals
-      ETH_ETH: 18, // ETH has 18 decimals
-      BTC_BSC: 18, // BTC on BSC has 18 decimals
-      LTC_LTC: 8, // LTC has 8 decimals
-      DOGE_DOGE: 8, // DOGE has 8 decimals
-      DOGE_BSC: 18, // DOGE on BSC has 18 decimals
-      SOL_SOL: 9, // SOL has 9 decimals
-      TRX_TRON: 6, // TRX has 6 decimals
-      USDT_TRON: 6,
-    };
+    const adapter = chains.getAdapter(network);
+    return adapter ? adapter.getTokenDecimals(token) : 18;
+  }
 
-    const key = `${token}_${network}`.toUpperCase();
-    return decimalsMap[key] || 18;
+  isNativeToken(token, network) {
+    const adapter = chains.getAdapter(network);
+    return adapter ? adapter.isNativeToken(token) : false;
   }
 
   getProvider(network) {
-    return this.providers[network.toUpperCase()];
+    return this.providers[chains.normalize(network)];
   }
 
   getWallet(network) {
-    return this.wallets[network.toUpperCase()];
+    return this.wallets[chains.normalize(network)];
   }
 
-  async release(to, amountUSDT, token = "USDT", network = "SEPOLIA") {
-    const vault = await this.getVaultForNetwork(network);
-    const wallet = this.wallets[network.toUpperCase()];
-    const provider = this.providers[network.toUpperCase()];
-    const decimals = this.getTokenDecimals(token, network);
-    const amount = ethers.parseUnits(String(amountUSDT), decimals);
-
-    const tx = await vault.release(to, amount);
-    return await tx.wait();
-  }
-
-  async refund(to, amountUSDT, token = "USDT", network = "SEPOLIA") {
-    const vault = await this.getVaultForNetwork(network);
-    const wallet = this.wallets[network.toUpperCase()];
-    const provider = this.providers[network.toUpperCase()];
-    const decimals = this.getTokenDecimals(token, network);
-    const amount = ethers.parseUnits(String(amountUSDT), decimals);
-
-    const tx = await vault.refund(to, amount);
-    return await tx.wait();
+  /**
+   * Explorer link for a transaction or address
+   * @param {string} network - Chain name
+   * @param {string} kind - "tx" or "address"
+   * @param {string} value - Transaction hash or address
+   * @returns {string|null}
+   */
+  getExplorerUrl(network, kind, value) {
+    return chains.explorerUrl(network, kind, value);
   }
 
   async withdrawFees(
@@ -183,82 +91,15 @@ class BlockchainService {
     contractAddressOverride = null
   ) {
     try {
-      if (network && network.toUpperCase() === "TRON") {
-        const result = await TronService.withdrawFees({
-          token,
-          contractAddress: contractAddressOverride,
-        });
-        // Normalize result format if needed
-        return {
-          success: result.success,
-          transactionHash: result.transactionHash,
-          blockNumber: 0, // TRON tx result might not have block immediately
-          amount: result.amount,
-        };
-      }
-
-      let contractAddress = contractAddressOverride;
-      let vaultContract;
-
-      const wallet = this.wallets[network.toUpperCase()];
-      const provider = this.providers[network.toUpperCase()];
-
-      if (!contractAddress) {
-        const vault = await this.getVaultForNetwork(network, token);
-        contractAddress = await vault.getAddress(); // Ensure we get the actual address from the contract object
-        vaultContract = vault; // Use the already fetched vault object
-      } else {
-        vaultContract = new ethers.Contract(
-          contractAddress,
-          ESCROW_VAULT_ABI,
-          wallet
-        );
-      }
-
-      // Check balance before attempting withdrawal
-      const accumulatedFees = await vaultContract.accumulatedFees();
-
-      // If no fees, skip withdrawal to avoid revert
-      if (accumulatedFees.toString() === "0") {
-        return {
-          success: true,
-          skipped: true,
-          message: "No fees to withdraw",
-        };
-      }
-
-      // Get contract address and check actual token balance
-      const tokenAddress = await vaultContract.token();
-      const tokenContract = new ethers.Contract(
-        tokenAddress,
-        ["function balanceOf(address) view returns (uint256)"],
-        provider
-      );
-
-      const actualBalance = await tokenContract.balanceOf(contractAddress);
-
-      if (actualBalance < accumulatedFees) {
-        const decimals = this.getTokenDecimals(token, network);
-        const accStr = ethers.formatUnits(accumulatedFees, decimals);
-        const balStr = ethers.formatUnits(actualBalance, decimals);
-
-        throw new Error(
-          `Validation Error: no-balance - Contract balance (${balStr}) is less than accumulated fees (${accStr}). Withdrawal would fail.`
-        );
-      }
-
-      const tx = await vaultContract.withdrawFees();
-      const receipt = await tx.wait();
-
-      return {
-        success: true,
-        transactionHash: receipt.hash || receipt.transactionHash,
-        blockNumber: receipt.blockNumber,
-        amount: accumulatedFees,
-      };
+      return await this.getAdapter(network).withdrawFees({
+        token,
+        contractAddress: contractAddressOverride,
+      });
     } catch (error) {
       const errorMessage = error?.message || "";
-      const errorData = JSON.stringify(error);
+      const errorData = JSON.stringify(error, (key, value) =>
+        typeof value === "bigint" ? value.toString() : value
+      );
 
       if (
         errorMessage.includes("BEP20: transfer amount exceeds balance") ||
@@ -291,184 +132,13 @@ class BlockchainService {
     }
   }
 
-  async refundFunds(
-    token,
-    network,
-    sellerAddress,
-    amount,
-    amountWeiOverride = null,
-    groupId = null,
-    contractAddressOverride = null
-  ) {
-    try {
-      if (network && network.toUpperCase() === "TRON") {
-        const tronResult = await TronService.refundFunds({
-          token,
-          to: sellerAddress,
-          amount,
-          groupId,
-        });
-        return {
-          success: true,
-          transactionHash: tronResult.transactionHash,
-          blockNumber: null,
-        };
-      }
-
-      let contractAddress = contractAddressOverride;
-      if (!contractAddress) {
-        contractAddress = await this.getEscrowContractAddress(
-          token,
-          network,
-          groupId
-        );
-      }
-      if (!contractAddress) {
-        throw new Error(
-          `No escrow contract found for ${token} on ${network}${
-            groupId ? ` for group ${groupId}` : ""
-          }`
-        );
-      }
-
-      wallet = this.wallets[network.toUpperCase()];
-      provider = this.providers[network.toUpperCase()];
-      vaultContract = new ethers.Contract(
-        contractAddress,
-        ESCROW_VAULT_ABI,
-        wallet
-      );
-      const decimals = this.getTokenDecimals(token, network);
-      amountWei = amountWeiOverride
-        ? BigInt(amountWeiOverride)
-        : ethers.parseUnits(amount.toString(), decimals);
-
-      let nonce;
-      try {
-        nonce = await provider.getTransactionCount(wallet.address, "latest");
-      } catch (nonceError) {
-        try {
-          nonce = await provider.getTransactionCount(wallet.address);
-        } catch (fallbackError) {
-          throw new Error(
-            `Failed to get transaction nonce: ${fallbackError.message}`
-          );
-        }
-      }
-
-      // Check balance before attempting refund
-      const tokenAddressForCheck = await vaultContract.token();
-      const tokenContractForCheck = new ethers.Contract(
-        tokenAddressForCheck,
-        ["function balanceOf(address) view returns (uint256)"],
-        provider
-      );
-      const contractBalanceWei = await tokenContractForCheck.balanceOf(
-        contractAddress
-      );
-
-      if (contractBalanceWei < amountWei) {
-        throw new Error(
-          `Insufficient Vault Balance: Contract has ${ethers.formatUnits(
-            contractBalanceWei,
-            decimals
-          )} but needs ${ethers.formatUnits(amountWei, decimals)}`
-        );
-      }
-
-      const tx = await vaultContract.refund(sellerAddress, amountWei, {
-        nonce: nonce,
-      });
-      const receipt = await tx.wait();
-
-      return {
-        success: true,
-        transactionHash: receipt.transactionHash || receipt.hash || tx.hash,
-        blockNumber: receipt.blockNumber,
-      };
-    } catch (error) {
-      const isNonceError =
-        (error?.code === -32000 && error?.message === "already known") ||
-        (error?.message && error?.message.includes("already known")) ||
-        (error?.message &&
-          error?.message.includes("could not coalesce error")) ||
-        (error?.shortMessage &&
-          error?.shortMessage.includes("could not coalesce error")) ||
-        error?.error?.message === "already known" ||
-        error?.info?.error?.message?.includes("nonce") ||
-        error?.info?.error?.message?.includes("already known") ||
-        (error?.error?.code === -32000 &&
-          error?.error?.message?.includes("already known")) ||
-        JSON.stringify(error).includes("already known") ||
-        JSON.stringify(error).includes("nonce");
-
-      if (isNonceError) {
-        console.warn(
-          `⚠️ Nonce error detected in refundFunds. Retrying with pending nonce...`
-        );
-        try {
-          const pendingNonce = await provider.getTransactionCount(
-            wallet.address,
-            "pending"
-          );
-          const tx = await vaultContract.refund(sellerAddress, amountWei, {
-            nonce: pendingNonce,
-          });
-          const receipt = await tx.wait();
-          return {
-            success: true,
-            transactionHash: receipt.transactionHash || receipt.hash || tx.hash,
-            blockNumber: receipt.blockNumber,
-          };
-        } catch (retryError) {
-          console.error("Retry failed:", retryError);
-          throw retryError;
-        }
-      }
-      console.error(`Error refunding funds for ${token} on ${network}:`, error);
-      throw error;
-    }
-  }
-
   async withdrawToken(token, network, contractAddress, toAddress) {
     try {
-      if (network && network.toUpperCase() === "TRON") {
-        const result = await TronService.withdrawToken({
-          contractAddress,
-          token,
-          to: toAddress,
-        });
-        return result;
-      }
-
-      const wallet = this.wallets[network.toUpperCase()];
-      if (!wallet) throw new Error(`Wallet not configured for ${network}`);
-
-      const provider = this.providers[network.toUpperCase()];
-      const vault = new ethers.Contract(
+      return await this.getAdapter(network).withdrawToken({
+        token,
         contractAddress,
-        ESCROW_VAULT_ABI,
-        wallet
-      );
-
-      // We need the ERC20 token address that the vault manages
-      // Usually stored in 'token()' public var
-      const erc20Address = await vault.token();
-
-      let nonce;
-      try {
-        nonce = await provider.getTransactionCount(wallet.address, "latest");
-      } catch (nonceError) {
-        nonce = await provider.getTransactionCount(wallet.address);
-      }
-
-      const tx = await vault.withdrawToken(erc20Address, toAddress, { nonce });
-      const receipt = await tx.wait();
-
-      return {
-        success: true,
-        transactionHash: receipt.hash || receipt.transactionHash,
-      };
+        to: toAddress,
+      });
     } catch (error) {
       console.error(`Error sweeping token from ${contractAddress}:`, error);
       throw error;
@@ -481,43 +151,10 @@ class BlockchainService {
     contractAddress = null
   ) {
     try {
-      if (network && network.toUpperCase() === "TRON") {
-        const result = await TronService.getFeeSettings({
-          token,
-          contractAddress,
-        });
-        return {
-          feeWallet: result.feeWallet,
-          feePercent: result.feePercent,
-          accumulated: ethers.formatUnits(
-            result.accumulated,
-            this.getTokenDecimals(token, network)
-          ),
-        };
-      }
-
-      let vault;
-      if (contractAddress) {
-        const wallet = this.wallets[network.toUpperCase()];
-        vault = new ethers.Contract(contractAddress, ESCROW_VAULT_ABI, wallet);
-      } else {
-        vault = await this.getVaultForNetwork(network, token);
-      }
-
-      const [feeWallet, feePercent, accumulated] = await Promise.all([
-        vault.feeWallet(),
-        vault.feePercent(),
-        vault.accumulatedFees(),
-      ]);
-
-      return {
-        feeWallet,
-        feePercent: Number(feePercent),
-        accumulated: ethers.formatUnits(
-          accumulated,
-          this.getTokenDecimals(token, network)
-        ),
-      };
+      return await this.getAdapter(network).getFeeSettings({
+        token,
+        contractAddress,
+      });
     } catch (error) {
       console.error(
         `Error fetching fee settings for ${token} on ${network}:`,
@@ -527,262 +164,102 @@ class BlockchainService {
     }
   }
 
-  async getTokenTransactions(token, network, address, startBlock = 0) {
-    try {
-      const tokenAddress = this.getTokenAddress(token, network);
-      if (!tokenAddress) {
-        console.error(`Token address not found for ${token} on ${network}`);
-        return [];
-      }
-
-      if (
-        network.toUpperCase() === "ETH" ||
-        network.toUpperCase() === "SEPOLIA"
-      ) {
-        const response = await axios.get(this.etherscanBaseUrl, {
-          params: {
-            module: "account",
-            action: "tokentx",
-            contractaddress: tokenAddress,
-            address: address,
-            startblock: startBlock,
-            endblock: 999999999,
-            sort: "desc",
-            apikey: this.etherscanApiKey,
-          },
-        });
-
-        if (response.data.status === "1") {
-          return response.data.result.map((tx) => ({
-            ...tx,
-            valueDecimal: Number(tx.value) / 1_000_000,
-          }));
-        }
-        return [];
-      } else {
-        return await this.getTokenTransfersViaRPC(
-          token,
-          network,
-          address,
-          startBlock
-        );
-      }
-    } catch (error) {
-      console.error("Error fetching token transactions:", error);
-      return await this.getTokenTransfersViaRPC(
-        token,
-        network,
-        address,
-        startBlock
-      );
-    }
+  async getVaultControls(network, contractAddress) {
+    return this.getAdapter(network).getVaultControls(contractAddress);
   }
 
-  async getTokenTransfersViaRPC(token, network, toAddress, fromBlock) {
-    try {
-      if (network && network.toUpperCase() === "TRON") {
-        return await TronService.getTokenTransfers(token, toAddress, fromBlock);
-      }
-      const provider = this.getProvider(network);
-      const tokenAddress = this.getTokenAddress(token, network);
-
-      if (!provider || !tokenAddress) return [];
-
-      const toAddrLc = toAddress.toLowerCase();
-      const iface = new ethers.Interface(ERC20_ABI);
-
-      const latest = await provider.getBlockNumber();
-      const start = Number.isFinite(fromBlock)
-        ? Math.max(0, fromBlock)
-        : Math.max(0, latest - 2000);
-
-      const maxRange = 500;
-      const totalRange = latest - start;
-
-      if (totalRange <= maxRange) {
-        const filter = {
-          address: tokenAddress,
-          fromBlock: start,
-          toBlock: latest,
-          topics: [
-            iface.getEvent("Transfer").topicHash,
-            null,
-            ethers.zeroPadValue(toAddrLc, 32),
-          ],
-        };
-
-        const logs = await provider.getLogs(filter);
-        return logs.map((log) => {
-          const parsed = iface.parseLog({ topics: log.topics, data: log.data });
-          const from = parsed.args[0];
-          const to = parsed.args[1];
-          const value = parsed.args[2];
-          const decimals = this.getTokenDecimals(token, network);
-          const valueDecimal = Number(ethers.formatUnits(value, decimals));
-          return { from, to, valueDecimal, hash: log.transactionHash };
-        });
-      } else {
-        const allLogs = [];
-        let currentStart = start;
-
-        while (currentStart < latest) {
-          const currentEnd = Math.min(currentStart + maxRange, latest);
-
-          try {
-            const filter = {
-              address: tokenAddress,
-              fromBlock: currentStart,
-              toBlock: currentEnd,
-              topics: [
-                iface.getEvent("Transfer").topicHash,
-                null,
-                ethers.zeroPadValue(toAddrLc, 32),
-              ],
-            };
-
-            const logs = await provider.getLogs(filter);
-            allLogs.push(...logs);
-
-            currentStart = currentEnd + 1;
-          } catch (chunkError) {
-            console.error(
-              `Error scanning blocks ${currentStart}-${currentEnd}:`,
-              chunkError
-            );
-            currentStart = currentEnd + 1;
-          }
-        }
+  /**
+   * Pause/unpause a vault or propose, apply or cancel a timelocked change.
+   * See ChainAdapter.controlVault for the actions.
+   */
+  async controlVault(network, contractAddress, action, value = null) {
+    return this.getAdapter(network).controlVault(
+      contractAddress,
+      action,
+      value
+    );
+  }
 
-        return allLogs.map((log) => {
-          const parsed = iface.parseLog({ topics: log.topics, data: log.data });
-          const from = parsed.args[0];
-          const to = parsed.args[1];
-          const value = parsed.args[2];
-          const decimals = this.getTokenDecimals(token, network);
-          const valueDecimal = Number(ethers.formatUnits(value, decimals));
-          return { from, to, valueDecimal, hash: log.transactionHash };
-        });
-      }
-    } catch (error) {
-      console.error("Error fetching token transfers:", error);
-      return [];
-    }
+  /**
+   * Token transfers to an address between two blocks. RPC errors are
+   * thrown: an empty result must mean the range really had no transfers.
+   */
+  async getTokenTransfersViaRPC(
+    token,
+    network,
+    toAddress,
+    fromBlock,
+    toBlock = null
+  ) {
+    const adapter = chains.getAdapter(network);
+    if (!adapter || !toAddress) return [];
+    return adapter.getTransfers(token, toAddress, fromBlock, toBlock);
   }
 
   async getLatestBlockNumber(network = "ETH") {
     try {
-      if (network && network.toUpperCase() === "TRON") {
-        return await TronService.getLatestBlockNumber();
-      }
-      if (
-        network.toUpperCase() === "ETH" ||
-        network.toUpperCase() === "SEPOLIA"
-      ) {
-        const response = await axios.get(this.etherscanBaseUrl, {
-          params: {
-            module: "proxy",
-            action: "eth_blockNumber",
-            apikey: this.etherscanApiKey,
-          },
-        });
-        return parseInt(response.data.result, 16);
-      } else {
-        const provider = this.getProvider(network);
-        return await provider.getBlockNumber();
-      }
+      return await this.getAdapter(network).getLatestBlockNumber();
     } catch (error) {
       console.error("Error getting latest block number:", error);
       return 0;
     }
   }
 
+  /**
+   * Block a transaction is currently mined in, or null if the chain no
+   * longer knows it (dropped or reorged out). RPC errors are thrown.
+   */
+  async getTransactionBlockNumber(network, txHash) {
+    return this.getAdapter(network).getTransactionBlockNumber(txHash);
+  }
+
+  /**
+   * @returns {string|null} The hash in the network's form, or null if it
+   *   is not a transaction hash
+   */
+  normalizeTxHash(network, hash) {
+    return this.getAdapter(network).normalizeTxHash(hash);
+  }
+
+  /**
+   * Transfer of a token to toAddress made by one transaction, for deposits
+   * pasted by hash. RPC errors are thrown.
+   * @returns {Promise<{state: string, transfer?: Object}>} See
+   *   ChainAdapter.getTransferByHash
+   */
+  async getTransferByHash(network, token, txHash, toAddress) {
+    return this.getAdapter(network).getTransferByHash(token, txHash, toAddress);
+  }
+
   /**
    * Get the timestamp of a transaction in milliseconds
    * @param {string} network
    * @param {string} txHash
-   * @returns {Promise<number>} Timestamp in ms
+   * @returns {Promise<number>} Timestamp in ms (now if it can't be fetched)
    */
   async getTransactionTimestamp(network, txHash) {
     try {
-      if (
-        network &&
-        (network.toUpperCase() === "TRON" || network.toUpperCase() === "TRX")
-      ) {
-        // For TRON, getTransactionInfo typically contains blockTimeStamp
-        if (TronService && typeof TronService.tronWeb !== "undefined") {
-          const tx = await TronService.tronWeb.trx.getTransaction(txHash);
-          if (tx && tx.raw_data && tx.raw_data.timestamp) {
-            return tx.raw_data.timestamp;
-          }
-          // Fallback to info
-          const info = await TronService.tronWeb.trx.getTransactionInfo(txHash);
-          if (info && info.blockTimeStamp) {
-            return info.blockTimeStamp;
-          }
-        }
-        return Date.now(); // Fallback if can't fetch (safety: allow but warn?) -> actually better to throw or handle in caller
-      }
-
-      const provider = this.getProvider(network);
-      if (!provider) return Date.now();
-
-      const tx = await provider.getTransaction(txHash);
-      if (!tx || !tx.blockNumber) return Date.now();
-
-      const block = await provider.getBlock(tx.blockNumber);
-      if (!block) return Date.now();
-
-      return block.timestamp * 1000; // EVM timestamps are in seconds
+      const adapter = chains.getAdapter(network);
+      if (!adapter) return Date.now();
+      return await adapter.getTransactionTimestamp(txHash);
     } catch (error) {
       console.error(
         `Error fetching timestamp for ${txHash} on ${network}:`,
         error.message
       );
-      return Date.now(); // Fail safe: return current time so we don't block valid txs on RPC errors?
-      // Limit logic: if we return Date.now(), diff is 0, so it passes.
-      // This is "fail open". To "fail closed", we'd return 0.
-      // Let's return 0 to indicate failure to fetch, so the caller can decide.
-      return 0;
+      // Fail open: a diff of 0 lets the caller accept the transaction
+      return Date.now();
     }
   }
 
   async getTokenBalance(token, network, address) {
+    const adapter = chains.getAdapter(network);
+    if (!adapter) return 0;
+
     let lastError;
     for (let attempt = 1; attempt <= 3; attempt++) {
       try {
-        if (network === "TRON" || network === "TRX") {
-          // Delegate to TronService if available, otherwise return 0
-          if (
-            TronService &&
-            typeof TronService.getTRC20Balance === "function"
-          ) {
-            const tokenAddress = this.getTokenAddress(token, network);
-            const balance = await TronService.getTRC20Balance(
-              tokenAddress,
-              address
-            );
-            return balance;
-          }
-          return 0;
-        }
-
-        const tokenAddress = this.getTokenAddress(token, network);
-        if (!tokenAddress) {
-          // Native currency check?
-          // if (token === network) ...
-          // For now assume tokens.
-          return 0;
-        }
-
-        const provider = this.providers[network.toUpperCase()];
-        if (!provider) return 0;
-
-        const decimals = this.getTokenDecimals(token, network);
-        const abi = ["function balanceOf(address) view returns (uint256)"];
-        const contract = new ethers.Contract(tokenAddress, abi, provider);
-
-        const balanceWei = await contract.balanceOf(address);
-        return Number(ethers.formatUnits(balanceWei, decimals));
+        return await adapter.getBalance(token, address);
       } catch (error) {
         lastError = error;
         // Wait 2s before retry
@@ -797,6 +274,11 @@ class BlockchainService {
     throw lastError;
   }
 
+  /**
+   * Pay the buyer out of the deal's vault. options.escrowId journals the
+   * payout and, on EscrowVaultV2 vaults, selects the escrow balance that is
+   * spent - the contract refuses more than that escrow was credited.
+   */
   async releaseFunds(
     token,
     network,
@@ -804,12 +286,13 @@ class BlockchainService {
     amount,
     amountWeiOverride = null,
     groupId = null,
-    contractAddressOverride = null
+    contractAddressOverride = null,
+    options = {}
   ) {
-    let wallet, provider, vaultContract, amountWei, contractAddress;
     try {
       // Validate inputs
       const decimals = this.getTokenDecimals(token, network);
+      let amountWei;
       if (amountWeiOverride) {
         amountWei = BigInt(amountWeiOverride);
       } else {
@@ -824,161 +307,23 @@ class BlockchainService {
       if (amountWei <= 0n) {
         throw new Error(`Invalid Wei Amount: ${amountWei}. Must be positive.`);
       }
-      if (network && network.toUpperCase() === "TRON") {
-        const tronResult = await TronService.releaseFunds({
-          token,
-          to: buyerAddress,
-          amount,
-          groupId,
-          contractAddress: contractAddressOverride,
-        });
-        return {
-          success: true,
-          transactionHash: tronResult.transactionHash,
-          blockNumber: null,
-        };
-      }
-
-      contractAddress = contractAddressOverride;
-      if (!contractAddress) {
-        contractAddress = await this.getEscrowContractAddress(
-          token,
-          network,
-          groupId
-        );
-      }
-      if (!contractAddress) {
-        throw new Error(
-          `No escrow contract found for ${token} on ${network}${
-            groupId ? ` for group ${groupId}` : ""
-          }`
-        );
-      }
-
-      wallet = this.wallets[network.toUpperCase()];
-      if (!wallet) {
-        throw new Error(`Wallet not configured for network: ${network}`);
-      }
-
-      provider = this.providers[network.toUpperCase()];
-      vaultContract = new ethers.Contract(
-        contractAddress,
-        ESCROW_VAULT_ABI,
-        wallet
-      );
 
-      let nonce;
-      try {
-        nonce = await provider.getTransactionCount(wallet.address, "pending");
-      } catch (nonceError) {
-        try {
-          nonce = await provider.getTransactionCount(wallet.address);
-        } catch (fallbackError) {
-          throw new Error(
-            `Failed to get transaction nonce: ${fallbackError.message}`
-          );
-        }
-      }
-
-      // SAFETY CHECK: Verify Contract Balance
-      // Re-initialize token contract to check balance
-      const tokenAddressForCheck = await vaultContract.token();
-      const tokenContractForCheck = new ethers.Contract(
-        tokenAddressForCheck,
-        ["function balanceOf(address) view returns (uint256)"],
-        provider
-      );
-      const contractBalanceWei = await tokenContractForCheck.balanceOf(
-        contractAddress
-      );
-
-      if (contractBalanceWei < amountWei) {
-        throw new Error(
-          `Insufficient Vault Balance: Contract has ${ethers.formatUnits(
-            contractBalanceWei,
-            decimals
-          )} but needs ${ethers.formatUnits(amountWei, decimals)}`
-        );
-      }
-
-      const tx = await vaultContract.release(buyerAddress, amountWei, {
-        nonce: nonce,
+      return await this.getAdapter(network).release({
+        token,
+        to: buyerAddress,
+        amount,
+        amountWei,
+        contractAddress: contractAddressOverride,
+        groupId,
+        escrowId: options.escrowId,
       });
-
-      const waitPromise = tx.wait();
-      let receipt;
-
-      for (let attempt = 1; attempt <= 3; attempt++) {
-        try {
-          const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(
-              () =>
-                reject(
-                  new Error(
-                    `Transaction verification timed out (${attempt}/3).`
-                  )
-                ),
-              60000
-            )
-          );
-          receipt = await Promise.race([waitPromise, timeoutPromise]);
-          break; // Success!
-        } catch (e) {
-          if (attempt === 3) {
-            throw new Error(
-              "Transaction verification timed out after 3 attempts (180s). Please check the explorer manually."
-            );
-          }
-          console.log(
-            `Verification attempt ${attempt} timed out, continuing to wait...`
-          );
-        }
-      }
-
-      const transactionHash =
-        receipt.transactionHash || receipt.hash || tx.hash;
-
-      return {
-        success: true,
-        transactionHash: transactionHash,
-        blockNumber: receipt.blockNumber,
-      };
     } catch (error) {
-      // Provide a concise log for common provider errors (like insufficient gas funds)
-      const code = error?.code || error?.shortMessage || "";
-      const providerMessage =
-        error?.info?.error?.message || error?.message || "";
-      if (
-        code === "INSUFFICIENT_FUNDS" ||
-        providerMessage.toLowerCase().includes("insufficient funds")
-      ) {
-        console.error(
-          `Error releasing funds: Insufficient gas balance on ${network}. Details: ${providerMessage}`
-        );
-      } else {
-      }
-
-      const errorMessage = error?.message || "";
-      const errorData = JSON.stringify(error);
-
-      if (
-        errorMessage.includes("BEP20: transfer amount exceeds balance") ||
-        errorData.includes("BEP20: transfer amount exceeds balance")
-      ) {
-        console.warn(
-          `⚠️ Release Failed: Contract likely has insufficient balance (transfer exceeds balance).`
-        );
-        throw error;
-      }
-
-      // Robust check for "Insufficient Vault Balance" to prevent console spam
-      const errString = (error?.message || "") + (error?.toString() || "");
-      if (!errString.includes("Insufficient Vault Balance")) {
-        console.error(
-          `Error releasing funds on ${network} (token: ${token}, contract: ${contractAddress}, amount: ${amount}):`,
-          error
-        );
-      }
+      this.logPayoutError("release", error, {
+        token,
+        network,
+        contractAddress: contractAddressOverride,
+        amount,
+      });
       throw error;
     }
   }
@@ -990,252 +335,157 @@ class BlockchainService {
     amount,
     amountWeiOverride = null,
     groupId = null,
-    contractAddressOverride = null
+    contractAddressOverride = null,
+    options = {}
   ) {
-    let wallet, provider, vaultContract, amountWei;
     try {
-      if (network && network.toUpperCase() === "TRON") {
-        const tronResult = await TronService.refundFunds({
-          token,
-          to: sellerAddress,
-          amount,
-          groupId,
-          contractAddress: contractAddressOverride,
-        });
-        return {
-          success: true,
-          transactionHash: tronResult.transactionHash,
-          blockNumber: null,
-        };
-      }
-
-      let contractAddress = contractAddressOverride;
-      if (!contractAddress) {
-        contractAddress = await this.getEscrowContractAddress(
-          token,
-          network,
-          groupId
-        );
-      }
-      if (!contractAddress) {
-        throw new Error(
-          `No escrow contract found for ${token} on ${network}${
-            groupId ? ` for group ${groupId}` : ""
-          }`
-        );
-      }
-
-      wallet = this.wallets[network.toUpperCase()];
-      if (!wallet) {
-        throw new Error(`Wallet not configured for network: ${network}`);
-      }
-
-      provider = this.providers[network.toUpperCase()];
-      vaultContract = new ethers.Contract(
-        contractAddress,
-        ESCROW_VAULT_ABI,
-        wallet
-      );
-      const decimals = this.getTokenDecimals(token, network);
-      amountWei = amountWeiOverride
-        ? BigInt(amountWeiOverride)
-        : ethers.parseUnits(amount.toString(), decimals);
-
-      let nonce;
-      try {
-        nonce = await provider.getTransactionCount(wallet.address, "pending");
-      } catch (nonceError) {
-        try {
-          nonce = await provider.getTransactionCount(wallet.address);
-        } catch (fallbackError) {
-          throw new Error(
-            `Failed to get transaction nonce: ${fallbackError.message}`
-          );
-        }
-      }
-
-      // SAFETY CHECK: Verify Contract Balance
-      // Re-initialize token contract to check balance
-      const tokenAddressForCheck = await vaultContract.token();
-      const tokenContractForCheck = new ethers.Contract(
-        tokenAddressForCheck,
-        ["function balanceOf(address) view returns (uint256)"],
-        provider
-      );
-      const contractBalanceWei = await tokenContractForCheck.balanceOf(
-        contractAddress
-      );
-
-      if (contractBalanceWei < amountWei) {
-        throw new Error(
-          `Insufficient Vault Balance: Contract has ${ethers.formatUnits(
-            contractBalanceWei,
-            decimals
-          )} but needs ${ethers.formatUnits(amountWei, decimals)}`
-        );
-      }
-
-      const tx = await vaultContract.refund(sellerAddress, amountWei, {
-        nonce: nonce,
+      return await this.getAdapter(network).refund({
+        token,
+        to: sellerAddress,
+        amount,
+        amountWei: amountWeiOverride,
+        contractAddress: contractAddressOverride,
+        groupId,
+        escrowId: options.escrowId,
       });
-
-      const waitPromise = tx.wait();
-      let receipt;
-
-      for (let attempt = 1; attempt <= 3; attempt++) {
-        try {
-          const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(
-              () =>
-                reject(
-                  new Error(
-                    `Transaction verification timed out (${attempt}/3).`
-                  )
-                ),
-              60000
-            )
-          );
-          receipt = await Promise.race([waitPromise, timeoutPromise]);
-          break; // Success!
-        } catch (e) {
-          if (attempt === 3) {
-            throw new Error(
-              "Transaction verification timed out after 3 attempts (180s). Please check the explorer manually."
-            );
-          }
-          console.log(
-            `Verification attempt ${attempt} timed out, continuing to wait...`
-          );
-        }
-      }
-
-      const transactionHash =
-        receipt.transactionHash || receipt.hash || tx.hash;
-
-      return {
-        success: true,
-        transactionHash: transactionHash,
-        blockNumber: receipt.blockNumber,
-      };
     } catch (error) {
-      // Provide a concise log for common provider errors (like insufficient gas funds)
-      const code = error?.code || error?.shortMessage || "";
-      const providerMessage =
-        error?.info?.error?.message || error?.message || "";
-      if (
-        code === "INSUFFICIENT_FUNDS" ||
-        providerMessage.toLowerCase().includes("insufficient funds")
-      ) {
-        console.error(
-          `Error refunding funds: Insufficient gas balance on ${network}. Details: ${providerMessage}`
-        );
-      }
-
-      const errorMessage = error?.message || "";
-      const errorData = JSON.stringify(error);
-
-      if (
-        errorMessage.includes("BEP20: transfer amount exceeds balance") ||
-        errorData.includes("BEP20: transfer amount exceeds balance")
-      ) {
-        console.warn(
-          `⚠️ Refund Failed: Contract likely has insufficient balance (transfer exceeds balance).`
-        );
-        throw error;
-      }
-
-      if (!error.message.includes("Insufficient Vault Balance")) {
-        console.error("Error refunding funds:", error);
-      }
+      this.logPayoutError("refund", error, {
+        token,
+        network,
+        contractAddress: contractAddressOverride,
+        amount,
+      });
       throw error;
     }
   }
 
-  async getEscrowContractAddress(token, network, groupId = null) {
+  /**
+   * Pay a dispute split - buyerAmountWei to the buyer, sellerAmountWei back
+   * to the seller - in one vault transaction. Resolves to null when the
+   * deal's vault has no split() (EscrowVault, TRON); the caller then sends
+   * the two payouts itself.
+   */
+  async splitFunds(
+    token,
+    network,
+    { buyerAddress, buyerAmountWei, sellerAddress, sellerAmountWei },
+    groupId = null,
+    contractAddressOverride = null,
+    options = {}
+  ) {
     try {
-      const desiredFeePercent = Number(0); // Strict, no config fallback
-
-      if (groupId) {
-        const groupContract = await ContractModel.findOne({
-          name: "EscrowVault",
-          token: token.toUpperCase(),
-          network: network.toUpperCase(),
-          // feePercent: desiredFeePercent, // REMOVED: Trust the groupId assignment regardless of fee
-          groupId: groupId,
-          status: "deployed",
-        });
-
-        if (groupContract) {
-          return groupContract.address;
-        }
-      }
-
-      const contract = await ContractModel.findOne({
-        name: "EscrowVault",
-        token: token.toUpperCase(),
-        network: network.toUpperCase(),
-        feePercent: desiredFeePercent,
-        status: "deployed",
+      return await this.getAdapter(network).split({
+        token,
+        buyer: buyerAddress,
+        buyerAmountWei,
+        seller: sellerAddress,
+        sellerAmountWei,
+        contractAddress: contractAddressOverride,
+        groupId,
+        escrowId: options.escrowId,
       });
-
-      return contract ? contract.address : null;
     } catch (error) {
-      console.error("Error getting escrow contract address:", error);
-      return null;
+      this.logPayoutError("split", error, {
+        token,
+        network,
+        contractAddress: contractAddressOverride,
+        amount: null,
+      });
+      throw error;
     }
   }
 
-  getTokenAddress(token, network) {
-    const tokenKey = `${token}_${network.toUpperCase()}`;
-    return config[tokenKey];
-  }
-
-  async withdrawToAdmin(contractAddress, adminAddress, token, network, amount) {
+  /**
+   * Close a completed or refunded escrow in its vault, so the network fee
+   * kept back from its payouts can be collected with the vault's fees.
+   * Never throws: the trade is already paid out, and a failed close only
+   * leaves the remainder in the escrow's vault balance.
+   * @param {Object} escrow - Escrow document
+   * @returns {Promise<Object|null>} See ChainAdapter.closeEscrow()
+   */
+  async closeEscrow(escrow) {
     try {
-      const wallet = this.wallets[network.toUpperCase()];
-      if (!wallet) {
-        throw new Error(`Wallet not configured for network: ${network}`);
-      }
-
-      const provider = this.providers[network.toUpperCase()];
-      const vaultContract = new ethers.Contract(
-        contractAddress,
-        ESCROW_VAULT_ABI,
-        wallet
+      return await this.getAdapter(escrow.chain).closeEscrow({
+        token: escrow.token,
+        contractAddress: escrow.contractAddress,
+        groupId: escrow.groupId,
+        escrowId: escrow.escrowId,
+      });
+    } catch (error) {
+      console.error(
+        `Error closing escrow ${escrow.escrowId} in its vault:`,
+        error
       );
-      const decimals = this.getTokenDecimals(token, network);
-      const amountWei = ethers.parseUnits(amount.toString(), decimals);
+      return null;
+    }
+  }
 
-      const tokenAddress = this.getTokenAddress(token, network);
-      if (!tokenAddress) {
-        throw new Error(`Token address not found for ${token} on ${network}`);
-      }
+  // Concise logs for the payout errors we expect, full ones for the rest
+  logPayoutError(type, error, { token, network, contractAddress, amount }) {
+    const action = {
+      release: "releasing",
+      refund: "refunding",
+      split: "splitting",
+    }[type];
+    const code = error?.code || error?.shortMessage || "";
+    const providerMessage = error?.info?.error?.message || error?.message || "";
+    if (
+      code === "INSUFFICIENT_FUNDS" ||
+      providerMessage.toLowerCase().includes("insufficient funds")
+    ) {
+      console.error(
+        `Error ${action} funds: Insufficient gas balance on ${network}. Details: ${providerMessage}`
+      );
+    }
 
-      let nonce;
-      try {
-        nonce = await provider.getTransactionCount(wallet.address, "latest");
-      } catch (nonceError) {
-        try {
-          nonce = await provider.getTransactionCount(wallet.address);
-        } catch (fallbackError) {
-          throw new Error(
-            `Failed to get transaction nonce: ${fallbackError.message}`
-          );
-        }
-      }
+    const errorMessage = error?.message || "";
+    const errorData = JSON.stringify(error, (key, value) =>
+      typeof value === "bigint" ? value.toString() : value
+    );
+    if (
+      errorMessage.includes("BEP20: transfer amount exceeds balance") ||
+      errorData.includes("BEP20: transfer amount exceeds balance")
+    ) {
+      console.warn(
+        `⚠️ ${
+          { release: "Release", refund: "Refund", split: "Split" }[type]
+        } Failed: Contract likely has insufficient balance (transfer exceeds balance).`
+      );
+      return;
+    }
 
-      const tx = await vaultContract.withdrawToken(tokenAddress, adminAddress, {
-        nonce: nonce,
-      });
-      const receipt = await tx.wait();
+    // Robust check for "Insufficient Vault Balance" to prevent console spam
+    const errString = (error?.message || "") + (error?.toString() || "");
+    if (!errString.includes("Insufficient Vault Balance")) {
+      console.error(
+        `Error ${action} funds on ${network} (token: ${token}, contract: ${contractAddress}, amount: ${amount}):`,
+        error
+      );
+    }
+  }
 
-      const transactionHash =
-        receipt.transactionHash || receipt.hash || tx.hash;
+  /**
+   * Look a journaled payout up on-chain for PayoutService.reconcile().
+   * Rebroadcasts it if it is neither mined nor dead.
+   * @param {Object} payout - Payout document in "signed" or "broadcast" state
+   * @returns {Promise<{state: string, blockNumber?: number, reason?: string}>}
+   *   state is "confirmed", "failed" or "pending"
+   */
+  async checkPayout(payout) {
+    const adapter = chains.getAdapter(payout.network);
+    if (!adapter) {
+      return { state: "pending" };
+    }
+    return adapter.checkPayout(payout);
+  }
 
-      return transactionHash;
+  async getEscrowContractAddress(token, network, groupId = null) {
+    try {
+      const adapter = chains.getAdapter(network);
+      return adapter ? await adapter.findVaultAddress(token, groupId) : null;
     } catch (error) {
-      console.error("Error withdrawing to admin:", error);
-      throw error;
+      console.error("Error getting escrow contract address:", error);
+      return null;
     }
   }
 }
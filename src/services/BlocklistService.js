@@ -0,0 +1,282 @@
+const BlockedAddress = require("../models/BlockedAddress");
+const Escrow = require("../models/Escrow");
+const User = require("../models/User");
+const { escapeHtml } = require("../utils/participant");
+
+// Trades a block interrupts
+const ACTIVE_STATUSES = [
+  "draft",
+  "awaiting_details",
+  "awaiting_deposit",
+  "deposited",
+  "in_fiat_transfer",
+  "ready_to_release",
+  "disputed",
+];
+
+// Trades holding a deposit, which an admin has to settle
+const FUNDED_STATUSES = [
+  "deposited",
+  "in_fiat_transfer",
+  "ready_to_release",
+  "disputed",
+];
+
+const DURATION_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+/**
+ * Users and payout addresses admins have blocked from trading
+ */
+class BlocklistService {
+  /**
+   * "12h", "7d", "2w" → milliseconds; null for anything else
+   */
+  parseDuration(text) {
+    const match = /^(\d+)([hdw])$/i.exec(text || "");
+    return match
+      ? Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()]
+      : null;
+  }
+
+  /**
+   * EVM addresses are compared lowercase; TRON base58 is case-sensitive
+   */
+  normalizeAddress(address) {
+    const trimmed = (address || "").trim();
+    return /^0x/i.test(trimmed) ? trimmed.toLowerCase() : trimmed;
+  }
+
+  /**
+   * User by "@username" or numeric Telegram ID. A numeric ID the bot has
+   * never seen gets a User record so it can be blocked in advance.
+   */
+  async findUser(target) {
+    const handle = (target || "").replace(/^@/, "");
+    if (!handle) {
+      return null;
+    }
+    if (/^\d+$/.test(handle)) {
+      return User.findOneAndUpdate(
+        { telegramId: Number(handle) },
+        { $setOnInsert: { telegramId: Number(handle) } },
+        { upsert: true, new: true }
+      );
+    }
+    return User.findOne({
+      username: { $regex: new RegExp(`^${escapeRegex(handle)}$`, "i") },
+    }).sort({ lastActive: -1 });
+  }
+
+  async blockUser(user, { reason = null, durationMs = null }, admin) {
+    user.isBlocked = true;
+    user.blockReason = reason || null;
+    user.blockedUntil = durationMs ? new Date(Date.now() + durationMs) : null;
+    user.blockedBy = { id: admin.id, username: admin.username };
+    user.blockedAt = new Date();
+    await user.save();
+    return user;
+  }
+
+  async unblockUser(user) {
+    user.isBlocked = false;
+    user.blockReason = null;
+    user.blockedUntil = null;
+    user.blockedAt = null;
+    await user.save();
+    return user;
+  }
+
+  /**
+   * The User record if the user is blocked right now, else null. Blocks
+   * past their expiry are lifted here.
+   * @param {number} telegramId
+   * @param {string} [username] - Checked when the ID is not known
+   */
+  async getActiveBlock(telegramId, username = null) {
+    let query;
+    if (telegramId) {
+      query = { telegramId: Number(telegramId) };
+    } else if (username) {
+      query = {
+        username: {
+          $regex: new RegExp(
+            `^${escapeRegex(username.replace(/^@/, ""))}$`,
+            "i"
+          ),
+        },
+      };
+    } else {
+      return null;
+    }
+
+    const user = await User.findOne({ ...query, isBlocked: true });
+    if (!user) {
+      return null;
+    }
+    if (user.blockedUntil && user.blockedUntil <= new Date()) {
+      await this.unblockUser(user);
+      return null;
+    }
+    return user;
+  }
+
+  /**
+   * Blocked users among an escrow's buyer and seller
+   * @returns {Promise<Array<{role: string, user: Object}>>}
+   */
+  async findBlockedParties(escrow) {
+    const blocked = [];
+    for (const role of ["buyer", "seller"]) {
+      const user = await this.getActiveBlock(escrow[`${role}Id`]);
+      if (user) {
+        blocked.push({ role, user });
+      }
+    }
+    return blocked;
+  }
+
+  /**
+   * What a blocked user is told when they try to trade
+   */
+  formatBlockNotice(user) {
+    const until = user.blockedUntil
+      ? ` until ${formatDate(user.blockedUntil)} (IST)`
+      : "";
+    const reason = user.blockReason ? `\nReason: ${user.blockReason}` : "";
+    return `⛔ You are blocked from trading on this bot${until}.${reason}\n\nContact an admin if you think this is a mistake.`;
+  }
+
+  /**
+   * Tell the other party in a trade group that a blocked user is involved
+   * @param {Object} telegram - Telegram bot instance
+   * @param {Object} escrow - Escrow of the group
+   * @param {Object} blockedUser - User record of the blocked party
+   * @param {string} consequence - What happens to the trade, e.g. "this
+   *   deal can't continue"
+   */
+  async notifyCounterparty(telegram, escrow, blockedUser, consequence) {
+    const blockedId = Number(blockedUser.telegramId);
+    const counterparty =
+      Number(escrow.buyerId) === blockedId
+        ? { id: escrow.sellerId, username: escrow.sellerUsername }
+        : Number(escrow.sellerId) === blockedId
+        ? { id: escrow.buyerId, username: escrow.buyerUsername }
+        : null;
+    const counterpartyTag = counterparty?.username
+      ? `@${escapeHtml(counterparty.username)}, `
+      : "";
+    const blockedTag = blockedUser.username
+      ? `@${escapeHtml(blockedUser.username)}`
+      : "The other party";
+
+    try {
+      await telegram.sendMessage(
+        escrow.groupId,
+        `⚠️ ${counterpartyTag}${blockedTag} is blocked from trading on this bot, so ${consequence}. Contact an admin if you have questions.`,
+        { parse_mode: "HTML" }
+      );
+    } catch (error) {
+      console.error(
+        `Could not notify group ${escrow.groupId} about blocked user:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Warn the trade groups a newly blocked user is part of
+   * @returns {Promise<number>} Number of trades notified
+   */
+  async notifyActiveTrades(telegram, user) {
+    const id = Number(user.telegramId);
+    const escrows = await Escrow.find({
+      status: { $in: ACTIVE_STATUSES },
+      $or: [{ buyerId: id }, { sellerId: id }, { allowedUserIds: id }],
+    });
+    for (const escrow of escrows) {
+      await this.notifyCounterparty(
+        telegram,
+        escrow,
+        user,
+        FUNDED_STATUSES.includes(escrow.status)
+          ? "an admin will settle this trade"
+          : "this deal can't continue"
+      );
+    }
+    return escrows.length;
+  }
+
+  async blockAddress(address, { reason = null, durationMs = null }, admin) {
+    return BlockedAddress.findOneAndUpdate(
+      { address: this.normalizeAddress(address) },
+      {
+        $set: {
+          reason: reason || null,
+          expiresAt: durationMs ? new Date(Date.now() + durationMs) : null,
+          blockedBy: { id: admin.id, username: admin.username },
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the address was blocked
+   */
+  async unblockAddress(address) {
+    const result = await BlockedAddress.deleteOne({
+      address: this.normalizeAddress(address),
+    });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * The BlockedAddress entry if payouts to the address are blocked now
+   */
+  async getAddressBlock(address) {
+    return BlockedAddress.findOne({
+      address: this.normalizeAddress(address),
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
+  }
+
+  /**
+   * Users and addresses blocked right now
+   */
+  async listActive() {
+    const now = new Date();
+    const [users, addresses] = await Promise.all([
+      User.find({
+        isBlocked: true,
+        $or: [{ blockedUntil: null }, { blockedUntil: { $gt: now } }],
+      }).sort({ blockedAt: -1 }),
+      BlockedAddress.find({
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+      }).sort({ createdAt: -1 }),
+    ]);
+    return { users, addresses };
+  }
+
+  formatExpiry(date) {
+    return date ? `until ${formatDate(date)}` : "permanent";
+  }
+}
+
+module.exports = new BlocklistService();
@@ -0,0 +1,351 @@
+const Dispute = require("../models/Dispute");
+const BlockchainService = require("./BlockchainService");
+const EscrowStateMachine = require("./EscrowStateMachine");
+const GroupMessageService = require("./GroupMessageService");
+const buildDealSummary = require("../utils/dealSummary");
+const { escapeHtml: escapeText } = require("../utils/participant");
+
+function escapeHtml(value) {
+  return escapeText(value == null ? "" : String(value));
+}
+
+function formatDate(date) {
+  if (!date) {
+    return "-";
+  }
+  return new Date(date).toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    dateStyle: "short",
+    timeStyle: "medium",
+  });
+}
+
+function formatUser(id, username) {
+  if (username) {
+    return `@${username}`;
+  }
+  return id != null ? `[${id}]` : "-";
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) {
+    return '<p class="empty">None recorded.</p>';
+  }
+  return `<table>
+<tr>${headers.map((header) => `<th>${header}</th>`).join("")}</tr>
+${rows
+  .map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join("")}</tr>`)
+  .join("\n")}
+</table>`;
+}
+
+const STYLE = `body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #222; }
+h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 28px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+code { font-size: 12px; word-break: break-all; }
+.summary { white-space: pre-wrap; background: #fafafa; border: 1px solid #eee; padding: 12px; }
+.empty { color: #888; }`;
+
+/**
+ * Dispute case file: everything known about a trade in one HTML document -
+ * deal summary, dispute cases, status history, on-chain transactions, the
+ * fiat handshake and the archived group chat
+ */
+class CaseFileService {
+  /**
+   * @param {Object} escrow - Escrow document
+   * @returns {Promise<{filename: string, html: string}>}
+   */
+  async build(escrow) {
+    const [events, disputes, messages] = await Promise.all([
+      EscrowStateMachine.getHistory(escrow.escrowId),
+      Dispute.find({ escrowId: escrow.escrowId }).sort({ createdAt: 1 }),
+      GroupMessageService.getTranscript(escrow.escrowId),
+    ]);
+
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Case file ${escapeHtml(escrow.escrowId)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Case file <code>${escapeHtml(escrow.escrowId)}</code></h1>
+<p>Generated ${escapeHtml(formatDate(new Date()))} (IST)</p>
+${this.renderOverview(escrow)}
+<h2>Deal summary</h2>
+${await this.renderDealSummary(escrow)}
+<h2>Disputes</h2>
+${this.renderDisputes(disputes)}
+<h2>Status history</h2>
+${this.renderEvents(events)}
+<h2>Transactions</h2>
+${this.renderTransactions(escrow)}
+<h2>Fiat handshake</h2>
+${this.renderFiat(escrow, events)}
+<h2>Group messages (${messages.length})</h2>
+${this.renderMessages(messages)}
+</body>
+</html>
+`;
+    return { filename: `case-${escrow.escrowId}.html`, html };
+  }
+
+  renderOverview(escrow) {
+    return table(
+      ["Field", "Value"],
+      [
+        ["Status", escapeHtml(escrow.status)],
+        [
+          "Buyer",
+          `${escapeHtml(
+            formatUser(escrow.buyerId, escrow.buyerUsername)
+          )} <code>${escapeHtml(escrow.buyerAddress || "-")}</code>`,
+        ],
+        [
+          "Seller",
+          `${escapeHtml(
+            formatUser(escrow.sellerId, escrow.sellerUsername)
+          )} <code>${escapeHtml(escrow.sellerAddress || "-")}</code>`,
+        ],
+        [
+          "Amount",
+          `${escapeHtml(escrow.quantity)} ${escapeHtml(
+            escrow.token
+          )} on ${escapeHtml(escrow.chain)}`,
+        ],
+        ["Vault", `<code>${escapeHtml(escrow.contractAddress || "-")}</code>`],
+        ["Trade group", `<code>${escapeHtml(escrow.groupId)}</code>`],
+        ["Created", escapeHtml(formatDate(escrow.createdAt))],
+        ["Trade started", escapeHtml(formatDate(escrow.tradeStartTime))],
+        ["Completed", escapeHtml(formatDate(escrow.completedAt))],
+      ]
+    );
+  }
+
+  /**
+   * The Deal Summary caption with only its <b>/<code> markup kept
+   */
+  async renderDealSummary(escrow) {
+    let summary;
+    try {
+      summary = await buildDealSummary(escrow);
+    } catch (error) {
+      return '<p class="empty">Deal details were never completed.</p>';
+    }
+    const markup = escapeHtml(summary).replace(
+      /&lt;(\/?)(b|code)&gt;/g,
+      "<$1$2>"
+    );
+    return `<div class="summary">${markup}</div>`;
+  }
+
+  renderDisputes(disputes) {
+    if (disputes.length === 0) {
+      return '<p class="empty">No dispute was opened.</p>';
+    }
+    return disputes
+      .map((dispute) => {
+        const comments = dispute.comments.map((comment) => [
+          escapeHtml(formatDate(comment.createdAt)),
+          escapeHtml(formatUser(comment.authorId, comment.authorUsername)),
+          escapeHtml(comment.text),
+        ]);
+        const resolution =
+          dispute.status === "resolved"
+            ? `${escapeHtml(dispute.resolution)}${
+                dispute.resolution === "split"
+                  ? ` (${dispute.splitBuyerPercent}% buyer)`
+                  : ""
+              } by ${escapeHtml(
+                formatUser(dispute.resolvedBy?.id, dispute.resolvedBy?.username)
+              )} at ${escapeHtml(formatDate(dispute.resolvedAt))}${
+                dispute.resolutionNote
+                  ? ` - ${escapeHtml(dispute.resolutionNote)}`
+                  : ""
+              }`
+            : "-";
+        return `${table(
+          ["Field", "Value"],
+          [
+            ["Opened", escapeHtml(formatDate(dispute.createdAt))],
+            [
+              "Opened by",
+              escapeHtml(
+                dispute.openedBy?.role === "system"
+                  ? "Bot"
+                  : `${formatUser(
+                      dispute.openedBy?.id,
+                      dispute.openedBy?.username
+                    )} (${dispute.openedBy?.role || "unknown"})`
+              ),
+            ],
+            ["Reason", escapeHtml(dispute.reason)],
+            ["Status", escapeHtml(dispute.status)],
+            [
+              "Assigned admin",
+              escapeHtml(
+                formatUser(
+                  dispute.assignedAdmin?.id,
+                  dispute.assignedAdmin?.username
+                )
+              ),
+            ],
+            ["Evidence items", String(dispute.evidence.length)],
+            ["Resolution", resolution],
+          ]
+        )}
+<p><b>Admin comments</b></p>
+${table(["Time", "Admin", "Comment"], comments)}`;
+      })
+      .join("\n");
+  }
+
+  renderEvents(events) {
+    return table(
+      ["Time", "Change", "By", "Reason"],
+      events.map((event) => [
+        escapeHtml(formatDate(event.createdAt)),
+        `${escapeHtml(event.fromStatus)} → <b>${escapeHtml(
+          event.toStatus
+        )}</b>`,
+        event.actorType === "system"
+          ? "system"
+          : `${escapeHtml(event.actorType)} ${escapeHtml(
+              formatUser(event.actorId, event.actorUsername)
+            )}`,
+        escapeHtml(event.reason || ""),
+      ])
+    );
+  }
+
+  renderTransactions(escrow) {
+    const rows = [];
+    const seen = new Set();
+    const add = (kind, hash, detail = "") => {
+      if (!hash || seen.has(`${kind}:${hash}`)) {
+        return;
+      }
+      seen.add(`${kind}:${hash}`);
+      const url = BlockchainService.getExplorerUrl(escrow.chain, "tx", hash);
+      rows.push([
+        kind,
+        url
+          ? `<a href="${escapeHtml(url)}"><code>${escapeHtml(hash)}</code></a>`
+          : `<code>${escapeHtml(hash)}</code>`,
+        escapeHtml(detail),
+      ]);
+    };
+
+    (escrow.tranches || []).forEach((tranche) => {
+      const label = `Tranche ${tranche.index}`;
+      (tranche.depositTransactionHashes || []).forEach((hash) =>
+        add("Deposit", hash, label)
+      );
+      add("Release", tranche.releaseTransactionHash, label);
+    });
+    (escrow.partialTransactionHashes || []).forEach((hash) =>
+      add("Deposit", hash)
+    );
+    add("Deposit", escrow.transactionHash);
+    (escrow.partialReleaseTransactionHashes || []).forEach((hash) =>
+      add("Release", hash)
+    );
+    add("Release", escrow.releaseTransactionHash);
+    (escrow.partialRefundTransactionHashes || []).forEach((hash) =>
+      add("Refund", hash)
+    );
+    add("Refund", escrow.refundTransactionHash);
+
+    return table(["Type", "Transaction", "Note"], rows);
+  }
+
+  /**
+   * "I have sent the money" / "Yes, I received" moments from the status
+   * history and tranches, with the buyer's payment proofs
+   */
+  renderFiat(escrow, events) {
+    const steps = [];
+    events.forEach((event) => {
+      if (event.toStatus === "in_fiat_transfer") {
+        steps.push([
+          event.createdAt,
+          "Buyer marked the fiat payment as sent",
+          "",
+        ]);
+      } else if (event.toStatus === "ready_to_release") {
+        steps.push([
+          event.createdAt,
+          "Seller confirmed the fiat payment arrived",
+          "",
+        ]);
+      }
+    });
+    (escrow.tranches || []).forEach((tranche) => {
+      const label = `Tranche ${tranche.index}`;
+      if (tranche.fiatSentAt) {
+        steps.push([tranche.fiatSentAt, "Buyer marked fiat as sent", label]);
+      }
+      if (tranche.fiatConfirmedAt) {
+        steps.push([
+          tranche.fiatConfirmedAt,
+          "Seller confirmed fiat received",
+          label,
+        ]);
+      }
+    });
+    (escrow.paymentProofs || []).forEach((proof) => {
+      steps.push([
+        proof.uploadedAt,
+        `Buyer uploaded payment proof (${proof.fileName || proof.type})`,
+        `${proof.caption ? `${proof.caption} · ` : ""}file_id ${proof.fileId}`,
+      ]);
+    });
+
+    steps.sort((a, b) => new Date(a[0]) - new Date(b[0]));
+    return table(
+      ["Time", "Step", "Note"],
+      steps.map(([time, step, note]) => [
+        escapeHtml(formatDate(time)),
+        escapeHtml(step),
+        escapeHtml(note),
+      ])
+    );
+  }
+
+  renderMessages(messages) {
+    return table(
+      ["Time", "From", "Message"],
+      messages.map((message) => {
+        const attachment = message.attachment?.type
+          ? `<br><i>[${escapeHtml(message.attachment.type)}${
+              message.attachment.fileName
+                ? `: ${escapeHtml(message.attachment.fileName)}`
+                : ""
+            }]</i> <code>${escapeHtml(message.attachment.fileId)}</code>`
+          : "";
+        const edits = (message.edits || [])
+          .map(
+            (edit) =>
+              `<br><i>edited ${escapeHtml(
+                formatDate(edit.editedAt)
+              )}:</i> ${escapeHtml(edit.text || "")}`
+          )
+          .join("");
+        return [
+          escapeHtml(formatDate(message.sentAt)),
+          escapeHtml(
+            formatUser(message.from?.id, message.from?.username) +
+              (message.from?.isBot ? " (bot)" : "")
+          ),
+          `${escapeHtml(message.text || "")}${attachment}${edits}`,
+        ];
+      })
+    );
+  }
+}
+
+module.exports = new CaseFileService();
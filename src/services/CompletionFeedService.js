@@ -1,8 +1,10 @@
 const config = require("../../config");
 const Stats = require("../models/Stats");
 const { formatParticipantById } = require("../utils/participant");
+const RatingService = require("./RatingService");
 const UserStatsService = require("./UserStatsService");
 const withRetry = require("../utils/retry");
+const chains = require("./chains");
 
 class CompletionFeedService {
   constructor() {
@@ -10,6 +12,14 @@ class CompletionFeedService {
   }
 
   async handleCompletion({ escrow, amount, transactionHash, telegram }) {
+    if (escrow && telegram) {
+      try {
+        await RatingService.sendPrompts(escrow, telegram);
+      } catch (error) {
+        console.error("CompletionFeedService: rating prompts failed:", error);
+      }
+    }
+
     if (!this.chatId) {
       console.error(
         "CompletionFeedService: COMPLETION_FEED_CHAT_ID is not set in environment variables"
@@ -246,20 +256,10 @@ ${transactionLine}`;
     if (!txHash) {
       return null;
     }
-    const chain = (network || "").toUpperCase();
-    if (chain === "BSC" || chain === "BNB") {
-      return `https://bscscan.com/tx/${txHash}`;
-    }
-    if (chain === "ETH" || chain === "ETHEREUM") {
-      return `https://etherscan.io/tx/${txHash}`;
-    }
-    if (chain === "POLYGON" || chain === "MATIC") {
-      return `https://polygonscan.com/tx/${txHash}`;
-    }
-    if (chain === "TRON" || chain === "TRX") {
-      return `https://tronscan.org/#/transaction/${txHash}`;
-    }
-    return `https://bscscan.com/tx/${txHash}`;
+    return (
+      chains.explorerUrl(network, "tx", txHash) ||
+      chains.explorerUrl("BSC", "tx", txHash)
+    );
   }
 
   /**
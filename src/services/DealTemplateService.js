@@ -0,0 +1,163 @@
+const DealTemplate = require("../models/DealTemplate");
+const feeConfig = require("../config/feeConfig");
+const { getPayoutAddressError } = require("../utils/addressValidation");
+
+const MAX_TEMPLATES_PER_USER = 20;
+const NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Saved deal presets for repeat traders. A template stores the chain, coin,
+ * rate, payment method and the owner's payout address; starting
+ * /deal @user <name> pre-fills those steps, leaving only the amount and the
+ * counterparty's address to enter before both parties approve the summary.
+ */
+class DealTemplateService {
+  normalizeName(name) {
+    const normalized = String(name || "")
+      .trim()
+      .toLowerCase();
+    return NAME_PATTERN.test(normalized) ? normalized : null;
+  }
+
+  async find(ownerId, name) {
+    const normalized = this.normalizeName(name);
+    if (!normalized) {
+      return null;
+    }
+    return DealTemplate.findOne({ ownerId: Number(ownerId), name: normalized });
+  }
+
+  async list(ownerId) {
+    return DealTemplate.find({ ownerId: Number(ownerId) }).sort({ name: 1 });
+  }
+
+  async remove(ownerId, name) {
+    const normalized = this.normalizeName(name);
+    if (!normalized) {
+      return false;
+    }
+    const result = await DealTemplate.deleteOne({
+      ownerId: Number(ownerId),
+      name: normalized,
+    });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Save (or overwrite) a template from a trade the user is part of
+   * @param {Object} escrow - Escrow with completed trade details
+   * @param {Object} user - Telegram user saving the template
+   * @param {string} name - Template name
+   * @returns {Promise<Object>} Saved template
+   */
+  async saveFromEscrow(escrow, user, name) {
+    const normalized = this.normalizeName(name);
+    if (!normalized) {
+      throw new Error(
+        "Template names may only use letters, numbers, '-' and '_' (max 32)."
+      );
+    }
+    if (
+      !escrow.chain ||
+      !escrow.token ||
+      !escrow.rate ||
+      !escrow.paymentMethod
+    ) {
+      throw new Error("Finish the trade details before saving a template.");
+    }
+
+    const isBuyer = Number(escrow.buyerId) === Number(user.id);
+    const isSeller = Number(escrow.sellerId) === Number(user.id);
+    if (!isBuyer && !isSeller) {
+      throw new Error("Only the buyer or seller can save this trade.");
+    }
+
+    const existing = await DealTemplate.findOne({
+      ownerId: Number(user.id),
+      name: normalized,
+    });
+    if (!existing) {
+      const count = await DealTemplate.countDocuments({
+        ownerId: Number(user.id),
+      });
+      if (count >= MAX_TEMPLATES_PER_USER) {
+        throw new Error(
+          `You can keep up to ${MAX_TEMPLATES_PER_USER} templates. Delete one with /template_delete first.`
+        );
+      }
+    }
+
+    const payoutAddress = isBuyer ? escrow.buyerAddress : escrow.sellerAddress;
+
+    return DealTemplate.findOneAndUpdate(
+      { ownerId: Number(user.id), name: normalized },
+      {
+        $set: {
+          ownerUsername: user.username || null,
+          chain: escrow.chain,
+          token: escrow.token,
+          rate: escrow.rate,
+          paymentMethod: escrow.paymentMethod,
+          payoutAddress: payoutAddress || null,
+        },
+      },
+      { new: true, upsert: true }
+    );
+  }
+
+  /**
+   * Pre-fill an escrow's trade details from the initiator's template once
+   * both roles are known. The amount is always entered per deal.
+   * @param {Object} escrow - Escrow with templateName, buyerId and sellerId set
+   * @returns {Promise<Object|null>} Applied template, or null if it is gone
+   */
+  async applyToEscrow(escrow) {
+    const template = await this.find(escrow.creatorId, escrow.templateName);
+    if (!template) {
+      return null;
+    }
+
+    escrow.chain = template.chain;
+    escrow.token = template.token;
+    escrow.rate = template.rate;
+    escrow.paymentMethod = template.paymentMethod;
+
+    const hasBioTag = escrow.feeRate !== undefined && escrow.feeRate < 0.75;
+    escrow.networkFee = feeConfig.getNetworkFee(
+      escrow.chain,
+      hasBioTag,
+      escrow.token
+    );
+
+    if (
+      template.payoutAddress &&
+      !(await getPayoutAddressError(template.payoutAddress, template.chain))
+    ) {
+      if (Number(escrow.buyerId) === Number(template.ownerId)) {
+        escrow.buyerAddress = template.payoutAddress;
+      } else if (Number(escrow.sellerId) === Number(template.ownerId)) {
+        escrow.sellerAddress = template.payoutAddress;
+      }
+    }
+
+    await DealTemplate.updateOne(
+      { _id: template._id },
+      { $inc: { timesUsed: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+
+    return template;
+  }
+
+  describe(template) {
+    const address = template.payoutAddress
+      ? `\n   Payout: <code>${template.payoutAddress}</code>`
+      : "";
+    return `• <b>${template.name}</b> - ${template.token} on ${
+      template.chain
+    } @ ₹${Number(template.rate).toFixed(1)}, ${
+      template.paymentMethod
+    }${address}`;
+  }
+}
+
+module.exports = new DealTemplateService();
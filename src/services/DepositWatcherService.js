@@ -0,0 +1,588 @@
+const { Markup } = require("telegraf");
+const config = require("../../config");
+const Escrow = require("../models/Escrow");
+const BlockchainService = require("./BlockchainService");
+const CompletionFeedService = require("./CompletionFeedService");
+const EscrowStateMachine = require("./EscrowStateMachine");
+const TrancheService = require("./TrancheService");
+const images = require("../config/images");
+const confirmationConfig = require("../config/confirmationConfig");
+const depositConfig = require("../config/depositConfig");
+const withRetry = require("../utils/retry");
+
+class DepositWatcherService {
+  constructor() {
+    this.telegram = null;
+    this.timer = null;
+    this.isPolling = false;
+    this.intervalMs = config.DEPOSIT_WATCHER_INTERVAL_MS;
+  }
+
+  /**
+   * Start polling every escrow that is waiting for (or topping up) a deposit
+   * @param {Object} telegram - Telegram bot instance used to post updates
+   */
+  start(telegram) {
+    if (this.timer) {
+      return;
+    }
+    this.telegram = telegram;
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    console.log(
+      `👀 Deposit watcher started (every ${Math.round(
+        this.intervalMs / 1000
+      )}s)`
+    );
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    // Skip the tick if the previous scan is still running (slow RPCs)
+    if (this.isPolling) {
+      return;
+    }
+    this.isPolling = true;
+
+    try {
+      const escrows = await Escrow.find({
+        status: { $in: ["awaiting_deposit", "deposited"] },
+        depositAddress: { $exists: true, $ne: null },
+      });
+
+      for (const escrow of escrows) {
+        try {
+          await this.checkEscrow(escrow, this.telegram);
+        } catch (error) {
+          console.error(
+            `Deposit watcher error for escrow ${escrow.escrowId}:`,
+            error
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Error in deposit watcher loop:", error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Scan the escrow's deposit address for new transfers, track them until
+   * they reach the chain's confirmation depth, then record them.
+   * Used by the background poll and by the manual "check_deposit" button.
+   * RPC errors are thrown and leave lastCheckedBlock where it was, so the
+   * same range is scanned again on the next run.
+   * @param {Object} escrow - The escrow document
+   * @param {Object} telegram - Telegram bot instance
+   * @returns {Promise<{newAmount: number, deposits: Array, pending: Array}>}
+   */
+  async checkEscrow(escrow, telegram) {
+    const empty = { newAmount: 0, deposits: [], pending: [] };
+    if (!escrow || !escrow.depositAddress) {
+      return empty;
+    }
+
+    const latest = await BlockchainService.getLatestBlockNumber(escrow.chain);
+    if (!latest) {
+      return empty;
+    }
+
+    // Deposit addresses are shared per group contract, so never scan history
+    // from before this escrow started watching - older transfers belong to
+    // previous trades in the same room.
+    if (!escrow.lastCheckedBlock) {
+      await Escrow.updateOne(
+        { _id: escrow._id },
+        { $set: { lastCheckedBlock: latest } }
+      );
+      return empty;
+    }
+
+    // Start a confirmation depth back: indexers (TronGrid) may list a
+    // transfer only after its block is final. Rescanned hashes are ignored.
+    const overlap = confirmationConfig.getRequiredConfirmations(escrow.chain);
+    const txs = await BlockchainService.getTokenTransfersViaRPC(
+      escrow.token,
+      escrow.chain,
+      escrow.depositAddress,
+      Math.max(0, escrow.lastCheckedBlock - overlap),
+      latest
+    );
+
+    const depositAddr = escrow.depositAddress.toLowerCase();
+    const candidates = (txs || []).filter(
+      (tx) =>
+        tx.hash &&
+        (tx.to || "").toLowerCase() === depositAddr &&
+        Number(tx.valueDecimal) > 0
+    );
+
+    for (const tx of candidates) {
+      await this.addPendingDeposit(escrow._id, tx);
+    }
+
+    // Only reached after the whole range was scanned
+    await Escrow.updateOne(
+      { _id: escrow._id },
+      { $set: { lastCheckedBlock: latest } }
+    );
+
+    return this.processPendingDeposits(escrow._id, latest, telegram);
+  }
+
+  /**
+   * Queue a transfer until it is deep enough. No-op if the hash is already
+   * recorded or queued on this escrow.
+   * @param {Object} escrowId - Escrow _id
+   * @param {{hash: string, from: string, valueDecimal: number, valueWei: string, blockNumber: number}} tx
+   * @returns {Promise<boolean>} true if the transfer was newly queued
+   */
+  async addPendingDeposit(escrowId, tx) {
+    const hash = tx.hash;
+    const result = await Escrow.updateOne(
+      {
+        _id: escrowId,
+        transactionHash: { $ne: hash },
+        partialTransactionHashes: { $ne: hash },
+        "pendingDeposits.hash": { $ne: hash },
+      },
+      {
+        $push: {
+          pendingDeposits: {
+            hash,
+            from: tx.from,
+            valueDecimal: Number(tx.valueDecimal),
+            valueWei: tx.valueWei || "0",
+            blockNumber: tx.blockNumber,
+          },
+        },
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Promote queued deposits that reached the confirmation depth, drop ones
+   * that were reorged out and keep the "pending N/M confirmations" message
+   * in the group up to date.
+   */
+  async processPendingDeposits(escrowId, latest, telegram) {
+    const escrow = await Escrow.findById(escrowId);
+    if (!escrow || !escrow.pendingDeposits || !escrow.pendingDeposits.length) {
+      return { newAmount: 0, deposits: [], pending: [] };
+    }
+
+    const required = confirmationConfig.getRequiredConfirmations(escrow.chain);
+    const deposits = [];
+    const pending = [];
+
+    for (const entry of escrow.pendingDeposits) {
+      const tx = {
+        hash: entry.hash,
+        from: entry.from,
+        valueDecimal: entry.valueDecimal,
+        valueWei: entry.valueWei,
+        blockNumber: entry.blockNumber,
+      };
+
+      let confirmations = confirmationConfig.countConfirmations(
+        tx.blockNumber,
+        latest
+      );
+      if (confirmations >= required) {
+        // Re-read the receipt: the block it was first seen in may be gone
+        const minedIn = await BlockchainService.getTransactionBlockNumber(
+          escrow.chain,
+          tx.hash
+        );
+        if (!minedIn) {
+          console.warn(
+            `Deposit ${tx.hash} for escrow ${escrow.escrowId} disappeared (reorg), dropping it`
+          );
+          await Escrow.updateOne(
+            { _id: escrowId },
+            { $pull: { pendingDeposits: { hash: tx.hash } } }
+          );
+          continue;
+        }
+        if (minedIn !== tx.blockNumber) {
+          tx.blockNumber = minedIn;
+          await Escrow.updateOne(
+            { _id: escrowId, "pendingDeposits.hash": tx.hash },
+            { $set: { "pendingDeposits.$.blockNumber": minedIn } }
+          );
+          confirmations = confirmationConfig.countConfirmations(
+            minedIn,
+            latest
+          );
+        }
+      }
+
+      if (confirmations < required) {
+        pending.push({ ...tx, confirmations });
+        continue;
+      }
+
+      if (await this.claimTransaction(escrowId, tx)) {
+        deposits.push(tx);
+      }
+      await Escrow.updateOne(
+        { _id: escrowId },
+        { $pull: { pendingDeposits: { hash: tx.hash } } }
+      );
+    }
+
+    await this.updatePendingMessage(escrowId, pending, required, telegram);
+
+    if (deposits.length === 0) {
+      return { newAmount: 0, deposits, pending };
+    }
+
+    const newAmount = deposits.reduce(
+      (sum, tx) => sum + Number(tx.valueDecimal),
+      0
+    );
+    await this.applyDeposits(escrowId, deposits, newAmount, telegram);
+
+    return { newAmount, deposits, pending };
+  }
+
+  /**
+   * Post or edit the in-place confirmation progress message, and remove it
+   * once nothing is pending anymore.
+   */
+  async updatePendingMessage(escrowId, pending, required, telegram) {
+    if (!telegram) {
+      return;
+    }
+    const escrow = await Escrow.findById(escrowId);
+    if (!escrow) {
+      return;
+    }
+
+    if (pending.length === 0) {
+      if (escrow.pendingDepositMessageId) {
+        try {
+          await telegram.deleteMessage(
+            escrow.groupId,
+            escrow.pendingDepositMessageId
+          );
+        } catch (e) {}
+        await Escrow.updateOne(
+          { _id: escrowId },
+          { $set: { pendingDepositMessageId: null } }
+        );
+      }
+      return;
+    }
+
+    const token = escrow.token;
+    const lines = pending.map(
+      (tx) =>
+        `💰 ${Number(tx.valueDecimal).toFixed(
+          2
+        )} ${token} • <code>${tx.hash.substring(0, 10)}...</code>\n` +
+        `🧱 Pending ${Math.min(
+          tx.confirmations,
+          required
+        )}/${required} confirmations`
+    );
+    const text = `⏳ <b>Deposit detected</b>
+
+${lines.join("\n\n")}
+
+The deposit will be confirmed automatically once it reaches ${required} confirmations on ${(
+      escrow.chain || "BSC"
+    ).toUpperCase()}.`;
+
+    if (escrow.pendingDepositMessageId) {
+      try {
+        await telegram.editMessageText(
+          escrow.groupId,
+          escrow.pendingDepositMessageId,
+          null,
+          text,
+          { parse_mode: "HTML" }
+        );
+        return;
+      } catch (e) {
+        const desc = e?.response?.description || e?.message || "";
+        if (desc.includes("message is not modified")) {
+          return;
+        }
+        // Message was deleted - post a fresh one below
+      }
+    }
+
+    const msg = await withRetry(() =>
+      telegram.sendMessage(escrow.groupId, text, { parse_mode: "HTML" })
+    );
+    await Escrow.updateOne(
+      { _id: escrowId },
+      { $set: { pendingDepositMessageId: msg.message_id } }
+    );
+  }
+
+  /**
+   * Atomically record a deposit hash on the escrow and add its amount to the
+   * accumulated deposit, so a crash can never keep the hash but lose the
+   * amount and concurrent claims never overwrite each other's totals.
+   * Returns false if the hash was already recorded (by an earlier scan or by
+   * the tx-hash paste path).
+   */
+  async claimTransaction(escrowId, tx) {
+    const hash = tx.hash;
+    const credit = {
+      accumulatedDepositAmount: {
+        $add: [
+          { $ifNull: ["$accumulatedDepositAmount", 0] },
+          Number(tx.valueDecimal),
+        ],
+      },
+      depositAmount: {
+        $add: [
+          { $ifNull: ["$accumulatedDepositAmount", 0] },
+          Number(tx.valueDecimal),
+        ],
+      },
+      // Wei amounts are strings (they overflow doubles), so add them as
+      // decimals inside the same update
+      accumulatedDepositAmountWei: {
+        $toString: {
+          $add: [
+            {
+              $convert: {
+                input: "$accumulatedDepositAmountWei",
+                to: "decimal",
+                onError: 0,
+                onNull: 0,
+              },
+            },
+            { $toDecimal: String(tx.valueWei || "0") },
+          ],
+        },
+      },
+    };
+
+    const asMain = await Escrow.findOneAndUpdate(
+      {
+        _id: escrowId,
+        transactionHash: { $in: [null, ""] },
+        partialTransactionHashes: { $ne: hash },
+      },
+      [
+        {
+          $set: {
+            ...credit,
+            transactionHash: { $literal: hash },
+            depositTransactionFromAddress: { $literal: tx.from || null },
+          },
+        },
+      ]
+    );
+    if (asMain) {
+      return true;
+    }
+
+    const asPartial = await Escrow.findOneAndUpdate(
+      {
+        _id: escrowId,
+        transactionHash: { $nin: [null, "", hash] },
+        partialTransactionHashes: { $ne: hash },
+      },
+      [
+        {
+          $set: {
+            ...credit,
+            partialTransactionHashes: {
+              $concatArrays: [
+                { $ifNull: ["$partialTransactionHashes", []] },
+                [{ $literal: hash }],
+              ],
+            },
+          },
+        },
+      ]
+    );
+    return !!asPartial;
+  }
+
+  /**
+   * Confirm the escrow and notify the group about deposits that
+   * claimTransaction already credited. newAmount is their total.
+   */
+  async applyDeposits(escrowId, deposits, newAmount, telegram) {
+    const freshEscrow = await Escrow.findById(escrowId);
+    if (!freshEscrow) {
+      return;
+    }
+
+    const expectedAmount = TrancheService.expectedDepositAmount(freshEscrow);
+    const totalAmount = freshEscrow.accumulatedDepositAmount || 0;
+    const previousAmount = totalAmount - newAmount;
+    const tolerance = depositConfig.getTolerance(freshEscrow.token);
+
+    const isFull = totalAmount >= expectedAmount - tolerance;
+    const wasFull = previousAmount >= expectedAmount - tolerance;
+    if (isFull) {
+      freshEscrow.confirmedAmount = totalAmount;
+    }
+    freshEscrow.lastActivityAt = new Date();
+    if (isFull && freshEscrow.status === "awaiting_deposit") {
+      await EscrowStateMachine.transition(freshEscrow, "deposited", {
+        reason: "Deposit detected on-chain by deposit watcher",
+        metadata: {
+          transactionHashes: deposits.map((tx) => tx.hash),
+          amount: totalAmount,
+        },
+      });
+    } else {
+      await freshEscrow.save();
+    }
+
+    if (!telegram) {
+      return;
+    }
+
+    const token = freshEscrow.token;
+    const lastHash = deposits[deposits.length - 1].hash;
+
+    if (!isFull) {
+      for (const tx of deposits) {
+        try {
+          await CompletionFeedService.handlePartialDeposit({
+            escrow: freshEscrow,
+            partialAmount: Number(tx.valueDecimal),
+            transactionHash: tx.hash,
+            telegram,
+          });
+        } catch (partialLogError) {
+          console.error("Error logging partial deposit:", partialLogError);
+        }
+      }
+
+      const remainingAmount = Math.max(0, expectedAmount - totalAmount);
+      await withRetry(() =>
+        telegram.sendMessage(
+          freshEscrow.groupId,
+          `✅ Partial deposit received: ${newAmount.toFixed(2)} ${token}\n\n` +
+            `📊 Total received so far: ${totalAmount.toFixed(2)} ${token}\n` +
+            `💰 Remaining amount needed: ${remainingAmount.toFixed(
+              2
+            )} ${token}\n\n` +
+            `Please choose an option:`,
+          {
+            parse_mode: "HTML",
+            reply_markup: Markup.inlineKeyboard([
+              [
+                Markup.button.callback(
+                  "✅ Continue with this amount",
+                  `partial_continue_${freshEscrow.escrowId}`
+                ),
+                Markup.button.callback(
+                  "💰 Pay remaining amount",
+                  `partial_pay_remaining_${freshEscrow.escrowId}`
+                ),
+              ],
+            ]).reply_markup,
+          }
+        )
+      );
+      return;
+    }
+
+    if (wasFull) {
+      await withRetry(() =>
+        telegram.sendMessage(
+          freshEscrow.groupId,
+          `💰 <b>ADDITIONAL FUNDS RECEIVED</b>
+
+✅ <b>Received:</b> ${newAmount.toFixed(2)} ${token}
+📊 <b>New Total:</b> ${totalAmount.toFixed(2)} ${token}
+Main Tx: <code>${lastHash.substring(0, 10)}...</code>`,
+          { parse_mode: "HTML" }
+        )
+      );
+      return;
+    }
+
+    // The "paste your transaction hash" prompt is no longer needed
+    if (freshEscrow.transactionHashMessageId) {
+      try {
+        await telegram.deleteMessage(
+          freshEscrow.groupId,
+          freshEscrow.transactionHashMessageId
+        );
+      } catch (e) {}
+    }
+
+    const totalTxCount =
+      1 + (freshEscrow.partialTransactionHashes || []).length;
+    const overDelivered =
+      expectedAmount > 0 &&
+      totalAmount - expectedAmount > depositConfig.getTolerance(token);
+    const statusLine = overDelivered
+      ? `🟢 Extra ${token} received (expected ${expectedAmount.toFixed(
+          2
+        )}, got ${totalAmount.toFixed(2)})`
+      : `🟢 Exact ${token} found`;
+
+    const trancheLabel = TrancheService.label(freshEscrow);
+    const confirmedText = `<b>P2P MM Bot 🤖</b>
+
+✅ Deposit confirmed${trancheLabel ? ` (${trancheLabel})` : ""}
+${statusLine}
+
+<b>Total Amount:</b> ${totalAmount.toFixed(2)} ${token}
+<b>Transactions:</b> ${totalTxCount} transaction(s)
+<b>From:</b> <code>${freshEscrow.depositTransactionFromAddress || "N/A"}</code>
+<b>To:</b> <code>${freshEscrow.depositAddress}</code>
+<b>Main Tx:</b> <code>${freshEscrow.transactionHash.substring(
+      0,
+      10
+    )}...</code>`;
+
+    const depositMsg = await withRetry(() =>
+      telegram.sendPhoto(freshEscrow.groupId, images.DEPOSIT_FOUND, {
+        caption: confirmedText,
+        parse_mode: "HTML",
+      })
+    );
+    await Escrow.updateOne(
+      { _id: freshEscrow._id },
+      { $set: { transactionHashMessageId: depositMsg.message_id } }
+    );
+
+    // Begin fiat transfer handshake
+    if (freshEscrow.buyerId) {
+      await withRetry(() =>
+        telegram.sendMessage(
+          freshEscrow.groupId,
+          `💸 Buyer ${
+            freshEscrow.buyerUsername
+              ? "@" + freshEscrow.buyerUsername
+              : "[" + freshEscrow.buyerId + "]"
+          }: Please send the agreed fiat amount to the seller via your agreed method and confirm below.`,
+          {
+            reply_markup: Markup.inlineKeyboard([
+              [
+                Markup.button.callback(
+                  "✅ I have sent the money",
+                  `fiat_sent_buyer_${freshEscrow.escrowId}`
+                ),
+              ],
+            ]).reply_markup,
+          }
+        )
+      );
+    }
+  }
+}
+
+module.exports = new DepositWatcherService();
@@ -1,6 +1,14 @@
+const { Markup } = require("telegraf");
+const { ethers } = require("ethers");
 const config = require("../../config");
+const images = require("../config/images");
+const Dispute = require("../models/Dispute");
 const GroupPool = require("../models/GroupPool");
+const AdminService = require("./AdminService");
+const BlockchainService = require("./BlockchainService");
+const SplitSettlementService = require("./SplitSettlementService");
 const GroupPoolService = require("./GroupPoolService");
+const PaymentProofService = require("./PaymentProofService");
 const {
   formatParticipantByIndex,
   formatParticipantById,
@@ -18,19 +26,569 @@ function escapeHtml(text = "") {
     .replace(/'/g, "&#39;");
 }
 
+// Escrow statuses in which the vault still holds the deposit
+const PAYABLE_STATUSES = [
+  "deposited",
+  "in_fiat_transfer",
+  "ready_to_release",
+  "disputed",
+];
+
+/**
+ * "buyer", "seller", "admin" or "system" (no reporter), null if unknown
+ */
+function reporterRole(escrow, userId) {
+  if (userId == null) {
+    return "system";
+  }
+  if (escrow.buyerId != null && Number(escrow.buyerId) === Number(userId)) {
+    return "buyer";
+  }
+  if (escrow.sellerId != null && Number(escrow.sellerId) === Number(userId)) {
+    return "seller";
+  }
+  if (AdminService.getRole(userId)) {
+    return "admin";
+  }
+  return null;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    dateStyle: "short",
+    timeStyle: "medium",
+  });
+}
+
+function formatActor(actor) {
+  if (!actor || (actor.id == null && !actor.username)) {
+    return "-";
+  }
+  return actor.username ? "@" + actor.username : `[${actor.id}]`;
+}
+
+function formatResolution(dispute) {
+  return dispute.resolution === "split"
+    ? `split ${dispute.splitBuyerPercent}% buyer / ${
+        100 - dispute.splitBuyerPercent
+      }% seller`
+    : dispute.resolution;
+}
+
+/**
+ * Gross deposit held for the trade, as the /release and /refund commands
+ * compute it
+ */
+function heldAmount(escrow) {
+  const amountWei =
+    escrow.accumulatedDepositAmountWei &&
+    escrow.accumulatedDepositAmountWei !== "0"
+      ? escrow.accumulatedDepositAmountWei
+      : null;
+  if (amountWei) {
+    const decimals = BlockchainService.getTokenDecimals(
+      escrow.token,
+      escrow.chain
+    );
+    return Number(ethers.formatUnits(BigInt(amountWei), decimals));
+  }
+  return Number(
+    escrow.accumulatedDepositAmount ||
+      escrow.depositAmount ||
+      escrow.confirmedAmount ||
+      0
+  );
+}
+
 class DisputeService {
+  /**
+   * Open a dispute case for the escrow. While a case is still unresolved,
+   * a repeated report is added to it as a comment instead.
+   * @param {Object} escrow - The escrow document
+   * @param {String} reason - The reason for the dispute
+   * @param {Object|null} reporter - Telegram user ({id, username}); null when raised by the bot
+   * @returns {Promise<Object>} The Dispute document
+   */
+  static async openCase(escrow, reason, reporter = null) {
+    const existing = await Dispute.findOne({
+      escrowId: escrow.escrowId,
+      status: { $ne: "resolved" },
+    }).sort({ createdAt: -1 });
+
+    if (existing) {
+      existing.comments.push({
+        authorId: reporter ? reporter.id : undefined,
+        authorUsername: reporter ? reporter.username : undefined,
+        text: `Reported again: ${reason}`,
+      });
+      existing.updatedAt = new Date();
+      await existing.save();
+      return existing;
+    }
+
+    const evidence = (escrow.paymentProofs || []).map((proof) => ({
+      type: "payment_proof",
+      fileId: proof.fileId,
+      fileType: proof.type,
+      fileName: proof.fileName,
+      caption: proof.caption,
+      addedBy: proof.uploadedBy,
+      addedAt: proof.uploadedAt,
+    }));
+    const depositHashes = [
+      ...(escrow.partialTransactionHashes || []),
+      escrow.transactionHash,
+    ].filter(Boolean);
+    [...new Set(depositHashes)].forEach((hash) =>
+      evidence.push({ type: "deposit_transaction", transactionHash: hash })
+    );
+
+    return Dispute.create({
+      escrowId: escrow.escrowId,
+      groupId: escrow.groupId,
+      openedBy: {
+        id: reporter ? reporter.id : undefined,
+        username: reporter ? reporter.username : undefined,
+        role: reporterRole(escrow, reporter ? reporter.id : null) || undefined,
+      },
+      reason: reason || "No reason provided",
+      evidence,
+    });
+  }
+
+  /**
+   * Most recent case for a trade, unresolved cases first
+   */
+  static async findCase(escrowId) {
+    return (
+      (await Dispute.findOne({
+        escrowId,
+        status: { $ne: "resolved" },
+      }).sort({ createdAt: -1 })) ||
+      Dispute.findOne({ escrowId }).sort({ createdAt: -1 })
+    );
+  }
+
+  static async listOpenCases(limit = 20) {
+    return Dispute.find({ status: { $ne: "resolved" } })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+  }
+
+  /**
+   * Add a payment proof posted during the dispute to the open case
+   */
+  static async addProofEvidence(escrow, proof) {
+    const dispute = await Dispute.findOne({
+      escrowId: escrow.escrowId,
+      status: { $ne: "resolved" },
+    }).sort({ createdAt: -1 });
+    if (!dispute) {
+      return null;
+    }
+    dispute.evidence.push({
+      type: "payment_proof",
+      fileId: proof.fileId,
+      fileType: proof.type,
+      fileName: proof.fileName,
+      caption: proof.caption,
+      addedBy: proof.uploadedBy,
+      addedAt: proof.uploadedAt,
+    });
+    dispute.updatedAt = new Date();
+    await dispute.save();
+    return dispute;
+  }
+
+  /**
+   * Assign the case to an admin and mark it under investigation
+   * @param {Object} dispute - Dispute document
+   * @param {Object} admin - Telegram user ({id, username})
+   */
+  static async claim(dispute, admin, telegram) {
+    dispute.assignedAdmin = { id: admin.id, username: admin.username };
+    dispute.claimedAt = new Date();
+    if (dispute.status === "open") {
+      dispute.status = "investigating";
+    }
+    dispute.updatedAt = new Date();
+    await dispute.save();
+    await this.postCaseUpdate(
+      dispute,
+      `👮 Case claimed by ${escapeHtml(formatActor(dispute.assignedAdmin))}`,
+      telegram
+    );
+    return dispute;
+  }
+
+  static async addComment(dispute, admin, text) {
+    dispute.comments.push({
+      authorId: admin.id,
+      authorUsername: admin.username,
+      text,
+    });
+    dispute.updatedAt = new Date();
+    await dispute.save();
+    return dispute;
+  }
+
+  /**
+   * Record the outcome and post its payout confirmation in the trade group:
+   * the existing admin release / refund confirmation, or the split preview.
+   * With a payout to send the case stays "resolving" until
+   * completeResolution stores its hash; cancelResolution reopens it.
+   * @param {Object} dispute - Dispute document
+   * @param {Object} escrow - Escrow document
+   * @param {Object} outcome - resolution (release, refund or split),
+   *   buyerPercent (split only) and an optional note
+   * @param {Object} admin - Telegram user ({id, username})
+   * @returns {Promise<{dispute: Object, payoutPosted: boolean}>}
+   */
+  static async resolve(dispute, escrow, outcome, admin, telegram) {
+    const { resolution, buyerPercent, note } = outcome;
+    let payoutPosted = false;
+    if (PAYABLE_STATUSES.includes(escrow.status)) {
+      if (resolution === "split") {
+        await SplitSettlementService.propose(
+          telegram,
+          escrow,
+          buyerPercent,
+          admin
+        );
+      } else {
+        await this.postPayoutConfirmation(escrow, resolution, telegram);
+      }
+      payoutPosted = true;
+    }
+
+    dispute.status = payoutPosted ? "resolving" : "resolved";
+    dispute.resolution = resolution;
+    dispute.splitBuyerPercent =
+      resolution === "split" ? buyerPercent : undefined;
+    dispute.resolutionNote = note || undefined;
+    dispute.resolvedBy = { id: admin.id, username: admin.username };
+    dispute.resolvedAt = payoutPosted ? undefined : new Date();
+    if (!dispute.assignedAdmin || dispute.assignedAdmin.id == null) {
+      dispute.assignedAdmin = { id: admin.id, username: admin.username };
+    }
+    dispute.updatedAt = new Date();
+    await dispute.save();
+
+    await this.postCaseUpdate(
+      dispute,
+      `${
+        payoutPosted ? "⏳ Resolution chosen" : "✅ Case resolved"
+      } by ${escapeHtml(
+        formatActor(dispute.resolvedBy)
+      )}: <b>${formatResolution(dispute)}</b>${
+        note ? `\n📝 ${escapeHtml(note)}` : ""
+      }${payoutPosted ? "\nWaiting for the payout to be sent." : ""}`,
+      telegram
+    );
+    return { dispute, payoutPosted };
+  }
+
+  /**
+   * Mark the trade's case resolved once a dispute payout was sent and its
+   * hash stored on the escrow. An admin payout on a disputed trade settles
+   * the case even if it was reopened after a failed attempt.
+   * @param {Object} escrow - Escrow document
+   * @param {Object} payout - resolution (release, refund or split),
+   *   transactionHash and the admin who confirmed it
+   * @returns {Promise<Object|null>} The resolved case, null if none was open
+   */
+  static async completeResolution(escrow, payout, telegram) {
+    const { resolution, transactionHash, admin } = payout;
+    const current = await Dispute.findOne({
+      escrowId: escrow.escrowId,
+      status: { $ne: "resolved" },
+    }).sort({ createdAt: -1 });
+    if (!current) {
+      return null;
+    }
+
+    const update = {
+      status: "resolved",
+      resolution,
+      resolvedAt: new Date(),
+      payoutTransactionHash: transactionHash,
+      updatedAt: new Date(),
+    };
+    if (current.status !== "resolving" || current.resolution !== resolution) {
+      update.resolvedBy = { id: admin.id, username: admin.username };
+    }
+    const dispute = await Dispute.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      { $set: update },
+      { new: true }
+    );
+    if (!dispute) {
+      return null;
+    }
+
+    await this.postCaseUpdate(
+      dispute,
+      `✅ Case resolved by ${escapeHtml(
+        formatActor(dispute.resolvedBy)
+      )}: <b>${formatResolution(dispute)}</b>\n🔗 <code>${escapeHtml(
+        transactionHash
+      )}</code>`,
+      telegram
+    );
+    return dispute;
+  }
+
+  /**
+   * Reopen a case whose payout was cancelled or failed, so an admin can
+   * resolve it again
+   * @returns {Promise<Object|null>} The reopened case, null if none was
+   *   waiting for a payout
+   */
+  static async cancelResolution(escrow, reason, telegram) {
+    const dispute = await Dispute.findOneAndUpdate(
+      { escrowId: escrow.escrowId, status: "resolving" },
+      {
+        $set: { status: "investigating", updatedAt: new Date() },
+        $unset: {
+          resolution: 1,
+          splitBuyerPercent: 1,
+          resolutionNote: 1,
+          resolvedBy: 1,
+        },
+      },
+      { new: true }
+    );
+    if (!dispute) {
+      return null;
+    }
+
+    await this.postCaseUpdate(
+      dispute,
+      `↩️ Resolution withdrawn: ${escapeHtml(reason)}. The case is open again.`,
+      telegram
+    );
+    return dispute;
+  }
+
+  /**
+   * Post the admin confirmation for a full release to the buyer or refund
+   * to the seller. Pressing it runs the same path as /release and /refund,
+   * including multi-admin approval for large amounts.
+   */
+  static async postPayoutConfirmation(escrow, resolution, telegram) {
+    const amount = heldAmount(escrow);
+    const token = escrow.token || "USDT";
+    if (amount <= 0) {
+      throw new Error("No confirmed deposit found");
+    }
+    if (resolution === "release" && !escrow.buyerAddress) {
+      throw new Error("Buyer address is not set");
+    }
+    if (resolution === "refund" && !escrow.sellerAddress) {
+      throw new Error("Seller address is not set");
+    }
+
+    escrow.adminConfirmedRelease = false;
+    escrow.buyerConfirmedRelease = false;
+    escrow.sellerConfirmedRelease = false;
+
+    if (resolution === "release") {
+      // Gross amount; the confirmation deducts the fees
+      escrow.pendingReleaseAmount = amount;
+      escrow.pendingRefundAmount = null;
+      await escrow.save();
+
+      const message = await telegram.sendPhoto(
+        escrow.groupId,
+        images.RELEASE_CONFIRMATION,
+        {
+          caption: `<b>Dispute Resolution: Release to Buyer</b>
+
+Amount: ${amount.toFixed(4)} ${token}
+
+⚠️ Admin confirmation required.`,
+          parse_mode: "HTML",
+          reply_markup: Markup.inlineKeyboard([
+            [
+              Markup.button.callback(
+                "✅ Confirm Release",
+                `admin_release_confirm_yes_${escrow.escrowId}`
+              ),
+              Markup.button.callback(
+                "❌ Cancel",
+                `admin_release_confirm_no_${escrow.escrowId}`
+              ),
+            ],
+          ]).reply_markup,
+        }
+      );
+      escrow.releaseConfirmationMessageId = message.message_id;
+      await escrow.save();
+      return message;
+    }
+
+    // Full refund: the confirmation refunds the whole deposit
+    escrow.pendingRefundAmount = null;
+    escrow.pendingReleaseAmount = null;
+    await escrow.save();
+
+    const message = await telegram.sendPhoto(
+      escrow.groupId,
+      images.REFUND_CONFIRMATION || images.RELEASE_CONFIRMATION,
+      {
+        caption: `<b>Dispute Resolution: Refund to Seller</b>
+
+<b>Refund Amount:</b> ${amount.toFixed(5)} ${token}
+
+⚠️ Admin Action: Confirming this will refund funds to the Seller immediately.`,
+        parse_mode: "HTML",
+        reply_markup: Markup.inlineKeyboard([
+          [
+            Markup.button.callback(
+              "✅ Confirm Refund",
+              `refund_confirm_yes_${escrow.escrowId}`
+            ),
+            Markup.button.callback(
+              "❌ Cancel",
+              `refund_confirm_no_${escrow.escrowId}`
+            ),
+          ],
+        ]).reply_markup,
+      }
+    );
+    escrow.refundConfirmationMessageId = message.message_id;
+    escrow.refundRequestedBy = null;
+    await escrow.save();
+    return message;
+  }
+
+  /**
+   * Reply to the case's report in the dispute channel
+   */
+  static async postCaseUpdate(dispute, text, telegram) {
+    if (!config.DISPUTE_CHANNEL_ID || !telegram) {
+      return;
+    }
+    try {
+      await telegram.sendMessage(
+        config.DISPUTE_CHANNEL_ID,
+        `🗂 <code>${escapeHtml(dispute.escrowId)}</code>\n${text}`,
+        {
+          parse_mode: "HTML",
+          ...(dispute.channelMessageId
+            ? {
+                reply_to_message_id: dispute.channelMessageId,
+                allow_sending_without_reply: true,
+              }
+            : {}),
+        }
+      );
+    } catch (error) {
+      console.error("Error posting dispute case update:", error);
+    }
+  }
+
+  /**
+   * Case summary for /admin_dispute (HTML)
+   */
+  static formatCase(dispute) {
+    const icons = {
+      open: "🆕",
+      investigating: "🔎",
+      resolving: "⏳",
+      resolved: "✅",
+    };
+    const openedBy = dispute.openedBy || {};
+    const opener =
+      openedBy.role === "system"
+        ? "Bot"
+        : `${formatActor(openedBy)}${
+            openedBy.role ? ` (${openedBy.role})` : ""
+          }`;
+
+    let message = `🗂 <b>DISPUTE CASE</b> <code>${escapeHtml(
+      dispute.escrowId
+    )}</code>
+
+${icons[dispute.status] || ""} <b>Status:</b> ${dispute.status}
+👤 <b>Opened By:</b> ${escapeHtml(opener)}
+📅 <b>Opened:</b> ${escapeHtml(formatDate(dispute.createdAt))}
+👮 <b>Assigned:</b> ${
+      dispute.assignedAdmin && dispute.assignedAdmin.id != null
+        ? escapeHtml(formatActor(dispute.assignedAdmin))
+        : "Unassigned"
+    }
+
+📝 <b>Reason:</b>
+${escapeHtml(dispute.reason)}
+`;
+
+    message += `\n📎 <b>Evidence (${dispute.evidence.length}):</b>\n`;
+    if (dispute.evidence.length === 0) {
+      message += "None\n";
+    }
+    dispute.evidence.forEach((item, index) => {
+      const detail =
+        item.type === "deposit_transaction"
+          ? `Deposit tx <code>${escapeHtml(item.transactionHash)}</code>`
+          : `Payment proof (${escapeHtml(
+              item.fileName || item.fileType || "file"
+            )}, ${escapeHtml(formatDate(item.addedAt))})`;
+      message += `${index + 1}. ${detail}\n`;
+    });
+
+    message += `\n💬 <b>Comments (${dispute.comments.length}):</b>\n`;
+    if (dispute.comments.length === 0) {
+      message += "None\n";
+    }
+    dispute.comments.forEach((comment) => {
+      message += `• ${escapeHtml(
+        formatActor({ id: comment.authorId, username: comment.authorUsername })
+      )} (${escapeHtml(formatDate(comment.createdAt))}): ${escapeHtml(
+        comment.text
+      )}\n`;
+    });
+
+    if (dispute.status === "resolving") {
+      message += `\n⚖️ <b>Resolution:</b> ${formatResolution(
+        dispute
+      )} by ${escapeHtml(
+        formatActor(dispute.resolvedBy)
+      )}, waiting for the payout`;
+    }
+    if (dispute.status === "resolved") {
+      message += `\n⚖️ <b>Resolution:</b> ${formatResolution(
+        dispute
+      )} by ${escapeHtml(formatActor(dispute.resolvedBy))} (${escapeHtml(
+        formatDate(dispute.resolvedAt)
+      )})`;
+      if (dispute.payoutTransactionHash) {
+        message += `\n🔗 <code>${escapeHtml(
+          dispute.payoutTransactionHash
+        )}</code>`;
+      }
+      if (dispute.resolutionNote) {
+        message += `\n📝 ${escapeHtml(dispute.resolutionNote)}`;
+      }
+    }
+    return message;
+  }
+
   /**
    * Send dispute notification to the dispute channel
    * @param {Object} escrow - The escrow document
    * @param {String} reason - The reason for the dispute
    * @param {Number} reportedByUserId - The user ID who reported the dispute
    * @param {Object} telegram - Telegram bot instance
+   * @param {Object} [dispute] - Case from openCase; the report's message ID is stored on it
    */
   static async sendDisputeNotification(
     escrow,
     reason,
     reportedByUserId,
-    telegram
+    telegram,
+    dispute = null
   ) {
     try {
       if (!config.DISPUTE_CHANNEL_ID) {
@@ -109,25 +667,22 @@ class DisputeService {
           })
         : "Not set";
 
-      let reporterText = "Unknown";
-      if (
-        escrow.buyerId != null &&
-        Number(escrow.buyerId) === Number(reportedByUserId)
-      ) {
-        reporterText = "Buyer";
-      } else if (
-        escrow.sellerId != null &&
-        Number(escrow.sellerId) === Number(reportedByUserId)
-      ) {
-        reporterText = "Seller";
-      } else {
-        const adminIds = config.getAllAdminIds();
-        if (adminIds.includes(String(reportedByUserId))) {
-          reporterText = "Admin";
-        }
-      }
+      const reporterText =
+        {
+          // Raised automatically, e.g. when a stage deadline expires
+          system: "Bot",
+          buyer: "Buyer",
+          seller: "Seller",
+          admin: "Admin",
+        }[reporterRole(escrow, reportedByUserId)] || "Unknown";
 
       const escapedReason = escapeHtml(reason || "No reason provided");
+      const proofs = escrow.paymentProofs || [];
+      const caseLine = dispute
+        ? `\n🗂 <b>Case:</b> <code>/admin_dispute_claim ${escapeHtml(
+            escrow.escrowId
+          )}</code>`
+        : "";
 
       const disputeMessage = `🚨 <b>NEW DISPUTE REPORTED</b>
 
@@ -155,6 +710,10 @@ ${escapedReason}
 • Network: ${escapeHtml(escrow.chain || "BSC")}
 • Status: ${escapeHtml(escrow.status || "Unknown")}
 
+🧾 <b>Payment Proofs:</b> ${
+        proofs.length ? `${proofs.length} (attached below)` : "None uploaded"
+      }${caseLine}
+
 ⏰ <b>Reported At:</b> ${escapeHtml(
         new Date().toLocaleString("en-IN", {
           timeZone: "Asia/Kolkata",
@@ -163,10 +722,47 @@ ${escapedReason}
         })
       )}`;
 
-      await telegram.sendMessage(config.DISPUTE_CHANNEL_ID, disputeMessage, {
-        parse_mode: "HTML",
-        disable_web_page_preview: true,
-      });
+      const report = await telegram.sendMessage(
+        config.DISPUTE_CHANNEL_ID,
+        disputeMessage,
+        {
+          parse_mode: "HTML",
+          disable_web_page_preview: true,
+        }
+      );
+      if (dispute && report) {
+        dispute.channelMessageId = report.message_id;
+        await dispute.save();
+      }
+
+      // The buyer's receipts follow the report so admins see the evidence
+      for (const [index, proof] of proofs.entries()) {
+        const trancheText = proof.trancheIndex
+          ? ` • Tranche ${proof.trancheIndex}`
+          : "";
+        const captionText = proof.caption
+          ? `\n${escapeHtml(proof.caption)}`
+          : "";
+        try {
+          await PaymentProofService.send(
+            telegram,
+            config.DISPUTE_CHANNEL_ID,
+            proof,
+            `🧾 Payment proof ${index + 1}/${
+              proofs.length
+            } • <code>${escapeHtml(
+              escrow.escrowId || "Unknown"
+            )}</code>${trancheText}\n${escapeHtml(
+              PaymentProofService.describe(proof)
+            )}${captionText}`
+          );
+        } catch (proofError) {
+          console.error(
+            "Error attaching payment proof to dispute:",
+            proofError
+          );
+        }
+      }
 
       return { success: true };
     } catch (error) {
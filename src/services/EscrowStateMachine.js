@@ -0,0 +1,155 @@
+const EscrowEvent = require("../models/EscrowEvent");
+const { isAdmin } = require("../middleware/adminAuth");
+const expiryConfig = require("../config/expiryConfig");
+
+/**
+ * Legal escrow status transitions. Keys are the current status, values the
+ * statuses it may move to. completed, refunded and cancelled are terminal.
+ * Releasing a tranche before the last one goes back to awaiting_deposit.
+ * A deal only completes from a funded status, and once the vault holds its
+ * deposit it can no longer be sent back to draft.
+ */
+const TRANSITIONS = {
+  draft: ["awaiting_details", "awaiting_deposit", "cancelled"],
+  awaiting_details: ["draft", "awaiting_deposit", "cancelled"],
+  awaiting_deposit: ["draft", "deposited", "refunded", "disputed", "cancelled"],
+  deposited: [
+    "awaiting_deposit",
+    "in_fiat_transfer",
+    "ready_to_release",
+    "completed",
+    "refunded",
+    "disputed",
+  ],
+  in_fiat_transfer: [
+    "awaiting_deposit",
+    "deposited",
+    "ready_to_release",
+    "completed",
+    "refunded",
+    "disputed",
+  ],
+  ready_to_release: [
+    "awaiting_deposit",
+    "in_fiat_transfer",
+    "completed",
+    "refunded",
+    "disputed",
+  ],
+  disputed: [
+    "awaiting_deposit",
+    "deposited",
+    "in_fiat_transfer",
+    "ready_to_release",
+    "completed",
+    "refunded",
+    "cancelled",
+  ],
+  completed: [],
+  refunded: [],
+  cancelled: [],
+};
+
+class EscrowStateMachine {
+  constructor() {
+    this.transitions = TRANSITIONS;
+  }
+
+  canTransition(fromStatus, toStatus) {
+    if (fromStatus === toStatus) {
+      return true;
+    }
+    const allowed = this.transitions[fromStatus || "draft"];
+    return Array.isArray(allowed) && allowed.includes(toStatus);
+  }
+
+  /**
+   * Build the actor descriptor for a Telegraf context
+   * @param {Object} ctx - Telegraf context (optional)
+   * @returns {{actorType: string, actorId?: number, actorUsername?: string}}
+   */
+  actorFromCtx(ctx) {
+    if (!ctx || !ctx.from) {
+      return { actorType: "system" };
+    }
+    return {
+      actorType: isAdmin(ctx) ? "admin" : "user",
+      actorId: ctx.from.id,
+      actorUsername: ctx.from.username,
+    };
+  }
+
+  /**
+   * Move an escrow to a new status, save it and record the transition.
+   * Any other pending field changes on the document are saved with it.
+   * @param {Object} escrow - Escrow mongoose document
+   * @param {string} toStatus - Target status
+   * @param {Object} options
+   * @param {Object} [options.ctx] - Telegraf context of the user causing the change
+   * @param {Object} [options.actor] - Explicit actor (overrides ctx)
+   * @param {string} [options.reason] - Why the status changed
+   * @param {Object} [options.metadata] - Extra context stored with the event
+   * @returns {Promise<Object>} The saved escrow
+   * @throws {Error} If the transition is not allowed
+   */
+  async transition(escrow, toStatus, options = {}) {
+    const { ctx, actor, reason, metadata } = options;
+    const fromStatus = escrow.status || "draft";
+
+    if (!this.canTransition(fromStatus, toStatus)) {
+      throw new Error(
+        `Illegal escrow status transition ${fromStatus} → ${toStatus} for escrow ${escrow.escrowId}`
+      );
+    }
+
+    escrow.status = toStatus;
+    if (fromStatus !== toStatus) {
+      this.startStageClock(escrow);
+    }
+    await escrow.save();
+
+    if (fromStatus === toStatus) {
+      return escrow;
+    }
+
+    try {
+      await EscrowEvent.create({
+        escrowId: escrow.escrowId,
+        groupId: escrow.groupId,
+        fromStatus,
+        toStatus,
+        ...(actor || this.actorFromCtx(ctx)),
+        reason,
+        metadata,
+      });
+    } catch (error) {
+      // Never block a trade because the audit write failed
+      console.error(
+        `Error recording escrow event for ${escrow.escrowId}:`,
+        error
+      );
+    }
+
+    return escrow;
+  }
+
+  /**
+   * Start the deadline for the escrow's current stage (does not save)
+   * @param {Object} escrow - Escrow mongoose document
+   */
+  startStageClock(escrow) {
+    const policy = expiryConfig.getPolicy(escrow.status, escrow.paymentMethod);
+    escrow.stageStartedAt = new Date();
+    escrow.stageDeadlineAt = policy
+      ? new Date(Date.now() + policy.minutes * 60 * 1000)
+      : null;
+    escrow.stageExpiryAction = policy ? policy.action : null;
+    escrow.stageWarningSentAt = null;
+  }
+
+  async getHistory(escrowId) {
+    return EscrowEvent.find({ escrowId }).sort({ createdAt: 1 });
+  }
+}
+
+module.exports = new EscrowStateMachine();
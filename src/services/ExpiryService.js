@@ -0,0 +1,394 @@
+const config = require("../../config");
+const Escrow = require("../models/Escrow");
+const BlockchainService = require("./BlockchainService");
+const CompletionFeedService = require("./CompletionFeedService");
+const DepositWatcherService = require("./DepositWatcherService");
+const DisputeService = require("./DisputeService");
+const EscrowStateMachine = require("./EscrowStateMachine");
+const GroupPoolService = require("./GroupPoolService");
+const PayoutService = require("./PayoutService");
+const TrancheService = require("./TrancheService");
+const expiryConfig = require("../config/expiryConfig");
+
+// How often deadlines are checked and countdowns refreshed
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+const ACTION_TEXT = {
+  cancel: "the trade will be cancelled and the group recycled",
+  refund: "the deposit will be refunded to the seller",
+  dispute: "the trade will be escalated to an admin",
+};
+
+function formatRemaining(ms) {
+  const totalMinutes = Math.max(0, Math.ceil(ms / 60000));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+class ExpiryService {
+  constructor() {
+    this.telegram = null;
+    this.timer = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Start enforcing per-stage deadlines on every active escrow
+   * @param {Object} telegram - Telegram bot instance used to post updates
+   */
+  start(telegram) {
+    if (this.timer) {
+      return;
+    }
+    this.telegram = telegram;
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async check() {
+    if (this.isChecking) {
+      return;
+    }
+    this.isChecking = true;
+
+    try {
+      const escrows = await Escrow.find({
+        status: { $in: Object.keys(expiryConfig.STAGE_POLICIES) },
+      });
+
+      for (const escrow of escrows) {
+        try {
+          await this.checkEscrow(escrow);
+        } catch (error) {
+          console.error(
+            `Expiry check error for escrow ${escrow.escrowId}:`,
+            error
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Error in expiry check loop:", error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  async checkEscrow(escrow) {
+    // Trades that started before deadlines existed get a fresh window
+    if (!escrow.stageStartedAt) {
+      EscrowStateMachine.startStageClock(escrow);
+      await escrow.save();
+    }
+    if (!escrow.stageDeadlineAt || !this.actionFor(escrow)) {
+      return;
+    }
+
+    const remaining = escrow.stageDeadlineAt.getTime() - Date.now();
+    if (remaining <= 0) {
+      await this.expire(escrow);
+      return;
+    }
+
+    await this.updateCountdown(escrow, remaining);
+
+    if (
+      !escrow.stageWarningSentAt &&
+      remaining <= expiryConfig.WARNING_MINUTES * 60 * 1000
+    ) {
+      escrow.stageWarningSentAt = new Date();
+      await escrow.save();
+      await this.send(
+        escrow.groupId,
+        `⚠️ <b>${formatRemaining(remaining)} left:</b> ${
+          expiryConfig.STAGE_LABELS[escrow.status]
+        }.\n\nIf the deadline passes, ${ACTION_TEXT[this.actionFor(escrow)]}.`
+      );
+    }
+  }
+
+  /**
+   * Post or refresh the group's countdown message for the current stage
+   */
+  async updateCountdown(escrow, remaining) {
+    const text = `⏳ <b>${expiryConfig.STAGE_LABELS[escrow.status]}</b>
+
+Time left: <b>${formatRemaining(remaining)}</b>
+Deadline: ${escrow.stageDeadlineAt.toUTCString()}
+
+If the deadline passes, ${ACTION_TEXT[this.actionFor(escrow)]}.`;
+
+    if (
+      escrow.stageCountdownMessageId &&
+      escrow.stageCountdownStatus === escrow.status
+    ) {
+      try {
+        await this.telegram.editMessageText(
+          escrow.groupId,
+          escrow.stageCountdownMessageId,
+          null,
+          text,
+          { parse_mode: "HTML" }
+        );
+      } catch (e) {
+        // "message is not modified" or deleted by a user
+      }
+      return;
+    }
+
+    if (escrow.stageCountdownMessageId) {
+      try {
+        await this.telegram.deleteMessage(
+          escrow.groupId,
+          escrow.stageCountdownMessageId
+        );
+      } catch (e) {}
+    }
+
+    const message = await this.send(escrow.groupId, text);
+    escrow.stageCountdownMessageId = message ? message.message_id : null;
+    escrow.stageCountdownStatus = escrow.status;
+    await escrow.save();
+  }
+
+  /**
+   * Whether the escrow holds funds, counting deposits that are still
+   * waiting for confirmations
+   */
+  isFunded(escrow) {
+    return (
+      ["deposited", "in_fiat_transfer", "ready_to_release"].includes(
+        escrow.status
+      ) ||
+      (escrow.pendingDeposits || []).length > 0 ||
+      Number(
+        escrow.accumulatedDepositAmount ||
+          escrow.depositAmount ||
+          escrow.confirmedAmount ||
+          0
+      ) > 0
+    );
+  }
+
+  /**
+   * Action to take at the deadline, or null if none is safe
+   */
+  actionFor(escrow) {
+    const funded = this.isFunded(escrow);
+    let action = expiryConfig.resolveAction(escrow.stageExpiryAction, funded);
+    // Earlier tranches already settled: an admin closes the deal instead
+    if (
+      action === "cancel" &&
+      TrancheService.isTrancheDeal(escrow) &&
+      TrancheService.totals(escrow).releasedCount > 0
+    ) {
+      action = "dispute";
+    }
+    const targetStatus = {
+      cancel: "cancelled",
+      refund: "refunded",
+      dispute: "disputed",
+    }[action];
+    if (EscrowStateMachine.canTransition(escrow.status, targetStatus)) {
+      return action;
+    }
+    // Only fall back to cancelling while nothing is deposited
+    return funded ? null : "cancel";
+  }
+
+  /**
+   * Run the stage's expiry action once
+   */
+  async expire(escrow) {
+    // Claim the deadline so a slow action is never run twice
+    let claimed = await Escrow.findOneAndUpdate(
+      {
+        _id: escrow._id,
+        status: escrow.status,
+        stageDeadlineAt: escrow.stageDeadlineAt,
+      },
+      { $set: { stageDeadlineAt: null } },
+      { new: true }
+    );
+    if (!claimed) {
+      return;
+    }
+
+    if (claimed.stageCountdownMessageId) {
+      try {
+        await this.telegram.deleteMessage(
+          claimed.groupId,
+          claimed.stageCountdownMessageId
+        );
+      } catch (e) {}
+    }
+
+    const stage = expiryConfig.STAGE_LABELS[claimed.status];
+    const reason = `Deadline expired: ${stage}`;
+    let action = this.actionFor(claimed);
+
+    // Last look on-chain before cancelling: a deposit the watcher has not
+    // picked up yet must not be stranded in a recycled group
+    if (action === "cancel" && claimed.depositAddress) {
+      try {
+        await DepositWatcherService.checkEscrow(claimed, this.telegram);
+      } catch (error) {
+        console.error(
+          `Final deposit scan failed for ${claimed.escrowId}, retrying expiry:`,
+          error
+        );
+        await Escrow.updateOne(
+          { _id: claimed._id, stageDeadlineAt: null },
+          { $set: { stageDeadlineAt: escrow.stageDeadlineAt } }
+        );
+        return;
+      }
+      claimed = await Escrow.findById(claimed._id);
+      // A found deposit may have moved the trade on to its next stage
+      if (!claimed || claimed.status !== escrow.status) {
+        return;
+      }
+      action = this.actionFor(claimed);
+    }
+
+    if (!action) {
+      return;
+    }
+    if (action === "refund") {
+      if (await this.autoRefund(claimed, reason)) {
+        return;
+      }
+      // Refund could not be sent: hand it to an admin instead
+      return this.escalate(claimed, `${reason} (auto-refund failed)`);
+    }
+    if (action === "dispute") {
+      return this.escalate(claimed, reason);
+    }
+
+    await this.send(
+      claimed.groupId,
+      `⏳ <b>${reason}.</b>\n\nThe trade has been cancelled. Recycling group...`
+    );
+    claimed.cancelRequestedBy = null;
+    await EscrowStateMachine.transition(claimed, "cancelled", { reason });
+    await GroupPoolService.recycleGroupNow(claimed, this.telegram);
+  }
+
+  async escalate(escrow, reason) {
+    await EscrowStateMachine.transition(escrow, "disputed", { reason });
+    const dispute = await DisputeService.openCase(escrow, reason);
+    await DisputeService.sendDisputeNotification(
+      escrow,
+      reason,
+      null,
+      this.telegram,
+      dispute
+    );
+    await this.send(
+      escrow.groupId,
+      `⏳ <b>${reason}.</b>\n\n💰 Funds are secure in escrow. An admin has been notified and will join to resolve the trade.`
+    );
+  }
+
+  /**
+   * Refund the whole deposit to the seller
+   * @returns {Promise<boolean>} false if the refund could not be sent
+   */
+  async autoRefund(escrow, reason) {
+    if (!escrow.sellerAddress) {
+      return false;
+    }
+
+    const refundAmount = Number(
+      escrow.accumulatedDepositAmount ||
+        escrow.depositAmount ||
+        escrow.confirmedAmount ||
+        0
+    );
+    const amountToContract = refundAmount - (escrow.networkFee || 0);
+    if (amountToContract <= 0) {
+      return false;
+    }
+
+    let refundResult;
+    try {
+      refundResult = await BlockchainService.refundFunds(
+        escrow.token,
+        escrow.chain,
+        escrow.sellerAddress,
+        amountToContract,
+        null,
+        escrow.groupId,
+        escrow.contractAddress,
+        { escrowId: escrow.escrowId }
+      );
+    } catch (error) {
+      console.error(`Auto-refund failed for ${escrow.escrowId}:`, error);
+      return false;
+    }
+
+    escrow.refundTransactionHash = refundResult.transactionHash;
+    escrow.partialRefundTransactionHashes.push(refundResult.transactionHash);
+    escrow.accumulatedDepositAmount = 0;
+    escrow.depositAmount = 0;
+    escrow.confirmedAmount = 0;
+    escrow.accumulatedDepositAmountWei = "0";
+    escrow.refundRequestedBy = null;
+    await EscrowStateMachine.transition(escrow, "refunded", {
+      reason,
+      metadata: {
+        transactionHash: refundResult.transactionHash,
+        amount: amountToContract,
+      },
+    });
+    await PayoutService.markRecorded(refundResult.payoutId);
+    await BlockchainService.closeEscrow(escrow);
+
+    const actualAmountToUser =
+      amountToContract - (amountToContract * (escrow.feeRate || 0)) / 100;
+    try {
+      await CompletionFeedService.handleRefund({
+        escrow,
+        refundAmount: actualAmountToUser,
+        transactionHash: refundResult.transactionHash,
+        telegram: this.telegram,
+      });
+    } catch (e) {
+      console.error("Feed error", e);
+    }
+
+    await this.send(
+      escrow.groupId,
+      `⏳ <b>${reason}.</b>
+
+💸 <b>Refunded:</b> ${actualAmountToUser.toFixed(5)} ${escrow.token}
+🔗 <b>TX:</b> <code>${refundResult.transactionHash}</code>
+
+Funds returned to Seller.`
+    );
+
+    try {
+      await GroupPoolService.recycleGroupAfterCompletion(escrow, this.telegram);
+    } catch (e) {}
+    return true;
+  }
+
+  async send(chatId, text) {
+    try {
+      return await this.telegram.sendMessage(chatId, text, {
+        parse_mode: "HTML",
+      });
+    } catch (error) {
+      console.error(`Error sending expiry message to ${chatId}:`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = new ExpiryService();
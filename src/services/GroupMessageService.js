@@ -0,0 +1,210 @@
+const config = require("../../config");
+const Dispute = require("../models/Dispute");
+const GroupMessage = require("../models/GroupMessage");
+const findGroupEscrow = require("../utils/findGroupEscrow");
+
+// How often messages past the retention period are deleted
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Message fields that carry a file, checked in this order
+const ATTACHMENT_TYPES = [
+  "photo",
+  "document",
+  "video",
+  "voice",
+  "audio",
+  "sticker",
+  "animation",
+  "video_note",
+];
+
+function formatDate(date) {
+  return new Date(date).toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    dateStyle: "short",
+    timeStyle: "medium",
+  });
+}
+
+/**
+ * Archive of trade group messages by escrowId. Rooms are wiped when they
+ * are recycled, so everything the bot receives in a group is stored as it
+ * arrives.
+ */
+class GroupMessageService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Start deleting archived messages older than
+   * GROUP_MESSAGE_RETENTION_DAYS
+   */
+  start() {
+    if (this.timer || !(config.GROUP_MESSAGE_RETENTION_DAYS > 0)) {
+      return;
+    }
+    this.timer = setInterval(
+      () =>
+        this.purgeExpired().catch((error) =>
+          console.error("Error purging archived group messages:", error)
+        ),
+      PURGE_INTERVAL_MS
+    );
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * First attachment of a message, or null
+   */
+  extractAttachment(message) {
+    const type = ATTACHMENT_TYPES.find((field) => message[field]);
+    if (!type) {
+      return null;
+    }
+    // Photos come as a list of sizes, smallest first
+    const file =
+      type === "photo"
+        ? message.photo[message.photo.length - 1]
+        : message[type];
+    return {
+      type,
+      fileId: file.file_id,
+      fileName: file.file_name,
+      mimeType: file.mime_type,
+    };
+  }
+
+  /**
+   * Store a group message under the escrow the group is assigned to
+   * @param {Object} message - Telegram message
+   * @returns {Promise<Object|null>} The GroupMessage, or null if the group
+   *   has no trade
+   */
+  async record(message) {
+    if (!message || !message.chat || message.chat.id > 0) {
+      return null;
+    }
+    const escrow = await findGroupEscrow(message.chat.id);
+    if (!escrow) {
+      return null;
+    }
+
+    const from = message.from || {};
+    const attachment = this.extractAttachment(message);
+    try {
+      return await GroupMessage.create({
+        escrowId: escrow.escrowId,
+        groupId: String(message.chat.id),
+        messageId: message.message_id,
+        from: {
+          id: from.id,
+          username: from.username,
+          firstName: from.first_name,
+          isBot: from.is_bot,
+        },
+        text: message.text || message.caption,
+        attachment: attachment || undefined,
+        replyToMessageId: message.reply_to_message
+          ? message.reply_to_message.message_id
+          : undefined,
+        sentAt: new Date((message.date || Date.now() / 1000) * 1000),
+      });
+    } catch (error) {
+      // Same update delivered twice
+      if (error?.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the new text of an edited message next to the original
+   * @param {Object} message - Telegram edited_message
+   */
+  async recordEdit(message) {
+    if (!message || !message.chat || message.chat.id > 0) {
+      return null;
+    }
+    const archived = await GroupMessage.findOneAndUpdate(
+      { groupId: String(message.chat.id), messageId: message.message_id },
+      {
+        $push: {
+          edits: {
+            text: message.text || message.caption,
+            editedAt: new Date((message.edit_date || Date.now() / 1000) * 1000),
+          },
+        },
+      },
+      { new: true }
+    );
+    // Sent before archiving started; store the edited version
+    return archived || this.record(message);
+  }
+
+  /**
+   * Delete messages past the retention period, except for trades whose
+   * dispute is still open
+   * @returns {Promise<number>} Number of messages deleted
+   */
+  async purgeExpired() {
+    const days = config.GROUP_MESSAGE_RETENTION_DAYS;
+    if (!(days > 0)) {
+      return 0;
+    }
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const disputed = await Dispute.distinct("escrowId", {
+      status: { $ne: "resolved" },
+    });
+    const result = await GroupMessage.deleteMany({
+      sentAt: { $lt: cutoff },
+      escrowId: { $nin: disputed },
+    });
+    return result.deletedCount;
+  }
+
+  /**
+   * Messages of a trade, oldest first
+   */
+  async getTranscript(escrowId) {
+    return GroupMessage.find({ escrowId }).sort({ sentAt: 1, messageId: 1 });
+  }
+
+  /**
+   * Plain-text transcript of a trade group, one line per message
+   * @param {Array} messages - GroupMessages from getTranscript
+   */
+  formatTranscript(messages) {
+    return messages
+      .map((message) => {
+        const from = message.from?.username
+          ? `@${message.from.username}`
+          : message.from?.firstName || `[${message.from?.id}]`;
+        const attachment = message.attachment?.type
+          ? `[${message.attachment.type}${
+              message.attachment.fileName
+                ? `: ${message.attachment.fileName}`
+                : ""
+            } ${message.attachment.fileId}]`
+          : "";
+        const content = [message.text, attachment].filter(Boolean).join(" ");
+        const edits = (message.edits || [])
+          .map(
+            (edit) =>
+              `\n    (edited ${formatDate(edit.editedAt)}) ${edit.text || ""}`
+          )
+          .join("");
+        return `[${formatDate(message.sentAt)}] ${from}: ${content}${edits}`;
+      })
+      .join("\n");
+  }
+}
+
+module.exports = new GroupMessageService();
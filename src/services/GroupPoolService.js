@@ -1,5 +1,6 @@
 const GroupPool = require("../models/GroupPool");
 const config = require("../../config");
+const AdminService = require("./AdminService");
 
 class GroupPoolService {
   /**
@@ -737,7 +738,7 @@ class GroupPoolService {
       const chatId = String(groupId);
 
       // Get all configured admin IDs to protect them from removal
-      const allAdminIds = config.getAllAdminIds().map((id) => Number(id));
+      const allAdminIds = AdminService.getAdminIds().map((id) => Number(id));
 
       // Get bot ID first (needed for skipping bot itself)
       let botId;
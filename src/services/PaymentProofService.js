@@ -0,0 +1,192 @@
+const { Markup } = require("telegraf");
+const TrancheService = require("./TrancheService");
+
+// Documents accepted as a receipt besides photos
+const PROOF_MIME_TYPES = ["application/pdf"];
+
+/**
+ * Payment proof for the fiat handshake: after "I have sent the money" the
+ * buyer posts a photo or PDF of the transfer, which is stored on the escrow
+ * by Telegram file_id, shown to the seller with the "Did you receive the
+ * fiat payment?" prompt and attached to dispute reports.
+ */
+class PaymentProofService {
+  /**
+   * Proof fields of a photo or PDF message, or null for anything else
+   * @param {Object} message - Telegram message
+   * @returns {Object|null}
+   */
+  extractProof(message) {
+    if (!message) {
+      return null;
+    }
+    if (message.photo && message.photo.length) {
+      // Sizes are listed smallest first
+      const photo = message.photo[message.photo.length - 1];
+      return {
+        fileId: photo.file_id,
+        fileUniqueId: photo.file_unique_id,
+        type: "photo",
+      };
+    }
+    const document = message.document;
+    if (
+      document &&
+      ((document.mime_type || "").startsWith("image/") ||
+        PROOF_MIME_TYPES.includes(document.mime_type))
+    ) {
+      return {
+        fileId: document.file_id,
+        fileUniqueId: document.file_unique_id,
+        type: "document",
+        fileName: document.file_name,
+        mimeType: document.mime_type,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Store a proof on the escrow (saves the escrow)
+   * @param {Object} escrow - Escrow document
+   * @param {Object} proof - From extractProof
+   * @param {Object} message - The Telegram message carrying it
+   * @returns {Promise<Object>} The stored proof
+   */
+  async record(escrow, proof, message) {
+    const tranche = TrancheService.currentTranche(escrow);
+    escrow.paymentProofs.push({
+      ...proof,
+      caption: message.caption,
+      messageId: message.message_id,
+      uploadedBy: message.from && message.from.id,
+      trancheIndex: tranche ? tranche.index : undefined,
+      uploadedAt: new Date(),
+    });
+    await escrow.save();
+    return escrow.paymentProofs[escrow.paymentProofs.length - 1];
+  }
+
+  /**
+   * Ask the buyer for a receipt; "Continue without proof" covers cash deals
+   * @returns {Promise<Object>} The prompt message
+   */
+  async requestProof(telegram, escrow) {
+    const buyerTag = escrow.buyerUsername
+      ? "@" + escrow.buyerUsername
+      : "[" + escrow.buyerId + "]";
+    const prompt = await telegram.sendMessage(
+      escrow.groupId,
+      `🧾 Buyer ${buyerTag}: Please send a photo or PDF of your payment (bank transfer receipt or screenshot).\n\nIt is shown to the seller and kept with this trade in case of a dispute.`,
+      {
+        reply_markup: Markup.inlineKeyboard([
+          [
+            Markup.button.callback(
+              "➡️ Continue without proof",
+              `fiat_proof_skip_${escrow.escrowId}`
+            ),
+          ],
+        ]).reply_markup,
+      }
+    );
+    escrow.awaitingPaymentProof = true;
+    escrow.paymentProofPromptMessageId = prompt.message_id;
+    await escrow.save();
+    return prompt;
+  }
+
+  /**
+   * Close the proof request and ask the seller whether the fiat arrived.
+   * With a proof, the prompt replies to the buyer's receipt so the seller
+   * sees it right above the buttons.
+   * @param {Object} telegram - Telegram client
+   * @param {Object} escrow - Escrow document
+   * @param {Object} [proof] - Stored proof, if the buyer sent one
+   */
+  async askSeller(telegram, escrow, proof = null) {
+    const promptMessageId = escrow.paymentProofPromptMessageId;
+    escrow.awaitingPaymentProof = false;
+    escrow.paymentProofPromptMessageId = null;
+    await escrow.save();
+
+    if (promptMessageId) {
+      try {
+        await telegram.editMessageText(
+          escrow.groupId,
+          promptMessageId,
+          null,
+          proof
+            ? "🧾 Payment proof received."
+            : "➡️ Continuing without payment proof."
+        );
+      } catch (e) {}
+    }
+
+    const sellerTag = escrow.sellerUsername
+      ? "@" + escrow.sellerUsername
+      : "[" + escrow.sellerId + "]";
+    const proofLine = proof
+      ? `\n\n🧾 Payment proof from the buyer is attached above (${this.describe(
+          proof
+        )}).`
+      : "\n\n⚠️ The buyer did not attach payment proof.";
+
+    return telegram.sendMessage(
+      escrow.groupId,
+      `🏦 Seller ${sellerTag}: Did you receive the fiat payment?${proofLine}`,
+      {
+        ...(proof && proof.messageId
+          ? {
+              reply_to_message_id: proof.messageId,
+              allow_sending_without_reply: true,
+            }
+          : {}),
+        reply_markup: Markup.inlineKeyboard([
+          [
+            Markup.button.callback(
+              "✅ Yes, I received",
+              `fiat_received_seller_yes_${escrow.escrowId}`
+            ),
+            Markup.button.callback(
+              "❌ No, not received",
+              `fiat_received_seller_no_${escrow.escrowId}`
+            ),
+          ],
+          [
+            Markup.button.callback(
+              "⚠️ Received less money",
+              `fiat_received_seller_partial_${escrow.escrowId}`
+            ),
+          ],
+        ]).reply_markup,
+      }
+    );
+  }
+
+  /**
+   * Re-send a stored proof (e.g. to the dispute channel)
+   */
+  async send(telegram, chatId, proof, caption) {
+    const extra = { caption, parse_mode: "HTML" };
+    return proof.type === "photo"
+      ? telegram.sendPhoto(chatId, proof.fileId, extra)
+      : telegram.sendDocument(chatId, proof.fileId, extra);
+  }
+
+  /**
+   * "photo, 19/10/26, 2:05:11 pm" or "receipt.pdf, ..."
+   */
+  describe(proof) {
+    const uploadedAt = new Date(proof.uploadedAt || Date.now()).toLocaleString(
+      "en-IN",
+      {
+        timeZone: "Asia/Kolkata",
+        dateStyle: "short",
+        timeStyle: "medium",
+      }
+    );
+    return `${proof.fileName || proof.type}, ${uploadedAt}`;
+  }
+}
+
+module.exports = new PaymentProofService();
@@ -0,0 +1,294 @@
+const AdminService = require("./AdminService");
+const Payout = require("../models/Payout");
+const Escrow = require("../models/Escrow");
+
+// Unresolved payouts are re-checked against the chain this often
+const RECONCILE_INTERVAL_MS = 5 * 60 * 1000;
+
+class PayoutService {
+  constructor() {
+    this.timer = null;
+    this.isReconciling = false;
+  }
+
+  /**
+   * Journal a release/refund before anything is signed or broadcast.
+   * Fails if the same escrow already has an unresolved payout.
+   * @param {Object} intent - escrowId, type, network, token, contractAddress,
+   *   destination, amount, amountWei, fromAddress
+   * @returns {Promise<Object>} The Payout document
+   */
+  async createIntent(intent) {
+    try {
+      return await Payout.create({
+        ...intent,
+        activeEscrowId: intent.escrowId || undefined,
+        status: "created",
+      });
+    } catch (error) {
+      if (error?.code === 11000) {
+        throw new Error(
+          `A previous release/refund for trade ${intent.escrowId} is still pending. Wait for it to settle or ask an admin to run /admin_payouts.`
+        );
+      }
+      throw error;
+    }
+  }
+
+  async markSigned(
+    payout,
+    { transactionHash, nonce, signedTransaction, expiresAt }
+  ) {
+    payout.transactionHash = transactionHash;
+    payout.nonce = nonce;
+    payout.signedTransaction = signedTransaction;
+    payout.expiresAt = expiresAt;
+    payout.status = "signed";
+    await payout.save();
+    return payout;
+  }
+
+  async markBroadcast(payout) {
+    if (payout.status === "signed") {
+      payout.status = "broadcast";
+      await payout.save();
+    }
+    return payout;
+  }
+
+  async markConfirmed(payout, blockNumber) {
+    payout.status = "confirmed";
+    payout.blockNumber = blockNumber || payout.blockNumber;
+    payout.error = undefined;
+    await payout.save();
+    return payout;
+  }
+
+  /**
+   * The transaction never made it on-chain (or reverted): free the escrow
+   */
+  async markFailed(payout, reason) {
+    payout.status = "failed";
+    payout.error = reason;
+    payout.activeEscrowId = undefined;
+    await payout.save();
+    return payout;
+  }
+
+  /**
+   * Called once the caller has saved the payout's hash on the escrow.
+   * From here on the escrow itself tracks the payout.
+   * @param {string} payoutId - Returned by releaseFunds/refundFunds
+   */
+  async markRecorded(payoutId) {
+    if (!payoutId) {
+      return;
+    }
+    try {
+      await Payout.updateOne(
+        { _id: payoutId },
+        { $set: { recordedAt: new Date() }, $unset: { activeEscrowId: "" } }
+      );
+    } catch (error) {
+      console.error(`Error marking payout ${payoutId} as recorded:`, error);
+    }
+  }
+
+  /**
+   * Admin override: release the escrow lock after checking the chain by hand.
+   * An unconfirmed payout is abandoned and no longer rebroadcast.
+   */
+  async resolve(payoutId, adminId) {
+    const payout = await Payout.findById(payoutId);
+    if (!payout) {
+      return null;
+    }
+    if (payout.status !== "confirmed" && payout.status !== "failed") {
+      payout.status = "failed";
+      payout.error = "Abandoned by admin";
+    }
+    payout.needsReview = false;
+    payout.resolvedBy = adminId;
+    payout.resolvedAt = new Date();
+    payout.activeEscrowId = undefined;
+    await payout.save();
+    return payout;
+  }
+
+  /**
+   * Payouts that still hold an escrow lock or need an admin's eyes
+   */
+  async getOpenPayouts() {
+    return Payout.find({
+      $or: [
+        { activeEscrowId: { $exists: true } },
+        { needsReview: true },
+        { status: { $in: ["signed", "broadcast"] } },
+      ],
+    }).sort({ createdAt: 1 });
+  }
+
+  start(telegram) {
+    if (this.timer) {
+      return;
+    }
+    this.reconcile(telegram);
+    this.timer = setInterval(
+      () => this.reconcile(telegram),
+      RECONCILE_INTERVAL_MS
+    );
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Walk every unresolved payout and settle it against the chain: confirm
+   * what was mined, rebroadcast what was signed but lost, and fail what can
+   * never be mined. Payouts confirmed on-chain but missing from their escrow
+   * are flagged for review so nobody pays the trade a second time.
+   * @param {Object} telegram - Telegram bot instance used for alerts
+   */
+  async reconcile(telegram) {
+    if (this.isReconciling) {
+      return;
+    }
+    this.isReconciling = true;
+
+    try {
+      // Lazy require: BlockchainService journals through this service
+      const BlockchainService = require("./BlockchainService");
+
+      const payouts = await Payout.find({
+        $or: [
+          { status: { $in: ["created", "signed", "broadcast"] } },
+          { status: "confirmed", activeEscrowId: { $exists: true } },
+        ],
+      });
+
+      for (const payout of payouts) {
+        try {
+          await this.reconcileOne(payout, BlockchainService, telegram);
+        } catch (error) {
+          console.error(`Error reconciling payout ${payout._id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error("Error in payout reconciliation:", error);
+    } finally {
+      this.isReconciling = false;
+    }
+  }
+
+  async reconcileOne(payout, BlockchainService, telegram) {
+    // Crashed before signing: nothing can reach the chain
+    if (payout.status === "created") {
+      if (Date.now() - payout.createdAt.getTime() > RECONCILE_INTERVAL_MS) {
+        await this.markFailed(payout, "Interrupted before signing");
+      }
+      return;
+    }
+
+    if (payout.status === "signed" || payout.status === "broadcast") {
+      const result = await BlockchainService.checkPayout(payout);
+      if (result.state === "confirmed") {
+        await this.markConfirmed(payout, result.blockNumber);
+      } else if (result.state === "failed") {
+        await this.markFailed(payout, result.reason);
+        if (payout.recordedAt) {
+          await this.alertAdmins(
+            payout,
+            telegram,
+            "RECORDED PAYOUT FAILED ON-CHAIN",
+            `The trade was closed with this transaction but it ${result.reason}. The funds are still in the vault.`
+          );
+        }
+        return;
+      } else {
+        // Still pending (or rebroadcast); look again next round
+        return;
+      }
+    }
+
+    if (payout.recordedAt || !payout.activeEscrowId) {
+      return;
+    }
+    // Give the live release/refund flow time to save the hash on the escrow
+    if (Date.now() - payout.updatedAt.getTime() < RECONCILE_INTERVAL_MS) {
+      return;
+    }
+
+    const escrow = await Escrow.findOne({ escrowId: payout.escrowId });
+    if (escrow && this.isRecordedOnEscrow(escrow, payout)) {
+      await this.markRecorded(payout._id);
+      return;
+    }
+
+    if (!payout.needsReview) {
+      payout.needsReview = true;
+      await payout.save();
+      await this.alertAdmins(
+        payout,
+        telegram,
+        "PAYOUT NEEDS REVIEW",
+        `Confirmed on-chain but never recorded on the trade${
+          escrow ? ` (status: ${escrow.status})` : ""
+        }. Further payouts for this trade are blocked. Check the trade, then run /admin_payout_resolve ${
+          payout._id
+        }`
+      );
+    }
+  }
+
+  isRecordedOnEscrow(escrow, payout) {
+    const hash = payout.transactionHash;
+    if (!hash) {
+      return false;
+    }
+    const releases = [
+      escrow.releaseTransactionHash,
+      ...(escrow.partialReleaseTransactionHashes || []),
+    ];
+    const refunds = [
+      escrow.refundTransactionHash,
+      ...(escrow.partialRefundTransactionHashes || []),
+    ];
+    // A split pays both sides and is recorded as release and refund
+    const known =
+      payout.type === "release"
+        ? releases
+        : payout.type === "refund"
+        ? refunds
+        : [...releases, ...refunds];
+    return known.some((h) => h && h.toLowerCase() === hash.toLowerCase());
+  }
+
+  /**
+   * Tell every admin about a payout that needs a human decision
+   */
+  async alertAdmins(payout, telegram, headline, detail) {
+    if (!telegram) {
+      return;
+    }
+    const text =
+      `⚠️ <b>${headline}</b>\n\n` +
+      `${payout.type} of ${payout.amount} ${payout.token} (${payout.network}) for trade <code>${payout.escrowId}</code>\n` +
+      `To: <code>${payout.destination}</code>\n` +
+      `Tx: <code>${payout.transactionHash}</code>\n\n` +
+      detail;
+
+    for (const adminId of AdminService.getAdminIds("funds")) {
+      try {
+        await telegram.sendMessage(adminId, text, { parse_mode: "HTML" });
+      } catch (error) {
+        // Admin may not have started the bot
+      }
+    }
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,295 @@
+const mongoose = require("mongoose");
+const Escrow = require("../models/Escrow");
+const Rating = require("../models/Rating");
+const User = require("../models/User");
+const { escapeHtml } = require("../utils/participant");
+const { safeAnswerCbQuery } = require("../utils/telegramUtils");
+
+const MAX_COMMENT_LENGTH = 500;
+
+function formatUsername(username, id) {
+  return username ? `@${username}` : `[${id}]`;
+}
+
+function formatStars(stars) {
+  return "⭐".repeat(stars);
+}
+
+/**
+ * Mutual feedback after a completed trade: each party gets a 1-5 star
+ * prompt by DM, can add a comment, and admins can hide abusive ratings
+ */
+class RatingService {
+  /**
+   * DM both parties of a completed trade a rating prompt, once per trade
+   * @param {Object} escrow - Escrow document (reloaded here)
+   * @param {Object} telegram - Telegram bot instance
+   */
+  async sendPrompts(escrow, telegram) {
+    const fresh = await Escrow.findById(escrow._id || escrow.id);
+    if (
+      !fresh ||
+      fresh.status !== "completed" ||
+      !fresh.buyerId ||
+      !fresh.sellerId
+    ) {
+      return;
+    }
+
+    const parties = [
+      {
+        raterRole: "buyer",
+        raterId: fresh.buyerId,
+        raterUsername: fresh.buyerUsername,
+        rateeId: fresh.sellerId,
+        rateeUsername: fresh.sellerUsername,
+      },
+      {
+        raterRole: "seller",
+        raterId: fresh.sellerId,
+        raterUsername: fresh.sellerUsername,
+        rateeId: fresh.buyerId,
+        rateeUsername: fresh.buyerUsername,
+      },
+    ];
+
+    for (const party of parties) {
+      let rating;
+      try {
+        rating = await Rating.create({ escrowId: fresh.escrowId, ...party });
+      } catch (error) {
+        // Prompt already sent for this trade
+        if (error?.code === 11000) {
+          continue;
+        }
+        throw error;
+      }
+
+      const action = party.raterRole === "buyer" ? "bought" : "sold";
+      const direction = party.raterRole === "buyer" ? "from" : "to";
+      try {
+        const prompt = await telegram.sendMessage(
+          party.raterId,
+          `⭐ <b>Rate your trade</b>
+
+Trade #${fresh.escrowId}: you ${action} ${fresh.quantity} ${
+            fresh.token
+          } ${direction} ${escapeHtml(
+            formatUsername(party.rateeUsername, party.rateeId)
+          )}.
+
+How did it go?`,
+          {
+            parse_mode: "HTML",
+            reply_markup: {
+              inline_keyboard: [
+                [1, 2, 3, 4, 5].map((stars) => ({
+                  text: `${stars}⭐`,
+                  callback_data: `rate_${fresh.escrowId}_${stars}`,
+                })),
+              ],
+            },
+          }
+        );
+        rating.promptMessageId = prompt.message_id;
+        await rating.save();
+      } catch (error) {
+        // The party never started a private chat with the bot
+        console.warn(
+          `Could not send rating prompt for ${fresh.escrowId} to ${party.raterId}: ${error.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * A party tapped a star button in their rating prompt
+   */
+  async handleStars(ctx, escrowId, stars) {
+    const rating = await Rating.findOne({ escrowId, raterId: ctx.from.id });
+    if (!rating) {
+      return safeAnswerCbQuery(ctx, "❌ This rating prompt is not for you.");
+    }
+    if (rating.stars) {
+      return safeAnswerCbQuery(ctx, "✅ You have already rated this trade.");
+    }
+
+    // Only the latest rating waits for a comment
+    await Rating.updateMany(
+      { raterId: ctx.from.id, awaitingComment: true },
+      { $set: { awaitingComment: false } }
+    );
+    rating.stars = stars;
+    rating.ratedAt = new Date();
+    rating.updatedAt = new Date();
+    rating.awaitingComment = true;
+    await rating.save();
+    await this.refreshUserRating(rating.rateeId);
+
+    await safeAnswerCbQuery(ctx, `Rated ${stars}/5`);
+    await ctx.editMessageText(
+      `⭐ You rated ${escapeHtml(
+        formatUsername(rating.rateeUsername, rating.rateeId)
+      )} ${formatStars(stars)} (${stars}/5) for trade #${escrowId}.
+
+Send a short comment about the trade, or tap Skip.`,
+      {
+        parse_mode: "HTML",
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: "Skip", callback_data: `rate_skip_${escrowId}` }],
+          ],
+        },
+      }
+    );
+  }
+
+  /**
+   * The rater does not want to leave a comment
+   */
+  async handleSkip(ctx, escrowId) {
+    await Rating.updateOne(
+      { escrowId, raterId: ctx.from.id },
+      { $set: { awaitingComment: false } }
+    );
+    await safeAnswerCbQuery(ctx, "Thanks for your feedback!");
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  }
+
+  /**
+   * Store a private text message as the comment of the rating that is
+   * waiting for one
+   * @returns {Promise<boolean>} Whether the message was a comment
+   */
+  async handleComment(ctx) {
+    const rating = await Rating.findOne({
+      raterId: ctx.from.id,
+      awaitingComment: true,
+    }).sort({ ratedAt: -1 });
+    if (!rating) {
+      return false;
+    }
+
+    rating.comment = ctx.message.text.trim().slice(0, MAX_COMMENT_LENGTH);
+    rating.awaitingComment = false;
+    rating.updatedAt = new Date();
+    await rating.save();
+
+    if (rating.promptMessageId) {
+      try {
+        await ctx.telegram.editMessageReplyMarkup(
+          ctx.chat.id,
+          rating.promptMessageId,
+          null,
+          { inline_keyboard: [] }
+        );
+      } catch (error) {
+        // Prompt already gone or unchanged
+      }
+    }
+    await ctx.reply(
+      `✅ Thanks! Your feedback on ${formatUsername(
+        rating.rateeUsername,
+        rating.rateeId
+      )} was saved.`
+    );
+    return true;
+  }
+
+  /**
+   * Recompute a user's rating count and average from visible ratings
+   */
+  async refreshUserRating(telegramId) {
+    const [summary] = await Rating.aggregate([
+      {
+        $match: {
+          rateeId: Number(telegramId),
+          status: "visible",
+          stars: { $gte: 1 },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          average: { $avg: "$stars" },
+        },
+      },
+    ]);
+    await User.updateOne(
+      { telegramId: Number(telegramId) },
+      {
+        $set: {
+          ratingCount: summary ? summary.count : 0,
+          ratingAverage: summary ? Math.round(summary.average * 10) / 10 : null,
+        },
+      }
+    );
+  }
+
+  /**
+   * Hide a rating from the rated user's average and /stats, or show it again
+   * @param {string} ratingId
+   * @param {"visible"|"hidden"} status
+   * @param {Object} admin - Telegram user moderating
+   * @returns {Promise<Object|null>} The rating, or null if not found
+   */
+  async moderate(ratingId, status, admin, reason = null) {
+    if (!mongoose.isValidObjectId(ratingId)) {
+      return null;
+    }
+    const rating = await Rating.findById(ratingId);
+    if (!rating) {
+      return null;
+    }
+    rating.status = status;
+    rating.moderatedBy = { id: admin.id, username: admin.username };
+    rating.moderationReason = reason || undefined;
+    rating.updatedAt = new Date();
+    await rating.save();
+    await this.refreshUserRating(rating.rateeId);
+    return rating;
+  }
+
+  /**
+   * Ratings a user received, newest first; hidden ones only for admins
+   */
+  async listReceived(telegramId, { includeHidden = false, limit = 10 } = {}) {
+    const query = { rateeId: Number(telegramId), stars: { $gte: 1 } };
+    if (!includeHidden) {
+      query.status = "visible";
+    }
+    return Rating.find(query).sort({ ratedAt: -1 }).limit(limit);
+  }
+
+  /**
+   * Feedback block for /stats (Telegram HTML)
+   * @param {Object} user - User stats object
+   * @param {Array} ratings - Recent visible ratings from listReceived
+   */
+  formatStatsSection(user, ratings) {
+    if (!user.ratingCount) {
+      return "🌟 FEEDBACK\n• No ratings yet";
+    }
+    const comments = ratings
+      .filter((rating) => rating.comment)
+      .slice(0, 3)
+      .map(
+        (rating) =>
+          `• ${formatStars(rating.stars)} “${escapeHtml(
+            rating.comment
+          )}” — ${escapeHtml(
+            formatUsername(rating.raterUsername, rating.raterId)
+          )}`
+      );
+    return [
+      "🌟 FEEDBACK",
+      `• Rating: <b>${user.ratingAverage}/5</b> from ${user.ratingCount} ${
+        user.ratingCount === 1 ? "trade" : "trades"
+      }`,
+      ...comments,
+    ].join("\n");
+  }
+}
+
+module.exports = new RatingService();
@@ -0,0 +1,276 @@
+const Dispute = require("../models/Dispute");
+const Escrow = require("../models/Escrow");
+const User = require("../models/User");
+const reputationConfig = require("../config/reputationConfig");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deals that are over, one way or another
+const FINISHED_STATUSES = ["completed", "cancelled", "refunded", "disputed"];
+
+/**
+ * Trader reputation from their deal history, see config/reputationConfig
+ */
+class ReputationService {
+  /**
+   * @param {number} telegramId
+   * @returns {Promise<Object>} score, label and the counts behind them
+   */
+  async getReputation(telegramId) {
+    const id = Number(telegramId);
+    const [escrows, user] = await Promise.all([
+      Escrow.find({
+        $or: [{ buyerId: id }, { sellerId: id }],
+        status: { $in: FINISHED_STATUSES },
+      })
+        .select(
+          "escrowId status buyerId sellerId tradeStartTime completedAt createdAt cancelRequestedBy refundRequestedBy"
+        )
+        .lean(),
+      User.findOne({ telegramId: id }).select("createdAt").lean(),
+    ]);
+
+    const counts = {
+      completed: 0,
+      cancelled: 0,
+      refunded: 0,
+      disputesOpen: 0,
+      disputesWon: 0,
+      disputesLost: 0,
+    };
+    // Cancels, refunds and open disputes weighted by the trader's share
+    const penalties = { cancelled: 0, refunded: 0, disputesOpen: 0 };
+    const durations = [];
+    const roles = {};
+    const counterparties = {};
+    const disputedIds = [];
+    let firstSeen = user?.createdAt ? new Date(user.createdAt) : new Date();
+
+    escrows.forEach((escrow) => {
+      roles[escrow.escrowId] = escrow.buyerId === id ? "buyer" : "seller";
+      counterparties[escrow.escrowId] =
+        escrow.buyerId === id ? escrow.sellerId : escrow.buyerId;
+      if (escrow.createdAt && new Date(escrow.createdAt) < firstSeen) {
+        firstSeen = new Date(escrow.createdAt);
+      }
+      if (escrow.status === "completed") {
+        counts.completed += 1;
+        if (escrow.tradeStartTime && escrow.completedAt) {
+          durations.push(
+            new Date(escrow.completedAt) - new Date(escrow.tradeStartTime)
+          );
+        }
+      } else if (escrow.status === "cancelled") {
+        counts.cancelled += 1;
+        penalties.cancelled += this.initiatorShare(
+          escrow.cancelRequestedBy,
+          id,
+          counterparties[escrow.escrowId]
+        );
+      } else if (escrow.status === "refunded") {
+        counts.refunded += 1;
+        penalties.refunded += this.initiatorShare(
+          escrow.refundRequestedBy,
+          id,
+          counterparties[escrow.escrowId]
+        );
+      } else {
+        counts.disputesOpen += 1;
+        disputedIds.push(escrow.escrowId);
+      }
+    });
+
+    const disputes = await Dispute.find({
+      escrowId: { $in: Object.keys(roles) },
+    })
+      .select("escrowId status resolution openedBy")
+      .lean();
+    const openers = {};
+    disputes.forEach((dispute) => {
+      if (dispute.status !== "resolved") {
+        openers[dispute.escrowId] = dispute.openedBy?.id;
+        return;
+      }
+      if (dispute.resolution === "split") {
+        return;
+      }
+      // Release pays the buyer, refund returns the deposit to the seller
+      const winner = dispute.resolution === "release" ? "buyer" : "seller";
+      if (roles[dispute.escrowId] === winner) {
+        counts.disputesWon += 1;
+      } else {
+        counts.disputesLost += 1;
+      }
+    });
+
+    disputedIds.forEach((escrowId) => {
+      penalties.disputesOpen += this.initiatorShare(
+        openers[escrowId],
+        id,
+        counterparties[escrowId]
+      );
+    });
+
+    const averageCompletionMs = durations.length
+      ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length
+      : null;
+    const accountAgeDays = Math.max(
+      0,
+      Math.floor((Date.now() - firstSeen.getTime()) / DAY_MS)
+    );
+    const score = this.score({
+      ...counts,
+      ...penalties,
+      averageCompletionMs,
+      accountAgeDays,
+    });
+
+    return {
+      telegramId: id,
+      score,
+      label: this.label(score),
+      totalDeals: escrows.length,
+      ...counts,
+      averageCompletionMs,
+      accountAgeDays,
+    };
+  }
+
+  /**
+   * Share of a cancel, refund or open dispute penalty the trader takes
+   * @param {number|null} initiatorId - Telegram ID of whoever started it,
+   *   null for an admin or the bot
+   */
+  initiatorShare(initiatorId, telegramId, counterpartyId) {
+    const { INITIATOR_SHARE } = reputationConfig;
+    if (initiatorId == null) {
+      return INITIATOR_SHARE.OTHER;
+    }
+    if (Number(initiatorId) === telegramId) {
+      return INITIATOR_SHARE.SELF;
+    }
+    return Number(initiatorId) === Number(counterpartyId)
+      ? INITIATOR_SHARE.COUNTERPARTY
+      : INITIATOR_SHARE.OTHER;
+  }
+
+  /**
+   * 0-100 score from the counts of getReputation; cancelled, refunded and
+   * disputesOpen are weighted by initiatorShare
+   */
+  score({
+    completed,
+    cancelled,
+    refunded,
+    disputesOpen,
+    disputesLost,
+    averageCompletionMs,
+    accountAgeDays,
+  }) {
+    const { BASE_SCORE, WEIGHTS } = reputationConfig;
+    let score = BASE_SCORE;
+    score += Math.min(
+      completed * WEIGHTS.COMPLETED,
+      WEIGHTS.MAX_COMPLETED_BONUS
+    );
+    score += cancelled * WEIGHTS.CANCELLED;
+    score += refunded * WEIGHTS.REFUNDED;
+    score += disputesLost * WEIGHTS.DISPUTE_LOST;
+    score += disputesOpen * WEIGHTS.DISPUTE_OPEN;
+    score += Math.min(
+      Math.floor(accountAgeDays / 30) * WEIGHTS.AGE_PER_MONTH,
+      WEIGHTS.MAX_AGE_BONUS
+    );
+    if (averageCompletionMs != null) {
+      const minutes = averageCompletionMs / 60000;
+      if (minutes <= reputationConfig.FAST_COMPLETION_MINUTES) {
+        score += WEIGHTS.FAST_COMPLETION;
+      } else if (minutes >= reputationConfig.SLOW_COMPLETION_MINUTES) {
+        score += WEIGHTS.SLOW_COMPLETION;
+      }
+    }
+    return Math.max(0, Math.min(100, Math.round(score)));
+  }
+
+  label(score) {
+    return reputationConfig.TIERS.find((tier) => score >= tier.min).label;
+  }
+
+  formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) {
+      return `${minutes}m`;
+    }
+    const hours = Math.floor(minutes / 60);
+    return hours < 24
+      ? `${hours}h ${minutes % 60}m`
+      : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+
+  /**
+   * Reputation block for /stats (Telegram HTML)
+   */
+  formatStatsSection(reputation) {
+    const average =
+      reputation.averageCompletionMs != null
+        ? this.formatDuration(reputation.averageCompletionMs)
+        : "N/A";
+    return `⭐ REPUTATION
+• Score: <b>${reputation.score}/100</b> ${reputation.label}
+• Completed: ${reputation.completed} · Cancelled: ${reputation.cancelled} · Refunded: ${reputation.refunded}
+• Disputes: ${reputation.disputesWon} won · ${reputation.disputesLost} lost · ${reputation.disputesOpen} open
+• Avg. Completion: ${average}
+• Trading for: ${reputation.accountAgeDays} days`;
+  }
+
+  /**
+   * One line per party for the Deal Summary card, so each side sees who
+   * they are trading with
+   */
+  async formatSummaryLines(escrow) {
+    const parties = [
+      ["Buyer", escrow.buyerId],
+      ["Seller", escrow.sellerId],
+    ].filter(([, id]) => id);
+    const lines = await Promise.all(
+      parties.map(async ([role, id]) => {
+        const reputation = await this.getReputation(id);
+        return `• <b>${role} Reputation:</b> ${reputation.score}/100 ${reputation.label} (${reputation.completed} deals)`;
+      })
+    );
+    return lines.length ? `${lines.join("\n")}\n` : "";
+  }
+
+  /**
+   * Parties below the minimum score for the deal size, or [] when the deal
+   * may go ahead
+   * @returns {Promise<Array<{role: string, username: string, score: number}>>}
+   */
+  async findGateFailures(escrow) {
+    const { GATE_AMOUNT, MIN_SCORE } = reputationConfig;
+    if (
+      !(GATE_AMOUNT > 0) ||
+      !(MIN_SCORE > 0) ||
+      Number(escrow.quantity) < GATE_AMOUNT
+    ) {
+      return [];
+    }
+    const parties = [
+      ["buyer", escrow.buyerId, escrow.buyerUsername],
+      ["seller", escrow.sellerId, escrow.sellerUsername],
+    ];
+    const failures = [];
+    for (const [role, id, username] of parties) {
+      if (!id) {
+        continue;
+      }
+      const { score } = await this.getReputation(id);
+      if (score < MIN_SCORE) {
+        failures.push({ role, username, score });
+      }
+    }
+    return failures;
+  }
+}
+
+module.exports = new ReputationService();
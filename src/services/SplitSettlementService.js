@@ -0,0 +1,572 @@
+const { Markup } = require("telegraf");
+const { ethers } = require("ethers");
+const Escrow = require("../models/Escrow");
+const images = require("../config/images");
+const BlockchainService = require("./BlockchainService");
+const AdminApprovalService = require("./AdminApprovalService");
+const EscrowStateMachine = require("./EscrowStateMachine");
+const PayoutService = require("./PayoutService");
+const { hasPermission } = require("../middleware/adminAuth");
+const { safeAnswerCbQuery } = require("../utils/telegramUtils");
+
+// Escrow statuses in which the vault still holds the deposit
+const PAYABLE_STATUSES = [
+  "deposited",
+  "in_fiat_transfer",
+  "ready_to_release",
+  "disputed",
+];
+
+/**
+ * Dispute outcome that pays part of the deposit to the buyer and returns the
+ * rest to the seller. The admin previews both payouts; one confirmation
+ * pays them. EscrowVaultV2 vaults do it in a single split() transaction, so
+ * the split either happens in full or not at all.
+ *
+ * Vaults without split() (EscrowVault, TRON) get a release and then a
+ * refund. Each hash is saved as soon as its transaction is sent; once one
+ * is out the split can only be resumed, not cancelled: Retry sends just the
+ * missing payout, and the trade completes once both are on record.
+ */
+class SplitSettlementService {
+  /**
+   * Work out both payouts from the deposit held for the trade. The network
+   * fee is charged once, split between the payouts in the same proportion
+   * as the deposit; the vault takes the service fee (feeRate) of what it is
+   * sent.
+   * @param {Object} escrow - Escrow document
+   * @param {number} buyerPercent - Buyer's share, 1-99
+   * @returns {Object} Plan with buyer and seller legs
+   */
+  plan(escrow, buyerPercent) {
+    const percent = Number(buyerPercent);
+    if (!Number.isInteger(percent) || percent < 1 || percent > 99) {
+      throw new Error("Buyer share must be a whole percent from 1 to 99");
+    }
+    if (!escrow.buyerAddress) {
+      throw new Error("Buyer address is not set");
+    }
+    if (!escrow.sellerAddress) {
+      throw new Error("Seller address is not set");
+    }
+
+    const decimals = BlockchainService.getTokenDecimals(
+      escrow.token,
+      escrow.chain
+    );
+    // Decimal amounts are cut to 8 places before scaling so float noise
+    // (0.2 → 0.20000000000000001) does not reach the wei amounts
+    const toWei = (value) =>
+      ethers.parseUnits(Number(value).toFixed(Math.min(decimals, 8)), decimals);
+    const totalWei =
+      escrow.accumulatedDepositAmountWei &&
+      escrow.accumulatedDepositAmountWei !== "0"
+        ? BigInt(escrow.accumulatedDepositAmountWei)
+        : toWei(
+            escrow.confirmedAmount ||
+              escrow.accumulatedDepositAmount ||
+              escrow.depositAmount ||
+              0
+          );
+    if (totalWei <= 0n) {
+      throw new Error("No confirmed deposit found");
+    }
+
+    const networkFee = Number(escrow.networkFee || 0);
+    const networkFeeWei = toWei(networkFee);
+    const feeRate = typeof escrow.feeRate === "number" ? escrow.feeRate : 0.75;
+    const toAmount = (wei) => Number(ethers.formatUnits(wei, decimals));
+
+    const buildLeg = (grossWei, feeWei, label) => {
+      const toContractWei = grossWei - feeWei;
+      if (toContractWei <= 0n) {
+        throw new Error(
+          `${label} share (${toAmount(
+            grossWei
+          )}) does not cover its part of the network fee (${toAmount(feeWei)})`
+        );
+      }
+      const toContract = toAmount(toContractWei);
+      const serviceFee = (toContract * feeRate) / 100;
+      return {
+        gross: toAmount(grossWei),
+        grossWei: grossWei.toString(),
+        networkFee: toAmount(feeWei),
+        toContract,
+        toContractWei: toContractWei.toString(),
+        serviceFee,
+        net: toContract - serviceFee,
+      };
+    };
+
+    const buyerWei = (totalWei * BigInt(percent)) / 100n;
+    const buyerFeeWei = (networkFeeWei * BigInt(percent)) / 100n;
+    return {
+      buyerPercent: percent,
+      total: toAmount(totalWei),
+      networkFee,
+      feeRate,
+      buyer: buildLeg(buyerWei, buyerFeeWei, "Buyer"),
+      seller: buildLeg(
+        totalWei - buyerWei,
+        networkFeeWei - buyerFeeWei,
+        "Seller"
+      ),
+    };
+  }
+
+  formatPreview(escrow, plan) {
+    const token = escrow.token || "USDT";
+    const leg = (
+      title,
+      percent,
+      address,
+      amounts
+    ) => `<b>${title} (${percent}%)</b>
+Share: ${amounts.gross.toFixed(5)} ${token}
+Network Fee: -${amounts.networkFee} ${token}
+Service Fee (${plan.feeRate}%): -${amounts.serviceFee.toFixed(5)} ${token}
+Receives: <b>${amounts.net.toFixed(5)} ${token}</b>
+To: <code>${address}</code>`;
+
+    return `<b>Dispute Resolution: Split Settlement</b>
+
+Deposit Held: ${plan.total.toFixed(5)} ${token}
+Network Fee: ${plan.networkFee} ${token} (charged once, shared pro rata)
+
+${leg("🟢 Buyer", plan.buyerPercent, escrow.buyerAddress, plan.buyer)}
+
+${leg("🔵 Seller", 100 - plan.buyerPercent, escrow.sellerAddress, plan.seller)}
+
+⚠️ Confirming pays the buyer and refunds the seller.`;
+  }
+
+  /**
+   * Post the split preview with Confirm / Cancel in the trade group
+   * @param {Object} telegram - Telegram client
+   * @param {Object} escrow - Escrow document
+   * @param {number} buyerPercent - Buyer's share, 1-99
+   * @param {Object} admin - Telegram user proposing it
+   * @returns {Promise<Object>} The plan
+   */
+  async propose(telegram, escrow, buyerPercent, admin) {
+    const current = escrow.splitSettlement || {};
+    if (
+      (current.releaseTransactionHash || current.refundTransactionHash) &&
+      !current.executedAt
+    ) {
+      throw new Error(
+        "A split settlement is already part-way through; use its Retry button"
+      );
+    }
+
+    const plan = this.plan(escrow, buyerPercent);
+    const message = await telegram.sendPhoto(
+      escrow.groupId,
+      images.RELEASE_CONFIRMATION,
+      {
+        caption: this.formatPreview(escrow, plan),
+        parse_mode: "HTML",
+        reply_markup: Markup.inlineKeyboard([
+          [
+            Markup.button.callback(
+              "✅ Confirm Split",
+              `split_confirm_yes_${escrow.escrowId}`
+            ),
+            Markup.button.callback(
+              "❌ Cancel",
+              `split_confirm_no_${escrow.escrowId}`
+            ),
+          ],
+        ]).reply_markup,
+      }
+    );
+
+    escrow.splitSettlement = {
+      buyerPercent: plan.buyerPercent,
+      buyerAmountWei: plan.buyer.grossWei,
+      sellerAmountWei: plan.seller.grossWei,
+      proposedBy: admin.id,
+      proposedAt: new Date(),
+      confirmationMessageId: message.message_id,
+    };
+    escrow.pendingReleaseAmount = null;
+    escrow.pendingRefundAmount = null;
+    await escrow.save();
+    return plan;
+  }
+
+  /**
+   * Confirm / Retry button: send whichever payouts are still missing
+   */
+  async handleConfirm(ctx, escrowId) {
+    const callbackMessageId = ctx.callbackQuery?.message?.message_id;
+    const escrow = await Escrow.findOne({
+      escrowId,
+      status: { $in: PAYABLE_STATUSES },
+    });
+    const split = escrow && escrow.splitSettlement;
+    if (
+      !split ||
+      !split.confirmationMessageId ||
+      (callbackMessageId && split.confirmationMessageId !== callbackMessageId)
+    ) {
+      return safeAnswerCbQuery(
+        ctx,
+        "❌ This split confirmation is no longer valid or has already been processed."
+      );
+    }
+
+    if (!hasPermission(ctx, "disputes")) {
+      return safeAnswerCbQuery(ctx, "❌ Only admin can confirm a split.");
+    }
+
+    let plan;
+    try {
+      plan = this.plan(escrow, split.buyerPercent);
+    } catch (error) {
+      return safeAnswerCbQuery(ctx, `❌ ${error.message}`, true);
+    }
+    // The deposit changed after the preview was posted
+    if (
+      plan.buyer.grossWei !== split.buyerAmountWei ||
+      plan.seller.grossWei !== split.sellerAmountWei
+    ) {
+      return safeAnswerCbQuery(
+        ctx,
+        "❌ The deposit changed since this preview. Resolve the dispute again.",
+        true
+      );
+    }
+
+    // The approval covers the whole split, so a Retry does not ask again
+    const started = Boolean(
+      split.releaseTransactionHash || split.refundTransactionHash
+    );
+    if (!started) {
+      const approved = await AdminApprovalService.authorize(ctx, {
+        escrow,
+        action: "split",
+        amount: plan.total,
+        destination: `${escrow.buyerAddress},${escrow.sellerAddress}`,
+        executeCallback: `split_confirm_yes_${escrowId}`,
+      });
+      if (!approved) {
+        return safeAnswerCbQuery(ctx, "🔐 Sent for admin approval.");
+      }
+    }
+
+    // Claim the confirmation so a double press cannot pay twice
+    const claimed = await Escrow.findOneAndUpdate(
+      {
+        _id: escrow._id,
+        "splitSettlement.confirmationMessageId": split.confirmationMessageId,
+      },
+      { $set: { "splitSettlement.confirmationMessageId": null } },
+      { new: true }
+    );
+    if (!claimed) {
+      return safeAnswerCbQuery(
+        ctx,
+        "⏳ This split is already being processed."
+      );
+    }
+
+    await safeAnswerCbQuery(ctx, "✅ Processing split settlement...");
+    try {
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    } catch (e) {}
+
+    return this.execute(ctx, claimed, plan);
+  }
+
+  async execute(ctx, escrow, plan) {
+    const split = escrow.splitSettlement;
+    if (!split.releaseTransactionHash && !split.refundTransactionHash) {
+      let result;
+      try {
+        result = await BlockchainService.splitFunds(
+          escrow.token,
+          escrow.chain,
+          {
+            buyerAddress: escrow.buyerAddress,
+            buyerAmountWei: plan.buyer.toContractWei,
+            sellerAddress: escrow.sellerAddress,
+            sellerAmountWei: plan.seller.toContractWei,
+          },
+          escrow.groupId,
+          escrow.contractAddress,
+          { escrowId: escrow.escrowId }
+        );
+        if (result && !result.transactionHash) {
+          throw new Error("Split transaction failed (no hash).");
+        }
+      } catch (error) {
+        return this.fail(ctx, escrow, "Split payout", error);
+      }
+      // One transaction paid both sides: it is the release and the refund
+      if (result) {
+        const hash = result.transactionHash;
+        split.releaseTransactionHash = hash;
+        split.refundTransactionHash = hash;
+        escrow.releaseTransactionHash = hash;
+        escrow.partialReleaseTransactionHashes.push(hash);
+        escrow.refundTransactionHash = hash;
+        escrow.partialRefundTransactionHashes.push(hash);
+        await escrow.save();
+        await PayoutService.markRecorded(result.payoutId);
+        return this.complete(ctx, escrow, plan);
+      }
+    }
+
+    // No split() in this vault: release, then refund
+    const legs = [
+      {
+        hashField: "releaseTransactionHash",
+        label: "Buyer share",
+        send: () =>
+          BlockchainService.releaseFunds(
+            escrow.token,
+            escrow.chain,
+            escrow.buyerAddress,
+            plan.buyer.toContract,
+            plan.buyer.toContractWei,
+            escrow.groupId,
+            escrow.contractAddress,
+            { escrowId: escrow.escrowId }
+          ),
+        record: (hash) => {
+          escrow.releaseTransactionHash = hash;
+          escrow.partialReleaseTransactionHashes.push(hash);
+        },
+      },
+      {
+        hashField: "refundTransactionHash",
+        label: "Seller share",
+        send: () =>
+          BlockchainService.refundFunds(
+            escrow.token,
+            escrow.chain,
+            escrow.sellerAddress,
+            plan.seller.toContract,
+            plan.seller.toContractWei,
+            escrow.groupId,
+            escrow.contractAddress,
+            { escrowId: escrow.escrowId }
+          ),
+        record: (hash) => {
+          escrow.refundTransactionHash = hash;
+          escrow.partialRefundTransactionHashes.push(hash);
+        },
+      },
+    ];
+
+    for (const leg of legs) {
+      if (split[leg.hashField]) {
+        continue;
+      }
+      try {
+        const result = await leg.send();
+        if (!result || !result.transactionHash) {
+          throw new Error("Payout transaction failed (no hash).");
+        }
+        split[leg.hashField] = result.transactionHash;
+        leg.record(result.transactionHash);
+        await escrow.save();
+        await PayoutService.markRecorded(result.payoutId);
+      } catch (error) {
+        return this.fail(ctx, escrow, leg.label, error);
+      }
+    }
+    return this.complete(ctx, escrow, plan);
+  }
+
+  /**
+   * A payout failed. With nothing sent the case goes back to the admins;
+   * either way Retry is offered for what is missing.
+   */
+  async fail(ctx, escrow, label, error) {
+    const split = escrow.splitSettlement;
+    if (!String(error.message).includes("Insufficient Vault Balance")) {
+      console.error(`Split settlement error (${label}):`, error);
+    }
+    if (!split.releaseTransactionHash && !split.refundTransactionHash) {
+      await this.disputes().cancelResolution(
+        escrow,
+        "split failed",
+        ctx.telegram
+      );
+    }
+    return this.postRetry(ctx.telegram, escrow, label, error);
+  }
+
+  // Both payouts are on record: settle the trade and the case
+  async complete(ctx, escrow, plan) {
+    const split = escrow.splitSettlement;
+    split.executedAt = new Date();
+    escrow.accumulatedDepositAmount = 0;
+    escrow.depositAmount = 0;
+    escrow.confirmedAmount = 0;
+    escrow.accumulatedDepositAmountWei = "0";
+    escrow.completedAt = new Date();
+    await EscrowStateMachine.transition(escrow, "completed", {
+      ctx,
+      reason: `Dispute settled by split (${split.buyerPercent}% buyer / ${
+        100 - split.buyerPercent
+      }% seller)`,
+      metadata: {
+        releaseTransactionHash: split.releaseTransactionHash,
+        refundTransactionHash: split.refundTransactionHash,
+        buyerAmount: plan.buyer.net,
+        sellerAmount: plan.seller.net,
+      },
+    });
+    await BlockchainService.closeEscrow(escrow);
+    await this.disputes().completeResolution(
+      escrow,
+      {
+        resolution: "split",
+        transactionHash: split.refundTransactionHash,
+        admin: ctx.from,
+      },
+      ctx.telegram
+    );
+
+    const token = escrow.token || "USDT";
+    const buyerLine = `🟢 Buyer received ${plan.buyer.net.toFixed(5)} ${token}`;
+    const sellerLine = `🔵 Seller received ${plan.seller.net.toFixed(
+      5
+    )} ${token}`;
+    const details =
+      split.releaseTransactionHash === split.refundTransactionHash
+        ? `${buyerLine}
+${sellerLine}
+🔗 ${this.txLink(escrow, split.releaseTransactionHash)}`
+        : `${buyerLine}
+🔗 ${this.txLink(escrow, split.releaseTransactionHash)}
+
+${sellerLine}
+🔗 ${this.txLink(escrow, split.refundTransactionHash)}`;
+    const summary = await ctx.telegram.sendMessage(
+      escrow.groupId,
+      `✅ <b>Split Settlement Complete!</b>
+
+${details}`,
+      {
+        parse_mode: "HTML",
+        disable_web_page_preview: true,
+        reply_markup: Markup.inlineKeyboard([
+          [
+            Markup.button.callback(
+              "❌ Close Deal",
+              `close_trade_${escrow.escrowId}`
+            ),
+          ],
+        ]).reply_markup,
+      }
+    );
+    escrow.closeTradeMessageId = summary.message_id;
+    await escrow.save();
+    return escrow;
+  }
+
+  /**
+   * A payout failed: report what was sent and offer a Retry for the rest
+   */
+  async postRetry(telegram, escrow, label, error) {
+    const split = escrow.splitSettlement;
+    const sent = [
+      split.releaseTransactionHash
+        ? `🟢 Buyer share sent: ${this.txLink(
+            escrow,
+            split.releaseTransactionHash
+          )}`
+        : null,
+      split.refundTransactionHash
+        ? `🔵 Seller share sent: ${this.txLink(
+            escrow,
+            split.refundTransactionHash
+          )}`
+        : null,
+    ].filter(Boolean);
+
+    const message = await telegram.sendMessage(
+      escrow.groupId,
+      `❌ <b>Split settlement stopped</b>
+
+${label} failed: ${String(error.message || error)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")}
+${sent.length ? `\n${sent.join("\n")}\n` : ""}
+Retry sends only the payouts that are still missing.`,
+      {
+        parse_mode: "HTML",
+        disable_web_page_preview: true,
+        reply_markup: Markup.inlineKeyboard([
+          [
+            Markup.button.callback(
+              "🔁 Retry",
+              `split_confirm_yes_${escrow.escrowId}`
+            ),
+          ],
+        ]).reply_markup,
+      }
+    );
+    split.confirmationMessageId = message.message_id;
+    await escrow.save();
+    return null;
+  }
+
+  /**
+   * Cancel button on the preview (not offered once a payout went out)
+   */
+  async handleCancel(ctx, escrowId) {
+    const callbackMessageId = ctx.callbackQuery?.message?.message_id;
+    const escrow = await Escrow.findOne({ escrowId });
+    const split = escrow && escrow.splitSettlement;
+    if (
+      !split ||
+      !split.confirmationMessageId ||
+      (callbackMessageId && split.confirmationMessageId !== callbackMessageId)
+    ) {
+      return safeAnswerCbQuery(ctx, "❌ This request has expired.");
+    }
+    if (!hasPermission(ctx, "disputes")) {
+      return safeAnswerCbQuery(ctx, "❌ Only admin can cancel a split.");
+    }
+    // A payout already went out; the split can only be finished
+    if (split.releaseTransactionHash || split.refundTransactionHash) {
+      return safeAnswerCbQuery(
+        ctx,
+        "❌ Part of this split has been paid. Use Retry to finish it.",
+        true
+      );
+    }
+
+    split.confirmationMessageId = null;
+    await escrow.save();
+    try {
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    } catch (e) {}
+    await this.disputes().cancelResolution(
+      escrow,
+      "split cancelled",
+      ctx.telegram
+    );
+    await safeAnswerCbQuery(ctx, "❌ Split cancelled.");
+    await ctx.reply("❌ Split settlement cancelled by admin.");
+  }
+
+  // Required on use: DisputeService requires this module
+  disputes() {
+    return require("./DisputeService");
+  }
+
+  txLink(escrow, hash) {
+    const url = BlockchainService.getExplorerUrl(escrow.chain, "tx", hash);
+    return url ? `<a href="${url}">${hash}</a>` : `<code>${hash}</code>`;
+  }
+}
+
+module.exports = new SplitSettlementService();
@@ -0,0 +1,250 @@
+const config = require("../../config");
+
+// Tranches are split to the cent so they always add up to the deal
+const AMOUNT_PRECISION = 100;
+const AMOUNT_INPUT_PATTERN = /^(\d+(?:\.\d+)?)(?:\s*[x×]\s*(\d+))?$/i;
+
+/**
+ * Deals split into tranches: "10000 x 4" at step 4 becomes four 2500
+ * tranches that are deposited, paid in fiat and released one after another.
+ * Each tranche is a sub-record on the escrow; the escrow's deposit fields
+ * always describe the tranche in progress.
+ */
+class TrancheService {
+  /**
+   * Parse the step 4 amount: "1500.50" or "10000 x 4"
+   * @param {string} text - Message text
+   * @returns {{amount: number, count: number}|{error: string}}
+   */
+  parseAmountInput(text) {
+    const match = String(text || "")
+      .trim()
+      .match(AMOUNT_INPUT_PATTERN);
+    if (!match) {
+      return { error: "format" };
+    }
+    const amount = parseFloat(match[1]);
+    const count = match[2] ? parseInt(match[2], 10) : 1;
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { error: "amount" };
+    }
+    if (match[2] && (count < 2 || count > config.MAX_TRANCHES)) {
+      return { error: "count" };
+    }
+    if (count > 1 && amount / count < config.MIN_TRADE_AMOUNT) {
+      return { error: "tranche" };
+    }
+    return { amount, count };
+  }
+
+  /**
+   * Split a total into equal tranches; the last one absorbs the rounding
+   * @returns {number[]}
+   */
+  split(total, count) {
+    const units = Math.round(total * AMOUNT_PRECISION);
+    const base = Math.floor(units / count);
+    return Array.from({ length: count }, (_, i) =>
+      i === count - 1
+        ? (units - base * (count - 1)) / AMOUNT_PRECISION
+        : base / AMOUNT_PRECISION
+    );
+  }
+
+  /**
+   * Set the deal amount, and the tranche plan when count > 1
+   * @param {Object} escrow - Escrow document (not saved here)
+   */
+  applyPlan(escrow, amount, count) {
+    escrow.quantity = amount;
+    escrow.tranches =
+      count > 1
+        ? this.split(amount, count).map((trancheAmount, i) => ({
+            index: i + 1,
+            amount: trancheAmount,
+            status: i === 0 ? "active" : "pending",
+          }))
+        : [];
+    escrow.currentTrancheIndex = count > 1 ? 1 : null;
+  }
+
+  isTrancheDeal(escrow) {
+    return Boolean(escrow && escrow.tranches && escrow.tranches.length > 1);
+  }
+
+  currentTranche(escrow) {
+    if (!this.isTrancheDeal(escrow)) {
+      return null;
+    }
+    return (
+      escrow.tranches.find(
+        (tranche) => tranche.index === escrow.currentTrancheIndex
+      ) || null
+    );
+  }
+
+  /**
+   * Amount the current deposit must reach: the active tranche, or the
+   * whole deal
+   */
+  expectedDepositAmount(escrow) {
+    const tranche = this.currentTranche(escrow);
+    return tranche ? tranche.amount : escrow.quantity || 0;
+  }
+
+  /**
+   * "Tranche 2/4" for message headers, empty for single deals
+   */
+  label(escrow) {
+    const tranche = this.currentTranche(escrow);
+    return tranche ? `Tranche ${tranche.index}/${escrow.tranches.length}` : "";
+  }
+
+  /**
+   * "4 × 2500 USDT" (or "3333.33 + 3333.33 + 3333.34 USDT")
+   */
+  formatPlan(escrow) {
+    const amounts = escrow.tranches.map((tranche) => tranche.amount);
+    const token = escrow.token || "USDT";
+    return amounts.every((amount) => amount === amounts[0])
+      ? `${amounts.length} × ${amounts[0]} ${token}`
+      : `${amounts.join(" + ")} ${token}`;
+  }
+
+  /**
+   * Running totals across tranches
+   * @returns {{deposited: number, released: number, remaining: number, releasedCount: number}}
+   */
+  totals(escrow) {
+    const released = escrow.tranches.filter(
+      (tranche) => tranche.status === "released"
+    );
+    const deposited =
+      released.reduce(
+        (sum, tranche) => sum + (tranche.depositedAmount || 0),
+        0
+      ) + (escrow.accumulatedDepositAmount || 0);
+    const releasedAmount = released.reduce(
+      (sum, tranche) => sum + (tranche.releasedAmount || 0),
+      0
+    );
+    const remaining = escrow.tranches
+      .filter((tranche) => tranche.status !== "released")
+      .reduce((sum, tranche) => sum + tranche.amount, 0);
+    return {
+      deposited,
+      released: releasedAmount,
+      remaining,
+      releasedCount: released.length,
+    };
+  }
+
+  /**
+   * Tranche table with running totals, for /balance
+   */
+  formatProgress(escrow) {
+    const token = escrow.token || "USDT";
+    const icons = { released: "✅", active: "▶️", pending: "⏳" };
+    const lines = escrow.tranches.map(
+      (tranche) =>
+        `${icons[tranche.status] || "⏳"} ${tranche.index}. ${
+          tranche.amount
+        } ${token}` +
+        (tranche.status === "released"
+          ? ` • released ${Number(tranche.releasedAmount || 0).toFixed(5)}`
+          : "")
+    );
+    const totals = this.totals(escrow);
+    return `<b>Tranches:</b> ${totals.releasedCount}/${
+      escrow.tranches.length
+    } released
+${lines.join("\n")}
+
+<b>Deposited so far:</b> ${totals.deposited.toFixed(5)} ${token}
+<b>Released so far:</b> ${totals.released.toFixed(5)} ${token}
+<b>Still to deposit:</b> ${Math.max(
+      0,
+      totals.remaining - (escrow.accumulatedDepositAmount || 0)
+    ).toFixed(5)} ${token}`;
+  }
+
+  markFiatSent(escrow) {
+    const tranche = this.currentTranche(escrow);
+    if (tranche && !tranche.fiatSentAt) {
+      tranche.fiatSentAt = new Date();
+    }
+  }
+
+  markFiatConfirmed(escrow) {
+    const tranche = this.currentTranche(escrow);
+    if (tranche) {
+      tranche.fiatConfirmedAt = new Date();
+    }
+  }
+
+  /**
+   * Close the current tranche after its release and open the next one.
+   * The escrow's deposit fields are reset for the next deposit; hashes of
+   * earlier deposits stay in partialTransactionHashes so they are never
+   * counted again. Does not save.
+   * @param {Object} escrow - Escrow document
+   * @param {{depositedAmount: number, releasedAmount: number, transactionHash: string}} release
+   * @returns {Object|null} The next tranche, or null when this was the last
+   */
+  completeTranche(
+    escrow,
+    { depositedAmount, releasedAmount, transactionHash }
+  ) {
+    const tranche = this.currentTranche(escrow);
+    if (!tranche) {
+      return null;
+    }
+
+    const earlierHashes = new Set(
+      escrow.tranches.flatMap((t) => t.depositTransactionHashes || [])
+    );
+    tranche.depositTransactionHashes = [
+      escrow.transactionHash,
+      ...(escrow.partialTransactionHashes || []),
+    ].filter((hash) => hash && !earlierHashes.has(hash));
+    tranche.depositedAmount = depositedAmount;
+    tranche.releasedAmount = releasedAmount;
+    tranche.releaseTransactionHash = transactionHash;
+    tranche.releasedAt = new Date();
+    tranche.status = "released";
+
+    if (transactionHash) {
+      escrow.partialReleaseTransactionHashes = [
+        ...(escrow.partialReleaseTransactionHashes || []),
+        transactionHash,
+      ];
+    }
+
+    const next = escrow.tranches.find((t) => t.index === tranche.index + 1);
+    if (!next) {
+      return null;
+    }
+
+    next.status = "active";
+    escrow.currentTrancheIndex = next.index;
+    if (escrow.transactionHash) {
+      escrow.partialTransactionHashes = [
+        ...(escrow.partialTransactionHashes || []),
+        escrow.transactionHash,
+      ];
+    }
+    escrow.transactionHash = null;
+    escrow.depositTransactionFromAddress = null;
+    escrow.transactionHashMessageId = null;
+    escrow.accumulatedDepositAmount = 0;
+    escrow.accumulatedDepositAmountWei = "0";
+    escrow.depositAmount = 0;
+    escrow.confirmedAmount = 0;
+    escrow.buyerSentFiat = false;
+    escrow.sellerReceivedFiat = false;
+    escrow.awaitingPaymentProof = false;
+    return next;
+  }
+}
+
+module.exports = new TrancheService();
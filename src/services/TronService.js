@@ -1,5 +1,6 @@
 const TronWeb = require("tronweb");
 const ContractModel = require("../models/Contract");
+const PayoutService = require("./PayoutService");
 const config = require("../../config");
 
 const ESCROW_VAULT_ABI = [
@@ -33,6 +34,13 @@ const ESCROW_VAULT_ABI = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [{ internalType: "address", name: "to", type: "address" }],
+    name: "withdrawNative",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [],
     name: "withdrawFees",
@@ -70,6 +78,17 @@ const ESCROW_VAULT_ABI = [
   },
 ];
 
+// Log topics (no 0x, as TRON returns them) of the events a deposit leaves
+const TRANSFER_TOPIC =
+  "ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+const DEPOSITED_TOPIC =
+  "2da466a7b24304f47e87fa2e1e5a81b9831ce54fec19055ce277ca2f39ba42c4";
+
+// TronGrid returns at most 200 events a page; a scan that would need more
+// than MAX_EVENT_PAGES pages fails and is retried
+const EVENT_PAGE_SIZE = 200;
+const MAX_EVENT_PAGES = 25;
+
 class TronService {
   constructor() {
     this.tronWeb = null;
@@ -113,6 +132,11 @@ class TronService {
     });
   }
 
+  // TRX escrows live in a NativeEscrowVault instead of a token vault
+  isNativeToken(token) {
+    return String(token || "").toUpperCase() === "TRX";
+  }
+
   toSun(amount) {
     return this.tronWeb.toBigNumber(Math.round(Number(amount) * 1e6));
   }
@@ -160,6 +184,7 @@ class TronService {
     amount,
     groupId = null,
     contractAddress = null,
+    escrowId = null,
   }) {
     try {
       let contract, address;
@@ -196,17 +221,20 @@ class TronService {
         );
       }
 
-      const amountSun = this.toSun(amount);
-
-      const tx = await contract.release(to, amountSun).send({
-        feeLimit: 100_000_000, // 100 TRX sun
-        callValue: 0,
+      const payout = await this.sendVaultPayout({
+        type: "release",
+        escrowId,
+        token,
+        contractAddress: address,
+        to,
+        amount,
       });
 
       return {
         success: true,
-        transactionHash: tx,
+        transactionHash: payout.transactionHash,
         contractAddress: address,
+        payoutId: payout._id,
       };
     } catch (error) {
       console.error("TRON releaseFunds error:", error);
@@ -220,6 +248,7 @@ class TronService {
     amount,
     groupId = null,
     contractAddress = null,
+    escrowId = null,
   }) {
     try {
       let contract, address;
@@ -256,17 +285,20 @@ class TronService {
         );
       }
 
-      const amountSun = this.toSun(amount);
-
-      const tx = await contract.refund(to, amountSun).send({
-        feeLimit: 100_000_000, // 100 TRX sun
-        callValue: 0,
+      const payout = await this.sendVaultPayout({
+        type: "refund",
+        escrowId,
+        token,
+        contractAddress: address,
+        to,
+        amount,
       });
 
       return {
         success: true,
-        transactionHash: tx,
+        transactionHash: payout.transactionHash,
         contractAddress: address,
+        payoutId: payout._id,
       };
     } catch (error) {
       console.error("TRON refundFunds error:", error);
@@ -274,6 +306,112 @@ class TronService {
     }
   }
 
+  /**
+   * Journal, sign and broadcast a vault release()/refund().
+   * The signed transaction is saved before broadcasting so a crash can be
+   * reconciled from the journal instead of paying twice.
+   * @returns {Promise<Object>} The Payout document
+   */
+  async sendVaultPayout({
+    type,
+    escrowId,
+    token,
+    contractAddress,
+    to,
+    amount,
+  }) {
+    await this.init();
+    const amountSun = this.toSun(amount);
+    const payout = await PayoutService.createIntent({
+      escrowId,
+      type,
+      network: "TRON",
+      token,
+      contractAddress,
+      destination: to,
+      amount,
+      amountWei: amountSun.toString(),
+      fromAddress: this.tronWeb.defaultAddress.base58,
+    });
+
+    let signed;
+    try {
+      const { transaction } =
+        await this.tronWeb.transactionBuilder.triggerSmartContract(
+          contractAddress,
+          `${type}(address,uint256)`,
+          {
+            feeLimit: 100_000_000, // 100 TRX sun
+            callValue: 0,
+          },
+          [
+            { type: "address", value: to },
+            { type: "uint256", value: amountSun.toString() },
+          ],
+          this.tronWeb.defaultAddress.base58
+        );
+      signed = await this.tronWeb.trx.sign(transaction);
+    } catch (error) {
+      await PayoutService.markFailed(payout, error.message || String(error));
+      throw error;
+    }
+
+    await PayoutService.markSigned(payout, {
+      transactionHash: signed.txID,
+      signedTransaction: JSON.stringify(signed),
+      expiresAt: new Date(signed.raw_data.expiration),
+    });
+
+    const result = await this.tronWeb.trx.sendRawTransaction(signed);
+    if (!result?.result && result?.code !== "DUP_TRANSACTION_ERROR") {
+      const reason = result?.message
+        ? this.tronWeb.toUtf8(result.message)
+        : result?.code || "Broadcast rejected";
+      await PayoutService.markFailed(payout, reason);
+      throw new Error(`TRON ${type} rejected: ${reason}`);
+    }
+
+    return PayoutService.markBroadcast(payout);
+  }
+
+  /**
+   * Look a journaled payout up on-chain for PayoutService.reconcile().
+   * Rebroadcasts it until it is mined or its expiration has passed.
+   */
+  async checkPayout(payout) {
+    await this.init();
+    const info = await this.tronWeb.trx.getTransactionInfo(
+      payout.transactionHash
+    );
+    if (info && info.blockNumber) {
+      if (
+        info.result === "FAILED" ||
+        (info.receipt?.result && info.receipt.result !== "SUCCESS")
+      ) {
+        return {
+          state: "failed",
+          reason: `reverted on-chain (${info.receipt?.result || "FAILED"})`,
+        };
+      }
+      return { state: "confirmed", blockNumber: info.blockNumber };
+    }
+
+    // Leave a margin for slow nodes before declaring it dead
+    const expiredAt = payout.expiresAt ? payout.expiresAt.getTime() : 0;
+    if (expiredAt && Date.now() > expiredAt + 5 * 60 * 1000) {
+      return { state: "failed", reason: "expired without being mined" };
+    }
+
+    try {
+      await this.tronWeb.trx.sendRawTransaction(
+        JSON.parse(payout.signedTransaction)
+      );
+    } catch (error) {
+      // Try again next round
+    }
+    return { state: "pending" };
+  }
+
   async withdrawToken({ contractAddress, token = "USDT", to }) {
     await this.init();
     try {
@@ -282,23 +420,31 @@ class TronService {
       console.log(`  Token: ${token}`);
       console.log(`  To: ${to}`);
 
-      // If token is USDT, resolve address from config
-      const tokenAddress =
-        token.toUpperCase() === "USDT" ? config.USDT_TRON : token;
-
-      console.log(`  Token Address: ${tokenAddress}`);
-
       const contract = await this.tronWeb.contract(
         ESCROW_VAULT_ABI,
         contractAddress
       );
 
-      console.log(`[TRON] Calling withdrawToken on vault contract...`);
+      let tx;
+      if (this.isNativeToken(token)) {
+        console.log(`[TRON] Calling withdrawNative on vault contract...`);
+        tx = await contract.withdrawNative(to).send({
+          feeLimit: 100_000_000,
+          callValue: 0,
+        });
+      } else {
+        // If token is USDT, resolve address from config
+        const tokenAddress =
+          token.toUpperCase() === "USDT" ? config.USDT_TRON : token;
 
-      const tx = await contract.withdrawToken(tokenAddress, to).send({
-        feeLimit: 100_000_000,
-        callValue: 0,
-      });
+        console.log(`  Token Address: ${tokenAddress}`);
+        console.log(`[TRON] Calling withdrawToken on vault contract...`);
+
+        tx = await contract.withdrawToken(tokenAddress, to).send({
+          feeLimit: 100_000_000,
+          callValue: 0,
+        });
+      }
 
       console.log(`[TRON] Transaction sent: ${tx}`);
       console.log(`[TRON] View: https://tronscan.org/#/transaction/${tx}`);
@@ -401,48 +547,223 @@ class TronService {
   }
 
   /**
-   * Fetch TRC20 Transfer events to a given address (best-effort via TronGrid)
+   * All confirmed events of a contract from fromBlock on, newest first.
+   * TronGrid pages are followed by fingerprint and bounded by the
+   * timestamp of fromBlock, so no event in the range is left out.
+   * @param {string} contractAddress
+   * @param {string} eventName
+   * @param {number} fromBlock - 0 for no lower bound
+   * @param {Object} [filters] - Event parameter filters
+   * @returns {Promise<Array<Object>>} Raw TronGrid events
+   */
+  async getEvents(contractAddress, eventName, fromBlock, filters = null) {
+    let sinceTimestamp = 0;
+    if (fromBlock) {
+      const block = await this.tronWeb.trx.getBlockByNumber(fromBlock);
+      sinceTimestamp = block?.block_header?.raw_data?.timestamp;
+      if (!sinceTimestamp) {
+        throw new Error(`TRON block ${fromBlock} not found`);
+      }
+    }
+
+    const events = [];
+    let fingerprint = null;
+    for (let page = 0; page < MAX_EVENT_PAGES; page += 1) {
+      const batch =
+        (await this.tronWeb.getEventResult(contractAddress, {
+          eventName,
+          size: EVENT_PAGE_SIZE,
+          onlyConfirmed: true,
+          sinceTimestamp,
+          rawResponse: true,
+          ...(filters ? { filters } : {}),
+          ...(fingerprint ? { fingerprint } : {}),
+        })) || [];
+      events.push(...batch);
+      if (batch.length < EVENT_PAGE_SIZE) {
+        return events;
+      }
+      fingerprint = batch[batch.length - 1]._fingerprint;
+      if (!fingerprint) {
+        throw new Error(
+          `TronGrid returned a full page of ${eventName} events without a fingerprint`
+        );
+      }
+    }
+    throw new Error(
+      `More than ${
+        MAX_EVENT_PAGES * EVENT_PAGE_SIZE
+      } ${eventName} events since block ${fromBlock}`
+    );
+  }
+
+  /**
+   * Fetch TRC20 Transfer events to a given address via TronGrid. Errors are
+   * thrown so the caller scans the range again.
    * @param {string} token
    * @param {string} toAddress
    * @param {number} fromBlock
+   * @param {number} [toBlock] - Last block to include
    * @returns {Promise<Array<{from:string,to:string,valueDecimal:number,blockNumber:number}>>}
    */
-  async getTokenTransfers(token = "USDT", toAddress, fromBlock = 0) {
+  async getTokenTransfers(
+    token = "USDT",
+    toAddress,
+    fromBlock = 0,
+    toBlock = null
+  ) {
     await this.init();
+    if (this.isNativeToken(token)) {
+      return this.getNativeDeposits(toAddress, fromBlock, toBlock);
+    }
     const tokenAddress =
       token.toUpperCase() === "USDT" ? config.USDT_TRON : null;
     if (!tokenAddress || !toAddress) return [];
 
-    try {
-      const events = await this.tronWeb.getEventResult(tokenAddress, {
-        eventName: "Transfer",
-        size: 200,
-        page: 1,
-        onlyConfirmed: true,
-        filters: { to: toAddress },
+    const events = await this.getEvents(tokenAddress, "Transfer", fromBlock, {
+      to: toAddress,
+    });
+
+    return events
+      .filter(
+        (ev) =>
+          ev &&
+          ev.result &&
+          (!fromBlock || ev.block_number > fromBlock) &&
+          (!toBlock || ev.block_number <= toBlock)
+      )
+      .map((ev) => {
+        const from = ev.result.from;
+        const to = ev.result.to;
+        const value = ev.result.value || "0";
+        const valueDecimal = Number(value) / 1e6; // USDT TRON has 6 decimals
+        return {
+          from,
+          to,
+          valueDecimal,
+          valueWei: String(value),
+          blockNumber: ev.block_number,
+          hash: ev.transaction_id,
+        };
       });
+  }
 
-      return (events || [])
-        .filter(
-          (ev) => ev && ev.result && (!fromBlock || ev.block_number > fromBlock)
-        )
-        .map((ev) => {
-          const from = ev.result.from;
-          const to = ev.result.to;
-          const value = ev.result.value || "0";
-          const valueDecimal = Number(value) / 1e6; // USDT TRON has 6 decimals
-          return {
-            from,
-            to,
-            valueDecimal,
-            blockNumber: ev.block_number,
-            hash: ev.transaction_id,
-          };
-        });
-    } catch (error) {
-      console.error("TRON getTokenTransfers error:", error);
-      return [];
+  /**
+   * Fetch TRX deposits into a NativeEscrowVault. Plain TRX transfers leave
+   * no log, so the vault's Deposited event is what we watch.
+   * @param {string} vaultAddress - NativeEscrowVault (the deposit address)
+   * @param {number} fromBlock
+   * @param {number} [toBlock] - Last block to include
+   * @returns {Promise<Array<{from:string,to:string,valueDecimal:number,blockNumber:number}>>}
+   */
+  async getNativeDeposits(vaultAddress, fromBlock = 0, toBlock = null) {
+    if (!vaultAddress) return [];
+
+    const events = await this.getEvents(vaultAddress, "Deposited", fromBlock);
+
+    return events
+      .filter(
+        (ev) =>
+          ev &&
+          ev.result &&
+          (!fromBlock || ev.block_number > fromBlock) &&
+          (!toBlock || ev.block_number <= toBlock)
+      )
+      .map((ev) => {
+        const value = ev.result.amount || "0";
+        return {
+          from: ev.result.from,
+          to: vaultAddress,
+          valueDecimal: Number(value) / 1e6, // TRX has 6 decimals (sun)
+          valueWei: String(value),
+          blockNumber: ev.block_number,
+          hash: ev.transaction_id,
+        };
+      });
+  }
+
+  /**
+   * The transfer a transaction made to toAddress, read from its logs. For
+   * TRX, toAddress is a NativeEscrowVault and its Deposited event stands in
+   * for the Transfer log.
+   * @returns {Promise<{state: string, transfer?: Object}>} state is
+   *   not_found, pending, no_transfer or found
+   */
+  async getTransferByHash(token = "USDT", txHash, toAddress) {
+    await this.init();
+    const native = this.isNativeToken(token);
+    const logAddress = native
+      ? toAddress
+      : token.toUpperCase() === "USDT"
+      ? config.USDT_TRON
+      : null;
+    if (!logAddress || !toAddress) {
+      return { state: "no_transfer" };
     }
+
+    const tx = await this.tronWeb.trx.getTransaction(txHash);
+    if (!tx || !tx.ret) {
+      return { state: "not_found" };
+    }
+    const info = await this.tronWeb.trx.getTransactionInfo(txHash);
+    if (!info || !info.log) {
+      return { state: "pending" };
+    }
+
+    const logHex = this.tronWeb.address.toHex(logAddress).toLowerCase();
+    const toHex = this.tronWeb.address.toHex(toAddress).toLowerCase();
+    for (const log of info.log) {
+      const topics = (log.topics || []).map((topic) => topic.toLowerCase());
+      // Log addresses come without the 41 prefix
+      const address = String(log.address || "")
+        .toLowerCase()
+        .replace(/^0x/, "");
+      if ((address.length === 40 ? `41${address}` : address) !== logHex) {
+        continue;
+      }
+      let from = null;
+      if (native && topics[0] === DEPOSITED_TOPIC && topics.length >= 2) {
+        from = `41${topics[1].slice(-40)}`;
+      } else if (
+        !native &&
+        topics[0] === TRANSFER_TOPIC &&
+        topics.length >= 3 &&
+        `41${topics[2].slice(-40)}` === toHex
+      ) {
+        from = `41${topics[1].slice(-40)}`;
+      } else {
+        continue;
+      }
+      const value = BigInt(`0x${log.data || "0"}`);
+      return {
+        state: "found",
+        transfer: {
+          from: this.tronWeb.address.fromHex(from),
+          to: toAddress,
+          valueDecimal: Number(value) / 1e6, // USDT and TRX have 6 decimals
+          valueWei: value.toString(),
+          blockNumber: info.blockNumber,
+          hash: txHash,
+        },
+      };
+    }
+    return { state: "no_transfer" };
+  }
+
+  async getTransactionBlockNumber(txHash) {
+    await this.init();
+    const info = await this.tronWeb.trx.getTransactionInfo(txHash);
+    if (!info || !info.blockNumber) {
+      return null;
+    }
+    if (
+      info.receipt &&
+      info.receipt.result &&
+      info.receipt.result !== "SUCCESS"
+    ) {
+      return null;
+    }
+    return info.blockNumber;
   }
 
   async getLatestBlockNumber() {
@@ -463,6 +784,11 @@ class TronService {
       console.log(`  Token: ${token}`);
       console.log(`  Address: ${address}`);
 
+      if (this.isNativeToken(token)) {
+        const balanceSun = await this.tronWeb.trx.getBalance(address);
+        return Number(balanceSun) / 1e6;
+      }
+
       const tokenAddress =
         token.toUpperCase() === "USDT" ? config.USDT_TRON : token;
 
@@ -1,4 +1,6 @@
 const User = require("../models/User");
+const RatingService = require("./RatingService");
+const ReputationService = require("./ReputationService");
 
 class UserStatsService {
   /**
@@ -116,6 +118,13 @@ ${roleIcon} ${roleName} <code>${amount} ${token}</code>
 📅 <code>${dateStr}</code>`;
     }
 
+    const reputationSection = user.reputation
+      ? `\n\n${ReputationService.formatStatsSection(user.reputation)}`
+      : "";
+    const feedbackSection = user.ratings
+      ? `\n\n${RatingService.formatStatsSection(user, user.ratings)}`
+      : "";
+
     const quoteHeader = `📊 ${usernameDisplay} — Stats`;
     // Note: Using blockquote expandable for the requested style.
     const quoteBody = `
@@ -133,7 +142,7 @@ ${roleIcon} ${roleName} <code>${amount} ${token}</code>
 • Lifetime Volume: $${lifetimeVolume}
 • Total Deals: ${totalDeals}
 • Completion Rate: ${completionRateStr} (${totalDeals} / ${totalParticipated})
-🏆 Overall Global Rank: #${overallRank} Trader${lastTradeSection}`;
+🏆 Overall Global Rank: #${overallRank} Trader${reputationSection}${feedbackSection}${lastTradeSection}`;
   }
 
   /**
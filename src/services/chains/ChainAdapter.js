@@ -0,0 +1,281 @@
+const config = require("../../../config");
+const ContractModel = require("../../models/Contract");
+
+/**
+ * Interface every supported chain implements. BlockchainService looks the
+ * adapter up by network name and delegates to it, so adding a chain means
+ * adding an adapter to the registry in ./index.js - nothing else branches
+ * on the chain name.
+ *
+ * Amounts are human-readable token units unless a parameter says Wei.
+ */
+class ChainAdapter {
+  /**
+   * @param {Object} definition
+   * @param {string} definition.network - Registry key (BSC, TRON, ...)
+   * @param {string} definition.label - Name shown to users
+   * @param {string} definition.explorer - Block explorer base URL
+   * @param {Object} definition.tokens - { SYMBOL: { configKey, decimals } },
+   *   or { native: true, decimals } for the chain's own coin
+   * @param {string[]} [definition.aliases] - Other names users type for it
+   */
+  constructor({ network, label, explorer, tokens, aliases = [] }) {
+    this.network = network;
+    this.label = label;
+    this.explorer = explorer;
+    this.tokens = tokens;
+    this.aliases = aliases;
+  }
+
+  notImplemented(method) {
+    return new Error(`${method} is not implemented for ${this.network}`);
+  }
+
+  getTokenAddress(token) {
+    const entry = this.tokens[String(token || "").toUpperCase()];
+    return entry && !entry.native ? config[entry.configKey] : undefined;
+  }
+
+  isNativeToken(token) {
+    const entry = this.tokens[String(token || "").toUpperCase()];
+    return Boolean(entry && entry.native);
+  }
+
+  /**
+   * Token vaults need the token's contract address configured; the native
+   * coin needs native escrow switched on
+   */
+  isTokenSupported(token) {
+    const entry = this.tokens[String(token || "").toUpperCase()];
+    if (!entry) {
+      return false;
+    }
+    return entry.native
+      ? config.NATIVE_ESCROW_ENABLED
+      : Boolean(config[entry.configKey]);
+  }
+
+  getTokenDecimals(token) {
+    const entry = this.tokens[String(token || "").toUpperCase()];
+    return entry ? entry.decimals : 18;
+  }
+
+  /**
+   * Tokens that can be escrowed on this chain
+   * @returns {string[]}
+   */
+  getSupportedTokens() {
+    return Object.keys(this.tokens).filter((token) =>
+      this.isTokenSupported(token)
+    );
+  }
+
+  /**
+   * Whether the chain can be offered in the deal flow
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.getSupportedTokens().length > 0;
+  }
+
+  /**
+   * Deployed EscrowVault for a token: the group's own vault if it has one,
+   * otherwise the shared 0% vault
+   * @param {string} token - Token symbol
+   * @param {string|null} groupId - Trade group the vault is assigned to
+   * @returns {Promise<string|null>} Contract address
+   */
+  async findVaultAddress(token, groupId = null) {
+    const query = {
+      name: "EscrowVault",
+      token: String(token).toUpperCase(),
+      network: this.network,
+      status: "deployed",
+    };
+
+    if (groupId) {
+      // Trust the groupId assignment regardless of fee
+      const groupContract = await ContractModel.findOne({ ...query, groupId });
+      if (groupContract) {
+        return groupContract.address;
+      }
+    }
+
+    const contract = await ContractModel.findOne({ ...query, feePercent: 0 });
+    return contract ? contract.address : null;
+  }
+
+  /**
+   * Contract version of a registered vault (2 = per-escrow balances)
+   * @param {string} contractAddress
+   * @returns {Promise<number>} 1 for vaults missing from the database
+   */
+  async getVaultVersion(contractAddress) {
+    const contract = await ContractModel.findOne({
+      address: { $regex: new RegExp(`^${contractAddress}$`, "i") },
+      network: this.network,
+    });
+    return (contract && contract.version) || 1;
+  }
+
+  /**
+   * Link to a transaction or address on the chain's explorer
+   * @param {string} kind - "tx" or "address"
+   * @param {string} value - Transaction hash or address
+   * @returns {string}
+   */
+  explorerUrl(kind, value) {
+    return `${this.explorer}/${kind === "address" ? "address" : "tx"}/${value}`;
+  }
+
+  /**
+   * @returns {string|null} Error message, or null if the address is valid
+   */
+  validateAddress(address) {
+    throw this.notImplemented("validateAddress");
+  }
+
+  /**
+   * Incoming token transfers to an address from fromBlock up to toBlock
+   * (latest if not given). Throws unless the whole range was scanned.
+   * @returns {Promise<Array<{from, to, valueDecimal, valueWei, blockNumber, hash}>>}
+   */
+  async getTransfers(token, toAddress, fromBlock, toBlock = null) {
+    throw this.notImplemented("getTransfers");
+  }
+
+  /**
+   * Pasted transaction hash in the form the chain uses
+   * @returns {string|null} null if it is not a transaction hash
+   */
+  normalizeTxHash(hash) {
+    throw this.notImplemented("normalizeTxHash");
+  }
+
+  /**
+   * The token transfer a transaction made to toAddress, for deposits the
+   * seller pastes by hash
+   * @returns {Promise<{state: string, transfer?: Object}>} state is
+   *   not_found, pending (not mined yet), no_transfer or found; transfer
+   *   has the same fields as a getTransfers() entry
+   */
+  async getTransferByHash(token, txHash, toAddress) {
+    throw this.notImplemented("getTransferByHash");
+  }
+
+  /**
+   * @returns {Promise<number>} Token balance of an address
+   */
+  async getBalance(token, address) {
+    throw this.notImplemented("getBalance");
+  }
+
+  async getLatestBlockNumber() {
+    throw this.notImplemented("getLatestBlockNumber");
+  }
+
+  /**
+   * @returns {Promise<number|null>} Block the transaction is mined in, or
+   *   null if the chain no longer knows it
+   */
+  async getTransactionBlockNumber(txHash) {
+    throw this.notImplemented("getTransactionBlockNumber");
+  }
+
+  /**
+   * @returns {Promise<number>} Transaction time in ms
+   */
+  async getTransactionTimestamp(txHash) {
+    throw this.notImplemented("getTransactionTimestamp");
+  }
+
+  /**
+   * Pay a buyer out of a vault through the payout journal
+   * @param {Object} payout - token, to, amount, amountWei, contractAddress,
+   *   groupId, escrowId
+   * @returns {Promise<{success, transactionHash, blockNumber, payoutId}>}
+   */
+  async release(payout) {
+    throw this.notImplemented("release");
+  }
+
+  /**
+   * Return funds to a seller out of a vault through the payout journal
+   * @param {Object} payout - Same fields as release()
+   */
+  async refund(payout) {
+    throw this.notImplemented("refund");
+  }
+
+  /**
+   * Pay both sides of a dispute split in one vault transaction through the
+   * payout journal
+   * @param {Object} payout - token, buyer, buyerAmountWei, seller,
+   *   sellerAmountWei, contractAddress, groupId, escrowId
+   * @returns {Promise<Object|null>} Same as release(), or null when the
+   *   vault can't split; the caller then sends a release and a refund
+   */
+  async split(payout) {
+    return null;
+  }
+
+  /**
+   * Move what a settled escrow still holds in its vault (the network fee
+   * kept back from its payouts) into the vault's fees
+   * @param {Object} escrow - token, contractAddress, groupId, escrowId
+   * @returns {Promise<Object|null>} { success, transactionHash,
+   *   blockNumber, amount }, or null when the vault keeps no per-escrow
+   *   balance or nothing is left
+   */
+  async closeEscrow(escrow) {
+    return null;
+  }
+
+  /**
+   * Look a journaled payout up on-chain for PayoutService.reconcile()
+   * @returns {Promise<{state: string, blockNumber?: number, reason?: string}>}
+   */
+  async checkPayout(payout) {
+    throw this.notImplemented("checkPayout");
+  }
+
+  /**
+   * @returns {Promise<{success, transactionHash, blockNumber, amount, skipped?}>}
+   */
+  async withdrawFees({ token, contractAddress }) {
+    throw this.notImplemented("withdrawFees");
+  }
+
+  async withdrawToken({ token, contractAddress, to }) {
+    throw this.notImplemented("withdrawToken");
+  }
+
+  /**
+   * Owner, guardian, pause flag and timelocked changes of a vault
+   * @returns {Promise<Object>} { supported: false } for vaults deployed
+   *   without these controls; fee percents are in percent, ETAs are Dates
+   */
+  async getVaultControls(contractAddress) {
+    throw this.notImplemented("getVaultControls");
+  }
+
+  /**
+   * Run a vault admin action: pause, unpause, cancel (pending changes),
+   * owner / fee_wallet / fee_percent (propose, with value) or apply (fee
+   * changes whose timelock has passed)
+   * @returns {Promise<{transactionHashes: string[], applied?: Object}>}
+   */
+  async controlVault(contractAddress, action, value) {
+    throw this.notImplemented("controlVault");
+  }
+
+  /**
+   * @returns {Promise<{feeWallet, feePercent, accumulated}>} accumulated is
+   *   formatted in token units
+   */
+  async getFeeSettings({ token, contractAddress }) {
+    throw this.notImplemented("getFeeSettings");
+  }
+}
+
+module.exports = ChainAdapter;
@@ -0,0 +1,1025 @@
+const { ethers } = require("ethers");
+const config = require("../../../config");
+const ChainAdapter = require("./ChainAdapter");
+const Escrow = require("../../models/Escrow");
+const PayoutService = require("../PayoutService");
+const { getAddressError } = require("../../utils/addressValidation");
+
+const ESCROW_VAULT_ABI = [
+  "function token() view returns (address)",
+  "function feePercent() view returns (uint256)",
+  "function feeWallet() view returns (address)",
+  "function release(address to, uint256 amount) external",
+  "function refund(address to, uint256 amount) external",
+  "function withdrawToken(address erc20Token, address to) external",
+  "function withdrawNative(address to) external",
+  "function withdrawFees() external",
+  "function accumulatedFees() view returns (uint256)",
+  "event Deposited(address indexed from, uint256 amount)",
+];
+
+// EscrowVaultV2: balances are kept per escrowId (see escrowKey)
+const ESCROW_VAULT_V2_ABI = [
+  "function token() view returns (address)",
+  "function feePercent() view returns (uint256)",
+  "function feeWallet() view returns (address)",
+  "function escrowBalance(bytes32 escrowId) view returns (uint256)",
+  "function creditedDeposits(bytes32 depositRef) view returns (bool)",
+  "function creditDeposit(bytes32 escrowId, bytes32 depositRef, uint256 amount) external",
+  "function release(bytes32 escrowId, address to, uint256 amount) external",
+  "function refund(bytes32 escrowId, address to, uint256 amount) external",
+  "function split(bytes32 escrowId, address buyer, uint256 buyerAmount, address seller, uint256 sellerAmount) external",
+  "function closeEscrow(bytes32 escrowId) external",
+  "function withdrawToken(address erc20Token, address to) external",
+  "function withdrawFees() external",
+  "function accumulatedFees() view returns (uint256)",
+  "event DepositCredited(bytes32 indexed escrowId, bytes32 indexed depositRef, uint256 amount)",
+  "event Released(bytes32 indexed escrowId, address indexed to, uint256 grossAmount, uint256 netAmount, uint256 feeAmount)",
+  "event Refunded(bytes32 indexed escrowId, address indexed to, uint256 grossAmount, uint256 netAmount, uint256 feeAmount)",
+  "event EscrowClosed(bytes32 indexed escrowId, uint256 remainder)",
+];
+
+// Pause and timelock controls shared by every vault contract; vaults
+// deployed before them revert on these calls
+const VAULT_CONTROL_ABI = [
+  "function owner() view returns (address)",
+  "function guardian() view returns (address)",
+  "function paused() view returns (bool)",
+  "function feeWallet() view returns (address)",
+  "function feePercent() view returns (uint256)",
+  "function pendingOwner() view returns (address)",
+  "function pendingOwnerEta() view returns (uint256)",
+  "function pendingFeeWallet() view returns (address)",
+  "function pendingFeeWalletEta() view returns (uint256)",
+  "function pendingFeePercent() view returns (uint256)",
+  "function pendingFeePercentEta() view returns (uint256)",
+  "function transferOwnership(address newOwner) external",
+  "function proposeFeeWallet(address wallet) external",
+  "function applyFeeWallet() external",
+  "function proposeFeePercent(uint256 feePercent) external",
+  "function applyFeePercent() external",
+  "function cancelPendingChanges() external",
+  "function pause() external",
+  "function unpause() external",
+];
+
+const ERC20_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function balanceOf(address) view returns (uint256)",
+];
+
+// Broadcast errors after which a signed payout can never be mined
+const REJECTED_BROADCAST_CODES = [
+  "INSUFFICIENT_FUNDS",
+  "NONCE_EXPIRED",
+  "REPLACEMENT_UNDERPRICED",
+];
+
+// Widest getLogs range public RPC nodes reliably accept
+const MAX_LOG_RANGE = 500;
+
+/**
+ * On-chain id of an escrow in an EscrowVaultV2
+ * @param {string} escrowId - Escrow.escrowId
+ * @returns {string} bytes32 hex
+ */
+function escrowKey(escrowId) {
+  return ethers.id(String(escrowId));
+}
+
+/**
+ * Adapter for EVM chains running the EscrowVault contract. One instance per
+ * chain; they differ only in RPC URL, explorer and token table.
+ */
+class EvmChainAdapter extends ChainAdapter {
+  /**
+   * @param {Object} definition - See ChainAdapter, plus rpcUrl
+   */
+  constructor(definition) {
+    super(definition);
+    this.rpcUrl = definition.rpcUrl;
+    this._provider = null;
+    this._wallet = null;
+    this._guardianWallet = null;
+  }
+
+  // Created on first use so unused chains never open a connection
+  get provider() {
+    if (!this._provider) {
+      this._provider = new ethers.JsonRpcProvider(this.rpcUrl, null, {
+        staticNetwork: null,
+        batchMaxCount: 1,
+      });
+    }
+    return this._provider;
+  }
+
+  get wallet() {
+    if (!this._wallet) {
+      const privateKey = config.HOT_WALLET_PRIVATE_KEY.startsWith("0x")
+        ? config.HOT_WALLET_PRIVATE_KEY
+        : "0x" + config.HOT_WALLET_PRIVATE_KEY;
+      this._wallet = new ethers.Wallet(privateKey, this.provider);
+    }
+    return this._wallet;
+  }
+
+  // Signs pause/unpause/cancel; the hot wallet when no guardian key is set
+  get guardianWallet() {
+    if (!config.VAULT_GUARDIAN_PRIVATE_KEY) {
+      return this.wallet;
+    }
+    if (!this._guardianWallet) {
+      const privateKey = config.VAULT_GUARDIAN_PRIVATE_KEY.startsWith("0x")
+        ? config.VAULT_GUARDIAN_PRIVATE_KEY
+        : "0x" + config.VAULT_GUARDIAN_PRIVATE_KEY;
+      this._guardianWallet = new ethers.Wallet(privateKey, this.provider);
+    }
+    return this._guardianWallet;
+  }
+
+  isConfigured() {
+    return Boolean(this.rpcUrl) && super.isConfigured();
+  }
+
+  validateAddress(address) {
+    return getAddressError(address, this.network);
+  }
+
+  getVaultContract(contractAddress, version = 1) {
+    return new ethers.Contract(
+      contractAddress,
+      version >= 2 ? ESCROW_VAULT_V2_ABI : ESCROW_VAULT_ABI,
+      this.wallet
+    );
+  }
+
+  // Native vaults report token() as the zero address
+  async getVaultTokenBalance(vaultContract, contractAddress) {
+    const tokenAddress = await vaultContract.token();
+    if (tokenAddress === ethers.ZeroAddress) {
+      return this.provider.getBalance(contractAddress);
+    }
+    const tokenContract = new ethers.Contract(
+      tokenAddress,
+      ERC20_ABI,
+      this.provider
+    );
+    return tokenContract.balanceOf(contractAddress);
+  }
+
+  /**
+   * Token transfers to an address. For the native coin toAddress is a
+   * NativeEscrowVault, and its Deposited events stand in for Transfer logs.
+   * Throws if any part of the block range could not be scanned.
+   */
+  async getTransfers(token, toAddress, fromBlock, toBlock = null) {
+    const native = this.isNativeToken(token);
+    const logAddress = native ? toAddress : this.getTokenAddress(token);
+    if (!logAddress) return [];
+
+    const iface = new ethers.Interface(native ? ESCROW_VAULT_ABI : ERC20_ABI);
+    const topics = native
+      ? [iface.getEvent("Deposited").topicHash]
+      : [
+          iface.getEvent("Transfer").topicHash,
+          null,
+          ethers.zeroPadValue(toAddress.toLowerCase(), 32),
+        ];
+
+    const latest = Number.isFinite(toBlock)
+      ? toBlock
+      : await this.provider.getBlockNumber();
+    const start = Number.isFinite(fromBlock)
+      ? Math.max(0, fromBlock)
+      : Math.max(0, latest - 2000);
+
+    const logs = [];
+    let currentStart = start;
+    do {
+      const currentEnd = Math.min(currentStart + MAX_LOG_RANGE, latest);
+      // A failed chunk fails the whole scan, so the caller rescans the range
+      logs.push(
+        ...(await this.provider.getLogs({
+          address: logAddress,
+          fromBlock: currentStart,
+          toBlock: currentEnd,
+          topics,
+        }))
+      );
+      currentStart = currentEnd + 1;
+    } while (currentStart <= latest);
+
+    const decimals = this.getTokenDecimals(token);
+    return logs.map((log) => {
+      const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+      const [from, to, value] = native
+        ? [parsed.args[0], toAddress, parsed.args[1]]
+        : parsed.args;
+      return {
+        from,
+        to,
+        valueDecimal: Number(ethers.formatUnits(value, decimals)),
+        valueWei: value.toString(),
+        blockNumber: log.blockNumber,
+        hash: log.transactionHash,
+      };
+    });
+  }
+
+  normalizeTxHash(hash) {
+    const hex = String(hash || "")
+      .trim()
+      .toLowerCase()
+      .replace(/^0x/, "");
+    return /^[a-f0-9]{64}$/.test(hex) ? `0x${hex}` : null;
+  }
+
+  /**
+   * The transfer a transaction made to toAddress, read from its receipt.
+   * As in getTransfers(), a native deposit is the vault's Deposited event.
+   */
+  async getTransferByHash(token, txHash, toAddress) {
+    const native = this.isNativeToken(token);
+    const logAddress = native ? toAddress : this.getTokenAddress(token);
+    if (!logAddress || !toAddress) {
+      return { state: "no_transfer" };
+    }
+
+    const tx = await this.provider.getTransaction(txHash);
+    if (!tx) {
+      return { state: "not_found" };
+    }
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt) {
+      return { state: "pending" };
+    }
+
+    const iface = new ethers.Interface(native ? ESCROW_VAULT_ABI : ERC20_ABI);
+    const decimals = this.getTokenDecimals(token);
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== logAddress.toLowerCase()) {
+        continue;
+      }
+      let parsed;
+      try {
+        parsed = iface.parseLog({ topics: log.topics, data: log.data });
+      } catch (e) {
+        continue;
+      }
+      if (!parsed || parsed.name !== (native ? "Deposited" : "Transfer")) {
+        continue;
+      }
+      const [from, to, value] = native
+        ? [parsed.args[0], toAddress, parsed.args[1]]
+        : parsed.args;
+      if (to.toLowerCase() !== toAddress.toLowerCase()) {
+        continue;
+      }
+      return {
+        state: "found",
+        transfer: {
+          from,
+          to,
+          valueDecimal: Number(ethers.formatUnits(value, decimals)),
+          valueWei: value.toString(),
+          blockNumber: receipt.blockNumber,
+          hash: txHash,
+        },
+      };
+    }
+    return { state: "no_transfer" };
+  }
+
+  async getBalance(token, address) {
+    if (this.isNativeToken(token)) {
+      const balanceWei = await this.provider.getBalance(address);
+      return Number(ethers.formatEther(balanceWei));
+    }
+    const tokenAddress = this.getTokenAddress(token);
+    if (!tokenAddress) {
+      return 0;
+    }
+    const contract = new ethers.Contract(
+      tokenAddress,
+      ERC20_ABI,
+      this.provider
+    );
+    const balanceWei = await contract.balanceOf(address);
+    return Number(ethers.formatUnits(balanceWei, this.getTokenDecimals(token)));
+  }
+
+  async getLatestBlockNumber() {
+    return this.provider.getBlockNumber();
+  }
+
+  async getTransactionBlockNumber(txHash) {
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (!receipt || receipt.status === 0) {
+      return null;
+    }
+    return receipt.blockNumber;
+  }
+
+  async getTransactionTimestamp(txHash) {
+    const tx = await this.provider.getTransaction(txHash);
+    if (!tx || !tx.blockNumber) return Date.now();
+
+    const block = await this.provider.getBlock(tx.blockNumber);
+    if (!block) return Date.now();
+
+    return block.timestamp * 1000; // EVM timestamps are in seconds
+  }
+
+  async release(payout) {
+    return this.payout("release", payout);
+  }
+
+  async refund(payout) {
+    return this.payout("refund", payout);
+  }
+
+  async requireVaultAddress(token, groupId = null) {
+    const contractAddress = await this.findVaultAddress(token, groupId);
+    if (!contractAddress) {
+      throw new Error(
+        `No escrow contract found for ${token} on ${this.network}${
+          groupId ? ` for group ${groupId}` : ""
+        }`
+      );
+    }
+    return contractAddress;
+  }
+
+  async payout(
+    type,
+    { token, to, amount, amountWei, contractAddress, groupId, escrowId }
+  ) {
+    if (!contractAddress) {
+      contractAddress = await this.requireVaultAddress(token, groupId);
+    }
+    const decimals = this.getTokenDecimals(token);
+    const payoutWei =
+      amountWei != null
+        ? BigInt(amountWei)
+        : ethers.parseUnits(amount.toString(), decimals);
+
+    if (await this.isVaultPaused(contractAddress)) {
+      throw new Error(
+        `Vault Paused: ${contractAddress} on ${this.network} is paused by its guardian`
+      );
+    }
+
+    const version = await this.getVaultVersion(contractAddress);
+    const vaultContract = this.getVaultContract(contractAddress, version);
+
+    if (version >= 2) {
+      return this.escrowPayout({
+        type,
+        escrowId,
+        token,
+        contractAddress,
+        vaultContract,
+        to,
+        amount,
+        amountWei: payoutWei,
+      });
+    }
+
+    // SAFETY CHECK: Verify Contract Balance
+    const contractBalanceWei = await this.getVaultTokenBalance(
+      vaultContract,
+      contractAddress
+    );
+    if (contractBalanceWei < payoutWei) {
+      throw new Error(
+        `Insufficient Vault Balance: Contract has ${ethers.formatUnits(
+          contractBalanceWei,
+          decimals
+        )} but needs ${ethers.formatUnits(payoutWei, decimals)}`
+      );
+    }
+
+    return this.sendVaultPayout({
+      type,
+      escrowId,
+      token,
+      contractAddress,
+      vaultContract,
+      to,
+      amount,
+      amountWei: payoutWei,
+    });
+  }
+
+  /**
+   * Payout from an EscrowVaultV2. The escrow's deposits are credited to it
+   * on-chain first, then release()/refund() spend from that balance only -
+   * the contract reverts rather than touch another escrow's funds.
+   */
+  async escrowPayout({
+    type,
+    escrowId,
+    token,
+    contractAddress,
+    vaultContract,
+    to,
+    amount,
+    amountWei,
+  }) {
+    const key = await this.prepareEscrowPayout({
+      type,
+      escrowId,
+      token,
+      contractAddress,
+      vaultContract,
+      amountWei,
+    });
+
+    return this.sendVaultPayout({
+      type,
+      escrowId,
+      token,
+      contractAddress,
+      vaultContract,
+      to,
+      amount,
+      amountWei,
+      args: [key, to, amountWei],
+    });
+  }
+
+  /**
+   * Credit the escrow's deposits to an EscrowVaultV2 and check its balance
+   * covers amountWei
+   * @returns {Promise<string>} The escrow's bytes32 key in the vault
+   */
+  async prepareEscrowPayout({
+    type,
+    escrowId,
+    token,
+    contractAddress,
+    vaultContract,
+    amountWei,
+  }) {
+    if (!escrowId) {
+      throw new Error(
+        `escrowId is required to ${type} from vault ${contractAddress}`
+      );
+    }
+    const key = escrowKey(escrowId);
+
+    await this.creditEscrowDeposits(vaultContract, contractAddress, escrowId);
+
+    const escrowBalanceWei = await vaultContract.escrowBalance(key);
+    if (escrowBalanceWei < amountWei) {
+      const decimals = this.getTokenDecimals(token);
+      throw new Error(
+        `Insufficient Escrow Balance: Escrow ${escrowId} has ${ethers.formatUnits(
+          escrowBalanceWei,
+          decimals
+        )} but needs ${ethers.formatUnits(amountWei, decimals)}`
+      );
+    }
+    return key;
+  }
+
+  /**
+   * Dispute split in one EscrowVaultV2 split() transaction: the buyer's
+   * share is released and the seller's refunded together. Older vaults
+   * have no split(); for them this resolves to null without sending.
+   */
+  async split({
+    token,
+    buyer,
+    buyerAmountWei,
+    seller,
+    sellerAmountWei,
+    contractAddress,
+    groupId,
+    escrowId,
+  }) {
+    if (!contractAddress) {
+      contractAddress = await this.requireVaultAddress(token, groupId);
+    }
+    if (await this.isVaultPaused(contractAddress)) {
+      throw new Error(
+        `Vault Paused: ${contractAddress} on ${this.network} is paused by its guardian`
+      );
+    }
+
+    const version = await this.getVaultVersion(contractAddress);
+    if (version < 2) {
+      return null;
+    }
+    const vaultContract = this.getVaultContract(contractAddress, version);
+    const buyerWei = BigInt(buyerAmountWei);
+    const sellerWei = BigInt(sellerAmountWei);
+    const totalWei = buyerWei + sellerWei;
+
+    const key = await this.prepareEscrowPayout({
+      type: "split",
+      escrowId,
+      token,
+      contractAddress,
+      vaultContract,
+      amountWei: totalWei,
+    });
+
+    return this.sendVaultPayout({
+      type: "split",
+      escrowId,
+      token,
+      contractAddress,
+      vaultContract,
+      to: `${buyer},${seller}`,
+      amount: Number(
+        ethers.formatUnits(totalWei, this.getTokenDecimals(token))
+      ),
+      amountWei: totalWei,
+      args: [key, buyer, buyerWei, seller, sellerWei],
+    });
+  }
+
+  /**
+   * Move what a settled escrow still holds in an EscrowVaultV2 into the
+   * vault's fees with closeEscrow(). Older vaults keep no per-escrow
+   * balance; for them, and for escrows with nothing left, this resolves to
+   * null without sending.
+   */
+  async closeEscrow({ token, contractAddress, groupId, escrowId }) {
+    if (!contractAddress) {
+      contractAddress = await this.requireVaultAddress(token, groupId);
+    }
+    const version = await this.getVaultVersion(contractAddress);
+    if (version < 2) {
+      return null;
+    }
+    const vaultContract = this.getVaultContract(contractAddress, version);
+    const key = escrowKey(escrowId);
+    const remainderWei = await vaultContract.escrowBalance(key);
+    if (remainderWei === 0n) {
+      return null;
+    }
+
+    const tx = await vaultContract.closeEscrow(key);
+    const receipt = await tx.wait();
+
+    return {
+      success: true,
+      transactionHash: receipt.hash || receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      amount: Number(
+        ethers.formatUnits(remainderWei, this.getTokenDecimals(token))
+      ),
+    };
+  }
+
+  /**
+   * Credit each deposit transaction recorded on the escrow that the vault
+   * has not credited yet. Amounts come from the transaction's Transfer logs
+   * into the vault, not from the database.
+   */
+  async creditEscrowDeposits(vaultContract, contractAddress, escrowId) {
+    const escrow = await Escrow.findOne({ escrowId }).select(
+      "transactionHash partialTransactionHashes"
+    );
+    if (!escrow) {
+      throw new Error(`Escrow ${escrowId} not found`);
+    }
+    const depositHashes = [
+      escrow.transactionHash,
+      ...(escrow.partialTransactionHashes || []),
+    ].filter(Boolean);
+
+    const tokenAddress = await vaultContract.token();
+    const transferTopic = new ethers.Interface(ERC20_ABI).getEvent(
+      "Transfer"
+    ).topicHash;
+    const vaultTopic = ethers.zeroPadValue(contractAddress.toLowerCase(), 32);
+
+    for (const hash of depositHashes) {
+      if (await vaultContract.creditedDeposits(hash)) {
+        continue;
+      }
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (!receipt || receipt.status !== 1) {
+        continue;
+      }
+      const depositWei = receipt.logs
+        .filter(
+          (log) =>
+            log.address.toLowerCase() === tokenAddress.toLowerCase() &&
+            log.topics[0] === transferTopic &&
+            log.topics[2] &&
+            log.topics[2].toLowerCase() === vaultTopic
+        )
+        .reduce((sum, log) => sum + BigInt(log.data), 0n);
+      if (depositWei === 0n) {
+        continue;
+      }
+
+      const tx = await vaultContract.creditDeposit(
+        escrowKey(escrowId),
+        hash,
+        depositWei
+      );
+      await tx.wait();
+    }
+  }
+
+  /**
+   * Journal, sign and broadcast a vault release()/refund()/split(), then
+   * wait for it.
+   * The Payout record and signed transaction are saved before broadcasting,
+   * so after a crash PayoutService.reconcile() finishes the job from the
+   * journal instead of sending a second transaction.
+   */
+  async sendVaultPayout({
+    type,
+    escrowId,
+    token,
+    contractAddress,
+    vaultContract,
+    to,
+    amount,
+    amountWei,
+    args = [to, amountWei],
+  }) {
+    const wallet = this.wallet;
+    const provider = this.provider;
+    const payout = await PayoutService.createIntent({
+      escrowId,
+      type,
+      network: this.network,
+      token,
+      contractAddress,
+      destination: to,
+      amount,
+      amountWei: amountWei.toString(),
+      fromAddress: wallet.address,
+    });
+
+    let nonce, signedTransaction;
+    try {
+      try {
+        nonce = await provider.getTransactionCount(wallet.address, "pending");
+      } catch (nonceError) {
+        try {
+          nonce = await provider.getTransactionCount(wallet.address);
+        } catch (fallbackError) {
+          throw new Error(
+            `Failed to get transaction nonce: ${fallbackError.message}`
+          );
+        }
+      }
+
+      const unsignedTx = await vaultContract[type].populateTransaction(...args);
+      const txRequest = await wallet.populateTransaction({
+        ...unsignedTx,
+        nonce,
+      });
+      signedTransaction = await wallet.signTransaction(txRequest);
+    } catch (error) {
+      await PayoutService.markFailed(payout, error.message);
+      throw error;
+    }
+
+    const transactionHash = ethers.keccak256(signedTransaction);
+    await PayoutService.markSigned(payout, {
+      transactionHash,
+      nonce,
+      signedTransaction,
+    });
+
+    try {
+      await provider.broadcastTransaction(signedTransaction);
+    } catch (error) {
+      if (REJECTED_BROADCAST_CODES.includes(error?.code)) {
+        await PayoutService.markFailed(
+          payout,
+          error.shortMessage || error.message
+        );
+        throw error;
+      }
+      // Anything else (timeouts, "already known") may still have reached the
+      // mempool: leave the payout for reconciliation rather than guess
+      const providerMessage =
+        error?.info?.error?.message || error?.message || "";
+      if (!providerMessage.includes("already known")) {
+        throw error;
+      }
+    }
+    await PayoutService.markBroadcast(payout);
+
+    const waitPromise = provider.waitForTransaction(transactionHash);
+    let receipt;
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      let timer;
+      try {
+        const timeoutPromise = new Promise((_, reject) => {
+          timer = setTimeout(
+            () =>
+              reject(
+                new Error(`Transaction verification timed out (${attempt}/3).`)
+              ),
+            60000
+          );
+        });
+        receipt = await Promise.race([waitPromise, timeoutPromise]);
+        break; // Success!
+      } catch (e) {
+        if (attempt === 3) {
+          throw new Error(
+            "Transaction verification timed out after 3 attempts (180s). Please check the explorer manually."
+          );
+        }
+        console.log(
+          `Verification attempt ${attempt} timed out, continuing to wait...`
+        );
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    if (!receipt || receipt.status === 0) {
+      await PayoutService.markFailed(payout, "reverted on-chain");
+      throw new Error(`Transaction ${transactionHash} reverted on-chain`);
+    }
+    await PayoutService.markConfirmed(payout, receipt.blockNumber);
+
+    return {
+      success: true,
+      transactionHash,
+      blockNumber: receipt.blockNumber,
+      payoutId: payout._id,
+    };
+  }
+
+  async checkPayout(payout) {
+    const provider = this.provider;
+
+    // Read the nonce before the receipt so a transaction mined in between
+    // is seen as mined, not as replaced
+    const minedNonce = await provider.getTransactionCount(
+      payout.fromAddress,
+      "latest"
+    );
+    const receipt = await provider.getTransactionReceipt(
+      payout.transactionHash
+    );
+    if (receipt) {
+      return receipt.status === 1
+        ? { state: "confirmed", blockNumber: receipt.blockNumber }
+        : { state: "failed", reason: "reverted on-chain" };
+    }
+    if (minedNonce > payout.nonce) {
+      return {
+        state: "failed",
+        reason: "was never mined (its nonce was used by another transaction)",
+      };
+    }
+
+    try {
+      await provider.broadcastTransaction(payout.signedTransaction);
+    } catch (error) {
+      if (REJECTED_BROADCAST_CODES.includes(error?.code)) {
+        return { state: "failed", reason: error.shortMessage || error.message };
+      }
+    }
+    return { state: "pending" };
+  }
+
+  async withdrawFees({ token, contractAddress }) {
+    if (!contractAddress) {
+      contractAddress = await this.requireVaultAddress(token);
+    }
+    const vaultContract = this.getVaultContract(contractAddress);
+
+    // Check balance before attempting withdrawal
+    const accumulatedFees = await vaultContract.accumulatedFees();
+
+    // If no fees, skip withdrawal to avoid revert
+    if (accumulatedFees.toString() === "0") {
+      return {
+        success: true,
+        skipped: true,
+        message: "No fees to withdraw",
+      };
+    }
+
+    const actualBalance = await this.getVaultTokenBalance(
+      vaultContract,
+      contractAddress
+    );
+    if (actualBalance < accumulatedFees) {
+      const decimals = this.getTokenDecimals(token);
+      const accStr = ethers.formatUnits(accumulatedFees, decimals);
+      const balStr = ethers.formatUnits(actualBalance, decimals);
+
+      throw new Error(
+        `Validation Error: no-balance - Contract balance (${balStr}) is less than accumulated fees (${accStr}). Withdrawal would fail.`
+      );
+    }
+
+    const tx = await vaultContract.withdrawFees();
+    const receipt = await tx.wait();
+
+    return {
+      success: true,
+      transactionHash: receipt.hash || receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      amount: accumulatedFees,
+    };
+  }
+
+  async withdrawToken({ contractAddress, to }) {
+    const vault = this.getVaultContract(contractAddress);
+
+    // The ERC20 token the vault manages is stored in its 'token()' public
+    // var; native vaults return the zero address and sweep with withdrawNative
+    const erc20Address = await vault.token();
+
+    let nonce;
+    try {
+      nonce = await this.provider.getTransactionCount(
+        this.wallet.address,
+        "latest"
+      );
+    } catch (nonceError) {
+      nonce = await this.provider.getTransactionCount(this.wallet.address);
+    }
+
+    const tx =
+      erc20Address === ethers.ZeroAddress
+        ? await vault.withdrawNative(to, { nonce })
+        : await vault.withdrawToken(erc20Address, to, { nonce });
+    const receipt = await tx.wait();
+
+    return {
+      success: true,
+      transactionHash: receipt.hash || receipt.transactionHash,
+    };
+  }
+
+  // Vaults without the pause switch are never paused
+  async isVaultPaused(contractAddress) {
+    const vault = new ethers.Contract(
+      contractAddress,
+      VAULT_CONTROL_ABI,
+      this.provider
+    );
+    try {
+      return await vault.paused();
+    } catch (error) {
+      if (error?.code === "CALL_EXCEPTION" || error?.code === "BAD_DATA") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async getVaultControls(contractAddress) {
+    const vault = new ethers.Contract(
+      contractAddress,
+      VAULT_CONTROL_ABI,
+      this.provider
+    );
+    try {
+      await vault.guardian();
+    } catch (error) {
+      if (error?.code === "CALL_EXCEPTION" || error?.code === "BAD_DATA") {
+        return { supported: false };
+      }
+      throw error;
+    }
+
+    const [
+      owner,
+      guardian,
+      paused,
+      feeWallet,
+      feePercent,
+      pendingOwner,
+      pendingOwnerEta,
+      pendingFeeWallet,
+      pendingFeeWalletEta,
+      pendingFeePercent,
+      pendingFeePercentEta,
+    ] = await Promise.all([
+      vault.owner(),
+      vault.guardian(),
+      vault.paused(),
+      vault.feeWallet(),
+      vault.feePercent(),
+      vault.pendingOwner(),
+      vault.pendingOwnerEta(),
+      vault.pendingFeeWallet(),
+      vault.pendingFeeWalletEta(),
+      vault.pendingFeePercent(),
+      vault.pendingFeePercentEta(),
+    ]);
+
+    // On-chain ETAs are unix seconds, 0 when nothing is pending
+    const toDate = (eta) => (eta > 0n ? new Date(Number(eta) * 1000) : null);
+    return {
+      supported: true,
+      owner,
+      guardian,
+      paused,
+      feeWallet,
+      feePercent: Number(feePercent) / 100,
+      pendingOwner: toDate(pendingOwnerEta) ? pendingOwner : null,
+      pendingOwnerEta: toDate(pendingOwnerEta),
+      pendingFeeWallet: toDate(pendingFeeWalletEta) ? pendingFeeWallet : null,
+      pendingFeeWalletEta: toDate(pendingFeeWalletEta),
+      pendingFeePercent: toDate(pendingFeePercentEta)
+        ? Number(pendingFeePercent) / 100
+        : null,
+      pendingFeePercentEta: toDate(pendingFeePercentEta),
+    };
+  }
+
+  async controlVault(contractAddress, action, value) {
+    const guardianActions = ["pause", "unpause", "cancel"];
+    const vault = new ethers.Contract(
+      contractAddress,
+      VAULT_CONTROL_ABI,
+      guardianActions.includes(action) ? this.guardianWallet : this.wallet
+    );
+
+    const send = async (method, ...args) => {
+      const tx = await vault[method](...args);
+      const receipt = await tx.wait();
+      return receipt.hash || receipt.transactionHash;
+    };
+
+    switch (action) {
+      case "pause":
+        return { transactionHashes: [await send("pause")] };
+      case "unpause":
+        return { transactionHashes: [await send("unpause")] };
+      case "cancel":
+        return { transactionHashes: [await send("cancelPendingChanges")] };
+      case "owner":
+        return { transactionHashes: [await send("transferOwnership", value)] };
+      case "fee_wallet":
+        return { transactionHashes: [await send("proposeFeeWallet", value)] };
+      case "fee_percent":
+        // Percent in, basis points on-chain (0.75% = 75)
+        return {
+          transactionHashes: [
+            await send("proposeFeePercent", Math.round(Number(value) * 100)),
+          ],
+        };
+      case "apply": {
+        // Apply whichever fee changes are past their timelock
+        const controls = await this.getVaultControls(contractAddress);
+        const now = Date.now();
+        const transactionHashes = [];
+        const applied = {};
+        if (
+          controls.pendingFeeWalletEta &&
+          controls.pendingFeeWalletEta <= now
+        ) {
+          transactionHashes.push(await send("applyFeeWallet"));
+          applied.feeWallet = controls.pendingFeeWallet;
+        }
+        if (
+          controls.pendingFeePercentEta &&
+          controls.pendingFeePercentEta <= now
+        ) {
+          transactionHashes.push(await send("applyFeePercent"));
+          applied.feePercent = controls.pendingFeePercent;
+        }
+        return { transactionHashes, applied };
+      }
+      default:
+        throw new Error(`Unknown vault action: ${action}`);
+    }
+  }
+
+  async getFeeSettings({ token, contractAddress }) {
+    if (!contractAddress) {
+      contractAddress = await this.requireVaultAddress(token);
+    }
+    const vault = this.getVaultContract(contractAddress);
+    const [feeWallet, feePercent, accumulated] = await Promise.all([
+      vault.feeWallet(),
+      vault.feePercent(),
+      vault.accumulatedFees(),
+    ]);
+
+    return {
+      feeWallet,
+      feePercent: Number(feePercent),
+      accumulated: ethers.formatUnits(
+        accumulated,
+        this.getTokenDecimals(token)
+      ),
+    };
+  }
+}
+
+module.exports = EvmChainAdapter;
@@ -0,0 +1,131 @@
+const { ethers } = require("ethers");
+const ChainAdapter = require("./ChainAdapter");
+const TronService = require("../TronService");
+const { getAddressError } = require("../../utils/addressValidation");
+
+/**
+ * Adapter for TRON. Thin wrapper over TronService, which owns the TronWeb
+ * client, provider rotation and the TRON payout journal.
+ */
+class TronChainAdapter extends ChainAdapter {
+  // Tronscan routes are hash-based and call transactions "transaction"
+  explorerUrl(kind, value) {
+    return `${this.explorer}/#/${
+      kind === "address" ? "address" : "transaction"
+    }/${value}`;
+  }
+
+  validateAddress(address) {
+    return getAddressError(address, this.network);
+  }
+
+  async getTransfers(token, toAddress, fromBlock, toBlock = null) {
+    return TronService.getTokenTransfers(token, toAddress, fromBlock, toBlock);
+  }
+
+  // TRON hashes are bare hex
+  normalizeTxHash(hash) {
+    const hex = String(hash || "")
+      .trim()
+      .toLowerCase()
+      .replace(/^0x/, "");
+    return /^[a-f0-9]{64}$/.test(hex) ? hex : null;
+  }
+
+  async getTransferByHash(token, txHash, toAddress) {
+    return TronService.getTransferByHash(token, txHash, toAddress);
+  }
+
+  async getBalance(token, address) {
+    return TronService.getTokenBalance(token, address);
+  }
+
+  async getLatestBlockNumber() {
+    return TronService.getLatestBlockNumber();
+  }
+
+  async getTransactionBlockNumber(txHash) {
+    return TronService.getTransactionBlockNumber(txHash);
+  }
+
+  async getTransactionTimestamp(txHash) {
+    await TronService.init();
+    const tx = await TronService.tronWeb.trx.getTransaction(txHash);
+    if (tx && tx.raw_data && tx.raw_data.timestamp) {
+      return tx.raw_data.timestamp;
+    }
+    // Fallback to info
+    const info = await TronService.tronWeb.trx.getTransactionInfo(txHash);
+    if (info && info.blockTimeStamp) {
+      return info.blockTimeStamp;
+    }
+    return Date.now();
+  }
+
+  // TronService finds the group's vault itself when contractAddress is null
+  async release({ token, to, amount, contractAddress, groupId, escrowId }) {
+    const result = await TronService.releaseFunds({
+      token,
+      to,
+      amount,
+      groupId,
+      contractAddress,
+      escrowId,
+    });
+    return {
+      success: true,
+      transactionHash: result.transactionHash,
+      blockNumber: null,
+      payoutId: result.payoutId,
+    };
+  }
+
+  async refund({ token, to, amount, contractAddress, groupId, escrowId }) {
+    const result = await TronService.refundFunds({
+      token,
+      to,
+      amount,
+      groupId,
+      contractAddress,
+      escrowId,
+    });
+    return {
+      success: true,
+      transactionHash: result.transactionHash,
+      blockNumber: null,
+      payoutId: result.payoutId,
+    };
+  }
+
+  async checkPayout(payout) {
+    return TronService.checkPayout(payout);
+  }
+
+  async withdrawFees({ token, contractAddress }) {
+    const result = await TronService.withdrawFees({ token, contractAddress });
+    return {
+      success: result.success,
+      transactionHash: result.transactionHash,
+      blockNumber: 0, // TRON tx result might not have block immediately
+      amount: result.amount,
+    };
+  }
+
+  async withdrawToken({ token, contractAddress, to }) {
+    return TronService.withdrawToken({ contractAddress, token, to });
+  }
+
+  async getFeeSettings({ token, contractAddress }) {
+    const result = await TronService.getFeeSettings({ token, contractAddress });
+    return {
+      feeWallet: result.feeWallet,
+      feePercent: result.feePercent,
+      accumulated: ethers.formatUnits(
+        result.accumulated,
+        this.getTokenDecimals(token)
+      ),
+    };
+  }
+}
+
+module.exports = TronChainAdapter;
@@ -0,0 +1,164 @@
+const config = require("../../../config");
+const EvmChainAdapter = require("./EvmChainAdapter");
+const TronChainAdapter = require("./TronChainAdapter");
+
+// Tokens a deal can be set up in, where the chain has them configured; the
+// chain's native coin is added when native escrow is enabled
+const DEAL_TOKENS = ["USDT", "USDC"];
+
+const adapters = [
+  new EvmChainAdapter({
+    network: "BSC",
+    label: "BNB Smart Chain (BEP-20)",
+    rpcUrl: config.BSC_RPC_URL,
+    explorer: "https://bscscan.com",
+    aliases: ["BNB", "BEP20", "BEP-20"],
+    tokens: {
+      USDT: { configKey: "USDT_BSC", decimals: 18 },
+      USDC: { configKey: "USDC_BSC", decimals: 18 },
+      BUSD: { configKey: "BUSD_BSC", decimals: 18 },
+      BTC: { configKey: "BTC_BSC", decimals: 18 },
+      DOGE: { configKey: "DOGE_BSC", decimals: 18 },
+      BNB: { native: true, decimals: 18 },
+    },
+  }),
+  new EvmChainAdapter({
+    network: "ETH",
+    label: "Ethereum (ERC-20)",
+    rpcUrl: config.ETH_RPC_URL,
+    explorer: "https://etherscan.io",
+    aliases: ["ETHEREUM", "ERC20", "ERC-20"],
+    tokens: {
+      USDT: { configKey: "USDT_ETH", decimals: 6 },
+      USDC: { configKey: "USDC_ETH", decimals: 6 },
+    },
+  }),
+  new EvmChainAdapter({
+    network: "POLYGON",
+    label: "Polygon",
+    rpcUrl: config.POLYGON_RPC_URL,
+    explorer: "https://polygonscan.com",
+    aliases: ["MATIC", "POL"],
+    tokens: {
+      USDT: { configKey: "USDT_POLYGON", decimals: 6 },
+      USDC: { configKey: "USDC_POLYGON", decimals: 6 },
+    },
+  }),
+  new EvmChainAdapter({
+    network: "ARBITRUM",
+    label: "Arbitrum One",
+    rpcUrl: config.ARBITRUM_RPC_URL,
+    explorer: "https://arbiscan.io",
+    aliases: ["ARB"],
+    tokens: {
+      USDT: { configKey: "USDT_ARBITRUM", decimals: 6 },
+      USDC: { configKey: "USDC_ARBITRUM", decimals: 6 },
+    },
+  }),
+  new EvmChainAdapter({
+    network: "SEPOLIA",
+    label: "Sepolia testnet",
+    rpcUrl: config.SEPOLIA_RPC_URL,
+    explorer: "https://sepolia.etherscan.io",
+    tokens: {
+      USDT: { configKey: "USDT_SEPOLIA", decimals: 6 },
+    },
+  }),
+  new TronChainAdapter({
+    network: "TRON",
+    label: "TRON (TRC-20)",
+    explorer: "https://tronscan.org",
+    aliases: ["TRX", "TRC20", "TRC-20"],
+    tokens: {
+      USDT: { configKey: "USDT_TRON", decimals: 6 },
+      TRX: { native: true, decimals: 6 },
+    },
+  }),
+];
+
+/**
+ * Registry key for a chain name, resolving aliases (BNB -> BSC, ...)
+ * @param {string} chain - Chain name as stored or typed
+ * @returns {string} Upper-case registry key, or the input upper-cased
+ */
+function normalize(chain) {
+  const chainUpper = String(chain || "").toUpperCase();
+  const adapter = adapters.find(
+    (a) => a.network === chainUpper || a.aliases.includes(chainUpper)
+  );
+  return adapter ? adapter.network : chainUpper;
+}
+
+/**
+ * @param {string} chain - Chain name or alias
+ * @returns {ChainAdapter|null}
+ */
+function getAdapter(chain) {
+  const network = normalize(chain);
+  return adapters.find((a) => a.network === network) || null;
+}
+
+/**
+ * Like getAdapter, but throws for chains the bot does not support
+ * @param {string} chain - Chain name or alias
+ * @returns {ChainAdapter}
+ */
+function requireAdapter(chain) {
+  const adapter = getAdapter(chain);
+  if (!adapter) {
+    throw new Error(`Unsupported chain: ${chain}`);
+  }
+  return adapter;
+}
+
+/**
+ * Chains offered when a deal is set up: those listed in ENABLED_CHAINS that
+ * have an RPC endpoint and at least one token configured
+ * @returns {ChainAdapter[]}
+ */
+function getSelectableChains() {
+  return config.ENABLED_CHAINS.map(getAdapter).filter(
+    (adapter) => adapter && adapter.isConfigured()
+  );
+}
+
+/**
+ * Coins offered for a deal on a chain
+ * @param {string} chain - Chain name or alias
+ * @returns {string[]}
+ */
+function getDealTokens(chain) {
+  const adapter = getAdapter(chain);
+  if (!adapter) {
+    return [];
+  }
+  const nativeTokens = Object.keys(adapter.tokens).filter(
+    (token) => adapter.isNativeToken(token) && adapter.isTokenSupported(token)
+  );
+  return [
+    ...DEAL_TOKENS.filter((token) => adapter.isTokenSupported(token)),
+    ...nativeTokens,
+  ];
+}
+
+/**
+ * Explorer link for a transaction or address
+ * @param {string} chain - Chain name or alias
+ * @param {string} kind - "tx" or "address"
+ * @param {string} value - Transaction hash or address
+ * @returns {string|null} URL, or null for unknown chains
+ */
+function explorerUrl(chain, kind, value) {
+  const adapter = getAdapter(chain);
+  return adapter ? adapter.explorerUrl(kind, value) : null;
+}
+
+module.exports = {
+  adapters,
+  normalize,
+  getAdapter,
+  requireAdapter,
+  getSelectableChains,
+  getDealTokens,
+  explorerUrl,
+};
@@ -1,19 +1,135 @@
+const { ethers } = require("ethers");
+const AddressPool = require("../models/AddressPool");
+const Contract = require("../models/Contract");
+const Escrow = require("../models/Escrow");
+const BlocklistService = require("../services/BlocklistService");
+
+// Addresses that can never spend what they receive
+const EVM_BURN_ADDRESSES = [
+  "0x0000000000000000000000000000000000000000",
+  "0x000000000000000000000000000000000000dead",
+  "0xdead000000000000000042069420694206942069",
+];
+
+function isTronChain(chain) {
+  const chainUpper = (chain || "").toUpperCase();
+  return chainUpper === "TRON" || chainUpper === "TRX";
+}
+
+/**
+ * Decode a TRON base58check address
+ * @param {string} address - Base58 address (T...)
+ * @returns {Uint8Array|null} 21-byte payload (0x41 + 20-byte account), or
+ *   null if the checksum or prefix is wrong
+ */
+function decodeTronAddress(address) {
+  let bytes;
+  try {
+    bytes = ethers.getBytes(ethers.toBeHex(ethers.decodeBase58(address), 25));
+  } catch (error) {
+    return null;
+  }
+  if (bytes.length !== 25 || bytes[0] !== 0x41) {
+    return null;
+  }
+
+  const payload = bytes.slice(0, 21);
+  const checksum = ethers
+    .getBytes(ethers.sha256(ethers.sha256(payload)))
+    .slice(0, 4);
+  const matches = checksum.every((byte, i) => byte === bytes[21 + i]);
+  return matches ? payload : null;
+}
+
 /**
- * Validate address format based on chain
+ * Explain what is wrong with an address, without touching the database
+ * @param {string} address - Address to validate
+ * @param {string} chain - Chain name (BSC, ETH, TRON, etc.)
+ * @returns {string|null} Error message, or null if the address is valid
+ */
+function getAddressError(address, chain = "BSC") {
+  if (!address || typeof address !== "string") {
+    return getAddressErrorMessage(chain);
+  }
+
+  if (isTronChain(chain)) {
+    if (!/^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(address)) {
+      return getAddressErrorMessage(chain);
+    }
+    const payload = decodeTronAddress(address);
+    if (!payload) {
+      return "❌ Invalid TRON address: the checksum does not match. A character is probably mistyped - copy the address from your wallet again.";
+    }
+    if (payload.slice(1).every((byte) => byte === 0)) {
+      return "❌ This is the TRON zero (burn) address. Funds sent there are lost forever.";
+    }
+    return null;
+  }
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    return getAddressErrorMessage(chain);
+  }
+  // EIP-55: mixed-case addresses carry a checksum; all-lower/upper do not
+  try {
+    ethers.getAddress(address);
+  } catch (error) {
+    return "❌ Invalid address: the EIP-55 checksum (upper/lower case letters) does not match. A character is probably mistyped - copy the address from your wallet again.";
+  }
+  if (EVM_BURN_ADDRESSES.includes(address.toLowerCase())) {
+    return "❌ This is a burn address. Funds sent there are lost forever.";
+  }
+  return null;
+}
+
+/**
+ * Validate address format and checksum based on chain
  * @param {string} address - Address to validate
  * @param {string} chain - Chain name (BSC, ETH, TRON, etc.)
  * @returns {boolean} - True if valid
  */
 function isValidAddress(address, chain = "BSC") {
-  if (!address || typeof address !== "string") return false;
-
-  const chainUpper = (chain || "").toUpperCase();
+  return getAddressError(address, chain) === null;
+}
 
-  if (chainUpper === "TRON" || chainUpper === "TRX") {
-    return /^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(address);
+/**
+ * Check an address the bot may pay out to. On top of getAddressError it
+ * rejects the bot's own vault contracts and deposit addresses, where a
+ * payout would be stuck or credited to another trade, and addresses on the
+ * admin blocklist.
+ * @param {string} address - Payout address
+ * @param {string} chain - Chain name
+ * @returns {Promise<string|null>} Error message, or null if it can be used
+ */
+async function getPayoutAddressError(address, chain = "BSC") {
+  const formatError = getAddressError(address, chain);
+  if (formatError) {
+    return formatError;
   }
 
-  return /^0x[a-fA-F0-9]{40}$/.test(address) && address.length === 42;
+  // EVM addresses are case-insensitive; TRON base58 is not
+  const match = isTronChain(chain)
+    ? address
+    : { $regex: new RegExp(`^${address}$`, "i") };
+
+  const [contract, poolAddress, depositEscrow] = await Promise.all([
+    Contract.findOne({ address: match }, { _id: 1 }),
+    AddressPool.findOne(
+      { $or: [{ address: match }, { contractAddress: match }] },
+      { _id: 1 }
+    ),
+    Escrow.findOne(
+      { depositAddressKeys: Escrow.depositAddressKey(address) },
+      { _id: 1 }
+    ),
+  ]);
+
+  if (contract || poolAddress || depositEscrow) {
+    return "❌ This is an escrow vault/deposit address of this bot. Enter your own wallet address.";
+  }
+  if (await BlocklistService.getAddressBlock(address)) {
+    return "❌ This address is blocked and can't receive payouts. Enter a different wallet address.";
+  }
+  return null;
 }
 
 /**
@@ -22,9 +138,7 @@ function isValidAddress(address, chain = "BSC") {
  * @returns {string} - Error message
  */
 function getAddressErrorMessage(chain = "BSC") {
-  const chainUpper = (chain || "").toUpperCase();
-
-  if (chainUpper === "TRON" || chainUpper === "TRX") {
+  if (isTronChain(chain)) {
     return "❌ Invalid TRON address format. Address must start with T and be 34 characters (base58 encoded).";
   }
 
@@ -37,9 +151,7 @@ function getAddressErrorMessage(chain = "BSC") {
  * @returns {string} - Example message
  */
 function getAddressExample(chain = "BSC") {
-  const chainUpper = (chain || "").toUpperCase();
-
-  if (chainUpper === "TRON" || chainUpper === "TRX") {
+  if (isTronChain(chain)) {
     return "💰 Step 5 - {username}, enter your TRON wallet address (starts with T, 34 characters).";
   }
 
@@ -48,6 +160,8 @@ function getAddressExample(chain = "BSC") {
 
 module.exports = {
   isValidAddress,
+  getAddressError,
+  getPayoutAddressError,
   getAddressErrorMessage,
   getAddressExample,
 };
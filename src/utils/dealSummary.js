@@ -0,0 +1,74 @@
+const ReputationService = require("../services/ReputationService");
+const TrancheService = require("../services/TrancheService");
+
+/**
+ * Deal Summary caption (Telegram HTML) that both parties approve, also
+ * included in dispute case files
+ */
+async function buildDealSummary(escrow) {
+  const amount = escrow.quantity;
+  const rate = escrow.rate;
+  const paymentMethod = escrow.paymentMethod;
+  const chain = escrow.chain;
+  const buyerAddress = escrow.buyerAddress;
+  const sellerAddress = escrow.sellerAddress;
+
+  const buyerUsername = escrow.buyerUsername || "Buyer";
+  const sellerUsername = escrow.sellerUsername || "Seller";
+
+  // Calculate release amount
+  const networkFee = escrow.networkFee || 0;
+  const escrowFeePercent = escrow.feeRate;
+  // Every tranche is its own release and pays the network fee
+  const totalNetworkFee =
+    networkFee *
+    (TrancheService.isTrancheDeal(escrow) ? escrow.tranches.length : 1);
+  const escrowFee = ((amount - totalNetworkFee) * escrowFeePercent) / 100;
+  const releaseAmount = amount - totalNetworkFee - escrowFee;
+
+  let approvalStatus = "";
+  if (escrow.buyerApproved && escrow.sellerApproved) {
+    approvalStatus = "✅ Both parties have approved.";
+  } else {
+    const approvals = [];
+    if (escrow.buyerApproved) {
+      approvals.push(`✅ @${buyerUsername} has approved.`);
+    } else {
+      approvals.push(`⏳ Waiting for @${buyerUsername} to approve.`);
+    }
+    if (escrow.sellerApproved) {
+      approvals.push(`✅ @${sellerUsername} has approved.`);
+    } else {
+      approvals.push(`⏳ Waiting for @${sellerUsername} to approve.`);
+    }
+    approvalStatus = approvals.join("\n");
+  }
+
+  const templateLine = escrow.templateName
+    ? `• <b>Template:</b> ${escrow.templateName}\n`
+    : "";
+  const trancheLine = TrancheService.isTrancheDeal(escrow)
+    ? `• <b>Tranches:</b> ${TrancheService.formatPlan(
+        escrow
+      )} (deposit, fiat and release per tranche, network fee on each)\n`
+    : "";
+  const reputationLines = await ReputationService.formatSummaryLines(escrow);
+
+  return `📋 <b> Deal Summary</b>
+
+${templateLine}• <b>Amount:</b> ${amount} ${escrow.token}
+${trancheLine}• <b>Rate:</b> ₹${rate.toFixed(1)}
+• <b>Payment:</b> ${paymentMethod}
+• <b>Chain:</b> ${chain}
+• <b>Network Fee:</b> ${networkFee} ${escrow.token}
+• <b>Service Fee:</b> ${escrowFeePercent}%
+• <b>Release Amount:</b> ${releaseAmount.toFixed(4)} ${escrow.token}
+• <b>Buyer Address:</b> <code>${buyerAddress}</code>
+• <b>Seller Address:</b> <code>${sellerAddress}</code>
+${reputationLines}
+🛑 <b>Do not send funds here</b> 🛑
+
+${approvalStatus}`;
+}
+
+module.exports = buildDealSummary;
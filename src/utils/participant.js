@@ -121,4 +121,5 @@ module.exports = {
   formatParticipantByIndex,
   formatParticipantById,
   normalizeId,
+  escapeHtml,
 };
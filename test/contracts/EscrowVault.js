@@ -0,0 +1,376 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+const USDT = (amount) => ethers.parseUnits(String(amount), 6);
+const TIMELOCK_DELAY = 48 * 60 * 60;
+
+describe("EscrowVault", function () {
+  // 1% fee vault holding 1,000 mock USDT
+  async function deployVaultFixture() {
+    const [owner, feeWallet, buyer, seller, guardian, stranger] =
+      await ethers.getSigners();
+
+    const MockUSDT = await ethers.getContractFactory("MockUSDT");
+    const usdt = await MockUSDT.deploy(USDT(1000000));
+
+    const EscrowVault = await ethers.getContractFactory("EscrowVault");
+    const vault = await EscrowVault.deploy(
+      await usdt.getAddress(),
+      feeWallet.address,
+      100
+    );
+    await usdt.transfer(await vault.getAddress(), USDT(1000));
+
+    return { vault, usdt, owner, feeWallet, buyer, seller, guardian, stranger };
+  }
+
+  describe("deployment", function () {
+    it("stores token, fee wallet and fee in basis points", async function () {
+      const { vault, usdt, owner, feeWallet } = await loadFixture(
+        deployVaultFixture
+      );
+      expect(await vault.token()).to.equal(await usdt.getAddress());
+      expect(await vault.feeWallet()).to.equal(feeWallet.address);
+      expect(await vault.feePercent()).to.equal(100);
+      expect(await vault.accumulatedFees()).to.equal(0);
+      expect(await vault.owner()).to.equal(owner.address);
+      expect(await vault.guardian()).to.equal(owner.address);
+      expect(await vault.paused()).to.equal(false);
+    });
+  });
+
+  describe("release", function () {
+    it("pays the net amount and keeps the fee in the vault", async function () {
+      const { vault, usdt, buyer } = await loadFixture(deployVaultFixture);
+
+      await expect(vault.release(buyer.address, USDT(100)))
+        .to.emit(vault, "Released")
+        .withArgs(buyer.address, USDT(100), USDT(99), USDT(1));
+
+      expect(await usdt.balanceOf(buyer.address)).to.equal(USDT(99));
+      expect(await vault.accumulatedFees()).to.equal(USDT(1));
+      expect(await usdt.balanceOf(await vault.getAddress())).to.equal(
+        USDT(901)
+      );
+    });
+
+    it("rounds the fee down", async function () {
+      const { vault, buyer } = await loadFixture(deployVaultFixture);
+      // 1% of 0.000199 USDT (199 units) is 1.99 units -> 1
+      await expect(vault.release(buyer.address, 199n))
+        .to.emit(vault, "Released")
+        .withArgs(buyer.address, 199n, 198n, 1n);
+    });
+
+    it("takes no fee from a 0% vault", async function () {
+      const { usdt, feeWallet, buyer } = await loadFixture(deployVaultFixture);
+      const EscrowVault = await ethers.getContractFactory("EscrowVault");
+      const vault = await EscrowVault.deploy(
+        await usdt.getAddress(),
+        feeWallet.address,
+        0
+      );
+      await usdt.transfer(await vault.getAddress(), USDT(10));
+
+      await vault.release(buyer.address, USDT(10));
+      expect(await usdt.balanceOf(buyer.address)).to.equal(USDT(10));
+      expect(await vault.accumulatedFees()).to.equal(0);
+    });
+
+    it("reverts when the vault holds too little", async function () {
+      const { vault, buyer } = await loadFixture(deployVaultFixture);
+      await expect(vault.release(buyer.address, USDT(5000))).to.be.reverted;
+    });
+
+    it("is owner only", async function () {
+      const { vault, buyer, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).release(buyer.address, USDT(1))
+      ).to.be.revertedWith("not-owner");
+    });
+  });
+
+  describe("refund", function () {
+    it("returns the net amount to the seller", async function () {
+      const { vault, usdt, seller } = await loadFixture(deployVaultFixture);
+
+      await expect(vault.refund(seller.address, USDT(50)))
+        .to.emit(vault, "Refunded")
+        .withArgs(seller.address, USDT(50), USDT(49.5), USDT(0.5));
+
+      expect(await usdt.balanceOf(seller.address)).to.equal(USDT(49.5));
+      expect(await vault.accumulatedFees()).to.equal(USDT(0.5));
+    });
+
+    it("is owner only", async function () {
+      const { vault, seller, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).refund(seller.address, USDT(1))
+      ).to.be.revertedWith("not-owner");
+    });
+  });
+
+  describe("withdrawFees", function () {
+    it("sends accumulated fees to the fee wallet and resets them", async function () {
+      const { vault, usdt, feeWallet, buyer } = await loadFixture(
+        deployVaultFixture
+      );
+      await vault.release(buyer.address, USDT(100));
+      await vault.release(buyer.address, USDT(200));
+
+      await expect(vault.withdrawFees())
+        .to.emit(vault, "FeesWithdrawn")
+        .withArgs(USDT(3), feeWallet.address);
+
+      expect(await usdt.balanceOf(feeWallet.address)).to.equal(USDT(3));
+      expect(await vault.accumulatedFees()).to.equal(0);
+    });
+
+    it("reverts with no fees", async function () {
+      const { vault } = await loadFixture(deployVaultFixture);
+      await expect(vault.withdrawFees()).to.be.revertedWith("no-fees");
+    });
+
+    it("is owner only", async function () {
+      const { vault, buyer, stranger } = await loadFixture(deployVaultFixture);
+      await vault.release(buyer.address, USDT(100));
+      await expect(vault.connect(stranger).withdrawFees()).to.be.revertedWith(
+        "not-owner"
+      );
+    });
+  });
+
+  describe("withdrawToken", function () {
+    it("sweeps the whole token balance", async function () {
+      const { vault, usdt, stranger } = await loadFixture(deployVaultFixture);
+
+      await vault.withdrawToken(await usdt.getAddress(), stranger.address);
+
+      expect(await usdt.balanceOf(stranger.address)).to.equal(USDT(1000));
+      expect(await usdt.balanceOf(await vault.getAddress())).to.equal(0);
+    });
+
+    it("sweeps tokens other than the escrowed one", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+      const MockUSDT = await ethers.getContractFactory("MockUSDT");
+      const other = await MockUSDT.deploy(USDT(5));
+      await other.transfer(await vault.getAddress(), USDT(5));
+
+      await vault.withdrawToken(await other.getAddress(), stranger.address);
+      expect(await other.balanceOf(stranger.address)).to.equal(USDT(5));
+    });
+
+    it("rejects the zero address and empty balances", async function () {
+      const { vault, usdt, stranger } = await loadFixture(deployVaultFixture);
+      const MockUSDT = await ethers.getContractFactory("MockUSDT");
+      const empty = await MockUSDT.deploy(0);
+
+      await expect(
+        vault.withdrawToken(await usdt.getAddress(), ethers.ZeroAddress)
+      ).to.be.revertedWith("zero-to");
+      await expect(
+        vault.withdrawToken(await empty.getAddress(), stranger.address)
+      ).to.be.revertedWith("no-balance");
+    });
+
+    it("is owner only", async function () {
+      const { vault, usdt, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault
+          .connect(stranger)
+          .withdrawToken(await usdt.getAddress(), stranger.address)
+      ).to.be.revertedWith("not-owner");
+    });
+  });
+
+  describe("ownership transfer", function () {
+    it("takes effect only when accepted after the timelock", async function () {
+      const { vault, owner, stranger } = await loadFixture(deployVaultFixture);
+
+      await expect(vault.transferOwnership(stranger.address)).to.emit(
+        vault,
+        "OwnershipTransferProposed"
+      );
+      expect(await vault.pendingOwner()).to.equal(stranger.address);
+
+      await expect(
+        vault.connect(stranger).acceptOwnership()
+      ).to.be.revertedWith("timelocked");
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(vault.connect(stranger).acceptOwnership())
+        .to.emit(vault, "OwnershipTransferred")
+        .withArgs(owner.address, stranger.address);
+
+      expect(await vault.owner()).to.equal(stranger.address);
+      expect(await vault.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("can only be accepted by the proposed owner", async function () {
+      const { vault, buyer, stranger } = await loadFixture(deployVaultFixture);
+      await vault.transferOwnership(stranger.address);
+      await time.increase(TIMELOCK_DELAY);
+
+      await expect(vault.connect(buyer).acceptOwnership()).to.be.revertedWith(
+        "not-pending-owner"
+      );
+    });
+
+    it("is owner only and rejects the zero address", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).transferOwnership(stranger.address)
+      ).to.be.revertedWith("not-owner");
+      await expect(
+        vault.transferOwnership(ethers.ZeroAddress)
+      ).to.be.revertedWith("zero-owner");
+    });
+  });
+
+  describe("fee changes", function () {
+    it("applies a new fee wallet after the timelock", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+
+      await expect(vault.proposeFeeWallet(stranger.address)).to.emit(
+        vault,
+        "FeeWalletProposed"
+      );
+      await expect(vault.applyFeeWallet()).to.be.revertedWith("timelocked");
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(vault.applyFeeWallet())
+        .to.emit(vault, "FeeWalletUpdated")
+        .withArgs(stranger.address);
+      expect(await vault.feeWallet()).to.equal(stranger.address);
+      expect(await vault.pendingFeeWalletEta()).to.equal(0);
+    });
+
+    it("applies a new fee percent after the timelock", async function () {
+      const { vault, usdt, buyer } = await loadFixture(deployVaultFixture);
+
+      await vault.proposeFeePercent(250);
+      await expect(vault.applyFeePercent()).to.be.revertedWith("timelocked");
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(vault.applyFeePercent())
+        .to.emit(vault, "FeePercentUpdated")
+        .withArgs(250);
+
+      await vault.release(buyer.address, USDT(100));
+      expect(await usdt.balanceOf(buyer.address)).to.equal(USDT(97.5));
+    });
+
+    it("caps the fee at 10%", async function () {
+      const { vault } = await loadFixture(deployVaultFixture);
+      await expect(vault.proposeFeePercent(1001)).to.be.revertedWith(
+        "too-high"
+      );
+    });
+
+    it("rejects applying with nothing pending", async function () {
+      const { vault } = await loadFixture(deployVaultFixture);
+      await expect(vault.applyFeeWallet()).to.be.revertedWith(
+        "nothing-pending"
+      );
+      await expect(vault.applyFeePercent()).to.be.revertedWith(
+        "nothing-pending"
+      );
+    });
+
+    it("is owner only", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).proposeFeeWallet(stranger.address)
+      ).to.be.revertedWith("not-owner");
+      await expect(
+        vault.connect(stranger).proposeFeePercent(0)
+      ).to.be.revertedWith("not-owner");
+    });
+  });
+
+  describe("guardian", function () {
+    async function guardedVaultFixture() {
+      const fixture = await deployVaultFixture();
+      await fixture.vault.setGuardian(fixture.guardian.address);
+      return fixture;
+    }
+
+    it("hands the role over with setGuardian", async function () {
+      const { vault, guardian, stranger } = await loadFixture(
+        guardedVaultFixture
+      );
+      expect(await vault.guardian()).to.equal(guardian.address);
+
+      await expect(vault.setGuardian(stranger.address)).to.be.revertedWith(
+        "not-guardian"
+      );
+      await expect(
+        vault.connect(guardian).setGuardian(ethers.ZeroAddress)
+      ).to.be.revertedWith("zero-guardian");
+    });
+
+    it("blocks payouts and sweeps while paused", async function () {
+      const { vault, usdt, buyer, guardian } = await loadFixture(
+        guardedVaultFixture
+      );
+      await expect(vault.connect(guardian).pause())
+        .to.emit(vault, "Paused")
+        .withArgs(guardian.address);
+
+      await expect(vault.release(buyer.address, USDT(1))).to.be.revertedWith(
+        "paused"
+      );
+      await expect(vault.refund(buyer.address, USDT(1))).to.be.revertedWith(
+        "paused"
+      );
+      await expect(
+        vault.withdrawToken(await usdt.getAddress(), buyer.address)
+      ).to.be.revertedWith("paused");
+
+      await vault.connect(guardian).unpause();
+      await vault.release(buyer.address, USDT(1));
+    });
+
+    it("lets the owner pause but only the guardian unpause", async function () {
+      const { vault, guardian, stranger } = await loadFixture(
+        guardedVaultFixture
+      );
+      await vault.pause();
+      await expect(vault.unpause()).to.be.revertedWith("not-guardian");
+      await expect(vault.connect(stranger).pause()).to.be.revertedWith(
+        "not-authorized"
+      );
+      await vault.connect(guardian).unpause();
+      expect(await vault.paused()).to.equal(false);
+    });
+
+    it("cancels pending changes", async function () {
+      const { vault, guardian, stranger } = await loadFixture(
+        guardedVaultFixture
+      );
+      await vault.transferOwnership(stranger.address);
+      await vault.proposeFeeWallet(stranger.address);
+      await vault.proposeFeePercent(500);
+
+      await expect(vault.connect(guardian).cancelPendingChanges())
+        .to.emit(vault, "PendingChangesCancelled")
+        .withArgs(guardian.address);
+
+      expect(await vault.pendingOwner()).to.equal(ethers.ZeroAddress);
+      expect(await vault.pendingFeeWalletEta()).to.equal(0);
+      expect(await vault.pendingFeePercentEta()).to.equal(0);
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(vault.applyFeePercent()).to.be.revertedWith(
+        "nothing-pending"
+      );
+      await expect(
+        vault.connect(stranger).cancelPendingChanges()
+      ).to.be.revertedWith("not-authorized");
+    });
+  });
+});
@@ -0,0 +1,426 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const USDT = (amount) => ethers.parseUnits(String(amount), 6);
+const ESCROW_A = ethers.id("escrow-a");
+const ESCROW_B = ethers.id("escrow-b");
+const DEPOSIT_A = ethers.id("deposit-a");
+const DEPOSIT_B = ethers.id("deposit-b");
+
+describe("EscrowVaultV2", function () {
+  // 1% fee vault with 100 mock USDT credited to ESCROW_A
+  async function deployVaultFixture() {
+    const [owner, feeWallet, buyer, seller, guardian, stranger] =
+      await ethers.getSigners();
+
+    const MockUSDT = await ethers.getContractFactory("MockUSDT");
+    const usdt = await MockUSDT.deploy(USDT(1000000));
+
+    const EscrowVaultV2 = await ethers.getContractFactory("EscrowVaultV2");
+    const vault = await EscrowVaultV2.deploy(
+      await usdt.getAddress(),
+      feeWallet.address,
+      100
+    );
+    await usdt.transfer(await vault.getAddress(), USDT(100));
+    await vault.creditDeposit(ESCROW_A, DEPOSIT_A, USDT(100));
+
+    return { vault, usdt, owner, feeWallet, buyer, seller, guardian, stranger };
+  }
+
+  describe("deployment", function () {
+    it("reports version 2 and stores token, fee wallet and fee", async function () {
+      const { vault, usdt, owner, feeWallet } = await loadFixture(
+        deployVaultFixture
+      );
+      expect(await vault.version()).to.equal(2);
+      expect(await vault.token()).to.equal(await usdt.getAddress());
+      expect(await vault.feeWallet()).to.equal(feeWallet.address);
+      expect(await vault.feePercent()).to.equal(100);
+      expect(await vault.owner()).to.equal(owner.address);
+      expect(await vault.guardian()).to.equal(owner.address);
+      expect(await vault.paused()).to.equal(false);
+    });
+  });
+
+  describe("creditDeposit", function () {
+    it("assigns unallocated tokens to an escrow", async function () {
+      const { vault, usdt } = await loadFixture(deployVaultFixture);
+      await usdt.transfer(await vault.getAddress(), USDT(50));
+      expect(await vault.unallocated()).to.equal(USDT(50));
+
+      await expect(vault.creditDeposit(ESCROW_B, DEPOSIT_B, USDT(50)))
+        .to.emit(vault, "DepositCredited")
+        .withArgs(ESCROW_B, DEPOSIT_B, USDT(50));
+
+      expect(await vault.escrowBalance(ESCROW_B)).to.equal(USDT(50));
+      expect(await vault.totalEscrowed()).to.equal(USDT(150));
+      expect(await vault.creditedDeposits(DEPOSIT_B)).to.equal(true);
+      expect(await vault.unallocated()).to.equal(0);
+    });
+
+    it("refuses tokens another escrow already holds", async function () {
+      const { vault, usdt } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.creditDeposit(ESCROW_B, DEPOSIT_B, USDT(1))
+      ).to.be.revertedWith("insufficient-unallocated");
+
+      await usdt.transfer(await vault.getAddress(), USDT(50));
+      await expect(
+        vault.creditDeposit(ESCROW_B, DEPOSIT_B, USDT(51))
+      ).to.be.revertedWith("insufficient-unallocated");
+      expect(await vault.escrowBalance(ESCROW_A)).to.equal(USDT(100));
+    });
+
+    it("refuses collected fees", async function () {
+      const { vault, buyer } = await loadFixture(deployVaultFixture);
+      await vault.release(ESCROW_A, buyer.address, USDT(100));
+      expect(await vault.accumulatedFees()).to.equal(USDT(1));
+
+      await expect(
+        vault.creditDeposit(ESCROW_B, DEPOSIT_B, USDT(1))
+      ).to.be.revertedWith("insufficient-unallocated");
+    });
+
+    it("credits a deposit only once", async function () {
+      const { vault, usdt } = await loadFixture(deployVaultFixture);
+      await usdt.transfer(await vault.getAddress(), USDT(50));
+      await expect(
+        vault.creditDeposit(ESCROW_B, DEPOSIT_A, USDT(50))
+      ).to.be.revertedWith("already-credited");
+    });
+
+    it("rejects a zero amount", async function () {
+      const { vault } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.creditDeposit(ESCROW_B, DEPOSIT_B, 0)
+      ).to.be.revertedWith("zero-amount");
+    });
+
+    it("is owner only and stops while paused", async function () {
+      const { vault, usdt, stranger } = await loadFixture(deployVaultFixture);
+      await usdt.transfer(await vault.getAddress(), USDT(50));
+      await expect(
+        vault.connect(stranger).creditDeposit(ESCROW_B, DEPOSIT_B, USDT(50))
+      ).to.be.revertedWith("not-owner");
+
+      await vault.pause();
+      await expect(
+        vault.creditDeposit(ESCROW_B, DEPOSIT_B, USDT(50))
+      ).to.be.revertedWith("paused");
+    });
+  });
+
+  describe("deposit", function () {
+    it("pulls approved tokens into the escrow", async function () {
+      const { vault, usdt, seller } = await loadFixture(deployVaultFixture);
+      await usdt.transfer(seller.address, USDT(30));
+      await usdt.connect(seller).approve(await vault.getAddress(), USDT(30));
+
+      await expect(vault.connect(seller).deposit(ESCROW_B, USDT(30)))
+        .to.emit(vault, "DepositCredited")
+        .withArgs(ESCROW_B, ethers.ZeroHash, USDT(30));
+
+      expect(await vault.escrowBalance(ESCROW_B)).to.equal(USDT(30));
+      expect(await vault.totalEscrowed()).to.equal(USDT(130));
+      expect(await usdt.balanceOf(seller.address)).to.equal(0);
+    });
+
+    it("reverts without an allowance", async function () {
+      const { vault, usdt, seller } = await loadFixture(deployVaultFixture);
+      await usdt.transfer(seller.address, USDT(30));
+      await expect(vault.connect(seller).deposit(ESCROW_B, USDT(30))).to.be
+        .reverted;
+    });
+
+    it("rejects a zero amount", async function () {
+      const { vault } = await loadFixture(deployVaultFixture);
+      await expect(vault.deposit(ESCROW_B, 0)).to.be.revertedWith(
+        "zero-amount"
+      );
+    });
+  });
+
+  describe("release", function () {
+    it("pays the net amount out of the escrow's balance", async function () {
+      const { vault, usdt, buyer } = await loadFixture(deployVaultFixture);
+
+      await expect(vault.release(ESCROW_A, buyer.address, USDT(100)))
+        .to.emit(vault, "Released")
+        .withArgs(ESCROW_A, buyer.address, USDT(100), USDT(99), USDT(1));
+
+      expect(await usdt.balanceOf(buyer.address)).to.equal(USDT(99));
+      expect(await vault.escrowBalance(ESCROW_A)).to.equal(0);
+      expect(await vault.totalEscrowed()).to.equal(0);
+      expect(await vault.accumulatedFees()).to.equal(USDT(1));
+    });
+
+    it("never spends more than the escrow was credited", async function () {
+      const { vault, usdt, buyer } = await loadFixture(deployVaultFixture);
+      await usdt.transfer(await vault.getAddress(), USDT(50));
+      await vault.creditDeposit(ESCROW_B, DEPOSIT_B, USDT(50));
+
+      await expect(
+        vault.release(ESCROW_B, buyer.address, USDT(51))
+      ).to.be.revertedWith("exceeds-escrow-balance");
+
+      await vault.release(ESCROW_B, buyer.address, USDT(30));
+      await vault.release(ESCROW_B, buyer.address, USDT(20));
+      await expect(
+        vault.release(ESCROW_B, buyer.address, 1n)
+      ).to.be.revertedWith("exceeds-escrow-balance");
+      expect(await vault.escrowBalance(ESCROW_A)).to.equal(USDT(100));
+    });
+
+    it("pays nothing for an escrow that was never credited", async function () {
+      const { vault, buyer } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.release(ESCROW_B, buyer.address, 1n)
+      ).to.be.revertedWith("exceeds-escrow-balance");
+    });
+
+    it("rejects a zero amount", async function () {
+      const { vault, buyer } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.release(ESCROW_A, buyer.address, 0)
+      ).to.be.revertedWith("zero-amount");
+    });
+
+    it("is owner only and stops while paused", async function () {
+      const { vault, buyer, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).release(ESCROW_A, buyer.address, USDT(1))
+      ).to.be.revertedWith("not-owner");
+
+      await vault.pause();
+      await expect(
+        vault.release(ESCROW_A, buyer.address, USDT(1))
+      ).to.be.revertedWith("paused");
+    });
+  });
+
+  describe("refund", function () {
+    it("returns the net amount out of the escrow's balance", async function () {
+      const { vault, usdt, seller } = await loadFixture(deployVaultFixture);
+
+      await expect(vault.refund(ESCROW_A, seller.address, USDT(50)))
+        .to.emit(vault, "Refunded")
+        .withArgs(ESCROW_A, seller.address, USDT(50), USDT(49.5), USDT(0.5));
+
+      expect(await usdt.balanceOf(seller.address)).to.equal(USDT(49.5));
+      expect(await vault.escrowBalance(ESCROW_A)).to.equal(USDT(50));
+      expect(await vault.accumulatedFees()).to.equal(USDT(0.5));
+    });
+
+    it("never spends more than the escrow was credited", async function () {
+      const { vault, seller } = await loadFixture(deployVaultFixture);
+      await vault.refund(ESCROW_A, seller.address, USDT(60));
+      await expect(
+        vault.refund(ESCROW_A, seller.address, USDT(41))
+      ).to.be.revertedWith("exceeds-escrow-balance");
+    });
+
+    it("is owner only and stops while paused", async function () {
+      const { vault, seller, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).refund(ESCROW_A, seller.address, USDT(1))
+      ).to.be.revertedWith("not-owner");
+
+      await vault.pause();
+      await expect(
+        vault.refund(ESCROW_A, seller.address, USDT(1))
+      ).to.be.revertedWith("paused");
+    });
+  });
+
+  describe("split", function () {
+    it("pays both sides in one transaction", async function () {
+      const { vault, usdt, buyer, seller } = await loadFixture(
+        deployVaultFixture
+      );
+
+      await expect(
+        vault.split(ESCROW_A, buyer.address, USDT(60), seller.address, USDT(40))
+      )
+        .to.emit(vault, "Released")
+        .withArgs(ESCROW_A, buyer.address, USDT(60), USDT(59.4), USDT(0.6))
+        .and.to.emit(vault, "Refunded")
+        .withArgs(ESCROW_A, seller.address, USDT(40), USDT(39.6), USDT(0.4));
+
+      expect(await usdt.balanceOf(buyer.address)).to.equal(USDT(59.4));
+      expect(await usdt.balanceOf(seller.address)).to.equal(USDT(39.6));
+      expect(await vault.escrowBalance(ESCROW_A)).to.equal(0);
+      expect(await vault.totalEscrowed()).to.equal(0);
+      expect(await vault.accumulatedFees()).to.equal(USDT(1));
+    });
+
+    it("pays neither side when the escrow holds too little", async function () {
+      const { vault, usdt, buyer, seller } = await loadFixture(
+        deployVaultFixture
+      );
+
+      await expect(
+        vault.split(ESCROW_A, buyer.address, USDT(60), seller.address, USDT(41))
+      ).to.be.revertedWith("exceeds-escrow-balance");
+      await expect(
+        vault.split(ESCROW_B, buyer.address, USDT(1), seller.address, USDT(1))
+      ).to.be.revertedWith("exceeds-escrow-balance");
+
+      expect(await usdt.balanceOf(buyer.address)).to.equal(0);
+      expect(await vault.escrowBalance(ESCROW_A)).to.equal(USDT(100));
+    });
+
+    it("rejects a zero share", async function () {
+      const { vault, buyer, seller } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.split(ESCROW_A, buyer.address, USDT(100), seller.address, 0)
+      ).to.be.revertedWith("zero-amount");
+    });
+
+    it("is owner only and stops while paused", async function () {
+      const { vault, buyer, seller, stranger } = await loadFixture(
+        deployVaultFixture
+      );
+      await expect(
+        vault
+          .connect(stranger)
+          .split(ESCROW_A, buyer.address, USDT(60), seller.address, USDT(40))
+      ).to.be.revertedWith("not-owner");
+
+      await vault.pause();
+      await expect(
+        vault.split(ESCROW_A, buyer.address, USDT(60), seller.address, USDT(40))
+      ).to.be.revertedWith("paused");
+    });
+  });
+
+  describe("closeEscrow", function () {
+    it("moves the network fee left after a payout into the fees", async function () {
+      const { vault, usdt, feeWallet, buyer } = await loadFixture(
+        deployVaultFixture
+      );
+      // The bot releases the deposit minus a 0.2 USDT network fee
+      await vault.release(ESCROW_A, buyer.address, USDT(99.8));
+      expect(await vault.escrowBalance(ESCROW_A)).to.equal(USDT(0.2));
+
+      await expect(vault.closeEscrow(ESCROW_A))
+        .to.emit(vault, "EscrowClosed")
+        .withArgs(ESCROW_A, USDT(0.2));
+
+      expect(await vault.escrowBalance(ESCROW_A)).to.equal(0);
+      expect(await vault.totalEscrowed()).to.equal(0);
+      expect(await vault.accumulatedFees()).to.equal(USDT(1.198));
+
+      await vault.withdrawFees();
+      expect(await usdt.balanceOf(feeWallet.address)).to.equal(USDT(1.198));
+      expect(await usdt.balanceOf(await vault.getAddress())).to.equal(0);
+    });
+
+    it("leaves other escrows untouched", async function () {
+      const { vault, usdt, seller } = await loadFixture(deployVaultFixture);
+      await usdt.transfer(await vault.getAddress(), USDT(50));
+      await vault.creditDeposit(ESCROW_B, DEPOSIT_B, USDT(50));
+      await vault.refund(ESCROW_A, seller.address, USDT(99.8));
+
+      await vault.closeEscrow(ESCROW_A);
+      expect(await vault.escrowBalance(ESCROW_B)).to.equal(USDT(50));
+      expect(await vault.totalEscrowed()).to.equal(USDT(50));
+    });
+
+    it("reverts once nothing is left", async function () {
+      const { vault, buyer } = await loadFixture(deployVaultFixture);
+      await vault.release(ESCROW_A, buyer.address, USDT(100));
+      await expect(vault.closeEscrow(ESCROW_A)).to.be.revertedWith(
+        "nothing-left"
+      );
+      await expect(vault.closeEscrow(ESCROW_B)).to.be.revertedWith(
+        "nothing-left"
+      );
+    });
+
+    it("is owner only and stops while paused", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).closeEscrow(ESCROW_A)
+      ).to.be.revertedWith("not-owner");
+
+      await vault.pause();
+      await expect(vault.closeEscrow(ESCROW_A)).to.be.revertedWith("paused");
+    });
+  });
+
+  describe("withdrawFees", function () {
+    it("sends collected fees to the fee wallet", async function () {
+      const { vault, usdt, feeWallet, buyer } = await loadFixture(
+        deployVaultFixture
+      );
+      await vault.release(ESCROW_A, buyer.address, USDT(100));
+
+      await expect(vault.withdrawFees())
+        .to.emit(vault, "FeesWithdrawn")
+        .withArgs(USDT(1), feeWallet.address);
+      expect(await usdt.balanceOf(feeWallet.address)).to.equal(USDT(1));
+      expect(await vault.accumulatedFees()).to.equal(0);
+    });
+
+    it("reverts with no fees and is owner only", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+      await expect(vault.withdrawFees()).to.be.revertedWith("no-fees");
+      await expect(vault.connect(stranger).withdrawFees()).to.be.revertedWith(
+        "not-owner"
+      );
+    });
+  });
+
+  describe("withdrawToken", function () {
+    it("sweeps only tokens no escrow or fee claims", async function () {
+      const { vault, usdt, stranger } = await loadFixture(deployVaultFixture);
+      await usdt.transfer(await vault.getAddress(), USDT(10));
+
+      await vault.withdrawToken(await usdt.getAddress(), stranger.address);
+      expect(await usdt.balanceOf(stranger.address)).to.equal(USDT(10));
+      expect(await vault.escrowBalance(ESCROW_A)).to.equal(USDT(100));
+      expect(await usdt.balanceOf(await vault.getAddress())).to.equal(
+        USDT(100)
+      );
+    });
+
+    it("has nothing to sweep while every token is claimed", async function () {
+      const { vault, usdt, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.withdrawToken(await usdt.getAddress(), stranger.address)
+      ).to.be.revertedWith("no-balance");
+    });
+
+    it("is owner only", async function () {
+      const { vault, usdt, stranger } = await loadFixture(deployVaultFixture);
+      await usdt.transfer(await vault.getAddress(), USDT(10));
+      await expect(
+        vault
+          .connect(stranger)
+          .withdrawToken(await usdt.getAddress(), stranger.address)
+      ).to.be.revertedWith("not-owner");
+    });
+  });
+
+  describe("pause", function () {
+    it("is reserved to the owner and guardian; only the guardian unpauses", async function () {
+      const { vault, owner, guardian, stranger } = await loadFixture(
+        deployVaultFixture
+      );
+      await vault.setGuardian(guardian.address);
+
+      await expect(vault.connect(stranger).pause()).to.be.revertedWith(
+        "not-authorized"
+      );
+      await expect(vault.pause())
+        .to.emit(vault, "Paused")
+        .withArgs(owner.address);
+      await expect(vault.unpause()).to.be.revertedWith("not-guardian");
+      await expect(vault.connect(guardian).unpause())
+        .to.emit(vault, "Unpaused")
+        .withArgs(guardian.address);
+    });
+  });
+});
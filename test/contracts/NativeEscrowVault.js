@@ -0,0 +1,296 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadFixture,
+  time,
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+const BNB = (amount) => ethers.parseEther(String(amount));
+const TIMELOCK_DELAY = 48 * 60 * 60;
+
+describe("NativeEscrowVault", function () {
+  // 1% fee vault holding 10 BNB
+  async function deployVaultFixture() {
+    const [owner, feeWallet, buyer, seller, guardian, stranger] =
+      await ethers.getSigners();
+
+    const NativeEscrowVault = await ethers.getContractFactory(
+      "NativeEscrowVault"
+    );
+    const vault = await NativeEscrowVault.deploy(feeWallet.address, 100);
+    await owner.sendTransaction({
+      to: await vault.getAddress(),
+      value: BNB(10),
+    });
+
+    return { vault, owner, feeWallet, buyer, seller, guardian, stranger };
+  }
+
+  describe("deployment", function () {
+    it("reports the zero token and stores fee wallet and fee", async function () {
+      const { vault, owner, feeWallet } = await loadFixture(deployVaultFixture);
+      expect(await vault.token()).to.equal(ethers.ZeroAddress);
+      expect(await vault.feeWallet()).to.equal(feeWallet.address);
+      expect(await vault.feePercent()).to.equal(100);
+      expect(await vault.accumulatedFees()).to.equal(0);
+      expect(await vault.owner()).to.equal(owner.address);
+      expect(await vault.guardian()).to.equal(owner.address);
+      expect(await vault.paused()).to.equal(false);
+    });
+  });
+
+  describe("deposit", function () {
+    it("accepts plain transfers and logs them", async function () {
+      const { vault, seller } = await loadFixture(deployVaultFixture);
+      const vaultAddress = await vault.getAddress();
+
+      await expect(seller.sendTransaction({ to: vaultAddress, value: BNB(2) }))
+        .to.emit(vault, "Deposited")
+        .withArgs(seller.address, BNB(2));
+      expect(await ethers.provider.getBalance(vaultAddress)).to.equal(BNB(12));
+    });
+  });
+
+  describe("release", function () {
+    it("pays the net amount and keeps the fee in the vault", async function () {
+      const { vault, buyer } = await loadFixture(deployVaultFixture);
+
+      const tx = vault.release(buyer.address, BNB(1));
+      await expect(tx)
+        .to.emit(vault, "Released")
+        .withArgs(buyer.address, BNB(1), BNB(0.99), BNB(0.01));
+      await expect(tx).to.changeEtherBalances(
+        [vault, buyer],
+        [-BNB(0.99), BNB(0.99)]
+      );
+      expect(await vault.accumulatedFees()).to.equal(BNB(0.01));
+    });
+
+    it("reverts when the vault holds too little", async function () {
+      const { vault, buyer } = await loadFixture(deployVaultFixture);
+      await expect(vault.release(buyer.address, BNB(11))).to.be.revertedWith(
+        "insufficient-balance"
+      );
+    });
+
+    it("never pays out collected fees", async function () {
+      const { vault, buyer } = await loadFixture(deployVaultFixture);
+      await vault.release(buyer.address, BNB(5));
+
+      // 5.05 BNB left, 0.05 of it fees: 5.05 gross would need 5.1
+      await expect(vault.release(buyer.address, BNB(5.05))).to.be.revertedWith(
+        "insufficient-balance"
+      );
+      await vault.release(buyer.address, BNB(5));
+      expect(
+        await ethers.provider.getBalance(await vault.getAddress())
+      ).to.equal(BNB(0.1));
+    });
+
+    it("is owner only", async function () {
+      const { vault, buyer, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).release(buyer.address, BNB(1))
+      ).to.be.revertedWith("not-owner");
+    });
+  });
+
+  describe("refund", function () {
+    it("returns the net amount to the seller", async function () {
+      const { vault, seller } = await loadFixture(deployVaultFixture);
+
+      const tx = vault.refund(seller.address, BNB(4));
+      await expect(tx)
+        .to.emit(vault, "Refunded")
+        .withArgs(seller.address, BNB(4), BNB(3.96), BNB(0.04));
+      await expect(tx).to.changeEtherBalance(seller, BNB(3.96));
+      expect(await vault.accumulatedFees()).to.equal(BNB(0.04));
+    });
+
+    it("reverts when the vault holds too little", async function () {
+      const { vault, seller } = await loadFixture(deployVaultFixture);
+      await expect(vault.refund(seller.address, BNB(11))).to.be.revertedWith(
+        "insufficient-balance"
+      );
+    });
+
+    it("is owner only", async function () {
+      const { vault, seller, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).refund(seller.address, BNB(1))
+      ).to.be.revertedWith("not-owner");
+    });
+  });
+
+  describe("withdrawFees", function () {
+    it("sends accumulated fees to the fee wallet and resets them", async function () {
+      const { vault, feeWallet, buyer } = await loadFixture(deployVaultFixture);
+      await vault.release(buyer.address, BNB(1));
+      await vault.release(buyer.address, BNB(2));
+
+      const tx = vault.withdrawFees();
+      await expect(tx)
+        .to.emit(vault, "FeesWithdrawn")
+        .withArgs(BNB(0.03), feeWallet.address);
+      await expect(tx).to.changeEtherBalance(feeWallet, BNB(0.03));
+      expect(await vault.accumulatedFees()).to.equal(0);
+    });
+
+    it("reverts with no fees", async function () {
+      const { vault } = await loadFixture(deployVaultFixture);
+      await expect(vault.withdrawFees()).to.be.revertedWith("no-fees");
+    });
+
+    it("is owner only", async function () {
+      const { vault, buyer, stranger } = await loadFixture(deployVaultFixture);
+      await vault.release(buyer.address, BNB(1));
+      await expect(vault.connect(stranger).withdrawFees()).to.be.revertedWith(
+        "not-owner"
+      );
+    });
+  });
+
+  describe("withdrawNative", function () {
+    it("sweeps the whole balance, fees included", async function () {
+      const { vault, buyer, stranger } = await loadFixture(deployVaultFixture);
+      await vault.release(buyer.address, BNB(1));
+
+      const tx = vault.withdrawNative(stranger.address);
+      await expect(tx).to.changeEtherBalances(
+        [vault, stranger],
+        [-BNB(9.01), BNB(9.01)]
+      );
+      expect(await vault.accumulatedFees()).to.equal(0);
+    });
+
+    it("rejects the zero address and an empty vault", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+      await expect(vault.withdrawNative(ethers.ZeroAddress)).to.be.revertedWith(
+        "zero-to"
+      );
+
+      await vault.withdrawNative(stranger.address);
+      await expect(vault.withdrawNative(stranger.address)).to.be.revertedWith(
+        "no-balance"
+      );
+    });
+
+    it("is owner only", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).withdrawNative(stranger.address)
+      ).to.be.revertedWith("not-owner");
+    });
+  });
+
+  describe("withdrawToken", function () {
+    it("sweeps tokens sent to the vault by mistake", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+      const MockUSDT = await ethers.getContractFactory("MockUSDT");
+      const usdt = await MockUSDT.deploy(5000000n);
+      await usdt.transfer(await vault.getAddress(), 5000000n);
+
+      await vault.withdrawToken(await usdt.getAddress(), stranger.address);
+      expect(await usdt.balanceOf(stranger.address)).to.equal(5000000n);
+    });
+
+    it("is owner only", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+      const MockUSDT = await ethers.getContractFactory("MockUSDT");
+      const usdt = await MockUSDT.deploy(5000000n);
+      await usdt.transfer(await vault.getAddress(), 5000000n);
+      await expect(
+        vault
+          .connect(stranger)
+          .withdrawToken(await usdt.getAddress(), stranger.address)
+      ).to.be.revertedWith("not-owner");
+    });
+  });
+
+  describe("ownership transfer", function () {
+    it("takes effect only when accepted after the timelock", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+
+      await vault.transferOwnership(stranger.address);
+      await expect(
+        vault.connect(stranger).acceptOwnership()
+      ).to.be.revertedWith("timelocked");
+
+      await time.increase(TIMELOCK_DELAY);
+      await vault.connect(stranger).acceptOwnership();
+      expect(await vault.owner()).to.equal(stranger.address);
+    });
+
+    it("is owner only", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).transferOwnership(stranger.address)
+      ).to.be.revertedWith("not-owner");
+    });
+  });
+
+  describe("fee changes", function () {
+    it("applies a new fee percent after the timelock", async function () {
+      const { vault, buyer } = await loadFixture(deployVaultFixture);
+
+      await vault.proposeFeePercent(250);
+      await expect(vault.applyFeePercent()).to.be.revertedWith("timelocked");
+
+      await time.increase(TIMELOCK_DELAY);
+      await vault.applyFeePercent();
+      await expect(vault.release(buyer.address, BNB(1))).to.changeEtherBalance(
+        buyer,
+        BNB(0.975)
+      );
+    });
+
+    it("is owner only", async function () {
+      const { vault, stranger } = await loadFixture(deployVaultFixture);
+      await expect(
+        vault.connect(stranger).proposeFeeWallet(stranger.address)
+      ).to.be.revertedWith("not-owner");
+      await expect(
+        vault.connect(stranger).proposeFeePercent(0)
+      ).to.be.revertedWith("not-owner");
+    });
+  });
+
+  describe("guardian", function () {
+    async function guardedVaultFixture() {
+      const fixture = await deployVaultFixture();
+      await fixture.vault.setGuardian(fixture.guardian.address);
+      return fixture;
+    }
+
+    it("blocks payouts and sweeps while paused", async function () {
+      const { vault, buyer, guardian } = await loadFixture(guardedVaultFixture);
+      await vault.connect(guardian).pause();
+
+      await expect(vault.release(buyer.address, BNB(1))).to.be.revertedWith(
+        "paused"
+      );
+      await expect(vault.refund(buyer.address, BNB(1))).to.be.revertedWith(
+        "paused"
+      );
+      await expect(vault.withdrawNative(buyer.address)).to.be.revertedWith(
+        "paused"
+      );
+
+      await vault.connect(guardian).unpause();
+      await vault.release(buyer.address, BNB(1));
+    });
+
+    it("lets the owner pause but only the guardian unpause", async function () {
+      const { vault, guardian, stranger } = await loadFixture(
+        guardedVaultFixture
+      );
+      await vault.pause();
+      await expect(vault.unpause()).to.be.revertedWith("not-guardian");
+      await expect(vault.connect(stranger).pause()).to.be.revertedWith(
+        "not-authorized"
+      );
+      await vault.connect(guardian).unpause();
+      expect(await vault.paused()).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+const {
+  DEPLOYER_PRIVATE_KEY,
+  startLocalChain,
+  deployEscrowVault,
+} = require("./helpers/localChain");
+
+// The payout journal and vault registry live in MongoDB; keep them in
+// memory so the suite only needs the local chain
+jest.mock("../../src/services/PayoutService", () => ({
+  createIntent: jest.fn(async (data) => ({ _id: "payout-id", ...data })),
+  markSigned: jest.fn(),
+  markBroadcast: jest.fn(),
+  markConfirmed: jest.fn(),
+  markFailed: jest.fn(),
+}));
+jest.mock("../../src/models/Contract", () => ({
+  findOne: jest.fn().mockResolvedValue(null),
+}));
+
+// USDT on the SEPOLIA adapter has 6 decimals, like MockUSDT
+const NETWORK = "SEPOLIA";
+
+describe("BlockchainService on a local chain", () => {
+  let chain;
+  let fixture;
+  let config;
+  let BlockchainService;
+  let PayoutService;
+  let startBlock;
+
+  const units = (amount) => BigInt(Math.round(amount * 1e6));
+
+  beforeAll(async () => {
+    chain = await startLocalChain();
+    fixture = await deployEscrowVault(100);
+
+    // Adapters read their RPC URL when the registry loads
+    process.env.SEPOLIA_RPC_URL = chain.rpcUrl;
+    process.env.HOT_WALLET_PRIVATE_KEY = DEPLOYER_PRIVATE_KEY;
+    config = require("../../config");
+    config.USDT_SEPOLIA = fixture.usdtAddress;
+    BlockchainService = require("../../src/services/BlockchainService");
+    PayoutService = require("../../src/services/PayoutService");
+
+    startBlock = await BlockchainService.getLatestBlockNumber(NETWORK);
+  });
+
+  afterAll(async () => {
+    if (BlockchainService) {
+      BlockchainService.getProvider(NETWORK).destroy();
+    }
+    if (chain) {
+      await chain.close();
+    }
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    // ethers answers repeated RPC calls from a 250ms cache; Hardhat mines
+    // instantly, so let it expire or block numbers and nonces come back stale
+    await new Promise((resolve) => setTimeout(resolve, 300));
+  });
+
+  describe("deposit detection", () => {
+    let depositHash;
+    let otherHash;
+
+    beforeAll(async () => {
+      const { usdt, depositor, buyer, vaultAddress } = fixture;
+      const tx = await usdt
+        .connect(depositor)
+        .transfer(vaultAddress, units(100));
+      depositHash = tx.hash;
+      await tx.wait();
+      // Not to the vault: must not be reported
+      const other = await usdt.connect(depositor).transfer(buyer.address, 5n);
+      otherHash = other.hash;
+      await other.wait();
+    });
+
+    it("reports transfers into the vault", async () => {
+      const transfers = await BlockchainService.getTokenTransfersViaRPC(
+        "USDT",
+        NETWORK,
+        fixture.vaultAddress,
+        startBlock
+      );
+
+      expect(transfers).toHaveLength(1);
+      expect(transfers[0]).toMatchObject({
+        from: fixture.depositor.address,
+        to: fixture.vaultAddress,
+        valueDecimal: 100,
+        valueWei: units(100).toString(),
+        hash: depositHash,
+      });
+    });
+
+    it("throws instead of reporting no transfers when a block range fails", async () => {
+      const provider = BlockchainService.getProvider(NETWORK);
+      jest
+        .spyOn(provider, "getLogs")
+        .mockRejectedValueOnce(new Error("upstream timeout"));
+
+      await expect(
+        BlockchainService.getTokenTransfersViaRPC(
+          "USDT",
+          NETWORK,
+          fixture.vaultAddress,
+          startBlock
+        )
+      ).rejects.toThrow("upstream timeout");
+      provider.getLogs.mockRestore();
+    });
+
+    it("reads the transfer into the vault from a pasted hash", async () => {
+      const txHash = BlockchainService.normalizeTxHash(
+        NETWORK,
+        depositHash.slice(2).toUpperCase()
+      );
+      expect(txHash).toBe(depositHash.toLowerCase());
+
+      const lookup = await BlockchainService.getTransferByHash(
+        NETWORK,
+        "USDT",
+        txHash,
+        fixture.vaultAddress
+      );
+      expect(lookup.state).toBe("found");
+      expect(lookup.transfer).toMatchObject({
+        from: fixture.depositor.address,
+        valueDecimal: 100,
+        valueWei: units(100).toString(),
+      });
+      expect(lookup.transfer.blockNumber).toBeGreaterThan(startBlock);
+
+      await expect(
+        BlockchainService.getTransferByHash(
+          NETWORK,
+          "USDT",
+          otherHash,
+          fixture.vaultAddress
+        )
+      ).resolves.toEqual({ state: "no_transfer" });
+      await expect(
+        BlockchainService.getTransferByHash(
+          NETWORK,
+          "USDT",
+          `0x${"9".repeat(64)}`,
+          fixture.vaultAddress
+        )
+      ).resolves.toEqual({ state: "not_found" });
+      expect(BlockchainService.normalizeTxHash(NETWORK, "0x1234")).toBeNull();
+    });
+
+    it("reads the vault balance", async () => {
+      await expect(
+        BlockchainService.getTokenBalance("USDT", NETWORK, fixture.vaultAddress)
+      ).resolves.toBe(100);
+    });
+
+    it("finds the block of a deposit", async () => {
+      const blockNumber = await BlockchainService.getTransactionBlockNumber(
+        NETWORK,
+        depositHash
+      );
+      expect(blockNumber).toBeGreaterThan(startBlock);
+    });
+  });
+
+  describe("releaseFunds", () => {
+    it("pays the buyer minus the vault fee and journals the payout", async () => {
+      const result = await BlockchainService.releaseFunds(
+        "USDT",
+        NETWORK,
+        fixture.buyer.address,
+        40,
+        null,
+        null,
+        fixture.vaultAddress,
+        { escrowId: "ESC-RELEASE" }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.payoutId).toBe("payout-id");
+      // 5 units arrived earlier from the ignored transfer
+      expect(await fixture.usdt.balanceOf(fixture.buyer.address)).toBe(
+        units(39.6) + 5n
+      );
+      expect(await fixture.vault.accumulatedFees()).toBe(units(0.4));
+
+      expect(PayoutService.createIntent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          escrowId: "ESC-RELEASE",
+          type: "release",
+          network: NETWORK,
+          destination: fixture.buyer.address,
+          amountWei: units(40).toString(),
+        })
+      );
+      expect(PayoutService.markSigned).toHaveBeenCalled();
+      expect(PayoutService.markBroadcast).toHaveBeenCalled();
+      expect(PayoutService.markConfirmed).toHaveBeenCalledWith(
+        expect.anything(),
+        result.blockNumber
+      );
+    });
+
+    it("refuses more than the vault holds without sending anything", async () => {
+      await expect(
+        BlockchainService.releaseFunds(
+          "USDT",
+          NETWORK,
+          fixture.buyer.address,
+          1000,
+          null,
+          null,
+          fixture.vaultAddress,
+          { escrowId: "ESC-TOO-MUCH" }
+        )
+      ).rejects.toThrow("Insufficient Vault Balance");
+      expect(PayoutService.createIntent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("refundFunds", () => {
+    it("returns the exact wei amount to the seller", async () => {
+      const result = await BlockchainService.refundFunds(
+        "USDT",
+        NETWORK,
+        fixture.seller.address,
+        60,
+        units(60).toString(),
+        null,
+        fixture.vaultAddress,
+        { escrowId: "ESC-REFUND" }
+      );
+
+      expect(result.success).toBe(true);
+      expect(await fixture.usdt.balanceOf(fixture.seller.address)).toBe(
+        units(59.4)
+      );
+      expect(PayoutService.createIntent).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "refund", escrowId: "ESC-REFUND" })
+      );
+    });
+  });
+
+  describe("closeEscrow", () => {
+    it("sends nothing to a vault without per-escrow balances", async () => {
+      const before = await BlockchainService.getLatestBlockNumber(NETWORK);
+      const result = await BlockchainService.closeEscrow({
+        escrowId: "ESC-REFUND",
+        token: "USDT",
+        chain: NETWORK,
+        contractAddress: fixture.vaultAddress,
+      });
+
+      expect(result).toBeNull();
+      expect(await BlockchainService.getLatestBlockNumber(NETWORK)).toBe(
+        before
+      );
+    });
+  });
+
+  describe("paused vault", () => {
+    it("fails payouts before signing", async () => {
+      await (await fixture.vault.pause()).wait();
+
+      await expect(
+        BlockchainService.releaseFunds(
+          "USDT",
+          NETWORK,
+          fixture.buyer.address,
+          0.1,
+          null,
+          null,
+          fixture.vaultAddress,
+          { escrowId: "ESC-PAUSED" }
+        )
+      ).rejects.toThrow("Vault Paused");
+      expect(PayoutService.createIntent).not.toHaveBeenCalled();
+    });
+  });
+});
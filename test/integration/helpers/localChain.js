@@ -0,0 +1,66 @@
+const hre = require("hardhat");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+
+// First default Hardhat account: deploys the contracts, so it owns the vault
+// and plays the bot's hot wallet
+const DEPLOYER_PRIVATE_KEY =
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+/**
+ * Start the in-process Hardhat network behind a JSON-RPC server on a free
+ * port, so code that only knows RPC URLs (BlockchainService) can use it.
+ * @returns {Promise<{rpcUrl: string, close: Function}>}
+ */
+async function startLocalChain() {
+  await hre.run("compile", { quiet: true });
+
+  const server = await hre.run(TASK_NODE_CREATE_SERVER, {
+    hostname: "127.0.0.1",
+    port: 0,
+    provider: hre.network.provider,
+  });
+  const { port } = await server.listen();
+
+  return {
+    rpcUrl: `http://127.0.0.1:${port}`,
+    close: () => server.close(),
+  };
+}
+
+/**
+ * Deploy a mock USDT (6 decimals) and an EscrowVault for it
+ * @param {number} feeBps - Vault fee in basis points
+ */
+async function deployEscrowVault(feeBps = 100) {
+  const [owner, feeWallet, depositor, buyer, seller] =
+    await hre.ethers.getSigners();
+
+  const MockUSDT = await hre.ethers.getContractFactory("MockUSDT");
+  const usdt = await MockUSDT.deploy(hre.ethers.parseUnits("1000000", 6));
+  await usdt.transfer(depositor.address, hre.ethers.parseUnits("10000", 6));
+
+  const EscrowVault = await hre.ethers.getContractFactory("EscrowVault");
+  const vault = await EscrowVault.deploy(
+    await usdt.getAddress(),
+    feeWallet.address,
+    feeBps
+  );
+
+  return {
+    usdt,
+    vault,
+    usdtAddress: await usdt.getAddress(),
+    vaultAddress: await vault.getAddress(),
+    owner,
+    feeWallet,
+    depositor,
+    buyer,
+    seller,
+  };
+}
+
+module.exports = {
+  DEPLOYER_PRIVATE_KEY,
+  startLocalChain,
+  deployEscrowVault,
+};
@@ -0,0 +1,1321 @@
+const {
+  BOT_USER,
+  BotSimulator,
+  body,
+  buttons,
+} = require("./helpers/botSimulator");
+
+const MAIN_GROUP_ID = -1001000000001;
+const ROOM_ID = -1001000000002;
+const DISPUTE_CHANNEL_ID = -1001000000003;
+const VAULT_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const BUYER_ADDRESS = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const SELLER_ADDRESS = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const DEPOSIT_HASH = `0x${"1".repeat(64)}`;
+const RELEASE_HASH = `0x${"2".repeat(64)}`;
+
+describe("deal flow simulation", () => {
+  let sim;
+  let Escrow;
+  let GroupPool;
+  let Contract;
+  let BlockchainService;
+  let DepositWatcherService;
+  let alice;
+  let bob;
+
+  const findEscrow = () => Escrow.findOne({ groupId: String(ROOM_ID) }).lean();
+
+  /**
+   * /deal in the main group, then both parties join the assigned room
+   */
+  async function openDealRoom() {
+    await sim.send(alice, MAIN_GROUP_ID, "/deal @bob");
+    await sim.requestJoin(alice, ROOM_ID);
+    await sim.requestJoin(bob, ROOM_ID);
+    return Escrow.findOne({ groupId: String(ROOM_ID) });
+  }
+
+  beforeAll(async () => {
+    sim = await BotSimulator.start();
+    Escrow = require("../../src/models/Escrow");
+    GroupPool = require("../../src/models/GroupPool");
+    Contract = require("../../src/models/Contract");
+    BlockchainService = require("../../src/services/BlockchainService");
+    DepositWatcherService = require("../../src/services/DepositWatcherService");
+  });
+
+  afterAll(async () => {
+    if (sim) {
+      await sim.stop();
+    }
+  });
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await sim.reset();
+
+    alice = sim.user({ id: 1001, username: "alice" });
+    bob = sim.user({ id: 1002, username: "bob" });
+    sim.group({ id: MAIN_GROUP_ID, title: "P2P Main" }, [alice, bob]);
+    sim.group({ id: ROOM_ID, title: "Room 4" });
+
+    await GroupPool.create({
+      groupId: String(ROOM_ID),
+      groupTitle: "Room 4",
+      feePercent: 0.75,
+    });
+    await Contract.create({
+      name: "EscrowVault",
+      token: "USDT",
+      network: "BSC",
+      address: VAULT_ADDRESS,
+      feePercent: 0.75,
+    });
+
+    jest
+      .spyOn(BlockchainService, "getLatestBlockNumber")
+      .mockResolvedValue(1000);
+  });
+
+  it("runs a deal from /deal to release", async () => {
+    // /deal @bob: a pool room is assigned and its invite posted
+    await sim.send(alice, MAIN_GROUP_ID, "/deal @bob");
+
+    let escrow = await findEscrow();
+    expect(escrow).toMatchObject({
+      status: "draft",
+      creatorId: alice.id,
+      feeRate: 0.75,
+    });
+    expect(escrow.allowedUserIds).toEqual([alice.id, bob.id]);
+    const invite = sim.lastBotMessage(MAIN_GROUP_ID);
+    expect(body(invite)).toContain("Deal Room Created");
+    expect(body(invite)).toContain(escrow.inviteLink);
+    expect((await GroupPool.findOne({ groupId: String(ROOM_ID) })).status).toBe(
+      "assigned"
+    );
+
+    // Both parties join through the join-request link
+    await sim.requestJoin(alice, ROOM_ID);
+    expect(body(sim.lastBotMessage(ROOM_ID))).toContain("Waiting for");
+
+    await sim.requestJoin(bob, ROOM_ID);
+    expect(sim.isMember(ROOM_ID, alice)).toBe(true);
+    expect(sim.isMember(ROOM_ID, bob)).toBe(true);
+    expect(buttons(sim.lastBotMessage(ROOM_ID))).toEqual([
+      "select_role_buyer",
+      "select_role_seller",
+    ]);
+    expect(body(sim.lastBotMessage(MAIN_GROUP_ID))).toContain("Trade started");
+
+    // Step 1: roles
+    await sim.press(alice, ROOM_ID, "select_role_buyer");
+    expect(sim.lastAnswer()).toBe("Buyer role selected");
+    await sim.press(bob, ROOM_ID, "select_role_seller");
+
+    escrow = await findEscrow();
+    expect(escrow).toMatchObject({
+      buyerId: alice.id,
+      sellerId: bob.id,
+      tradeDetailsStep: "step2_blockchain",
+    });
+    expect(buttons(sim.lastBotMessage(ROOM_ID))).toContain(
+      "step2_select_chain_BSC"
+    );
+
+    // Steps 2 and 3: chain and coin
+    await sim.press(alice, ROOM_ID, "step2_select_chain_BSC");
+    expect(buttons(sim.lastBotMessage(ROOM_ID))).toContain(
+      "step3_select_coin_USDT"
+    );
+    await sim.press(alice, ROOM_ID, "step3_select_coin_USDT");
+    expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+      "Step 4 - Enter USDT Amount"
+    );
+
+    // Steps 4 to 6: amount, rate and payment method as plain messages
+    await sim.send(alice, ROOM_ID, "100");
+    await sim.send(bob, ROOM_ID, "89.5");
+    await sim.send(alice, ROOM_ID, "upi");
+
+    escrow = await findEscrow();
+    expect(escrow).toMatchObject({
+      chain: "BSC",
+      token: "USDT",
+      quantity: 100,
+      rate: 89.5,
+      paymentMethod: "UPI",
+      tradeDetailsStep: "step7_addresses",
+    });
+
+    // Steps 7 and 8: payout addresses, then the summary to approve
+    await sim.send(alice, ROOM_ID, BUYER_ADDRESS);
+    await sim.send(bob, ROOM_ID, SELLER_ADDRESS);
+
+    const summary = sim.lastBotMessage(ROOM_ID);
+    expect(body(summary)).toContain("Deal Summary");
+    expect(buttons(summary)).toEqual(["approve_deal_summary"]);
+
+    await sim.press(alice, ROOM_ID, "approve_deal_summary");
+    expect(body(summary)).toContain("@alice has approved");
+    await sim.press(bob, ROOM_ID, "approve_deal_summary");
+
+    escrow = await findEscrow();
+    expect(escrow).toMatchObject({
+      status: "awaiting_deposit",
+      buyerAddress: BUYER_ADDRESS,
+      sellerAddress: SELLER_ADDRESS,
+      depositAddress: VAULT_ADDRESS,
+      lastCheckedBlock: 1000,
+    });
+    expect(buttons(summary)).toEqual([]);
+    expect(sim.calls("pinChatMessage")).toHaveLength(1);
+    expect(buttons(sim.lastBotMessage(ROOM_ID))).toEqual([
+      "confirm_sent_deposit",
+    ]);
+
+    // The deposit watcher finds the seller's transfer to the vault
+    BlockchainService.getLatestBlockNumber.mockResolvedValue(1020);
+    jest.spyOn(BlockchainService, "getTokenTransfersViaRPC").mockResolvedValue([
+      {
+        hash: DEPOSIT_HASH,
+        from: SELLER_ADDRESS,
+        to: VAULT_ADDRESS,
+        valueDecimal: 100,
+        valueWei: "100000000000000000000",
+        blockNumber: 1001,
+      },
+    ]);
+    jest
+      .spyOn(BlockchainService, "getTransactionBlockNumber")
+      .mockResolvedValue(1001);
+
+    await DepositWatcherService.checkEscrow(
+      await Escrow.findOne({ groupId: String(ROOM_ID) }),
+      sim.telegram
+    );
+
+    escrow = await findEscrow();
+    expect(escrow).toMatchObject({
+      status: "deposited",
+      transactionHash: DEPOSIT_HASH,
+      accumulatedDepositAmount: 100,
+      accumulatedDepositAmountWei: "100000000000000000000",
+    });
+    expect(buttons(sim.lastBotMessage(ROOM_ID))).toEqual([
+      `fiat_sent_buyer_${escrow.escrowId}`,
+    ]);
+
+    // Fiat handshake: the buyer's receipt is stored and shown to the seller
+    await sim.press(alice, ROOM_ID, "fiat_sent_buyer_");
+    expect((await findEscrow()).status).toBe("in_fiat_transfer");
+    expect(buttons(sim.lastBotMessage(ROOM_ID))).toEqual([
+      `fiat_proof_skip_${escrow.escrowId}`,
+    ]);
+
+    const receipt = await sim.sendMedia(alice, ROOM_ID, {
+      photo: [
+        { file_id: "receipt-small", file_unique_id: "r1", width: 90 },
+        { file_id: "receipt-large", file_unique_id: "r2", width: 1280 },
+      ],
+      caption: "UPI ref 4521",
+    });
+    escrow = await findEscrow();
+    expect(escrow.awaitingPaymentProof).toBe(false);
+    expect(escrow.paymentProofs).toHaveLength(1);
+    expect(escrow.paymentProofs[0]).toMatchObject({
+      fileId: "receipt-large",
+      type: "photo",
+      caption: "UPI ref 4521",
+      messageId: receipt.message_id,
+      uploadedBy: alice.id,
+    });
+    expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+      "Payment proof from the buyer is attached above"
+    );
+    expect(sim.calls("sendMessage").pop().payload.reply_to_message_id).toBe(
+      receipt.message_id
+    );
+
+    await sim.press(bob, ROOM_ID, "fiat_received_seller_yes_");
+    expect(buttons(sim.lastBotMessage(ROOM_ID))).toEqual([
+      `fiat_release_confirm_${escrow.escrowId}`,
+      `fiat_release_cancel_${escrow.escrowId}`,
+    ]);
+
+    const releaseFunds = jest
+      .spyOn(BlockchainService, "releaseFunds")
+      .mockResolvedValue({
+        success: true,
+        transactionHash: RELEASE_HASH,
+        payoutId: null,
+      });
+    const closeEscrow = jest
+      .spyOn(BlockchainService, "closeEscrow")
+      .mockResolvedValue(null);
+    await sim.press(bob, ROOM_ID, "fiat_release_confirm_");
+
+    // Deposit minus the 0.2 USDT BSC network fee; the vault takes its 0.75%
+    expect(releaseFunds).toHaveBeenCalledWith(
+      "USDT",
+      "BSC",
+      BUYER_ADDRESS,
+      99.8,
+      null,
+      String(ROOM_ID),
+      null,
+      { escrowId: escrow.escrowId }
+    );
+    escrow = await findEscrow();
+    expect(escrow).toMatchObject({
+      status: "completed",
+      releaseTransactionHash: RELEASE_HASH,
+    });
+    // The 0.2 kept back for the network fee moves to the vault's fees
+    expect(closeEscrow).toHaveBeenCalledTimes(1);
+    expect(closeEscrow.mock.calls[0][0].escrowId).toBe(escrow.escrowId);
+    expect(
+      sim
+        .messages(ROOM_ID)
+        .some((message) => body(message).includes("Release Confirmation"))
+    ).toBe(true);
+    expect(buttons(sim.lastBotMessage(ROOM_ID))).toEqual([
+      `buyer_received_tokens_yes_${escrow.escrowId}`,
+      `buyer_received_tokens_no_${escrow.escrowId}`,
+    ]);
+  });
+
+  it("settles a tranche deal one tranche at a time", async () => {
+    await openDealRoom();
+    await sim.press(alice, ROOM_ID, "select_role_buyer");
+    await sim.press(bob, ROOM_ID, "select_role_seller");
+    await sim.press(alice, ROOM_ID, "step2_select_chain_BSC");
+    await sim.press(alice, ROOM_ID, "step3_select_coin_USDT");
+    await sim.send(alice, ROOM_ID, "200 x 2");
+    await sim.send(bob, ROOM_ID, "89.5");
+    await sim.send(alice, ROOM_ID, "upi");
+    await sim.send(alice, ROOM_ID, BUYER_ADDRESS);
+    await sim.send(bob, ROOM_ID, SELLER_ADDRESS);
+
+    expect(body(sim.lastBotMessage(ROOM_ID))).toContain("2 × 100 USDT");
+    await sim.press(alice, ROOM_ID, "approve_deal_summary");
+    await sim.press(bob, ROOM_ID, "approve_deal_summary");
+    expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+      "Tranche 1/2: send 100 USDT"
+    );
+
+    BlockchainService.getLatestBlockNumber.mockResolvedValue(1020);
+    jest
+      .spyOn(BlockchainService, "getTransactionBlockNumber")
+      .mockResolvedValue(1001);
+    const releaseFunds = jest
+      .spyOn(BlockchainService, "releaseFunds")
+      .mockResolvedValue({
+        success: true,
+        transactionHash: RELEASE_HASH,
+        payoutId: null,
+      });
+    const transfers = [];
+    jest
+      .spyOn(BlockchainService, "getTokenTransfersViaRPC")
+      .mockImplementation(async () => transfers);
+
+    for (const hash of [DEPOSIT_HASH, `0x${"3".repeat(64)}`]) {
+      // Scans keep returning the earlier tranche's transfer as well
+      transfers.push({
+        hash,
+        from: SELLER_ADDRESS,
+        to: VAULT_ADDRESS,
+        valueDecimal: 100,
+        valueWei: "100000000000000000000",
+        blockNumber: 1001,
+      });
+      await DepositWatcherService.checkEscrow(
+        await Escrow.findOne({ groupId: String(ROOM_ID) }),
+        sim.telegram
+      );
+      expect((await findEscrow()).status).toBe("deposited");
+
+      await sim.press(alice, ROOM_ID, "fiat_sent_buyer_");
+      await sim.press(alice, ROOM_ID, "fiat_proof_skip_");
+      await sim.press(bob, ROOM_ID, "fiat_received_seller_yes_");
+      await sim.press(bob, ROOM_ID, "fiat_release_confirm_");
+
+      if (hash === DEPOSIT_HASH) {
+        const escrow = await findEscrow();
+        expect(escrow).toMatchObject({
+          status: "awaiting_deposit",
+          currentTrancheIndex: 2,
+          accumulatedDepositAmount: 0,
+        });
+        expect(escrow.tranches[0]).toMatchObject({
+          status: "released",
+          depositedAmount: 100,
+          depositTransactionHashes: [DEPOSIT_HASH],
+        });
+        expect(buttons(sim.lastBotMessage(ROOM_ID))).toEqual([
+          "confirm_sent_deposit",
+        ]);
+      }
+    }
+
+    // Each tranche pays its own network fee
+    expect(releaseFunds).toHaveBeenCalledTimes(2);
+    expect(releaseFunds.mock.calls.map((call) => call[3])).toEqual([
+      99.8, 99.8,
+    ]);
+    const escrow = await findEscrow();
+    expect(escrow.status).toBe("completed");
+    expect(escrow.tranches.map((tranche) => tranche.status)).toEqual([
+      "released",
+      "released",
+    ]);
+  });
+
+  it("measures BNB deposits and payout approvals in BNB", async () => {
+    const AdminApprovalService = require("../../src/services/AdminApprovalService");
+    const escrow = await openDealRoom();
+    escrow.set({
+      status: "awaiting_deposit",
+      token: "BNB",
+      chain: "BSC",
+      quantity: 2,
+      accumulatedDepositAmount: 1.99,
+    });
+    await escrow.save();
+
+    // 0.01 BNB short is not a full deposit
+    await DepositWatcherService.applyDeposits(
+      escrow._id,
+      [{ hash: DEPOSIT_HASH, valueDecimal: 1.99 }],
+      1.99
+    );
+    expect((await findEscrow()).status).toBe("awaiting_deposit");
+
+    // 1.99 BNB is far below 1000 but above the BNB threshold
+    expect(await AdminApprovalService.requiresApproval(1.99, escrow)).toBe(
+      true
+    );
+    escrow.set({ token: "USDT", accumulatedDepositAmount: 100 });
+    expect(await AdminApprovalService.requiresApproval(100, escrow)).toBe(
+      false
+    );
+  });
+
+  it("credits every deposit once when claims race", async () => {
+    const escrow = await openDealRoom();
+    escrow.set({ status: "awaiting_deposit", quantity: 100 });
+    await escrow.save();
+
+    const deposit = (hash) => ({
+      hash,
+      from: SELLER_ADDRESS,
+      valueDecimal: 30,
+      valueWei: "30000000000000000000",
+    });
+    const second = `0x${"3".repeat(64)}`;
+    const claimed = await Promise.all([
+      DepositWatcherService.claimTransaction(escrow._id, deposit(DEPOSIT_HASH)),
+      DepositWatcherService.claimTransaction(escrow._id, deposit(second)),
+      DepositWatcherService.claimTransaction(escrow._id, deposit(DEPOSIT_HASH)),
+    ]);
+
+    expect(claimed.filter(Boolean)).toHaveLength(2);
+    const stored = await findEscrow();
+    expect(stored.accumulatedDepositAmount).toBe(60);
+    expect(stored.accumulatedDepositAmountWei).toBe("60000000000000000000");
+    expect(
+      [stored.transactionHash, ...stored.partialTransactionHashes].sort()
+    ).toEqual([DEPOSIT_HASH, second].sort());
+  });
+
+  it("refuses illegal status transitions", async () => {
+    const EscrowStateMachine = require("../../src/services/EscrowStateMachine");
+    const escrow = await openDealRoom();
+    escrow.set({ status: "awaiting_deposit", buyerId: alice.id });
+    await escrow.save();
+
+    // A deal completes only once it is funded
+    await expect(
+      EscrowStateMachine.transition(escrow, "completed")
+    ).rejects.toThrow(
+      "Illegal escrow status transition awaiting_deposit → completed"
+    );
+
+    // A funded deal never goes back to draft
+    for (const status of [
+      "deposited",
+      "in_fiat_transfer",
+      "ready_to_release",
+    ]) {
+      escrow.set({ status });
+      await escrow.save();
+      await expect(
+        EscrowStateMachine.transition(escrow, "draft")
+      ).rejects.toThrow(`Illegal escrow status transition ${status} → draft`);
+      expect((await findEscrow()).status).toBe(status);
+    }
+
+    await sim.send(alice, ROOM_ID, "/restart");
+    expect(body(sim.lastBotMessage(ROOM_ID))).toContain("Cannot restart");
+    expect((await findEscrow()).status).toBe("ready_to_release");
+  });
+
+  it("escalates instead of cancelling when a deposit turns up at the deadline", async () => {
+    const ExpiryService = require("../../src/services/ExpiryService");
+    ExpiryService.telegram = sim.telegram;
+    const escrow = await openDealRoom();
+    escrow.set({
+      status: "awaiting_deposit",
+      chain: "BSC",
+      token: "USDT",
+      quantity: 100,
+      depositAddress: VAULT_ADDRESS,
+      lastCheckedBlock: 1000,
+      stageStartedAt: new Date(Date.now() - 60 * 60 * 1000),
+      stageDeadlineAt: new Date(Date.now() - 1000),
+      stageExpiryAction: "cancel",
+    });
+    await escrow.save();
+
+    // Sent just before the deadline, not yet deep enough to be confirmed
+    BlockchainService.getLatestBlockNumber.mockResolvedValue(1002);
+    jest.spyOn(BlockchainService, "getTokenTransfersViaRPC").mockResolvedValue([
+      {
+        hash: DEPOSIT_HASH,
+        from: SELLER_ADDRESS,
+        to: VAULT_ADDRESS,
+        valueDecimal: 100,
+        valueWei: "100000000000000000000",
+        blockNumber: 1001,
+      },
+    ]);
+
+    await ExpiryService.checkEscrow(escrow);
+
+    const stored = await findEscrow();
+    expect(stored.status).toBe("disputed");
+    expect(stored.pendingDeposits.map((deposit) => deposit.hash)).toEqual([
+      DEPOSIT_HASH,
+    ]);
+  });
+
+  it("holds large deals until both traders have enough reputation", async () => {
+    const reputationConfig = require("../../src/config/reputationConfig");
+    const { GATE_AMOUNT, MIN_SCORE } = reputationConfig;
+    reputationConfig.GATE_AMOUNT = 100;
+    reputationConfig.MIN_SCORE = 55;
+
+    try {
+      await openDealRoom();
+      await sim.press(alice, ROOM_ID, "select_role_buyer");
+      await sim.press(bob, ROOM_ID, "select_role_seller");
+      await sim.press(alice, ROOM_ID, "step2_select_chain_BSC");
+      await sim.press(alice, ROOM_ID, "step3_select_coin_USDT");
+      await sim.send(alice, ROOM_ID, "100");
+      await sim.send(bob, ROOM_ID, "89.5");
+      await sim.send(alice, ROOM_ID, "upi");
+      await sim.send(alice, ROOM_ID, BUYER_ADDRESS);
+      await sim.send(bob, ROOM_ID, SELLER_ADDRESS);
+
+      // New traders start at 50
+      const summary = sim.lastBotMessage(ROOM_ID);
+      expect(body(summary)).toContain("Buyer Reputation:</b> 50/100");
+      expect(body(summary)).toContain("Seller Reputation:</b> 50/100");
+
+      await sim.press(alice, ROOM_ID, "approve_deal_summary");
+      expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+        "Below the minimum: @alice (50/100), @bob (50/100)"
+      );
+      expect((await findEscrow()).buyerApproved).toBe(false);
+    } finally {
+      reputationConfig.GATE_AMOUNT = GATE_AMOUNT;
+      reputationConfig.MIN_SCORE = MIN_SCORE;
+    }
+  });
+
+  it("charges a cancelled deal to the trader who asked to cancel", async () => {
+    const ReputationService = require("../../src/services/ReputationService");
+    const { escrowId } = await openDealRoom();
+    await sim.press(alice, ROOM_ID, "select_role_buyer");
+    await sim.press(bob, ROOM_ID, "select_role_seller");
+
+    await sim.send(bob, ROOM_ID, "/cancel");
+    expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+      "The Seller wants to cancel this trade"
+    );
+    await sim.press(alice, ROOM_ID, `cancel_confirm_yes_${escrowId}`);
+    await sim.press(bob, ROOM_ID, `cancel_confirm_yes_${escrowId}`);
+
+    const escrow = await Escrow.findOne({ escrowId }).lean();
+    expect(escrow.status).toBe("cancelled");
+    expect(escrow.cancelRequestedBy).toBe(bob.id);
+    expect((await ReputationService.getReputation(bob.id)).score).toBe(48);
+    const buyer = await ReputationService.getReputation(alice.id);
+    expect(buyer.cancelled).toBe(1);
+    expect(buyer.score).toBe(50);
+  });
+
+  it("keeps a taken role for its first taker", async () => {
+    await openDealRoom();
+
+    await sim.press(alice, ROOM_ID, "select_role_buyer");
+    await sim.press(bob, ROOM_ID, "select_role_buyer");
+
+    expect(sim.lastAnswer()).toBe("❌ Buyer role already taken.");
+    const escrow = await findEscrow();
+    expect(escrow.buyerId).toBe(alice.id);
+    expect(escrow.sellerId).toBeFalsy();
+  });
+
+  it("lets only the seller confirm that fiat arrived", async () => {
+    const escrow = await openDealRoom();
+    escrow.set({
+      status: "in_fiat_transfer",
+      buyerId: alice.id,
+      buyerUsername: "alice",
+      sellerId: bob.id,
+      sellerUsername: "bob",
+    });
+    await escrow.save();
+    sim.api.addMessage(ROOM_ID, BOT_USER, {
+      text: "🏦 Seller @bob: Did you receive the fiat payment?",
+      reply_markup: {
+        inline_keyboard: [
+          [
+            {
+              text: "✅ Yes, I received",
+              callback_data: `fiat_received_seller_yes_${escrow.escrowId}`,
+            },
+          ],
+        ],
+      },
+    });
+
+    await sim.press(alice, ROOM_ID, "fiat_received_seller_yes_");
+
+    expect(sim.lastAnswer()).toBe("❌ Only the seller can confirm this.");
+    expect((await findEscrow()).sellerReceivedFiat).toBeFalsy();
+  });
+
+  it("sends the buyer's payment proof with a dispute report", async () => {
+    const config = require("../../config");
+    const channelId = config.DISPUTE_CHANNEL_ID;
+    config.DISPUTE_CHANNEL_ID = String(DISPUTE_CHANNEL_ID);
+    sim.group({ id: DISPUTE_CHANNEL_ID, title: "Disputes" });
+
+    try {
+      const escrow = await openDealRoom();
+      escrow.set({
+        status: "in_fiat_transfer",
+        buyerId: alice.id,
+        buyerUsername: "alice",
+        sellerId: bob.id,
+        sellerUsername: "bob",
+      });
+      await escrow.save();
+
+      await sim.sendMedia(alice, ROOM_ID, {
+        document: {
+          file_id: "receipt-pdf",
+          file_unique_id: "d1",
+          file_name: "receipt.pdf",
+          mime_type: "application/pdf",
+        },
+      });
+      expect(body(sim.lastBotMessage(ROOM_ID))).toContain("1 on record");
+
+      await sim.send(bob, ROOM_ID, "/dispute Payment never arrived");
+
+      const [report, proof] = sim.messages(DISPUTE_CHANNEL_ID);
+      expect(body(report)).toContain("NEW DISPUTE REPORTED");
+      expect(body(report)).toContain("1 (attached below)");
+      expect(proof.document).toBe("receipt-pdf");
+      expect(body(proof)).toContain("receipt.pdf");
+    } finally {
+      config.DISPUTE_CHANNEL_ID = channelId;
+    }
+  });
+
+  it("tracks a dispute as a case that an admin claims and resolves", async () => {
+    const config = require("../../config");
+    const Dispute = require("../../src/models/Dispute");
+    const adminId = config.ADMIN_USER_ID;
+    config.ADMIN_USER_ID = "1003";
+    const carol = sim.user({ id: 1003, username: "carol" });
+
+    try {
+      const escrow = await openDealRoom();
+      escrow.set({
+        status: "in_fiat_transfer",
+        buyerId: alice.id,
+        buyerUsername: "alice",
+        sellerId: bob.id,
+        sellerUsername: "bob",
+        sellerAddress: SELLER_ADDRESS,
+        transactionHash: DEPOSIT_HASH,
+        accumulatedDepositAmount: 100,
+      });
+      await escrow.save();
+      const { escrowId } = escrow;
+
+      await sim.send(bob, ROOM_ID, "/dispute Payment never arrived");
+
+      let dispute = await Dispute.findOne({ escrowId }).lean();
+      expect(dispute.status).toBe("open");
+      expect(dispute.openedBy.role).toBe("seller");
+      expect(dispute.reason).toBe("Payment never arrived");
+      expect(dispute.evidence.map((item) => item.transactionHash)).toEqual([
+        DEPOSIT_HASH,
+      ]);
+
+      await sim.send(carol, ROOM_ID, `/admin_dispute_claim ${escrowId}`);
+      await sim.send(
+        carol,
+        ROOM_ID,
+        `/admin_dispute_comment ${escrowId} Bank statement shows no transfer`
+      );
+
+      dispute = await Dispute.findOne({ escrowId }).lean();
+      expect(dispute.status).toBe("investigating");
+      expect(dispute.assignedAdmin.id).toBe(carol.id);
+      expect(dispute.comments.map((comment) => comment.text)).toEqual([
+        "Bank statement shows no transfer",
+      ]);
+
+      await sim.send(
+        carol,
+        ROOM_ID,
+        `/admin_dispute_resolve ${escrowId} refund Buyer never paid`
+      );
+
+      // Not resolved until the refund is actually sent
+      dispute = await Dispute.findOne({ escrowId }).lean();
+      expect(dispute.status).toBe("resolving");
+      expect(dispute.resolution).toBe("refund");
+      expect(dispute.resolutionNote).toBe("Buyer never paid");
+
+      const findCard = () =>
+        sim
+          .messages(ROOM_ID)
+          .reverse()
+          .find((message) =>
+            buttons(message).includes(`refund_confirm_yes_${escrowId}`)
+          );
+      expect(body(findCard())).toContain(
+        "Dispute Resolution: Refund to Seller"
+      );
+      expect((await findEscrow()).refundConfirmationMessageId).toBe(
+        findCard().message_id
+      );
+
+      // Cancelling the refund reopens the case
+      await sim.press(carol, ROOM_ID, `refund_confirm_no_${escrowId}`);
+      dispute = await Dispute.findOne({ escrowId }).lean();
+      expect(dispute.status).toBe("investigating");
+      expect(dispute.resolution).toBeUndefined();
+    } finally {
+      config.ADMIN_USER_ID = adminId;
+    }
+  });
+
+  // Disputed deal holding 100 USDT with a 60% buyer split proposed by carol;
+  // beforeDispute runs on the funded trade before the dispute is opened
+  async function proposeSplit(carol, beforeDispute = async () => {}) {
+    const escrow = await openDealRoom();
+    escrow.set({
+      status: "in_fiat_transfer",
+      buyerId: alice.id,
+      buyerUsername: "alice",
+      sellerId: bob.id,
+      sellerUsername: "bob",
+      buyerAddress: BUYER_ADDRESS,
+      sellerAddress: SELLER_ADDRESS,
+      contractAddress: VAULT_ADDRESS,
+      transactionHash: DEPOSIT_HASH,
+      accumulatedDepositAmount: 100,
+      networkFee: 0.2,
+      feeRate: 0.75,
+    });
+    await escrow.save();
+    await beforeDispute(escrow);
+
+    await sim.send(alice, ROOM_ID, "/dispute Only part of the fiat arrived");
+    await sim.send(
+      carol,
+      ROOM_ID,
+      `/admin_dispute_resolve ${escrow.escrowId} split 60`
+    );
+    return escrow.escrowId;
+  }
+
+  it("settles a dispute split in one vault transaction", async () => {
+    const config = require("../../config");
+    const adminId = config.ADMIN_USER_ID;
+    config.ADMIN_USER_ID = "1003";
+    const carol = sim.user({ id: 1003, username: "carol" });
+
+    try {
+      const escrowId = await proposeSplit(carol);
+
+      const preview = sim.lastBotMessage(ROOM_ID);
+      expect(body(preview)).toContain("Split Settlement");
+      expect(body(preview)).toContain("Share: 60.00000 USDT");
+      expect(body(preview)).toContain("Share: 40.00000 USDT");
+      // The 0.2 network fee is charged once, 60/40 like the deposit
+      expect(body(preview)).toContain("Network Fee: -0.12 USDT");
+      expect(body(preview)).toContain("Network Fee: -0.08 USDT");
+
+      const splitFunds = jest
+        .spyOn(BlockchainService, "splitFunds")
+        .mockResolvedValue({
+          success: true,
+          transactionHash: RELEASE_HASH,
+          payoutId: null,
+        });
+      const releaseFunds = jest.spyOn(BlockchainService, "releaseFunds");
+      const refundFunds = jest.spyOn(BlockchainService, "refundFunds");
+      const closeEscrow = jest
+        .spyOn(BlockchainService, "closeEscrow")
+        .mockResolvedValue(null);
+
+      // Only an admin can confirm
+      await sim.press(alice, ROOM_ID, `split_confirm_yes_${escrowId}`);
+      expect(splitFunds).not.toHaveBeenCalled();
+
+      await sim.press(carol, ROOM_ID, `split_confirm_yes_${escrowId}`);
+
+      expect(splitFunds).toHaveBeenCalledWith(
+        "USDT",
+        "BSC",
+        {
+          buyerAddress: BUYER_ADDRESS,
+          buyerAmountWei: "59880000000000000000",
+          sellerAddress: SELLER_ADDRESS,
+          sellerAmountWei: "39920000000000000000",
+        },
+        String(ROOM_ID),
+        VAULT_ADDRESS,
+        { escrowId }
+      );
+      expect(releaseFunds).not.toHaveBeenCalled();
+      expect(refundFunds).not.toHaveBeenCalled();
+      expect(closeEscrow).toHaveBeenCalledTimes(1);
+      expect(closeEscrow.mock.calls[0][0].escrowId).toBe(escrowId);
+
+      const settled = await findEscrow();
+      expect(settled.status).toBe("completed");
+      expect(settled.releaseTransactionHash).toBe(RELEASE_HASH);
+      expect(settled.refundTransactionHash).toBe(RELEASE_HASH);
+      expect(settled.splitSettlement.buyerPercent).toBe(60);
+      const Dispute = require("../../src/models/Dispute");
+      expect((await Dispute.findOne({ escrowId }).lean()).status).toBe(
+        "resolved"
+      );
+      expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+        "Split Settlement Complete"
+      );
+    } finally {
+      config.ADMIN_USER_ID = adminId;
+    }
+  });
+
+  it("splits only what is left after a partial refund", async () => {
+    const config = require("../../config");
+    const adminId = config.ADMIN_USER_ID;
+    config.ADMIN_USER_ID = "1003";
+    const carol = sim.user({ id: 1003, username: "carol" });
+    const REFUND_HASH = `0x${"3".repeat(64)}`;
+
+    try {
+      const escrowId = await proposeSplit(carol, async (escrow) => {
+        escrow.accumulatedDepositAmountWei = "100000000000000000000";
+        await escrow.save();
+
+        jest.spyOn(BlockchainService, "refundFunds").mockResolvedValue({
+          success: true,
+          transactionHash: REFUND_HASH,
+          payoutId: null,
+        });
+        await sim.send(alice, ROOM_ID, "/refund 40");
+        await sim.press(
+          alice,
+          ROOM_ID,
+          `refund_confirm_yes_${escrow.escrowId}`
+        );
+
+        const refunded = await findEscrow();
+        expect(refunded.accumulatedDepositAmount).toBe(60);
+        expect(refunded.accumulatedDepositAmountWei).toBe(
+          "60000000000000000000"
+        );
+      });
+
+      expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+        "Share: 36.00000 USDT"
+      );
+      const splitFunds = jest
+        .spyOn(BlockchainService, "splitFunds")
+        .mockResolvedValue({
+          success: true,
+          transactionHash: RELEASE_HASH,
+          payoutId: null,
+        });
+      await sim.press(carol, ROOM_ID, `split_confirm_yes_${escrowId}`);
+
+      expect(splitFunds).toHaveBeenCalledWith(
+        "USDT",
+        "BSC",
+        {
+          buyerAddress: BUYER_ADDRESS,
+          buyerAmountWei: "35880000000000000000",
+          sellerAddress: SELLER_ADDRESS,
+          sellerAmountWei: "23920000000000000000",
+        },
+        String(ROOM_ID),
+        VAULT_ADDRESS,
+        { escrowId }
+      );
+    } finally {
+      config.ADMIN_USER_ID = adminId;
+    }
+  });
+
+  it("resumes a two-payout split on vaults without split()", async () => {
+    const config = require("../../config");
+    const adminId = config.ADMIN_USER_ID;
+    config.ADMIN_USER_ID = "1003";
+    const carol = sim.user({ id: 1003, username: "carol" });
+    const REFUND_HASH = `0x${"3".repeat(64)}`;
+
+    try {
+      const escrowId = await proposeSplit(carol);
+
+      jest.spyOn(BlockchainService, "splitFunds").mockResolvedValue(null);
+      const releaseFunds = jest
+        .spyOn(BlockchainService, "releaseFunds")
+        .mockResolvedValue({
+          success: true,
+          transactionHash: RELEASE_HASH,
+          payoutId: null,
+        });
+      const refundFunds = jest
+        .spyOn(BlockchainService, "refundFunds")
+        .mockRejectedValueOnce(new Error("RPC unavailable"))
+        .mockResolvedValue({
+          success: true,
+          transactionHash: REFUND_HASH,
+          payoutId: null,
+        });
+
+      await sim.press(carol, ROOM_ID, `split_confirm_yes_${escrowId}`);
+
+      // The buyer was paid, so the case stays resolving and Retry is offered
+      let escrow = await findEscrow();
+      expect(escrow.status).not.toBe("completed");
+      expect(escrow.splitSettlement.releaseTransactionHash).toBe(RELEASE_HASH);
+      expect(escrow.splitSettlement.refundTransactionHash).toBeUndefined();
+      const Dispute = require("../../src/models/Dispute");
+      expect((await Dispute.findOne({ escrowId }).lean()).status).toBe(
+        "resolving"
+      );
+      expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+        "Split settlement stopped"
+      );
+
+      await sim.press(carol, ROOM_ID, `split_confirm_yes_${escrowId}`);
+
+      // Retry sends only the refund
+      expect(releaseFunds).toHaveBeenCalledTimes(1);
+      expect(releaseFunds).toHaveBeenCalledWith(
+        "USDT",
+        "BSC",
+        BUYER_ADDRESS,
+        59.88,
+        "59880000000000000000",
+        String(ROOM_ID),
+        VAULT_ADDRESS,
+        { escrowId }
+      );
+      expect(refundFunds).toHaveBeenCalledTimes(2);
+      expect(refundFunds).toHaveBeenLastCalledWith(
+        "USDT",
+        "BSC",
+        SELLER_ADDRESS,
+        39.92,
+        "39920000000000000000",
+        String(ROOM_ID),
+        VAULT_ADDRESS,
+        { escrowId }
+      );
+
+      escrow = await findEscrow();
+      expect(escrow.status).toBe("completed");
+      expect(escrow.releaseTransactionHash).toBe(RELEASE_HASH);
+      expect(escrow.refundTransactionHash).toBe(REFUND_HASH);
+      expect((await Dispute.findOne({ escrowId }).lean()).status).toBe(
+        "resolved"
+      );
+    } finally {
+      config.ADMIN_USER_ID = adminId;
+    }
+  });
+
+  it("sends an admin the case file with the archived group chat", async () => {
+    const config = require("../../config");
+    const adminId = config.ADMIN_USER_ID;
+    config.ADMIN_USER_ID = "1003";
+    const carol = sim.user({ id: 1003, username: "carol" });
+
+    try {
+      const escrow = await openDealRoom();
+      escrow.set({
+        status: "disputed",
+        chain: "BSC",
+        buyerId: alice.id,
+        buyerUsername: "alice",
+        sellerId: bob.id,
+        sellerUsername: "bob",
+        transactionHash: DEPOSIT_HASH,
+        accumulatedDepositAmount: 100,
+      });
+      await escrow.save();
+      const { escrowId } = escrow;
+
+      await sim.send(alice, ROOM_ID, "Sent the <money> from HDFC");
+      await sim.send(bob, ROOM_ID, "Nothing in my account yet");
+      await sim.send(carol, ROOM_ID, `/admin_case_file ${escrowId}`);
+
+      const [sent] = sim.calls("sendDocument");
+      expect(Number(sent.payload.chat_id)).toBe(carol.id);
+      expect(sent.payload.document.filename).toBe(`case-${escrowId}.html`);
+
+      const html = sent.payload.document.source.toString("utf8");
+      expect(html).toContain("Sent the &lt;money&gt; from HDFC");
+      expect(html).toContain("Nothing in my account yet");
+      expect(html).toContain(`https://bscscan.com/tx/${DEPOSIT_HASH}`);
+      expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+        "Sent to you privately"
+      );
+    } finally {
+      config.ADMIN_USER_ID = adminId;
+    }
+  });
+
+  it("archives group messages for the transcript and purges old ones", async () => {
+    const config = require("../../config");
+    const GroupMessage = require("../../src/models/GroupMessage");
+    const GroupMessageService = require("../../src/services/GroupMessageService");
+    const adminId = config.ADMIN_USER_ID;
+    config.ADMIN_USER_ID = "1003";
+    const carol = sim.user({ id: 1003, username: "carol" });
+
+    try {
+      const { escrowId } = await openDealRoom();
+      const sent = await sim.send(alice, ROOM_ID, "Paying 8950 now");
+      await sim.edit(sent, "Paying 8950 in an hour");
+      await sim.sendMedia(bob, ROOM_ID, {
+        document: { file_id: "statement-1", file_name: "statement.pdf" },
+      });
+
+      await sim.send(carol, carol.id, `/admin_transcript ${escrowId}`);
+
+      const [transcript] = sim.calls("sendDocument");
+      expect(Number(transcript.payload.chat_id)).toBe(carol.id);
+      const text = transcript.payload.document.source.toString("utf8");
+      expect(text).toContain("@alice: Paying 8950 now");
+      expect(text).toContain("Paying 8950 in an hour");
+      expect(text).toContain("@bob: [document: statement.pdf statement-1]");
+
+      // Past the retention period the archive is deleted
+      await GroupMessage.updateMany(
+        { escrowId },
+        { $set: { sentAt: new Date(Date.now() - 200 * 24 * 60 * 60 * 1000) } }
+      );
+      await GroupMessageService.purgeExpired();
+      expect(await GroupMessage.countDocuments({ escrowId })).toBe(0);
+    } finally {
+      config.ADMIN_USER_ID = adminId;
+    }
+  });
+
+  it("collects ratings after a completed trade for admins to moderate", async () => {
+    const config = require("../../config");
+    const Rating = require("../../src/models/Rating");
+    const User = require("../../src/models/User");
+    const RatingService = require("../../src/services/RatingService");
+    const adminId = config.ADMIN_USER_ID;
+    config.ADMIN_USER_ID = "1003";
+    const carol = sim.user({ id: 1003, username: "carol" });
+
+    try {
+      const escrow = await openDealRoom();
+      escrow.set({
+        status: "completed",
+        buyerId: alice.id,
+        buyerUsername: "alice",
+        sellerId: bob.id,
+        sellerUsername: "bob",
+        quantity: 100,
+        token: "USDT",
+      });
+      await escrow.save();
+      const { escrowId } = escrow;
+
+      await RatingService.sendPrompts(escrow, sim.telegram);
+      await RatingService.sendPrompts(escrow, sim.telegram);
+      expect(buttons(sim.lastBotMessage(alice.id))).toContain(
+        `rate_${escrowId}_5`
+      );
+      expect(
+        sim
+          .messages(bob.id)
+          .filter((message) => message.from.id === BOT_USER.id)
+      ).toHaveLength(1);
+
+      await sim.press(alice, alice.id, `rate_${escrowId}_4`);
+      await sim.send(alice, alice.id, "Released quickly, <3");
+
+      const rating = await Rating.findOne({ escrowId, raterId: alice.id });
+      expect(rating).toMatchObject({
+        rateeId: bob.id,
+        stars: 4,
+        comment: "Released quickly, <3",
+        awaitingComment: false,
+      });
+      let rated = await User.findOne({ telegramId: bob.id });
+      expect(rated.ratingCount).toBe(1);
+      expect(rated.ratingAverage).toBe(4);
+
+      await sim.send(carol, carol.id, `/admin_rating_hide ${rating._id} spam`);
+      rated = await User.findOne({ telegramId: bob.id });
+      expect(rated.ratingCount).toBe(0);
+      expect(rated.ratingAverage).toBe(null);
+    } finally {
+      config.ADMIN_USER_ID = adminId;
+    }
+  });
+
+  it("keeps blocked users and addresses out of deals", async () => {
+    const config = require("../../config");
+    const adminId = config.ADMIN_USER_ID;
+    config.ADMIN_USER_ID = "1003";
+    const carol = sim.user({ id: 1003, username: "carol" });
+
+    try {
+      await sim.send(carol, carol.id, "/admin_block 1002 7d chargebacks");
+      expect(body(sim.lastBotMessage(carol.id))).toContain("User blocked");
+
+      await sim.send(alice, MAIN_GROUP_ID, "/deal @bob");
+      expect(body(sim.lastBotMessage(MAIN_GROUP_ID))).toContain(
+        "@bob is blocked from trading"
+      );
+      expect(await findEscrow()).toBeNull();
+
+      // Blocked after the room was opened: bob can't take a role
+      await sim.send(carol, carol.id, "/admin_unblock 1002");
+      await openDealRoom();
+      await sim.send(carol, carol.id, "/admin_block 1002 chargebacks");
+      await sim.press(bob, ROOM_ID, "select_role_seller");
+      expect(sim.lastAnswer()).toBe(
+        "⛔ You are blocked from trading on this bot."
+      );
+      expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+        "@bob is blocked from trading on this bot"
+      );
+      expect(body(sim.lastBotMessage(bob.id))).toContain("Reason: chargebacks");
+      expect((await findEscrow()).sellerId).toBeFalsy();
+
+      // Blocked payout addresses are refused at entry
+      await sim.send(carol, carol.id, "/admin_unblock 1002");
+      await sim.send(carol, carol.id, `/admin_block_address ${BUYER_ADDRESS}`);
+      await sim.press(alice, ROOM_ID, "select_role_buyer");
+      await sim.press(bob, ROOM_ID, "select_role_seller");
+      await sim.press(alice, ROOM_ID, "step2_select_chain_BSC");
+      await sim.press(alice, ROOM_ID, "step3_select_coin_USDT");
+      await sim.send(alice, ROOM_ID, "100");
+      await sim.send(bob, ROOM_ID, "89.5");
+      await sim.send(alice, ROOM_ID, "upi");
+      await sim.send(alice, ROOM_ID, BUYER_ADDRESS);
+      expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+        "This address is blocked"
+      );
+      expect((await findEscrow()).buyerAddress).toBeFalsy();
+    } finally {
+      config.ADMIN_USER_ID = adminId;
+    }
+  });
+
+  it("refuses another deal's deposit address in any letter case", async () => {
+    const otherDeposit = await Escrow.create({
+      escrowId: "OTHER-1",
+      groupId: "-1001000000009",
+      depositAddress: SELLER_ADDRESS,
+    });
+    expect(otherDeposit.depositAddressKeys).toEqual([
+      SELLER_ADDRESS.toLowerCase(),
+    ]);
+
+    await openDealRoom();
+    await sim.press(alice, ROOM_ID, "select_role_buyer");
+    await sim.press(bob, ROOM_ID, "select_role_seller");
+    await sim.press(alice, ROOM_ID, "step2_select_chain_BSC");
+    await sim.press(alice, ROOM_ID, "step3_select_coin_USDT");
+    await sim.send(alice, ROOM_ID, "100");
+    await sim.send(bob, ROOM_ID, "89.5");
+    await sim.send(alice, ROOM_ID, "upi");
+    await sim.send(alice, ROOM_ID, SELLER_ADDRESS.toLowerCase());
+    expect(body(sim.lastBotMessage(ROOM_ID))).toContain(
+      "escrow vault/deposit address of this bot"
+    );
+    expect((await findEscrow()).buyerAddress).toBeFalsy();
+  });
+
+  it("tells a party approving the deal summary that a trader is blocked", async () => {
+    const config = require("../../config");
+    const adminId = config.ADMIN_USER_ID;
+    config.ADMIN_USER_ID = "1003";
+    const carol = sim.user({ id: 1003, username: "carol" });
+
+    try {
+      await openDealRoom();
+      await sim.press(alice, ROOM_ID, "select_role_buyer");
+      await sim.press(bob, ROOM_ID, "select_role_seller");
+      await sim.press(alice, ROOM_ID, "step2_select_chain_BSC");
+      await sim.press(alice, ROOM_ID, "step3_select_coin_USDT");
+      await sim.send(alice, ROOM_ID, "100");
+      await sim.send(bob, ROOM_ID, "89.5");
+      await sim.send(alice, ROOM_ID, "upi");
+      await sim.send(alice, ROOM_ID, BUYER_ADDRESS);
+      await sim.send(bob, ROOM_ID, SELLER_ADDRESS);
+      await sim.send(carol, carol.id, "/admin_block 1002 chargebacks");
+
+      await sim.press(alice, ROOM_ID, "approve_deal_summary");
+      expect(sim.lastAnswer()).toBe(
+        "⛔ The other party is blocked from trading on this bot."
+      );
+      await sim.press(bob, ROOM_ID, "approve_deal_summary");
+      expect(sim.lastAnswer()).toBe(
+        "⛔ You are blocked from trading on this bot."
+      );
+
+      const escrow = await findEscrow();
+      expect(escrow.buyerApproved).toBe(false);
+      expect(escrow.sellerApproved).toBe(false);
+    } finally {
+      config.ADMIN_USER_ID = adminId;
+    }
+  });
+
+  it("asks for admin approval once partial payouts reach the threshold", async () => {
+    const config = require("../../config");
+    const Payout = require("../../src/models/Payout");
+    const AdminService = require("../../src/services/AdminService");
+    const AdminApprovalService = require("../../src/services/AdminApprovalService");
+    const adminId = config.ADMIN_USER_ID;
+    const threshold = config.ADMIN_APPROVAL_THRESHOLD;
+    config.ADMIN_USER_ID = "1003";
+    config.ADMIN_APPROVAL_THRESHOLD = 1000;
+
+    try {
+      await AdminService.setRole(
+        { telegramId: 1004, username: "dave" },
+        "dispute_resolver",
+        { id: 1003, username: "carol" }
+      );
+      const escrow = await openDealRoom();
+      escrow.set({ status: "deposited", accumulatedDepositAmount: 900 });
+      await escrow.save();
+
+      expect(await AdminApprovalService.requiresApproval(600, escrow)).toBe(
+        false
+      );
+
+      await Payout.create({
+        escrowId: escrow.escrowId,
+        type: "release",
+        network: "BSC",
+        destination: BUYER_ADDRESS,
+        amount: 600,
+        status: "confirmed",
+      });
+      escrow.set({ accumulatedDepositAmount: 300 });
+      expect(await AdminApprovalService.requiresApproval(300, escrow)).toBe(
+        false
+      );
+      expect(await AdminApprovalService.requiresApproval(400, escrow)).toBe(
+        true
+      );
+    } finally {
+      config.ADMIN_USER_ID = adminId;
+      config.ADMIN_APPROVAL_THRESHOLD = threshold;
+    }
+  });
+
+  it("limits admin commands to the admin's role", async () => {
+    const config = require("../../config");
+    const adminIds = [config.ADMIN_USER_ID, config.ADMIN_USER_ID2];
+    config.ADMIN_USER_ID = "1003";
+    const carol = sim.user({ id: 1003, username: "carol" });
+    const dave = sim.user({ id: 1004, username: "dave" });
+    const erin = sim.user({ id: 1005, username: "erin" });
+
+    // Admin list changes need a second admin to approve
+    const approve = async () => {
+      await sim.press(erin, erin.id, "admin_approval_yes_");
+      expect(sim.lastAnswer()).toBe("✅ Approved");
+    };
+
+    try {
+      await sim.send(dave, dave.id, "/admin_stats");
+      expect(body(sim.lastBotMessage(dave.id))).toContain(
+        "Admin privileges required"
+      );
+
+      // Too few admins to reach the quorum: refused, not waved through
+      config.ADMIN_USER_ID2 = "";
+      await sim.send(carol, carol.id, "/admin_add 1004 support");
+      expect(body(sim.lastBotMessage(carol.id))).toContain(
+        "need 2 admins to approve"
+      );
+
+      config.ADMIN_USER_ID2 = "1005";
+      await sim.send(carol, carol.id, "/admin_add 1004 support");
+      expect(body(sim.lastBotMessage(carol.id))).toContain(
+        "Sent for admin approval (1/2)"
+      );
+      await sim.send(dave, dave.id, "/admin_stats");
+      expect(body(sim.lastBotMessage(dave.id))).toContain(
+        "Admin privileges required"
+      );
+      await approve();
+      expect(body(sim.lastBotMessage(carol.id))).toContain("is done");
+
+      await sim.send(dave, dave.id, "/admin_block 1002 spam");
+      expect(body(sim.lastBotMessage(dave.id))).toContain("User blocked");
+      await sim.send(dave, dave.id, "/withdraw_all_bsc");
+      expect(body(sim.lastBotMessage(dave.id))).toContain(
+        "Your admin role (🎧 Support) can't do this"
+      );
+      await sim.send(dave, dave.id, "/admin_add 1002 superadmin");
+      expect(body(sim.lastBotMessage(dave.id))).toContain("can't do this");
+
+      await sim.send(carol, carol.id, "/admin_role 1004 treasury");
+      await approve();
+      await sim.send(dave, dave.id, "/admin_unblock 1002");
+      expect(body(sim.lastBotMessage(dave.id))).toContain(
+        "Your admin role (🏦 Treasury) can't do this"
+      );
+
+      await sim.send(carol, carol.id, "/admin_remove 1004");
+      await approve();
+      await sim.send(dave, dave.id, "/admin_stats");
+      expect(body(sim.lastBotMessage(dave.id))).toContain(
+        "Admin privileges required"
+      );
+    } finally {
+      [config.ADMIN_USER_ID, config.ADMIN_USER_ID2] = adminIds;
+    }
+  });
+});
@@ -0,0 +1,294 @@
+// Config is read once on require, so the bot's environment goes first
+process.env.BOT_TOKEN = "123456:SIMULATION";
+process.env.HOT_WALLET_PRIVATE_KEY =
+  "0x0123456789012345678901234567890123456789012345678901234567890123";
+process.env.USDT_BSC = "0x55d398326f99059fF775485246999027B3197955";
+process.env.ENABLED_CHAINS = "BSC";
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const FakeTelegram = require("./fakeTelegram");
+
+const BOT_USER = {
+  id: 123456,
+  is_bot: true,
+  first_name: "Escrow Bot",
+  username: "sim_escrow_bot",
+};
+
+/**
+ * Runs the real EscrowBot against a FakeTelegram transport and an in-memory
+ * MongoDB. Tests act as Telegram users (send text, press buttons, request
+ * to join) and assert on the messages, keyboards and database state.
+ */
+class BotSimulator {
+  /**
+   * Start MongoDB and the bot
+   * @returns {Promise<BotSimulator>}
+   */
+  static async start() {
+    const simulator = new BotSimulator();
+    await simulator.setup();
+    return simulator;
+  }
+
+  async setup() {
+    this.trackTimers();
+
+    this.mongo = await MongoMemoryServer.create();
+    await mongoose.connect(this.mongo.getUri());
+
+    this.api = new FakeTelegram(BOT_USER);
+    this.nextUpdateId = 1;
+
+    const EscrowBot = require("../../../src/index");
+    this.bot = new EscrowBot().bot;
+    this.bot.botInfo = BOT_USER;
+    // Telegraf builds a fresh Telegram client per update; share ours so
+    // ctx.telegram goes through the fake transport as well
+    this.bot.telegram.callApi = (method, payload) =>
+      this.api.callApi(method, payload);
+    this.bot.context.telegram = this.bot.telegram;
+    this.telegram = this.bot.telegram;
+  }
+
+  /**
+   * Handlers schedule room timeouts and recycling minutes ahead; remember
+   * those timers so reset() and stop() can cancel them and Jest can exit.
+   * Shorter waits (retries, message cleanup) run out on their own.
+   */
+  trackTimers() {
+    this.timers = new Set();
+    this.realSetTimeout = global.setTimeout;
+    global.setTimeout = (fn, ms, ...args) => {
+      const timer = this.realSetTimeout(fn, ms, ...args);
+      if (ms >= 60 * 1000) {
+        this.timers.add(timer);
+      }
+      return timer;
+    };
+  }
+
+  /**
+   * Empty every collection and forget all chats, users and messages
+   */
+  async reset() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    await Promise.all(
+      Object.values(mongoose.connection.collections).map((collection) =>
+        collection.deleteMany({})
+      )
+    );
+    // Forget admins cached from the previous test
+    await require("../../../src/services/AdminService").load();
+    this.api = new FakeTelegram(BOT_USER);
+  }
+
+  async stop() {
+    await mongoose.disconnect();
+    if (this.mongo) {
+      await this.mongo.stop();
+    }
+    this.timers.forEach((timer) => clearTimeout(timer));
+    global.setTimeout = this.realSetTimeout;
+  }
+
+  /**
+   * Register a Telegram user. The bio is only visible through getChat.
+   * @param {{id: number, username?: string, first_name?: string, bio?: string}} data
+   * @returns {Object} Telegram User object for send/press/requestJoin
+   */
+  user({ id, username, first_name, bio = "" }) {
+    const user = {
+      id,
+      is_bot: false,
+      first_name: first_name || username || `User ${id}`,
+      username,
+    };
+    this.api.addUser({ ...user, bio });
+    return user;
+  }
+
+  /**
+   * Register a supergroup the bot administers
+   * @param {{id: number, title: string}} data
+   * @param {Object[]} members - Users already in the group
+   */
+  group({ id, title }, members = []) {
+    this.api.addGroup({ id, title });
+    for (const user of members) {
+      this.api.setMemberStatus(id, user.id, "member");
+    }
+    return this.api.chatObject(id);
+  }
+
+  /**
+   * A user posts a text message (commands and @mentions get entities)
+   */
+  async send(user, chatId, text) {
+    const entities = [];
+    const command = text.match(/^\/\S+/);
+    if (command) {
+      entities.push({
+        type: "bot_command",
+        offset: 0,
+        length: command[0].length,
+      });
+    }
+    for (const mention of text.matchAll(/@\w+/g)) {
+      if (!command || mention.index >= command[0].length) {
+        entities.push({
+          type: "mention",
+          offset: mention.index,
+          length: mention[0].length,
+        });
+      }
+    }
+
+    const message = this.api.addMessage(chatId, user, {
+      text,
+      ...(entities.length ? { entities } : {}),
+    });
+    await this.dispatch({ message });
+    return message;
+  }
+
+  /**
+   * A user posts a non-text message, e.g. { photo: [...] } or { document }
+   */
+  async sendMedia(user, chatId, fields) {
+    const message = this.api.addMessage(chatId, user, fields);
+    await this.dispatch({ message });
+    return message;
+  }
+
+  /**
+   * A user edits the text of a message they sent
+   * @param {Object} message - Message returned by send
+   */
+  async edit(message, text) {
+    message.text = text;
+    message.edit_date = Math.floor(Date.now() / 1000);
+    await this.dispatch({ edited_message: { ...message } });
+    return message;
+  }
+
+  /**
+   * A user taps an inline button visible in the chat
+   * @param {Object} user - Who presses
+   * @param {number} chatId - Chat showing the button
+   * @param {string} data - Exact callback_data, or a prefix of it
+   */
+  async press(user, chatId, data) {
+    const found = this.findButton(chatId, data);
+    if (!found) {
+      throw new Error(`No "${data}" button in chat ${chatId}`);
+    }
+    await this.dispatch({
+      callback_query: {
+        id: String(this.nextUpdateId),
+        from: user,
+        chat_instance: String(chatId),
+        message: found.message,
+        data: found.button.callback_data,
+      },
+    });
+    return found.button;
+  }
+
+  /**
+   * A user opens the group's join-request invite link
+   */
+  async requestJoin(user, chatId) {
+    await this.dispatch({
+      chat_join_request: {
+        chat: this.api.chatObject(chatId),
+        from: user,
+        user_chat_id: user.id,
+        date: Math.floor(Date.now() / 1000),
+      },
+    });
+  }
+
+  async dispatch(update) {
+    await this.bot.handleUpdate({ update_id: this.nextUpdateId++, ...update });
+  }
+
+  /**
+   * Newest visible button matching data exactly, else by prefix
+   * @returns {{message: Object, button: Object}|null}
+   */
+  findButton(chatId, data) {
+    const buttons = this.messages(chatId)
+      .reverse()
+      .flatMap((message) =>
+        (message.reply_markup?.inline_keyboard || [])
+          .flat()
+          .map((button) => ({ message, button }))
+      );
+    return (
+      buttons.find(({ button }) => button.callback_data === data) ||
+      buttons.find(({ button }) => button.callback_data?.startsWith(data)) ||
+      null
+    );
+  }
+
+  /**
+   * Visible messages in a chat, oldest first
+   */
+  messages(chatId) {
+    return this.api.visibleMessages(chatId);
+  }
+
+  /**
+   * Latest visible message sent by the bot
+   */
+  lastBotMessage(chatId) {
+    return this.messages(chatId)
+      .filter((message) => message.from.id === BOT_USER.id)
+      .pop();
+  }
+
+  /**
+   * Text of the latest callback answer (toast or alert)
+   */
+  lastAnswer() {
+    const answers = this.calls("answerCallbackQuery");
+    return answers.length ? answers[answers.length - 1].payload.text : null;
+  }
+
+  /**
+   * Recorded Bot API calls, optionally of one method
+   */
+  calls(method = null) {
+    return this.api.calls.filter((call) => !method || call.method === method);
+  }
+
+  isMember(chatId, user) {
+    return this.api.getMemberStatus(chatId, user.id) === "member";
+  }
+}
+
+/**
+ * Text or caption of a message
+ */
+function body(message) {
+  return message ? message.text ?? message.caption ?? "" : "";
+}
+
+/**
+ * callback_data of every inline button on a message
+ */
+function buttons(message) {
+  return (message?.reply_markup?.inline_keyboard || [])
+    .flat()
+    .map((button) => button.callback_data);
+}
+
+module.exports = {
+  BOT_USER,
+  BotSimulator,
+  body,
+  buttons,
+};
@@ -0,0 +1,261 @@
+const { TelegramError } = require("telegraf");
+
+// Methods that post a new message, and the media field each one carries
+const SEND_METHODS = {
+  sendMessage: null,
+  sendPhoto: "photo",
+  sendDocument: "document",
+  sendAnimation: "animation",
+  sendVideo: "video",
+};
+
+/**
+ * In-memory stand-in for the Telegram Bot API. Every call the bot makes is
+ * recorded; chats, members, messages and invite links are kept just well
+ * enough for the handlers to read back what they wrote.
+ */
+class FakeTelegram {
+  constructor(botUser) {
+    this.botUser = botUser;
+    this.calls = [];
+    this.users = new Map(); // id -> user (with optional bio)
+    this.chats = new Map(); // id -> group chat
+    this.members = new Map(); // chatId -> Map(userId -> status)
+    this.messages = new Map(); // chatId -> Message[]
+    this.nextMessageId = 1;
+    this.nextLinkId = 1;
+  }
+
+  addUser(user) {
+    this.users.set(Number(user.id), user);
+  }
+
+  addGroup(chat) {
+    this.chats.set(String(chat.id), { type: "supergroup", ...chat });
+    this.setMemberStatus(chat.id, this.botUser.id, "administrator");
+  }
+
+  setMemberStatus(chatId, userId, status) {
+    const key = String(chatId);
+    if (!this.members.has(key)) {
+      this.members.set(key, new Map());
+    }
+    this.members.get(key).set(Number(userId), status);
+  }
+
+  getMemberStatus(chatId, userId) {
+    return this.members.get(String(chatId))?.get(Number(userId)) || "left";
+  }
+
+  /**
+   * Store a message (from the bot or a user) and return it
+   */
+  addMessage(chatId, from, fields) {
+    const message = {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: this.chatObject(chatId),
+      from,
+      ...fields,
+    };
+    const key = String(chatId);
+    if (!this.messages.has(key)) {
+      this.messages.set(key, []);
+    }
+    this.messages.get(key).push(message);
+    return message;
+  }
+
+  findMessage(chatId, messageId) {
+    return (this.messages.get(String(chatId)) || []).find(
+      (message) => message.message_id === Number(messageId) && !message.deleted
+    );
+  }
+
+  /**
+   * Messages still visible in a chat, oldest first
+   */
+  visibleMessages(chatId) {
+    return (this.messages.get(String(chatId)) || []).filter(
+      (message) => !message.deleted
+    );
+  }
+
+  chatObject(chatId) {
+    const group = this.chats.get(String(chatId));
+    if (group) {
+      return group;
+    }
+    const user = this.users.get(Number(chatId));
+    return {
+      id: Number(chatId),
+      type: "private",
+      username: user?.username,
+      first_name: user?.first_name,
+    };
+  }
+
+  /**
+   * Replacement for Telegram#callApi
+   * @param {string} method - Bot API method name
+   * @param {Object} payload - Request body as Telegraf builds it
+   */
+  async callApi(method, payload = {}) {
+    this.calls.push({ method, payload });
+
+    if (method in SEND_METHODS) {
+      if (
+        Number(payload.chat_id) < 0 &&
+        !this.chats.has(String(payload.chat_id))
+      ) {
+        throw this.error(method, payload, "Bad Request: chat not found");
+      }
+      const media = SEND_METHODS[method];
+      const fields = media
+        ? { [media]: payload[media], caption: payload.caption }
+        : { text: payload.text };
+      fields.reply_markup = payload.reply_markup;
+      return this.addMessage(payload.chat_id, this.botUser, fields);
+    }
+
+    switch (method) {
+      case "getMe":
+        return this.botUser;
+      case "getChat":
+        return this.getChat(method, payload);
+      case "getChatMember":
+        return {
+          status: this.getMemberStatus(payload.chat_id, payload.user_id),
+          user: this.users.get(Number(payload.user_id)) || {
+            id: Number(payload.user_id),
+            is_bot: false,
+            first_name: "Unknown",
+          },
+        };
+      case "getChatAdministrators":
+        return [...(this.members.get(String(payload.chat_id)) || new Map())]
+          .filter(([, status]) => ["creator", "administrator"].includes(status))
+          .map(([userId, status]) => ({
+            status,
+            user:
+              userId === this.botUser.id
+                ? this.botUser
+                : this.users.get(userId),
+          }));
+      case "approveChatJoinRequest":
+        this.setMemberStatus(payload.chat_id, payload.user_id, "member");
+        return true;
+      case "banChatMember":
+      case "kickChatMember":
+        this.setMemberStatus(payload.chat_id, payload.user_id, "kicked");
+        return true;
+      case "unbanChatMember":
+        this.setMemberStatus(payload.chat_id, payload.user_id, "left");
+        return true;
+      case "createChatInviteLink":
+        return {
+          invite_link: `https://t.me/+sim${this.nextLinkId++}`,
+          creator: this.botUser,
+          creates_join_request: Boolean(payload.creates_join_request),
+          is_primary: false,
+          is_revoked: false,
+        };
+      case "exportChatInviteLink":
+        return `https://t.me/+sim${this.nextLinkId++}`;
+      case "revokeChatInviteLink":
+        return {
+          invite_link: payload.invite_link,
+          creator: this.botUser,
+          is_primary: false,
+          is_revoked: true,
+        };
+      case "editMessageText":
+      case "editMessageCaption":
+      case "editMessageReplyMarkup":
+        return this.editMessage(method, payload);
+      case "deleteMessage": {
+        const message = this.findMessage(payload.chat_id, payload.message_id);
+        if (!message) {
+          throw this.error(
+            method,
+            payload,
+            "Bad Request: message to delete not found"
+          );
+        }
+        message.deleted = true;
+        return true;
+      }
+      default:
+        return true;
+    }
+  }
+
+  getChat(method, payload) {
+    const chatId = payload.chat_id;
+    if (typeof chatId === "string" && chatId.startsWith("@")) {
+      const username = chatId.substring(1).toLowerCase();
+      const user = [...this.users.values()].find(
+        (candidate) => (candidate.username || "").toLowerCase() === username
+      );
+      if (user) {
+        return { ...this.chatObject(user.id), bio: user.bio || "" };
+      }
+    } else if (this.chats.has(String(chatId))) {
+      return this.chats.get(String(chatId));
+    } else if (this.users.has(Number(chatId))) {
+      const user = this.users.get(Number(chatId));
+      return { ...this.chatObject(user.id), bio: user.bio || "" };
+    }
+    throw this.error(method, payload, "Bad Request: chat not found");
+  }
+
+  editMessage(method, payload) {
+    const message = this.findMessage(payload.chat_id, payload.message_id);
+    if (!message) {
+      throw this.error(
+        method,
+        payload,
+        "Bad Request: message to edit not found"
+      );
+    }
+
+    const next = { reply_markup: payload.reply_markup };
+    if (method === "editMessageText") {
+      if (message.text === undefined) {
+        throw this.error(
+          method,
+          payload,
+          "Bad Request: there is no text in the message to edit"
+        );
+      }
+      next.text = payload.text;
+    } else if (method === "editMessageCaption") {
+      next.caption = payload.caption;
+    }
+
+    const unchanged = Object.keys(next).every(
+      (key) => JSON.stringify(message[key]) === JSON.stringify(next[key])
+    );
+    if (unchanged) {
+      throw this.error(
+        method,
+        payload,
+        "Bad Request: message is not modified: specified new message content and reply markup are exactly the same as a current content and reply markup of the message"
+      );
+    }
+
+    Object.assign(message, next, {
+      edit_date: Math.floor(Date.now() / 1000),
+    });
+    return message;
+  }
+
+  error(method, payload, description) {
+    return new TelegramError(
+      { ok: false, error_code: 400, description },
+      { method, payload }
+    );
+  }
+}
+
+module.exports = FakeTelegram;